@@ -0,0 +1,11 @@
+// Unit tests live next to the modules they cover, in __tests__ folders
+module.exports = {
+    testEnvironment: 'node',
+    roots: ['<rootDir>/src'],
+    // Shared fixtures sit in __tests__/helpers and are not tests themselves
+    testMatch: ['**/__tests__/**/*.test.js'],
+    transform: {
+        // Babel for ES modules only; webpack keeps its own babel-loader settings
+        '\\.jsx?$': ['babel-jest', { presets: [['@babel/preset-env', { targets: { node: 'current' } }]] }]
+    }
+};
@@ -9,14 +9,25 @@
  * FIXED: Updated to use the correct working URL from GitHub instead of the broken
  * TensorFlow.js models release URL. Now uses reliable Node.js-based ZIP extraction
  * to avoid Windows file locking issues.
+ *
+ * Also checks the preset style pack in public/styles/presets against the
+ * checksums pinned in public/styles/manifest.json, downloading any preset that
+ * has a download URL and isn't there yet. Run with --verify-styles to only
+ * check the pack.
  */
 
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 
 const MODELS_DIR = path.join(__dirname, '..', 'public', 'models');
+const STYLES_DIR = path.join(__dirname, '..', 'public', 'styles');
+const STYLE_MANIFEST = path.join(STYLES_DIR, 'manifest.json');
+
+// Some hosts (e.g. Wikimedia) refuse requests without a User-Agent
+const USER_AGENT = 'CartoonizeMe/1.0 (asset downloader; Node.js)';
 
 // Model download URLs and configurations
 // FIXED: Updated to use working GitHub repository ZIP instead of broken TensorFlow release
@@ -52,10 +63,12 @@ function downloadFile(url, destination) {
 
         const file = fs.createWriteStream(destination);
 
-        https.get(url, (response) => {
-            if (response.statusCode === 302 || response.statusCode === 301) {
-                // Handle redirects
-                return downloadFile(response.headers.location, destination)
+        https.get(url, { headers: { 'User-Agent': USER_AGENT } }, (response) => {
+            if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+                // Handle redirects (the location may be relative)
+                file.close();
+                response.resume();
+                return downloadFile(new URL(response.headers.location, url).toString(), destination)
                     .then(resolve)
                     .catch(reject);
             }
@@ -345,6 +358,91 @@ function modelsExist() {
     });
 }
 
+/**
+ * Read the preset style manifest
+ */
+function readStyleManifest() {
+    return JSON.parse(fs.readFileSync(STYLE_MANIFEST, 'utf8'));
+}
+
+/**
+ * Check a preset image: present, a JPEG, PNG or WebP, and matching the
+ * checksum the manifest pins for it. Returns a problem description or null.
+ */
+function verifyStyleFile(filePath, sha256) {
+    if (!sha256) {
+        return 'no sha256 pinned in the manifest';
+    }
+    if (!fs.existsSync(filePath)) {
+        return 'missing';
+    }
+
+    const data = fs.readFileSync(filePath);
+    if (data.length === 0) {
+        return 'empty file';
+    }
+
+    const isJpeg = data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff;
+    const isPng = data.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    const isWebp = data.subarray(0, 4).toString('ascii') === 'RIFF' && data.subarray(8, 12).toString('ascii') === 'WEBP';
+    if (!isJpeg && !isPng && !isWebp) {
+        return 'not a JPEG, PNG or WebP image';
+    }
+
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (actual !== sha256) {
+        return `checksum mismatch (expected ${sha256}, got ${actual})`;
+    }
+
+    return null;
+}
+
+/**
+ * Check the preset style images, downloading those that are missing or
+ * invalid and have a download URL (unless verifyOnly). Resolves with a list
+ * of problems.
+ */
+async function downloadStylePack({ verifyOnly = false } = {}) {
+    console.log('\n🖼️  Preset Style Pack');
+    console.log('====================');
+
+    const manifest = readStyleManifest();
+    const problems = [];
+
+    for (const style of manifest.styles) {
+        for (const kind of ['image', 'thumbnail']) {
+            if (!style[kind]) continue;
+
+            const destination = path.join(STYLES_DIR, style[kind]);
+            const expectedHash = style.sha256?.[kind] || null;
+            let problem = verifyStyleFile(destination, expectedHash);
+
+            if (problem && expectedHash && !verifyOnly && style.download?.[kind]) {
+                fs.mkdirSync(path.dirname(destination), { recursive: true });
+                try {
+                    await downloadFile(style.download[kind], destination);
+                    problem = verifyStyleFile(destination, expectedHash);
+                } catch (downloadError) {
+                    fs.rmSync(destination, { force: true }); // Don't leave a partial file behind
+                    problem = downloadError.message;
+                }
+            }
+
+            if (problem) {
+                problems.push(`${style.id} ${kind}: ${problem}`);
+            }
+        }
+    }
+
+    if (problems.length === 0) {
+        console.log(`✅ All ${manifest.styles.length} preset styles are ${verifyOnly ? 'valid' : 'ready'}`);
+    } else {
+        console.warn(`⚠️  ${problems.length} preset style file(s) have problems:`);
+        problems.forEach(problem => console.warn(`   - ${problem}`));
+    }
+    return problems;
+}
+
 /**
  * Main download function
  */
@@ -397,10 +495,26 @@ async function downloadModels() {
 
 // Run if called directly
 if (require.main === module) {
-    downloadModels().catch(error => {
-        console.error('❌ Fatal error:', error);
-        process.exit(1);
-    });
+    if (process.argv.includes('--verify-styles')) {
+        downloadStylePack({ verifyOnly: true })
+            .then(problems => process.exit(problems.length > 0 ? 1 : 0))
+            .catch(error => {
+                console.error('❌ Fatal error:', error);
+                process.exit(1);
+            });
+    } else {
+        downloadModels()
+            .then(() => downloadStylePack())
+            .then((problems) => {
+                if (problems.length > 0) {
+                    console.log('📝 Presets with missing images are hidden in the app');
+                }
+            })
+            .catch(error => {
+                console.error('❌ Fatal error:', error);
+                process.exit(1);
+            });
+    }
 }
 
-module.exports = { downloadModels }; 
\ No newline at end of file
+module.exports = { downloadModels, downloadStylePack }; 
\ No newline at end of file
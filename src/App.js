@@ -20,6 +20,9 @@ import StyleSelector from './components/StyleSelector';
 import ProcessingEngine from './components/ProcessingEngine';
 import ProgressTracker from './components/ProgressTracker';
 import ResultsViewer from './components/ResultsViewer';
+import LiveMode from './components/LiveMode';
+import HistoryGallery from './components/HistoryGallery';
+import BatchQueue from './components/BatchQueue';
 import ErrorBoundary from './components/ErrorBoundary';
 import LoadingOverlay from './components/LoadingOverlay';
 import { getPerformanceRecommendations } from './utils/browserCheck';
@@ -133,6 +136,39 @@ function App() {
             );
         }
 
+        // Live webcam mode (outside the upload → download workflow)
+        if (appState === 'live') {
+            return (
+                <div className="container py-8">
+                    <div className="max-w-4xl mx-auto">
+                        <LiveMode />
+                    </div>
+                </div>
+            );
+        }
+
+        // History gallery (outside the upload → download workflow)
+        if (appState === 'history') {
+            return (
+                <div className="container py-8">
+                    <div className="max-w-6xl mx-auto">
+                        <HistoryGallery />
+                    </div>
+                </div>
+            );
+        }
+
+        // Batch processing queue (outside the upload → download workflow)
+        if (appState === 'batch') {
+            return (
+                <div className="container py-8">
+                    <div className="max-w-6xl mx-auto">
+                        <BatchQueue />
+                    </div>
+                </div>
+            );
+        }
+
         // Step 1: Video Upload (REQ-001 to REQ-006)
         if (appState === 'upload' || !currentVideo) {
             return (
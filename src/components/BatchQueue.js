@@ -0,0 +1,583 @@
+/**
+ * Batch Queue Component
+ *
+ * Several videos or photos processed with one or more styles, one job after
+ * another. Jobs are kept in IndexedDB (see jobQueue.js), so a queue left
+ * unfinished carries on after a reload. Failed jobs are retried once on
+ * their own and can be retried by hand; finished results go to the history
+ * gallery (without evicting the batch's earlier results) and are listed here
+ * for download. A result the history can't take stays with its job.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { AppContext } from '../context/AppContext';
+import VideoProcessor from '../utils/videoProcessor';
+import ProcessingWorkerClient from '../utils/processingWorkerClient';
+import PresetStyleGallery from './PresetStyleGallery';
+import StyleLibrary from './StyleLibrary';
+import { MEDIA_ACCEPT, readMediaFile } from '../utils/mediaFiles';
+import { createStyleData } from '../utils/styleImage';
+import { loadPresetStyleData } from '../utils/presetStyles';
+import { restoreLibraryStyle } from '../utils/styleLibrary';
+import { restoreJob } from '../utils/jobSnapshot';
+import { runProcessingJob } from '../utils/processingJob';
+import { jobStatus, MAX_JOB_ATTEMPTS, getNextQueuedJob, getFailedJobChanges, getBatchHistoryIds } from '../utils/jobQueue';
+import { formatInfo, getFormatForMimeType } from '../utils/outputFormats';
+
+const statusDisplay = {
+    [jobStatus.QUEUED]: { icon: '⏳', text: 'Queued', color: 'text-white/70' },
+    [jobStatus.RUNNING]: { icon: '⚙️', text: 'Processing', color: 'text-blue-300' },
+    [jobStatus.COMPLETED]: { icon: '✅', text: 'Done', color: 'text-green-300' },
+    [jobStatus.FAILED]: { icon: '❌', text: 'Failed', color: 'text-red-300' }
+};
+
+function BatchQueue() {
+    const {
+        batchQueue,
+        videoHistory,
+        preferences,
+        setAppState,
+        enqueueBatchJobs,
+        updateBatchJob,
+        deleteBatchJob,
+        saveResultToHistory
+    } = useContext(AppContext);
+
+    const [videos, setVideos] = useState([]);
+    const [styles, setStyles] = useState([]); // Style data objects with their styleRatio
+    const [styleRatio, setStyleRatio] = useState(1.0);
+    const [isReading, setIsReading] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const [isRunning, setIsRunning] = useState(false);
+    const [activeJob, setActiveJob] = useState(null); // { id, stage, progress }
+    const [error, setError] = useState(null);
+    const [unsavedOutputs, setUnsavedOutputs] = useState({}); // Job id -> output of results the history couldn't take
+
+    // The loop reads the queue between jobs, before React has re-rendered
+    const queueRef = useRef(batchQueue);
+    const runningRef = useRef(false);
+    const stopRequestedRef = useRef(false);
+    const processorRef = useRef(null);
+    const runQueueRef = useRef(null);
+
+    useEffect(() => {
+        queueRef.current = batchQueue;
+    }, [batchQueue]);
+
+    // Leaving the screen stops the running job; it goes back to the queue
+    useEffect(() => {
+        return () => {
+            stopRequestedRef.current = true;
+            processorRef.current?.cancel();
+        };
+    }, []);
+
+    // The service worker asks for the queue to be picked up after a background sync
+    useEffect(() => {
+        if (!('serviceWorker' in navigator)) return undefined;
+
+        const handleMessage = (event) => {
+            if (event.data?.type === 'processing-queue-pending') {
+                runQueueRef.current?.();
+            }
+        };
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+        return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+    }, []);
+
+    const saveJob = async (id, changes) => {
+        const job = await updateBatchJob(id, changes);
+        queueRef.current = queueRef.current.map(existing => existing.id === id ? job : existing);
+        return job;
+    };
+
+    /**
+     * Run one job on a fresh processor and save its result to the history
+     */
+    const runJob = async (job) => {
+        const attempts = job.attempts + 1;
+        await saveJob(job.id, { status: jobStatus.RUNNING, attempts, error: null, startedAt: new Date().toISOString() });
+        setActiveJob({ id: job.id, stage: 'initializing', progress: 0 });
+        console.log(`📋 Batch job ${job.name} (attempt ${attempts})`);
+
+        const startTime = Date.now();
+        let processor = null;
+        let rendered = null;
+
+        try {
+            const { video, style, outputPreferences } = await restoreJob(job);
+            const jobPreferences = { ...preferences, ...outputPreferences };
+
+            processor = ProcessingWorkerClient.isSupported() ? new ProcessingWorkerClient() : new VideoProcessor();
+            processorRef.current = processor;
+            await processor.initialize(null, (stage) => {
+                setActiveJob(active => active && { ...active, stage });
+            });
+
+            const result = await runProcessingJob(processor, video, style, jobPreferences, {
+                onStage: (stage) => {
+                    setActiveJob(active => active && { ...active, stage });
+                },
+                onFrameProgress: ({ progress }) => {
+                    setActiveJob(active => active && { ...active, progress: Math.round(progress) });
+                }
+            });
+            URL.revokeObjectURL(result.url);
+
+            rendered = {
+                result: {
+                    ...result,
+                    originalVideo: video,
+                    appliedStyle: style,
+                    processingTime: Date.now() - startTime
+                },
+                preferences: jobPreferences
+            };
+        } catch (jobError) {
+            if (jobError?.name === 'AbortError') {
+                // Stopped - the attempt doesn't count
+                await saveJob(job.id, { status: jobStatus.QUEUED, attempts: job.attempts, startedAt: null });
+                return;
+            }
+            console.error(`❌ Batch job failed: ${job.name}`, jobError);
+            await saveJob(job.id, getFailedJobChanges({ ...job, attempts }, jobError));
+            return;
+        } finally {
+            processor?.cleanup();
+            processorRef.current = null;
+        }
+
+        await finishJob(job, rendered);
+        console.log(`✅ Batch job done: ${job.name}`);
+    };
+
+    /**
+     * Mark a rendered job done. Its result goes to the history without
+     * evicting this batch's earlier results; if the history can't take it,
+     * the job keeps the output so it can still be downloaded.
+     */
+    const finishJob = async (job, { result, preferences: jobPreferences }) => {
+        const finishedAt = new Date().toISOString();
+
+        try {
+            const entry = await saveResultToHistory(result, jobPreferences, { keepIds: getBatchHistoryIds(queueRef.current) });
+            await saveJob(job.id, { status: jobStatus.COMPLETED, historyId: entry.id, finishedAt });
+            return;
+        } catch (historyError) {
+            console.warn(`⚠️ Could not save ${job.name} to history:`, historyError.message);
+            const completed = {
+                status: jobStatus.COMPLETED,
+                historyId: null,
+                error: `Not saved to your history: ${historyError.message}`,
+                finishedAt
+            };
+            const output = { blob: result.blob, format: result.format || null, isImage: !!result.isImage };
+            setUnsavedOutputs(previous => ({ ...previous, [job.id]: output }));
+
+            try {
+                await saveJob(job.id, { ...completed, output });
+            } catch (storeError) {
+                // No room for the output in the queue either - it stays downloadable until the page closes
+                console.warn('⚠️ Could not keep the output with the job:', storeError.message);
+                await saveJob(job.id, completed);
+            }
+        }
+    };
+
+    /**
+     * Run queued jobs one after another until the queue is empty or stopped
+     */
+    const runQueue = async () => {
+        if (runningRef.current) return;
+        runningRef.current = true;
+        stopRequestedRef.current = false;
+        setIsRunning(true);
+
+        try {
+            let job = getNextQueuedJob(queueRef.current);
+            while (job && !stopRequestedRef.current) {
+                await runJob(job);
+                job = getNextQueuedJob(queueRef.current);
+            }
+        } catch (queueError) {
+            console.error('❌ Batch queue stopped:', queueError);
+            setError(`The queue stopped: ${queueError.message}`);
+        } finally {
+            runningRef.current = false;
+            setIsRunning(false);
+            setActiveJob(null);
+        }
+    };
+    runQueueRef.current = runQueue;
+
+    const handleStop = () => {
+        stopRequestedRef.current = true;
+        processorRef.current?.cancel();
+    };
+
+    const addVideos = async (files) => {
+        setError(null);
+        setIsReading(true);
+        const failures = [];
+
+        for (const file of files) {
+            try {
+                const video = await readMediaFile(file);
+                setVideos(previous => [...previous, video]);
+            } catch (readError) {
+                failures.push(`${file.name}: ${readError.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            setError(failures.join('\n'));
+        }
+        setIsReading(false);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        addVideos(Array.from(e.dataTransfer.files));
+    };
+
+    const addStyle = (style) => {
+        setStyles(previous => [...previous, style]);
+    };
+
+    const handleStyleUpload = async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        setError(null);
+
+        for (const file of files) {
+            try {
+                addStyle({ ...(await createStyleData(file)), styleRatio });
+            } catch (styleError) {
+                setError(`${file.name}: ${styleError.message}`);
+            }
+        }
+    };
+
+    const handleAddPreset = async (preset) => {
+        setError(null);
+        try {
+            addStyle({ ...(await loadPresetStyleData(preset)), styleRatio: preset.defaultRatio });
+        } catch (styleError) {
+            setError(styleError.message);
+        }
+    };
+
+    const handleAddLibraryStyle = async (record) => {
+        setError(null);
+        try {
+            addStyle({ ...(await restoreLibraryStyle(record)), name: record.name, styleRatio: record.styleRatio ?? 1.0 });
+        } catch (styleError) {
+            console.error('❌ Failed to load saved style:', styleError);
+            setError('Failed to load this saved style.');
+        }
+    };
+
+    const removeStyle = (index) => {
+        setStyles(previous => {
+            URL.revokeObjectURL(previous[index].url);
+            return previous.filter((_, i) => i !== index);
+        });
+    };
+
+    const handleEnqueue = async () => {
+        setError(null);
+        try {
+            await enqueueBatchJobs(videos, styles, preferences);
+            styles.forEach(style => URL.revokeObjectURL(style.url));
+            setVideos([]);
+            setStyles([]);
+            runQueue();
+        } catch (enqueueError) {
+            console.error('❌ Failed to queue jobs:', enqueueError);
+            setError(`Could not queue these jobs: ${enqueueError.message}`);
+        }
+    };
+
+    const handleRetry = (job) => {
+        saveJob(job.id, { status: jobStatus.QUEUED, attempts: 0, error: null, finishedAt: null })
+            .then(() => runQueue())
+            .catch(retryError => setError(`Could not retry this job: ${retryError.message}`));
+    };
+
+    const handleRemove = (job) => {
+        deleteBatchJob(job.id)
+            .then(() => {
+                queueRef.current = queueRef.current.filter(existing => existing.id !== job.id);
+                setUnsavedOutputs(({ [job.id]: removed, ...rest }) => rest);
+            })
+            .catch(removeError => setError(`Could not remove this job: ${removeError.message}`));
+    };
+
+    const handleClearFinished = () => {
+        batchQueue
+            .filter(job => job.status === jobStatus.COMPLETED)
+            .forEach(handleRemove);
+    };
+
+    const handleDownload = (job, output) => {
+        const extension = output.isImage
+            ? 'png'
+            : formatInfo[output.format || getFormatForMimeType(output.blob.type)].extension;
+        const url = URL.createObjectURL(output.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${job.name.replace(/[^a-zA-Z0-9_-]+/g, '_')}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    const jobCount = videos.length * styles.length;
+    const queuedCount = batchQueue.filter(job => job.status === jobStatus.QUEUED).length;
+    const completedJobs = batchQueue.filter(job => job.status === jobStatus.COMPLETED);
+
+    return (
+        <div className="glass rounded-2xl p-8 space-y-6">
+            {/* Header */}
+            <div className="text-center">
+                <h2 className="text-3xl font-bold text-gradient-primary mb-3">
+                    📋 Batch Processing
+                </h2>
+                <p className="text-lg text-white/80 max-w-2xl mx-auto">
+                    Add videos and styles - every video is processed with every style, one job at a time.
+                    The queue is kept in this browser, so unfinished jobs carry on next time.
+                </p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-900/20 border border-red-500/30 rounded-xl">
+                    <div className="flex items-center space-x-3">
+                        <span className="text-red-400 text-xl">⚠️</span>
+                        <div className="text-red-300 text-sm whitespace-pre-line">{error}</div>
+                    </div>
+                </div>
+            )}
+
+            {/* New jobs */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="space-y-4">
+                    <div
+                        className={`p-8 border-2 border-dashed rounded-xl text-center cursor-pointer transition-colors ${isDragging ? 'border-primary-400 bg-primary-50/10' : 'border-white/20 hover:border-white/40'}`}
+                        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                        onDragLeave={(e) => { e.preventDefault(); setIsDragging(false); }}
+                        onDrop={handleDrop}
+                        onClick={() => !isReading && document.getElementById('batch-file-input').click()}
+                    >
+                        <div className="text-4xl mb-2">{isReading ? '⏳' : '🎬'}</div>
+                        <div className="font-semibold text-white">
+                            {isReading ? 'Reading files...' : 'Drop videos or photos here'}
+                        </div>
+                        <div className="text-sm text-white/60">or click to choose several</div>
+                        <input
+                            id="batch-file-input"
+                            type="file"
+                            multiple
+                            accept={MEDIA_ACCEPT}
+                            onChange={(e) => {
+                                addVideos(Array.from(e.target.files));
+                                e.target.value = '';
+                            }}
+                            className="hidden"
+                        />
+                    </div>
+
+                    {videos.length > 0 && (
+                        <ul className="space-y-2">
+                            {videos.map((video, index) => (
+                                <li key={`${video.name}_${index}`} className="flex items-center justify-between bg-black/20 rounded-lg px-3 py-2 text-sm text-white">
+                                    <span className="truncate">{video.mediaType === 'image' ? '🖼️' : '🎬'} {video.name}</span>
+                                    <button
+                                        className="text-white/60 hover:text-white ml-3"
+                                        onClick={() => setVideos(previous => previous.filter((_, i) => i !== index))}
+                                        title="Remove"
+                                    >
+                                        ✕
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="space-y-4">
+                    <div className="p-6 bg-black/20 border border-white/10 rounded-xl space-y-3">
+                        <h4 className="font-bold text-white">🎨 Styles for these jobs</h4>
+                        {styles.length === 0 ? (
+                            <p className="text-sm text-white/60">Upload style images or pick presets and saved styles below.</p>
+                        ) : (
+                            <div className="flex flex-wrap gap-3">
+                                {styles.map((style, index) => (
+                                    <div key={`${style.url}_${index}`} className="relative w-20">
+                                        <img src={style.url} alt={style.name} className="w-20 h-20 object-cover rounded-lg" />
+                                        <div className="text-xs text-white/70 truncate">{Math.round(style.styleRatio * 100)}%</div>
+                                        <button
+                                            className="absolute top-1 right-1 w-6 h-6 rounded-full bg-black/70 text-white text-xs"
+                                            onClick={() => removeStyle(index)}
+                                            title="Remove style"
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                            <label className="btn btn-secondary text-sm cursor-pointer">
+                                📁 Upload style images
+                                <input
+                                    type="file"
+                                    multiple
+                                    accept="image/jpeg,image/png,image/webp"
+                                    onChange={handleStyleUpload}
+                                    className="hidden"
+                                />
+                            </label>
+                            <label className="text-sm text-white/80 flex items-center gap-2">
+                                Strength for uploads
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="1"
+                                    step="0.05"
+                                    value={styleRatio}
+                                    onChange={(e) => setStyleRatio(parseFloat(e.target.value))}
+                                />
+                                {Math.round(styleRatio * 100)}%
+                            </label>
+                        </div>
+                    </div>
+
+                    <button
+                        className="btn btn-primary w-full disabled:opacity-50"
+                        onClick={handleEnqueue}
+                        disabled={jobCount === 0 || isReading}
+                    >
+                        ➕ Queue {jobCount} {jobCount === 1 ? 'job' : 'jobs'}
+                    </button>
+                </div>
+            </div>
+
+            <PresetStyleGallery onSelect={handleAddPreset} />
+            <StyleLibrary onSelect={handleAddLibraryStyle} />
+
+            {/* Queue */}
+            <div className="space-y-3">
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <h3 className="text-xl font-bold text-white">
+                        Queue ({queuedCount} waiting)
+                    </h3>
+                    <div className="flex gap-2">
+                        {isRunning ? (
+                            <button className="btn btn-outline text-sm" onClick={handleStop}>
+                                ⏹️ Stop
+                            </button>
+                        ) : (
+                            <button
+                                className="btn btn-primary text-sm disabled:opacity-50"
+                                onClick={() => runQueue()}
+                                disabled={queuedCount === 0}
+                            >
+                                ▶️ Start queue
+                            </button>
+                        )}
+                        <button
+                            className="btn btn-secondary text-sm disabled:opacity-50"
+                            onClick={handleClearFinished}
+                            disabled={completedJobs.length === 0}
+                        >
+                            🧹 Clear finished
+                        </button>
+                    </div>
+                </div>
+
+                {isRunning && (
+                    <p className="text-sm text-white/60">Keep this screen open while the queue runs - leaving it puts the current job back in the queue.</p>
+                )}
+
+                {batchQueue.length === 0 ? (
+                    <div className="text-center text-white/60 py-8">No jobs yet.</div>
+                ) : (
+                    <ul className="space-y-2">
+                        {batchQueue.map((job) => {
+                            const status = statusDisplay[job.status];
+                            const isActive = activeJob?.id === job.id;
+                            const entry = job.historyId ? videoHistory.find(saved => saved.id === job.historyId) : null;
+                            const output = entry?.output || job.output || unsavedOutputs[job.id] || null;
+
+                            return (
+                                <li key={job.id} className="bg-black/20 border border-white/10 rounded-lg p-3 space-y-2">
+                                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                                        <div className="min-w-0">
+                                            <div className="font-medium text-white truncate">{job.name}</div>
+                                            <div className={`text-xs ${status.color}`}>
+                                                {status.icon} {status.text}
+                                                {isActive && ` · ${activeJob.stage.replace(/_/g, ' ')} ${activeJob.progress}%`}
+                                                {job.attempts > 0 && job.status !== jobStatus.COMPLETED && ` · attempt ${job.attempts} of ${MAX_JOB_ATTEMPTS}`}
+                                            </div>
+                                            {job.error && (
+                                                <div
+                                                    className={`text-xs truncate ${job.status === jobStatus.COMPLETED ? 'text-yellow-300' : 'text-red-300'}`}
+                                                    title={job.error}
+                                                >
+                                                    {job.error}
+                                                </div>
+                                            )}
+                                        </div>
+                                        <div className="flex gap-2 flex-shrink-0">
+                                            {job.status === jobStatus.COMPLETED && (
+                                                output ? (
+                                                    <button className="btn btn-primary text-sm" onClick={() => handleDownload(job, output)}>
+                                                        📥 Download
+                                                    </button>
+                                                ) : (
+                                                    <span className="text-xs text-white/50 self-center">No longer in your history</span>
+                                                )
+                                            )}
+                                            {job.status === jobStatus.FAILED && (
+                                                <button className="btn btn-outline text-sm" onClick={() => handleRetry(job)}>
+                                                    🔁 Retry
+                                                </button>
+                                            )}
+                                            {job.status !== jobStatus.RUNNING && (
+                                                <button className="btn btn-secondary text-sm" onClick={() => handleRemove(job)} title="Remove from queue">
+                                                    🗑️
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    {isActive && (
+                                        <div className="progress">
+                                            <div className="progress-bar bg-gradient-primary transition-all duration-500" style={{ width: `${activeJob.progress}%` }}></div>
+                                        </div>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+
+            <div className="flex justify-between">
+                <button className="btn btn-secondary" onClick={() => setAppState('upload')}>
+                    ← Back to Upload
+                </button>
+                {completedJobs.length > 0 && (
+                    <button className="btn btn-secondary" onClick={() => setAppState('history')}>
+                        📚 Open History
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default BatchQueue;
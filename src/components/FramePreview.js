@@ -0,0 +1,235 @@
+/**
+ * Frame Preview Component
+ *
+ * Scrub to any frame of the uploaded video and see it stylized with the
+ * current style and strength before starting the full job.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { getFramePreviewer } from '../utils/framePreviewer';
+import { formatTrimTime } from '../utils/trimRange';
+
+const PREVIEW_DEBOUNCE_MS = 250;
+
+/**
+ * Seek a video element and wait until the frame is available
+ */
+function seekVideo(video, time) {
+    return new Promise((resolve, reject) => {
+        if (video.readyState >= 2 && Math.abs(video.currentTime - time) < 0.001) {
+            resolve(video);
+            return;
+        }
+
+        const onSeeked = () => {
+            video.removeEventListener('error', onError);
+            resolve(video);
+        };
+        const onError = () => {
+            video.removeEventListener('seeked', onSeeked);
+            reject(new Error('Could not seek the video for the preview'));
+        };
+
+        video.addEventListener('seeked', onSeeked, { once: true });
+        video.addEventListener('error', onError, { once: true });
+        video.currentTime = time;
+    });
+}
+
+/**
+ * Copy a rendered canvas onto a displayed canvas
+ */
+function drawToCanvas(target, source) {
+    if (!target) return;
+    target.width = source.width;
+    target.height = source.height;
+    target.getContext('2d').drawImage(source, 0, 0);
+}
+
+function FramePreview({ video, style, styleRatio, trim }) {
+    const isImage = video.mediaType === 'image';
+    const rangeStart = trim ? trim.start : 0;
+    const rangeEnd = trim ? trim.end : video.duration;
+
+    const [time, setTime] = useState((rangeStart + rangeEnd) / 2);
+    const [sourceUrl, setSourceUrl] = useState(null);
+    const [status, setStatus] = useState('loading'); // 'loading' | 'rendering' | 'ready'
+    const [loadProgress, setLoadProgress] = useState(0);
+    const [renderTime, setRenderTime] = useState(null);
+    const [error, setError] = useState(null);
+    const modelsReady = status !== 'loading';
+
+    const sourceReadyRef = useRef(null);
+    const originalCanvasRef = useRef(null);
+    const stylizedCanvasRef = useRef(null);
+
+    // Keep the scrub position inside the trimmed segment
+    useEffect(() => {
+        setTime(current => Math.min(rangeEnd, Math.max(rangeStart, current)));
+    }, [rangeStart, rangeEnd]);
+
+    // Source the preview frames are taken from
+    useEffect(() => {
+        const url = URL.createObjectURL(video.file);
+        setSourceUrl(url);
+
+        if (isImage) {
+            sourceReadyRef.current = new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not load the photo for the preview'));
+                img.src = url;
+            });
+        }
+
+        return () => URL.revokeObjectURL(url);
+    }, [video.file, isImage]);
+
+    // Load the models; free the style features when the selector closes
+    useEffect(() => {
+        const previewer = getFramePreviewer();
+        let cancelled = false;
+
+        previewer.initialize((progressData) => {
+            if (!cancelled) setLoadProgress(progressData.progress || 0);
+        })
+            .then(() => {
+                if (!cancelled) setStatus('ready');
+            })
+            .catch((initError) => {
+                console.error('❌ Preview failed to initialize:', initError);
+                if (!cancelled) setError(initError.message);
+            });
+
+        return () => {
+            cancelled = true;
+            previewer.releaseStyle();
+        };
+    }, []);
+
+    // Re-render shortly after the frame, style or strength stops changing
+    useEffect(() => {
+        if (!style || !sourceUrl || !modelsReady) return undefined;
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setStatus('rendering');
+            setError(null);
+
+            const loadFrame = isImage
+                ? () => sourceReadyRef.current
+                : () => sourceReadyRef.current.then(element => seekVideo(element, time));
+
+            try {
+                const result = await getFramePreviewer().render(loadFrame, style, styleRatio);
+                if (cancelled || !result) return;
+
+                drawToCanvas(originalCanvasRef.current, result.original);
+                drawToCanvas(stylizedCanvasRef.current, result.canvas);
+                setRenderTime(result.renderTime);
+                setStatus('ready');
+            } catch (renderError) {
+                console.error('❌ Preview render failed:', renderError);
+                if (!cancelled) {
+                    setError(renderError.message);
+                    setStatus('ready');
+                }
+            }
+        }, PREVIEW_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [style, styleRatio, time, sourceUrl, isImage, modelsReady]);
+
+    /**
+     * Resolve sourceReadyRef once the hidden video has its first frame
+     */
+    const handleVideoRef = useCallback((element) => {
+        if (element && !isImage) {
+            sourceReadyRef.current = new Promise((resolve, reject) => {
+                if (element.readyState >= 2) {
+                    resolve(element);
+                    return;
+                }
+                element.addEventListener('loadeddata', () => resolve(element), { once: true });
+                element.addEventListener('error', () => reject(new Error('Could not load the video for the preview')), { once: true });
+            });
+        }
+    }, [isImage]);
+
+    return (
+        <div className="p-6 bg-indigo-900/20 border border-indigo-500/30 rounded-xl space-y-4">
+            <div className="flex items-center justify-between">
+                <h4 className="text-lg font-semibold text-white">
+                    👁️ Preview
+                </h4>
+                <span className="text-sm text-indigo-300">
+                    {status === 'loading' && `Loading models... ${Math.round(loadProgress)}%`}
+                    {status === 'rendering' && 'Rendering...'}
+                    {status === 'ready' && renderTime !== null && `Rendered in ${renderTime} ms`}
+                </span>
+            </div>
+
+            {!isImage && sourceUrl && (
+                <video
+                    key={sourceUrl}
+                    ref={handleVideoRef}
+                    src={sourceUrl}
+                    className="hidden"
+                    muted
+                    playsInline
+                    preload="auto"
+                />
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                    <div className="rounded-lg overflow-hidden bg-black aspect-video flex items-center justify-center">
+                        <canvas ref={originalCanvasRef} className="max-w-full max-h-full" />
+                    </div>
+                    <p className="text-xs text-center text-white/60">Original</p>
+                </div>
+                <div className="space-y-2">
+                    <div className="relative rounded-lg overflow-hidden bg-black aspect-video flex items-center justify-center">
+                        <canvas ref={stylizedCanvasRef} className="max-w-full max-h-full" />
+                        {status !== 'ready' && (
+                            <div className="absolute inset-0 flex items-center justify-center bg-black/40">
+                                <div className="loading-spinner"></div>
+                            </div>
+                        )}
+                    </div>
+                    <p className="text-xs text-center text-white/60">Stylized ({Math.round(styleRatio * 100)}% strength)</p>
+                </div>
+            </div>
+
+            {!isImage && (
+                <label className="flex items-center gap-3 text-sm text-white/80">
+                    <span className="font-mono w-12">{formatTrimTime(time)}</span>
+                    <input
+                        type="range"
+                        min={rangeStart}
+                        max={rangeEnd}
+                        step="0.05"
+                        value={time}
+                        onChange={(e) => setTime(parseFloat(e.target.value))}
+                        className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                    />
+                </label>
+            )}
+
+            {error && (
+                <p className="text-sm text-red-300">⚠️ {error}</p>
+            )}
+
+            <p className="text-xs text-white/70">
+                The preview is stylized at a reduced size, so fine detail may differ slightly in the final result.
+            </p>
+        </div>
+    );
+}
+
+export default FramePreview;
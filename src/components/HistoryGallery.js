@@ -0,0 +1,273 @@
+/**
+ * History Gallery Component
+ *
+ * Previously processed results, kept in IndexedDB across reloads. Entries
+ * can be viewed, downloaded, renamed, deleted, or run again with the same
+ * source, style and settings.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import { AppContext } from '../context/AppContext';
+import { restoreHistoryJob, MAX_HISTORY_ENTRIES } from '../utils/historyStore';
+import { getStorageEstimate } from '../utils/database';
+import { formatInfo, getFormatForMimeType } from '../utils/outputFormats';
+
+// Stylized photos are always saved as PNGs
+const STILL_IMAGE_INFO = { label: 'PNG', extension: 'png' };
+
+/**
+ * Label and file extension of an entry's output
+ */
+function getEntryFormatInfo(entry) {
+    if (entry.output.isImage) return STILL_IMAGE_INFO;
+    return formatInfo[entry.output.format || getFormatForMimeType(entry.output.blob.type)];
+}
+
+function formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function HistoryGallery() {
+    const {
+        videoHistory,
+        setAppState,
+        setCurrentVideo,
+        setSelectedStyle,
+        updatePreferences,
+        renameHistoryEntry,
+        deleteHistoryEntry
+    } = useContext(AppContext);
+
+    const [thumbnailUrls, setThumbnailUrls] = useState({});
+    const [viewing, setViewing] = useState(null); // { entry, url }
+    const [editingId, setEditingId] = useState(null);
+    const [draftName, setDraftName] = useState('');
+    const [rerunningId, setRerunningId] = useState(null);
+    const [storage, setStorage] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Object URLs for the thumbnails of the current entries
+    useEffect(() => {
+        const urls = {};
+        videoHistory.forEach((entry) => {
+            if (entry.thumbnail) {
+                urls[entry.id] = URL.createObjectURL(entry.thumbnail);
+            }
+        });
+        setThumbnailUrls(urls);
+
+        getStorageEstimate().then(setStorage);
+
+        return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    }, [videoHistory]);
+
+    // Free the viewed result's URL when it's closed or replaced
+    useEffect(() => {
+        return () => {
+            if (viewing) URL.revokeObjectURL(viewing.url);
+        };
+    }, [viewing]);
+
+    const handleView = (entry) => {
+        setViewing({ entry, url: URL.createObjectURL(entry.output.blob) });
+    };
+
+    const handleDownload = (entry) => {
+        const url = URL.createObjectURL(entry.output.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${entry.name.replace(/[^a-zA-Z0-9_-]+/g, '_')}.${getEntryFormatInfo(entry).extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    const startRename = (entry) => {
+        setEditingId(entry.id);
+        setDraftName(entry.name);
+    };
+
+    const handleRename = async () => {
+        const id = editingId;
+        if (!id) return;
+        setEditingId(null);
+        try {
+            await renameHistoryEntry(id, draftName);
+        } catch (renameError) {
+            console.error('❌ Failed to rename history entry:', renameError);
+            setError('Failed to rename this result.');
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        if (!window.confirm(`Delete "${entry.name}" from your history?`)) return;
+
+        if (viewing?.entry.id === entry.id) {
+            setViewing(null);
+        }
+        try {
+            await deleteHistoryEntry(entry.id);
+        } catch (deleteError) {
+            console.error('❌ Failed to delete history entry:', deleteError);
+            setError('Failed to delete this result.');
+        }
+    };
+
+    /**
+     * Start the same job again: same source, style images, settings and output preferences
+     */
+    const handleRerun = async (entry) => {
+        setError(null);
+        setRerunningId(entry.id);
+        try {
+            const { video, style, outputPreferences } = await restoreHistoryJob(entry);
+            updatePreferences(outputPreferences);
+            setCurrentVideo(video);
+            setSelectedStyle(style);
+            console.log('🔁 Re-running from history:', entry.name);
+        } catch (rerunError) {
+            console.error('❌ Failed to restore history entry:', rerunError);
+            setError(`Could not re-run this result: ${rerunError.message}`);
+            setRerunningId(null);
+        }
+    };
+
+    return (
+        <div className="glass rounded-2xl p-8 space-y-6">
+            {/* Header */}
+            <div className="text-center">
+                <h2 className="text-3xl font-bold text-gradient-primary mb-3">
+                    📚 Your History
+                </h2>
+                <p className="text-lg text-white/80 max-w-2xl mx-auto">
+                    Your last {MAX_HISTORY_ENTRIES} results are kept in this browser. When space runs out the
+                    oldest ones are removed first.
+                </p>
+                {storage && (
+                    <p className="text-sm text-white/60 mt-2">
+                        Using {formatSize(storage.usage)} of {formatSize(storage.quota)} available to this site
+                    </p>
+                )}
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-900/20 border border-red-500/30 rounded-xl">
+                    <div className="flex items-center space-x-3">
+                        <span className="text-red-400 text-xl">⚠️</span>
+                        <div className="text-red-300 text-sm">{error}</div>
+                    </div>
+                </div>
+            )}
+
+            {/* Viewed result */}
+            {viewing && (
+                <div className="p-6 bg-black/20 rounded-xl space-y-4">
+                    <div className="flex items-center justify-between">
+                        <h4 className="text-lg font-semibold text-white truncate">{viewing.entry.name}</h4>
+                        <button className="btn btn-secondary text-sm" onClick={() => setViewing(null)}>
+                            ✕ Close
+                        </button>
+                    </div>
+                    {viewing.entry.output.blob.type.startsWith('image/') ? (
+                        <img src={viewing.url} alt={viewing.entry.name} className="w-full rounded-xl bg-black object-contain max-h-[70vh]" />
+                    ) : (
+                        <video src={viewing.url} className="w-full rounded-xl bg-black" controls autoPlay loop playsInline />
+                    )}
+                </div>
+            )}
+
+            {videoHistory.length === 0 ? (
+                <div className="text-center text-white/60 py-12">
+                    Nothing here yet - processed videos and photos will show up here.
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {videoHistory.map(entry => (
+                        <div key={entry.id} className="bg-black/20 border border-white/10 rounded-xl overflow-hidden flex flex-col">
+                            <button
+                                className="relative aspect-video bg-black flex items-center justify-center"
+                                onClick={() => handleView(entry)}
+                                title="View result"
+                            >
+                                {thumbnailUrls[entry.id] ? (
+                                    <img src={thumbnailUrls[entry.id]} alt="" className="w-full h-full object-cover" />
+                                ) : (
+                                    <span className="text-4xl">{entry.mediaType === 'image' ? '🖼️' : '🎬'}</span>
+                                )}
+                                <span className="absolute bottom-2 right-2 bg-black/70 rounded px-2 py-0.5 text-xs text-white">
+                                    {getEntryFormatInfo(entry).label}
+                                </span>
+                            </button>
+
+                            <div className="p-4 space-y-3 flex-1 flex flex-col">
+                                {editingId === entry.id ? (
+                                    <input
+                                        type="text"
+                                        value={draftName}
+                                        autoFocus
+                                        onChange={(e) => setDraftName(e.target.value)}
+                                        onBlur={handleRename}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') handleRename();
+                                            if (e.key === 'Escape') setEditingId(null);
+                                        }}
+                                        className="w-full bg-black/40 border border-white/20 rounded px-2 py-1 text-white text-sm"
+                                    />
+                                ) : (
+                                    <button
+                                        className="text-left font-semibold text-white truncate hover:text-purple-300"
+                                        onClick={() => startRename(entry)}
+                                        title="Rename"
+                                    >
+                                        {entry.name} ✏️
+                                    </button>
+                                )}
+
+                                <div className="text-xs text-white/60 space-y-1">
+                                    <div>{new Date(entry.createdAt).toLocaleString()}</div>
+                                    <div>
+                                        Strength {Math.round((entry.settings.styleRatio ?? 1) * 100)}%
+                                        {entry.output.frameCount > 1 && ` · ${entry.output.frameCount} frames`}
+                                        {' · '}{formatSize(entry.size)}
+                                    </div>
+                                </div>
+
+                                <div className="flex flex-wrap gap-2 mt-auto">
+                                    <button className="btn btn-primary text-sm" onClick={() => handleDownload(entry)}>
+                                        📥 Download
+                                    </button>
+                                    <button
+                                        className="btn btn-outline text-sm disabled:opacity-50"
+                                        onClick={() => handleRerun(entry)}
+                                        disabled={rerunningId !== null}
+                                        title="Run the same job again"
+                                    >
+                                        {rerunningId === entry.id ? 'Loading...' : '🔁 Re-run'}
+                                    </button>
+                                    <button
+                                        className="btn btn-secondary text-sm"
+                                        onClick={() => handleDelete(entry)}
+                                        title="Delete from history"
+                                    >
+                                        🗑️
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex justify-start">
+                <button className="btn btn-secondary" onClick={() => setAppState('upload')}>
+                    ← Back to Upload
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default HistoryGallery;
@@ -0,0 +1,322 @@
+/**
+ * Live Mode Component
+ *
+ * Webcam preview stylized in real time with an fps counter. The stylized
+ * output can be recorded and downloaded as a video.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { AppContext } from '../context/AppContext';
+import LiveStylizer from '../utils/liveStylizer';
+import { createStyleData } from '../utils/styleImage';
+import { outputFormats, formatInfo, normalizeOutputFormat, getFormatForMimeType } from '../utils/outputFormats';
+
+function LiveMode() {
+    const { setAppState, preferences } = useContext(AppContext);
+    const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'live'
+    const [loadProgress, setLoadProgress] = useState(0);
+    const [styleData, setStyleData] = useState(null);
+    const [isStyleLoading, setIsStyleLoading] = useState(false);
+    const [styleRatio, setStyleRatio] = useState(1.0);
+    const [stats, setStats] = useState(null);
+    const [isRecording, setIsRecording] = useState(false);
+    const [recording, setRecording] = useState(null); // { url, blob, duration }
+    const [error, setError] = useState(null);
+
+    const stylizerRef = useRef(null);
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const styleInputRef = useRef(null);
+
+    // Load the models once; stop the camera when leaving live mode
+    useEffect(() => {
+        const stylizer = new LiveStylizer();
+        stylizerRef.current = stylizer;
+
+        stylizer.initialize((progressData) => setLoadProgress(progressData.progress || 0))
+            .then(() => setStatus('ready'))
+            .catch((initError) => {
+                console.error('❌ Live mode failed to initialize:', initError);
+                setError(initError.message);
+            });
+
+        return () => {
+            stylizer.dispose();
+            stylizerRef.current = null;
+        };
+    }, []);
+
+    // Free the previous recording's URL when it's replaced or on unmount
+    useEffect(() => {
+        return () => {
+            if (recording) URL.revokeObjectURL(recording.url);
+        };
+    }, [recording]);
+
+    /**
+     * Load a style reference and compute its style features
+     */
+    const handleStyleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        setIsStyleLoading(true);
+        try {
+            const data = await createStyleData(file);
+            await stylizerRef.current.setStyle(data);
+            setStyleData(data);
+        } catch (styleError) {
+            console.error('❌ Error loading live style:', styleError);
+            setError(styleError.message);
+        } finally {
+            setIsStyleLoading(false);
+        }
+    };
+
+    const handleStyleRatio = (value) => {
+        setStyleRatio(value);
+        stylizerRef.current?.setStyleRatio(value);
+    };
+
+    const handleStartCamera = async () => {
+        setError(null);
+        try {
+            const started = await stylizerRef.current.start(videoRef.current, canvasRef.current, {
+                onStats: setStats,
+                onError: (liveError) => {
+                    setError(`Live stylization stopped: ${liveError.message}`);
+                    setStatus('ready');
+                }
+            });
+            if (started) setStatus('live');
+        } catch (cameraError) {
+            console.error('❌ Could not start the camera:', cameraError);
+            setError(cameraError.name === 'NotAllowedError'
+                ? 'Camera access was denied. Please allow camera access and try again.'
+                : cameraError.message);
+        }
+    };
+
+    const handleStopCamera = async () => {
+        if (isRecording) {
+            await handleStopRecording();
+        }
+        await stylizerRef.current.stop();
+        setStats(null);
+        setStatus('ready');
+    };
+
+    /**
+     * Record in the preferred output format; animated formats fall back to WebM
+     */
+    const handleStartRecording = () => {
+        setError(null);
+        const preferred = normalizeOutputFormat(preferences.outputFormat);
+        const format = formatInfo[preferred].isAnimation ? outputFormats.WEBM : preferred;
+
+        try {
+            stylizerRef.current.startRecording(format);
+            setIsRecording(true);
+        } catch (recordError) {
+            console.error('❌ Could not start recording:', recordError);
+            setError(recordError.message);
+        }
+    };
+
+    const handleStopRecording = async () => {
+        setIsRecording(false);
+        try {
+            const result = await stylizerRef.current.stopRecording();
+            if (result) {
+                setRecording({ ...result, url: URL.createObjectURL(result.blob) });
+            }
+        } catch (recordError) {
+            console.error('❌ Recording failed:', recordError);
+            setError(recordError.message);
+        }
+    };
+
+    const handleDownloadRecording = () => {
+        const extension = formatInfo[getFormatForMimeType(recording.blob.type)].extension;
+        const link = document.createElement('a');
+        link.href = recording.url;
+        link.download = `cartoonized_live_${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    };
+
+    const isSupported = LiveStylizer.isSupported();
+
+    return (
+        <div className="glass rounded-2xl p-8 space-y-6">
+            {/* Header */}
+            <div className="text-center">
+                <h2 className="text-3xl font-bold text-gradient-primary mb-3">
+                    📷 Live Webcam Mode
+                </h2>
+                <p className="text-lg text-white/80 max-w-2xl mx-auto">
+                    See your camera stylized in real time. Frames are stylized at a reduced size so the
+                    preview keeps up - record it to keep a video of the result.
+                </p>
+            </div>
+
+            {!isSupported && (
+                <div className="p-4 bg-red-900/20 border border-red-500/30 rounded-xl text-red-300 text-center">
+                    Your browser doesn't support camera capture and recording. Try a recent Chrome, Edge or Firefox.
+                </div>
+            )}
+
+            {error && (
+                <div className="p-4 bg-red-900/20 border border-red-500/30 rounded-xl">
+                    <div className="flex items-center space-x-3">
+                        <span className="text-red-400 text-xl">⚠️</span>
+                        <div className="text-red-300 text-sm">{error}</div>
+                    </div>
+                </div>
+            )}
+
+            {status === 'loading' && !error && (
+                <div className="text-center space-y-4">
+                    <div className="loading-spinner mx-auto"></div>
+                    <p className="text-white/80">Loading style transfer models... {Math.round(loadProgress)}%</p>
+                </div>
+            )}
+
+            {/* Preview */}
+            <div className="relative rounded-xl overflow-hidden bg-black aspect-video">
+                <video ref={videoRef} className="hidden" muted playsInline />
+                <canvas ref={canvasRef} className="w-full h-full object-contain" />
+
+                {status !== 'live' && (
+                    <div className="absolute inset-0 flex items-center justify-center text-white/60">
+                        {styleData ? 'Start the camera to see the live preview' : 'Choose a style to get started'}
+                    </div>
+                )}
+
+                {stats && (
+                    <div className="absolute top-3 left-3 glass rounded-full px-3 py-1 text-xs font-mono text-white">
+                        {stats.fps} fps · {stats.frameTime} ms
+                    </div>
+                )}
+
+                {isRecording && (
+                    <div className="absolute top-3 right-3 flex items-center gap-2 bg-red-600 rounded-full px-3 py-1 text-xs font-bold text-white">
+                        <span className="w-2 h-2 bg-white rounded-full animate-pulse"></span>
+                        REC
+                    </div>
+                )}
+            </div>
+
+            {/* Controls */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="p-6 bg-purple-900/20 border border-purple-500/30 rounded-xl space-y-4">
+                    <div className="flex items-center justify-between">
+                        <h4 className="text-lg font-semibold text-white">🎨 Style</h4>
+                        <button
+                            className="btn btn-outline text-sm disabled:opacity-50"
+                            onClick={() => styleInputRef.current?.click()}
+                            disabled={status === 'loading' || isStyleLoading}
+                        >
+                            {isStyleLoading ? 'Loading...' : styleData ? 'Change Style' : 'Choose Style Image'}
+                        </button>
+                        <input
+                            ref={styleInputRef}
+                            type="file"
+                            accept="image/jpeg,image/png,image/webp"
+                            onChange={handleStyleFile}
+                            className="hidden"
+                        />
+                    </div>
+
+                    {styleData && (
+                        <div className="flex items-center gap-3">
+                            <img src={styleData.url} alt="Style reference" className="w-12 h-12 object-cover rounded" />
+                            <span className="text-sm text-white/80 truncate">{styleData.metadata.fileName}</span>
+                        </div>
+                    )}
+
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <label className="text-sm font-medium text-white/80">Style Strength</label>
+                            <span className="text-sm font-bold text-purple-400">{Math.round(styleRatio * 100)}%</span>
+                        </div>
+                        <input
+                            type="range"
+                            min="0.1"
+                            max="1"
+                            step="0.05"
+                            value={styleRatio}
+                            onChange={(e) => handleStyleRatio(parseFloat(e.target.value))}
+                            className="w-full h-3 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                        />
+                    </div>
+                </div>
+
+                <div className="p-6 bg-blue-900/20 border border-blue-500/30 rounded-xl space-y-4">
+                    <h4 className="text-lg font-semibold text-white">🎥 Camera</h4>
+                    <div className="flex flex-wrap gap-3">
+                        {status === 'live' ? (
+                            <button className="btn btn-secondary" onClick={handleStopCamera}>
+                                ⏹️ Stop Camera
+                            </button>
+                        ) : (
+                            <button
+                                className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                                onClick={handleStartCamera}
+                                disabled={!isSupported || status !== 'ready' || !styleData}
+                            >
+                                ▶️ Start Camera
+                            </button>
+                        )}
+
+                        {status === 'live' && (
+                            isRecording ? (
+                                <button className="btn btn-outline" onClick={handleStopRecording}>
+                                    ⏹️ Stop Recording
+                                </button>
+                            ) : (
+                                <button className="btn btn-outline" onClick={handleStartRecording}>
+                                    🔴 Record
+                                </button>
+                            )
+                        )}
+                    </div>
+                    <p className="text-xs text-white/60">
+                        Recordings use your preferred video format when the browser can record it.
+                    </p>
+                </div>
+            </div>
+
+            {/* Last recording */}
+            {recording && (
+                <div className="p-6 bg-black/20 rounded-xl space-y-4">
+                    <div className="flex items-center justify-between">
+                        <h4 className="text-lg font-semibold text-white">🎬 Your Recording</h4>
+                        <span className="text-sm text-white/60">
+                            {recording.duration.toFixed(1)}s · {(recording.blob.size / 1024 / 1024).toFixed(1)} MB
+                        </span>
+                    </div>
+                    <video src={recording.url} className="w-full rounded-xl bg-black" controls playsInline />
+                    <div className="text-center">
+                        <button className="btn bg-gradient-primary text-white" onClick={handleDownloadRecording}>
+                            📥 Download Recording
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="flex justify-start">
+                <button className="btn btn-secondary" onClick={() => setAppState('upload')}>
+                    ← Back to Upload
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default LiveMode;
@@ -0,0 +1,56 @@
+/**
+ * Preset Style Gallery Component
+ *
+ * The built-in style pack as a gallery of thumbnails with their credits.
+ * Presets whose images are missing are left out.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useContext, useState } from 'react';
+import { AppContext } from '../context/AppContext';
+
+function PresetStyleGallery({ onSelect, disabled = false }) {
+    const { availableStyles } = useContext(AppContext);
+    const [missingIds, setMissingIds] = useState([]);
+
+    const presets = availableStyles.filter(preset => !missingIds.includes(preset.id));
+    if (presets.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="p-6 bg-black/20 border border-white/10 rounded-xl space-y-4">
+            <h4 className="font-bold text-white">🖼️ Preset Styles</h4>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                {presets.map(preset => (
+                    <button
+                        key={preset.id}
+                        className="text-left bg-black/20 rounded-lg overflow-hidden border border-white/10 hover:border-primary-400 transition-colors disabled:opacity-50"
+                        onClick={() => onSelect(preset)}
+                        disabled={disabled}
+                        title={preset.credit || preset.name}
+                    >
+                        <img
+                            src={preset.thumbnailUrl}
+                            alt={preset.name}
+                            className="w-full aspect-square object-cover"
+                            onError={() => setMissingIds(previous => [...previous, preset.id])}
+                        />
+                        <div className="p-2">
+                            <div className="text-sm font-medium text-white truncate">{preset.name}</div>
+                            <div className="text-xs text-white/60 truncate">
+                                {[preset.artist, preset.year].filter(Boolean).join(', ')}
+                            </div>
+                        </div>
+                    </button>
+                ))}
+            </div>
+            <p className="text-xs text-white/50">
+                Preset styles are original images made for CartoonizeMe (CC0). Hover a preset for its full credit.
+            </p>
+        </div>
+    );
+}
+
+export default PresetStyleGallery;
@@ -3,16 +3,21 @@
  * 
  * Handles the complete video processing workflow including:
  * - Frame extraction using FFmpeg
+ * - Single-photo stylization (no extraction or reconstruction)
  * - Neural style transfer using TensorFlow.js
  * - Video reconstruction from processed frames
  * - Real-time progress tracking
+ * - Pause, resume and cancel for jobs running in the processing worker
  * - Fallback to demo mode when advanced processing fails
  */
 
 import React, { useEffect, useContext, useState, useRef, useCallback } from 'react';
 import { AppContext } from '../context/AppContext';
 import VideoProcessor from '../utils/videoProcessor';
+import ProcessingWorkerClient from '../utils/processingWorkerClient';
 import DemoProcessor from '../utils/demoProcessor';
+import { runProcessingJob } from '../utils/processingJob';
+import { describeFFmpegStatus } from '../utils/ffmpegCore';
 
 function ProcessingEngine({ video, style }) {
     const {
@@ -21,7 +26,11 @@ function ProcessingEngine({ video, style }) {
         setError,
         processingState,
         setProcessingState,
-        setAppState
+        setAppState,
+        setSelectedStyle,
+        saveResultToHistory,
+        recordStyleUse,
+        preferences
     } = useContext(AppContext);
 
     const [currentStage, setCurrentStage] = useState('initializing');
@@ -35,10 +44,17 @@ function ProcessingEngine({ video, style }) {
     const [progress, setProgress] = useState(0);
     const [startTime, setStartTime] = useState(null);
     const [result, setResult] = useState(null);
+    const [canControlJob, setCanControlJob] = useState(false);
+    const [isPaused, setIsPaused] = useState(false);
+    const [ffmpegStatus, setFFmpegStatus] = useState(null);
 
     const processorRef = useRef(null);
     const isProcessingRef = useRef(false);
     const startTimeRef = useRef(null);
+    const cancelRequestedRef = useRef(false);
+    // Read when a job starts, so changing preferences doesn't restart a running job
+    const preferencesRef = useRef(preferences);
+    preferencesRef.current = preferences;
 
     // Add safety checks for context functions
     const safeSetError = useCallback((error) => {
@@ -130,18 +146,9 @@ function ProcessingEngine({ video, style }) {
             console.log('- Video:', video.file.name);
             console.log('- Style:', style.metadata.fileName);
 
+            const jobPreferences = preferencesRef.current;
             let processor = null;
 
-            // Helper function to determine optimal FPS based on video duration
-            const getOptimalFPS = () => {
-                if (!video || !video.duration) return 5; // default FPS
-
-                // For longer videos, use lower FPS to reduce processing time
-                if (video.duration > 30) return 3;
-                if (video.duration > 15) return 4;
-                return 5; // Maximum FPS for shorter videos
-            };
-
             // Progress tracking callback
             const onProgress = (progressData) => {
                 console.log(`📊 Progress update:`, progressData);
@@ -157,9 +164,14 @@ function ProcessingEngine({ video, style }) {
                 safeUpdateProgress(progressData);
             };
 
-            // Stage 1: Initialize processor
+            // Stage 1: Initialize processor (in a worker when the browser supports it)
             setCurrentStage('initializing');
-            processor = new VideoProcessor();
+            const useWorker = ProcessingWorkerClient.isSupported();
+            processor = useWorker ? new ProcessingWorkerClient() : new VideoProcessor();
+            processorRef.current = processor;
+            // Both processors support pause, resume and cancel
+            setCanControlJob(true);
+            console.log(`🧵 Processing on ${useWorker ? 'a Web Worker' : 'the main thread'}`);
 
             await processor.initialize(
                 (progressData) => {
@@ -167,31 +179,24 @@ function ProcessingEngine({ video, style }) {
                 },
                 (stage) => {
                     setCurrentStage(stage);
+                    setIsPaused(stage === 'paused');
                 }
             );
 
-            // Stage 2: Process user's style reference
-            setCurrentStage('processing_style_reference');
-            setProgress(10);
-
-            const styleProcessed = await processor.processStyleReference(style);
-            if (!styleProcessed) {
-                throw new Error('Failed to process style reference image');
-            }
-
-            // Stage 3: Extract frames
-            setCurrentStage('extracting_frames');
-            setProgress(20);
+            setFFmpegStatus(processor.ffmpegStatus);
 
-            console.log('📸 Extracting video frames...');
-            const fps = getOptimalFPS();
-
-            // Stage 4: Process video
-            setCurrentStage('applying_style');
+            // Stages 2-4: style reference, then the photo or the video's frames
+            const stageProgress = {
+                processing_style_reference: 10,
+                applying_style: 30,
+                extracting_frames: 20
+            };
 
-            const result = await processor.processVideo(video.file, style, {
-                fps: fps,
-                styleRatio: style.styleRatio || 1.0,
+            const result = await runProcessingJob(processor, video, style, jobPreferences, {
+                onStage: (stage) => {
+                    setCurrentStage(stage);
+                    setProgress(stageProgress[stage]);
+                },
                 onFrameProgress: (frameProgress) => {
                     // Map frame progress to 20-90% of total progress
                     const progressPercent = 20 + (frameProgress.progress * 0.7);
@@ -220,15 +225,14 @@ function ProcessingEngine({ video, style }) {
             setCurrentStage('finalizing');
             setProgress(95);
 
-            console.log('✅ Video processing completed successfully!');
+            console.log(`✅ ${video.mediaType === 'image' ? 'Image' : 'Video'} processing completed successfully!`);
 
             // Save result
             const finalResult = {
                 ...result,
                 originalVideo: video,
                 appliedStyle: style,
-                processingTime: Date.now() - startTime,
-                fps: fps
+                processingTime: Date.now() - startTime
             };
 
             setResult(finalResult);
@@ -238,12 +242,28 @@ function ProcessingEngine({ video, style }) {
             // Update global state safely
             safeSetProcessingResult(finalResult);
 
+            // Keep the result in the history gallery (in the background - the result is already shown)
+            saveResultToHistory(finalResult, jobPreferences)
+                .catch(historyError => console.warn('⚠️ Could not save result to history:', historyError.message));
+            recordStyleUse(style)
+                .catch(libraryError => console.warn('⚠️ Could not update saved style:', libraryError.message));
+
             // Auto-transition to results after a brief delay
             setTimeout(() => {
                 safeSetAppState('results');
             }, 1000);
 
         } catch (error) {
+            if (error?.name === 'AbortError') {
+                console.log('🛑 Processing cancelled');
+                setCurrentStage('cancelled');
+                if (cancelRequestedRef.current) {
+                    // Back to style selection so the user can adjust and try again
+                    setSelectedStyle(null);
+                }
+                return;
+            }
+
             console.error('❌ Processing failed:', error);
 
             // Enhanced error handling with better debugging
@@ -271,6 +291,8 @@ function ProcessingEngine({ video, style }) {
             setCurrentStage('error');
         } finally {
             setIsProcessing(false);
+            setCanControlJob(false);
+            setIsPaused(false);
 
             // Cleanup processor
             if (processorRef.current) {
@@ -281,7 +303,34 @@ function ProcessingEngine({ video, style }) {
                 }
             }
         }
-    }, [video, style, safeUpdateProgress, safeSetProcessingResult, safeSetAppState, safeSetError]);
+    }, [video, style, safeUpdateProgress, safeSetProcessingResult, safeSetAppState, safeSetError, setSelectedStyle, saveResultToHistory, recordStyleUse]);
+
+    /**
+     * Pause or resume the running job
+     */
+    const handlePauseToggle = () => {
+        const processor = processorRef.current;
+        if (!processor || typeof processor.pause !== 'function') return;
+
+        if (isPaused) {
+            processor.resume();
+        } else {
+            processor.pause();
+        }
+    };
+
+    /**
+     * Cancel the running job and return to style selection
+     */
+    const handleCancel = () => {
+        const processor = processorRef.current;
+        if (!processor || typeof processor.cancel !== 'function') return;
+
+        cancelRequestedRef.current = true;
+        setCurrentStage('cancelling');
+        setProcessingState({ stage: 'cancelling', canCancel: false });
+        processor.cancel();
+    };
 
     useEffect(() => {
         try {
@@ -422,6 +471,9 @@ function ProcessingEngine({ video, style }) {
                 'extracting_frames': { icon: '🎬', text: 'Extracting video frames...', color: 'text-green-400' },
                 'applying_style': { icon: '🎨', text: 'Applying Custom Style to frames...', color: 'text-orange-400' },
                 'reconstructing_video': { icon: '🔄', text: 'Reconstructing stylized video...', color: 'text-cyan-400' },
+                'paused': { icon: '⏸️', text: 'Processing paused', color: 'text-yellow-500' },
+                'cancelling': { icon: '🛑', text: 'Cancelling...', color: 'text-red-400' },
+                'cancelled': { icon: '🛑', text: 'Processing cancelled', color: 'text-red-400' },
             };
 
             const stage = baseStages[currentStage] || { icon: '⚙️', text: 'Processing...', color: 'text-gray-400' };
@@ -509,6 +561,33 @@ function ProcessingEngine({ video, style }) {
                     </div>
 
                     <p className="text-gray-600">Progress: {Math.round(progress || 0)}%</p>
+
+                    {/* Which video engine this job uses */}
+                    {ffmpegStatus && video?.mediaType !== 'image' && (
+                        <p className="text-xs text-gray-500 mt-2" title={ffmpegStatus.attempts.map(a => `${a.source}: ${a.error}`).join('\n')}>
+                            🎞️ {describeFFmpegStatus(ffmpegStatus)}
+                        </p>
+                    )}
+
+                    {/* Job Controls */}
+                    {canControlJob && isProcessing && currentStage !== 'cancelling' && (
+                        <div className="flex gap-4 justify-center mt-6">
+                            {video?.mediaType !== 'image' && (
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={handlePauseToggle}
+                                >
+                                    {isPaused ? '▶️ Resume' : '⏸️ Pause'}
+                                </button>
+                            )}
+                            <button
+                                className="btn btn-outline"
+                                onClick={handleCancel}
+                            >
+                                🛑 Cancel
+                            </button>
+                        </div>
+                    )}
                 </div>
 
                 {/* Frame Processing Details */}
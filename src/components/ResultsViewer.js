@@ -2,11 +2,19 @@
  * Results Viewer Component
  * 
  * Displays the processed video results, allows comparison with original,
- * and provides download options with different formats.
+ * and provides download options with different formats. Stylized photos get
+ * a before/after slider instead of the video players.
  */
 
 import React, { useContext, useState, useRef } from 'react';
 import { AppContext } from '../context/AppContext';
+import StyleTimeline from './StyleTimeline';
+import { formatInfo, getFormatForMimeType } from '../utils/outputFormats';
+import { createFrameSequenceZip, getSequenceBaseName } from '../utils/frameSequenceExport';
+import { getTrimDuration } from '../utils/trimRange';
+
+// Stylized photos are always saved as full resolution PNGs
+const STILL_IMAGE_INFO = { label: 'PNG', extension: 'png', isAnimation: false };
 
 function ResultsViewer() {
     const {
@@ -15,7 +23,8 @@ function ResultsViewer() {
         selectedStyle,
         startNewVideo,
         setSelectedStyle,
-        setAppState
+        setAppState,
+        resetProcessing
     } = useContext(AppContext);
 
     const [isPlaying, setIsPlaying] = useState({ original: false, processed: false });
@@ -24,6 +33,8 @@ function ResultsViewer() {
     const [videoUrls, setVideoUrls] = useState({ original: null, processed: null });
     const [showProcessingDetails, setShowProcessingDetails] = useState(false);
     const [showDebugInfo, setShowDebugInfo] = useState(false);
+    const [frameExportProgress, setFrameExportProgress] = useState(null);
+    const [comparePosition, setComparePosition] = useState(50); // Percent of the photo shown stylized
     const originalVideoRef = useRef(null);
     const processedVideoRef = useRef(null);
 
@@ -186,6 +197,13 @@ function ResultsViewer() {
         );
     }
 
+    // Format actually produced (the browser may not support recording the preferred one)
+    const isImageResult = !!result.isImage;
+    const resultFormatInfo = isImageResult
+        ? STILL_IMAGE_INFO
+        : formatInfo[result.format || getFormatForMimeType(result.blob?.type)];
+    const mediaLabel = isImageResult ? 'Photo' : 'Video';
+
     const handleVideoToggle = (videoType, videoRef) => {
         if (videoRef.current) {
             if (isPlaying[videoType]) {
@@ -266,7 +284,7 @@ function ResultsViewer() {
         setVideoErrors(prev => ({ ...prev, [videoType]: null }));
     };
 
-    const handleDownload = async (format = 'mp4') => {
+    const handleDownload = async () => {
         try {
             if (!result.url && !result.blob) {
                 throw new Error('No video available for download');
@@ -275,7 +293,7 @@ function ResultsViewer() {
             // Create download link
             const link = document.createElement('a');
             link.href = result.url || URL.createObjectURL(result.blob);
-            link.download = `cartoonized_${currentVideo.name.replace(/\.[^/.]+$/, '')}_${selectedStyle.id}.${format}`;
+            link.download = `cartoonized_${currentVideo.name.replace(/\.[^/.]+$/, '')}_${selectedStyle.id}.${resultFormatInfo.extension}`;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
@@ -287,6 +305,53 @@ function ResultsViewer() {
         }
     };
 
+    /**
+     * Download every stylized frame as a numbered PNG sequence in a ZIP
+     */
+    const handleDownloadFrames = async () => {
+        try {
+            setFrameExportProgress(0);
+            const zipBlob = await createFrameSequenceZip(result.frames, {
+                fps: result.fps,
+                sourceName: currentVideo?.name,
+                style: selectedStyle,
+                styleRatio: selectedStyle?.styleRatio
+            }, setFrameExportProgress);
+
+            const url = URL.createObjectURL(zipBlob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `cartoonized_${getSequenceBaseName(currentVideo?.name)}_frames.zip`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            console.log('📦 Frame sequence download initiated');
+        } catch (error) {
+            console.error('❌ Frame export failed:', error);
+            alert(`Frame export failed: ${error.message}. Please try again.`);
+        } finally {
+            setFrameExportProgress(null);
+        }
+    };
+
+    /**
+     * Render the video again with style keyframes from the timeline
+     */
+    const handleRenderKeyframes = (keyframes) => {
+        resetProcessing();
+        setSelectedStyle({
+            ...selectedStyle,
+            keyframes: keyframes.length > 0 ? keyframes : null
+        });
+    };
+
+    const getPlayheadTime = () => {
+        const video = originalVideoRef.current || processedVideoRef.current;
+        return video ? video.currentTime : 0;
+    };
+
     const formatProcessingTime = (ms) => {
         const seconds = Math.floor(ms / 1000);
         const minutes = Math.floor(seconds / 60);
@@ -362,56 +427,68 @@ function ResultsViewer() {
                             </div>
                         </div>
 
-                        <video
-                            ref={videoRef}
-                            className="w-full h-full object-cover"
-                            controls
-                            loop
-                            muted
-                            playsInline
-                            preload="metadata"
-                            src={videoUrl}
-                            onPlay={() => setIsPlaying(prev => ({ ...prev, [videoType]: true }))}
-                            onPause={() => setIsPlaying(prev => ({ ...prev, [videoType]: false }))}
-                            onError={(e) => handleVideoError(videoType, e)}
-                            onLoadedData={() => handleVideoLoad(videoType)}
-                            onCanPlay={() => handleVideoCanPlay(videoType)}
-                            onLoadStart={() => {
-                                console.log(`🔄 ${videoType} video started loading from URL: ${videoUrl}`);
-                                console.log(`🔍 Video ${videoType} source verification:`, {
-                                    videoType,
-                                    videoUrl,
-                                    isProcessed,
-                                    currentVideoSize: currentVideo?.size,
-                                    resultBlobSize: result?.blob?.size
-                                });
-                            }}
-                            onLoadedMetadata={() => {
-                                console.log(`📊 ${videoType} video metadata loaded`);
-                                const video = videoRef.current;
-                                if (video) {
-                                    console.log(`- Duration: ${video.duration}s`);
-                                    console.log(`- Video dimensions: ${video.videoWidth}x${video.videoHeight}`);
-                                    console.log(`- Ready state: ${video.readyState}`);
-                                    console.log(`- Current src: ${video.currentSrc}`);
-                                }
-                            }}
-                            onCanPlayThrough={() => {
-                                console.log(`✅ ${videoType} video can play through`);
-                            }}
-                        >
-                            Your browser does not support the video tag.
-                        </video>
+                        {isProcessed && resultFormatInfo.isAnimation ? (
+                            // GIF and APNG results are images that animate on their own
+                            <img
+                                className="w-full h-full object-contain"
+                                src={videoUrl}
+                                alt="AI-stylized animation"
+                                onLoad={() => handleVideoLoad(videoType)}
+                            />
+                        ) : (
+                            <video
+                                ref={videoRef}
+                                className="w-full h-full object-cover"
+                                controls
+                                loop
+                                muted
+                                playsInline
+                                preload="metadata"
+                                src={videoUrl}
+                                onPlay={() => setIsPlaying(prev => ({ ...prev, [videoType]: true }))}
+                                onPause={() => setIsPlaying(prev => ({ ...prev, [videoType]: false }))}
+                                onError={(e) => handleVideoError(videoType, e)}
+                                onLoadedData={() => handleVideoLoad(videoType)}
+                                onCanPlay={() => handleVideoCanPlay(videoType)}
+                                onLoadStart={() => {
+                                    console.log(`🔄 ${videoType} video started loading from URL: ${videoUrl}`);
+                                    console.log(`🔍 Video ${videoType} source verification:`, {
+                                        videoType,
+                                        videoUrl,
+                                        isProcessed,
+                                        currentVideoSize: currentVideo?.size,
+                                        resultBlobSize: result?.blob?.size
+                                    });
+                                }}
+                                onLoadedMetadata={() => {
+                                    console.log(`📊 ${videoType} video metadata loaded`);
+                                    const video = videoRef.current;
+                                    if (video) {
+                                        console.log(`- Duration: ${video.duration}s`);
+                                        console.log(`- Video dimensions: ${video.videoWidth}x${video.videoHeight}`);
+                                        console.log(`- Ready state: ${video.readyState}`);
+                                        console.log(`- Current src: ${video.currentSrc}`);
+                                    }
+                                }}
+                                onCanPlayThrough={() => {
+                                    console.log(`✅ ${videoType} video can play through`);
+                                }}
+                            >
+                                Your browser does not support the video tag.
+                            </video>
+                        )}
 
                         {/* Play/Pause Overlay */}
-                        <div
-                            className="absolute inset-0 flex items-center justify-center bg-black/20 opacity-0 group-hover:opacity-100 transition-opacity duration-300 cursor-pointer"
-                            onClick={() => handleVideoToggle(videoType, videoRef)}
-                        >
-                            <div className="text-6xl text-white/80">
-                                {isPlaying[videoType] ? '⏸️' : '▶️'}
+                        {!(isProcessed && resultFormatInfo.isAnimation) && (
+                            <div
+                                className="absolute inset-0 flex items-center justify-center bg-black/20 opacity-0 group-hover:opacity-100 transition-opacity duration-300 cursor-pointer"
+                                onClick={() => handleVideoToggle(videoType, videoRef)}
+                            >
+                                <div className="text-6xl text-white/80">
+                                    {isPlaying[videoType] ? '⏸️' : '▶️'}
+                                </div>
                             </div>
-                        </div>
+                        )}
 
                         {/* Style Badge for processed video */}
                         {isProcessed && (
@@ -433,6 +510,81 @@ function ResultsViewer() {
         );
     };
 
+    /**
+     * Before/after slider for a stylized photo: the stylized image is drawn over
+     * the original and clipped at the slider position
+     */
+    const renderImageComparison = () => {
+        const { width, height } = currentVideo.metadata;
+
+        return (
+            <div className="card max-w-4xl mx-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold text-gradient-primary">Before / After</h3>
+                    <span className="text-sm text-gray-600">
+                        {result.width}x{result.height} · {formatFileSize(result.blob.size)}
+                    </span>
+                </div>
+
+                {!videoUrls.original || !videoUrls.processed ? (
+                    <div className="relative rounded-xl overflow-hidden bg-gray-100 aspect-video flex items-center justify-center">
+                        <div className="loading-spinner-lg loading-spinner-primary"></div>
+                    </div>
+                ) : (
+                    <div
+                        className="relative rounded-xl overflow-hidden bg-black select-none"
+                        style={{ aspectRatio: `${width} / ${height}` }}
+                    >
+                        <img
+                            className="absolute inset-0 w-full h-full object-contain"
+                            src={videoUrls.original}
+                            alt="Original photo"
+                            draggable={false}
+                        />
+                        <img
+                            className="absolute inset-0 w-full h-full object-contain"
+                            src={videoUrls.processed}
+                            alt="AI-stylized photo"
+                            draggable={false}
+                            style={{ clipPath: `inset(0 ${100 - comparePosition}% 0 0)` }}
+                        />
+
+                        {/* Divider */}
+                        <div
+                            className="absolute top-0 bottom-0 w-0.5 bg-white shadow-lg pointer-events-none"
+                            style={{ left: `${comparePosition}%` }}
+                        ></div>
+
+                        <div className="absolute top-3 left-3 px-3 py-1 rounded-full text-xs font-bold bg-gradient-secondary text-white">
+                            🎨 AI-STYLIZED
+                        </div>
+                        <div className="absolute top-3 right-3 px-3 py-1 rounded-full text-xs font-bold bg-gradient-primary text-white">
+                            📷 ORIGINAL
+                        </div>
+
+                        {/* The whole photo is the slider's hit area */}
+                        <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            step="0.5"
+                            value={comparePosition}
+                            onChange={(e) => setComparePosition(parseFloat(e.target.value))}
+                            className="absolute inset-0 w-full h-full opacity-0 cursor-ew-resize"
+                            aria-label="Before/after position"
+                        />
+                    </div>
+                )}
+
+                <div className="text-center mt-4">
+                    <span className="text-sm text-gray-600">
+                        Drag across the photo to compare the original with the stylized version
+                    </span>
+                </div>
+            </div>
+        );
+    };
+
     return (
         <div className="space-y-8">
             {/* Success Header */}
@@ -443,20 +595,27 @@ function ResultsViewer() {
                 <div className="absolute -top-2 right-1/3 text-2xl floating floating-delay-2">🎊</div>
 
                 <h2 className="text-4xl md:text-5xl font-black text-gradient-rainbow mb-6">
-                    🎉 Your Video is Ready!
+                    🎉 Your {mediaLabel} is Ready!
                 </h2>
                 <p className="text-xl text-white/90 max-w-2xl mx-auto leading-relaxed">
-                    Your video has been successfully transformed using
+                    Your {mediaLabel.toLowerCase()} has been successfully transformed using
                     <span className="text-gradient-primary font-bold"> Custom Style</span>
                 </p>
 
                 {/* Processing Summary */}
                 <div className="glass rounded-2xl p-6 mt-6 max-w-4xl mx-auto">
                     <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-center">
-                        <div>
-                            <div className="text-2xl font-bold text-green-400">{result.frameCount}</div>
-                            <div className="text-sm text-white/70">Frames Processed</div>
-                        </div>
+                        {isImageResult ? (
+                            <div>
+                                <div className="text-2xl font-bold text-green-400">{result.width}x{result.height}</div>
+                                <div className="text-sm text-white/70">Resolution</div>
+                            </div>
+                        ) : (
+                            <div>
+                                <div className="text-2xl font-bold text-green-400">{result.frameCount}</div>
+                                <div className="text-sm text-white/70">Frames Processed</div>
+                            </div>
+                        )}
                         <div>
                             <div className="text-2xl font-bold text-blue-400">
                                 {formatProcessingTime(result.processingTime)}
@@ -475,73 +634,102 @@ function ResultsViewer() {
                 </div>
             </div>
 
-            {/* Video Comparison Toggle */}
-            <div className="flex justify-center">
-                <div className="glass rounded-2xl p-6 flex gap-4">
-                    <button
-                        className={`px-16 py-4 rounded-xl font-medium text-base transition-all duration-300 w-48 ${showComparison
-                            ? 'bg-gradient-primary text-white shadow-lg transform scale-105'
-                            : 'text-white/70 hover:text-white hover:bg-white/10'
-                            }`}
-                        onClick={() => setShowComparison(true)}
-                    >
-                        Compare Videos
-                    </button>
-                    <button
-                        className={`px-16 py-4 rounded-xl font-medium text-base transition-all duration-300 w-48 ${!showComparison
-                            ? 'bg-gradient-secondary text-white shadow-lg transform scale-105'
-                            : 'text-white/70 hover:text-white hover:bg-white/10'
-                            }`}
-                        onClick={() => setShowComparison(false)}
-                    >
-                        Focus View
-                    </button>
-                </div>
-            </div>
-
-            {/* Video Display */}
-            {showComparison ? (
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                    {renderVideoPlayer('original', originalVideoRef, videoUrls.original, 'Original', currentVideo.size)}
-                    {renderVideoPlayer('processed', processedVideoRef, videoUrls.processed, '🎨 Custom Style', result.blob.size, true)}
-                </div>
+            {isImageResult ? (
+                /* Photo - before/after slider */
+                renderImageComparison()
             ) : (
-                /* Focus View - Only Processed Video */
-                <div className="max-w-4xl mx-auto">
-                    <div className="mb-4 text-center">
-                        <div className="inline-flex items-center glass rounded-full px-4 py-2">
-                            <span className="text-sm text-white/80 mr-2">🎯 Focus View:</span>
-                            <span className="text-sm font-medium text-white">AI-Stylized Video Only</span>
+                <>
+                    {/* Video Comparison Toggle */}
+                    <div className="flex justify-center">
+                        <div className="glass rounded-2xl p-6 flex gap-4">
+                            <button
+                                className={`px-16 py-4 rounded-xl font-medium text-base transition-all duration-300 w-48 ${showComparison
+                                    ? 'bg-gradient-primary text-white shadow-lg transform scale-105'
+                                    : 'text-white/70 hover:text-white hover:bg-white/10'
+                                    }`}
+                                onClick={() => setShowComparison(true)}
+                            >
+                                Compare Videos
+                            </button>
+                            <button
+                                className={`px-16 py-4 rounded-xl font-medium text-base transition-all duration-300 w-48 ${!showComparison
+                                    ? 'bg-gradient-secondary text-white shadow-lg transform scale-105'
+                                    : 'text-white/70 hover:text-white hover:bg-white/10'
+                                    }`}
+                                onClick={() => setShowComparison(false)}
+                            >
+                                Focus View
+                            </button>
                         </div>
                     </div>
 
-                    {renderVideoPlayer('processed', processedVideoRef, videoUrls.processed, '🎨 Custom Style', result.blob.size, true)}
-                </div>
+                    {/* Video Display */}
+                    {showComparison ? (
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                            {renderVideoPlayer('original', originalVideoRef, videoUrls.original, 'Original', currentVideo.size)}
+                            {renderVideoPlayer('processed', processedVideoRef, videoUrls.processed, '🎨 Custom Style', result.blob.size, true)}
+                        </div>
+                    ) : (
+                        /* Focus View - Only Processed Video */
+                        <div className="max-w-4xl mx-auto">
+                            <div className="mb-4 text-center">
+                                <div className="inline-flex items-center glass rounded-full px-4 py-2">
+                                    <span className="text-sm text-white/80 mr-2">🎯 Focus View:</span>
+                                    <span className="text-sm font-medium text-white">AI-Stylized Video Only</span>
+                                </div>
+                            </div>
+
+                            {renderVideoPlayer('processed', processedVideoRef, videoUrls.processed, '🎨 Custom Style', result.blob.size, true)}
+                        </div>
+                    )}
+
+                    {/* Style Keyframes */}
+                    <StyleTimeline
+                        duration={getTrimDuration(selectedStyle?.trim, currentVideo.duration) || (result.frameCount / (result.fps || 1))}
+                        baseStyle={selectedStyle}
+                        getCurrentTime={getPlayheadTime}
+                        onApply={handleRenderKeyframes}
+                    />
+                </>
             )}
 
             {/* Action Buttons */}
             <div className="space-y-6">
                 {/* Download Options */}
                 <div className="text-center">
-                    <h3 className="text-xl font-semibold text-white mb-4">Download Your Video</h3>
+                    <h3 className="text-xl font-semibold text-white mb-4">Download Your {mediaLabel}</h3>
                     <div className="flex flex-wrap gap-4 justify-center">
                         <button
                             className="btn bg-gradient-primary text-white btn-lg hover:shadow-xl transform hover:-translate-y-1 transition-all duration-300"
-                            onClick={() => handleDownload('mp4')}
+                            onClick={handleDownload}
                         >
                             <span className="mr-2">📥</span>
-                            Download MP4
+                            Download {resultFormatInfo.label}
                             <span className="ml-2">✨</span>
                         </button>
 
+                        {result.frames && result.frames.length > 0 && (
+                            <button
+                                className="btn glass text-white btn-lg hover:bg-white/20 transition-all duration-300 disabled:opacity-60"
+                                onClick={handleDownloadFrames}
+                                disabled={frameExportProgress !== null}
+                                title="Numbered PNG frames with a JSON sidecar, for compositing in other tools"
+                            >
+                                <span className="mr-2">🗂️</span>
+                                {frameExportProgress !== null
+                                    ? `Packaging Frames ${Math.round(frameExportProgress * 100)}%`
+                                    : `Download Frames (${result.frames.length} PNG, ZIP)`}
+                            </button>
+                        )}
+
                         <button
                             className="btn bg-gradient-secondary text-white btn-lg hover:shadow-xl transform hover:-translate-y-1 transition-all duration-300"
                             onClick={() => {
                                 // Share functionality
                                 if (navigator.share) {
                                     navigator.share({
-                                        title: 'Check out my AI-stylized video!',
-                                        text: `I transformed my video using Custom Style with CartoonizeMe!`,
+                                        title: `Check out my AI-stylized ${mediaLabel.toLowerCase()}!`,
+                                        text: `I transformed my ${mediaLabel.toLowerCase()} using Custom Style with CartoonizeMe!`,
                                     });
                                 } else {
                                     // Fallback to copy link
@@ -551,7 +739,7 @@ function ResultsViewer() {
                             }}
                         >
                             <span className="mr-2">📤</span>
-                            Share Video
+                            Share {mediaLabel}
                             <span className="ml-2">🚀</span>
                         </button>
                     </div>
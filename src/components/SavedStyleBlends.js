@@ -0,0 +1,113 @@
+/**
+ * Saved Style Blends Component
+ *
+ * The saved multi-style blend recipes with thumbnails of their styles, loaded
+ * from the blend image store. Clicking Apply loads a blend back into the
+ * style selector.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import { AppContext } from '../context/AppContext';
+import { loadBlendImage } from '../utils/blendImageStore';
+
+function SavedStyleBlends({ onApply, disabled = false }) {
+    const { styleBlends, deleteStyleBlend } = useContext(AppContext);
+    // Object URL of each blend image by id, null for images that are gone
+    const [imageUrls, setImageUrls] = useState({});
+
+    useEffect(() => {
+        const imageIds = [...new Set(styleBlends.flatMap(recipe => recipe.components.map(component => component.imageId)))];
+        const urls = {};
+        let cancelled = false;
+        const revokeUrls = () => Object.values(urls).filter(Boolean).forEach(url => URL.revokeObjectURL(url));
+
+        Promise.all(imageIds.map(async (id) => {
+            try {
+                const file = await loadBlendImage(id);
+                urls[id] = file ? URL.createObjectURL(file) : null;
+            } catch (error) {
+                console.warn('⚠️ Could not load blend image:', error);
+                urls[id] = null;
+            }
+        })).then(() => {
+            // Loaded after the blends changed again - the next run has its own URLs
+            if (cancelled) revokeUrls();
+            else setImageUrls(urls);
+        });
+
+        return () => {
+            cancelled = true;
+            revokeUrls();
+        };
+    }, [styleBlends]);
+
+    if (styleBlends.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="p-6 bg-purple-900/20 border border-purple-500/30 rounded-xl">
+            <h4 className="font-bold text-white mb-4">💾 Saved Style Blends</h4>
+            <div className="space-y-3">
+                {styleBlends.map((recipe) => {
+                    const isMissingImage = recipe.components.some(component => imageUrls[component.imageId] === null);
+
+                    return (
+                        <div key={recipe.id} className="flex items-center justify-between gap-4 p-3 bg-black/20 rounded-lg">
+                            <div className="flex items-center gap-3 min-w-0">
+                                <div className="flex -space-x-3 flex-shrink-0">
+                                    {recipe.components.map((component, index) => (imageUrls[component.imageId] ? (
+                                        <img
+                                            key={index}
+                                            src={imageUrls[component.imageId]}
+                                            alt={component.fileName}
+                                            className="w-10 h-10 rounded-lg object-cover border-2 border-gray-800"
+                                        />
+                                    ) : (
+                                        <div
+                                            key={index}
+                                            title={component.fileName}
+                                            className="w-10 h-10 rounded-lg bg-gray-700 border-2 border-gray-800 flex items-center justify-center text-white/50"
+                                        >
+                                            ?
+                                        </div>
+                                    )))}
+                                </div>
+                                <div className="min-w-0">
+                                    <div className="font-medium text-white truncate">{recipe.name}</div>
+                                    <div className="text-xs text-white/60">
+                                        {recipe.components.map(component => `${Math.round(component.weight * 100)}%`).join(' / ')}
+                                        {' · '}strength {Math.round((recipe.styleRatio ?? 1) * 100)}%
+                                    </div>
+                                    {isMissingImage && (
+                                        <div className="text-xs text-yellow-400">The images of this blend are no longer saved</div>
+                                    )}
+                                </div>
+                            </div>
+                            <div className="flex gap-2 flex-shrink-0">
+                                <button
+                                    onClick={() => onApply(recipe)}
+                                    disabled={disabled || isMissingImage}
+                                    className="btn btn-outline text-sm"
+                                >
+                                    Apply
+                                </button>
+                                <button
+                                    onClick={() => deleteStyleBlend(recipe.id)}
+                                    className="btn btn-secondary text-sm"
+                                    title="Delete saved blend"
+                                >
+                                    🗑️
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+export default SavedStyleBlends;
@@ -0,0 +1,98 @@
+/**
+ * Style Library Component
+ *
+ * The saved style references, searchable by name or tag. Clicking a style
+ * loads it with the strength it was last used at.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import { AppContext } from '../context/AppContext';
+import { matchesStyleSearch } from '../utils/styleLibrary';
+
+function StyleLibrary({ onSelect, disabled = false }) {
+    const { customStyles, deleteCustomStyle } = useContext(AppContext);
+    const [search, setSearch] = useState('');
+    const [thumbnailUrls, setThumbnailUrls] = useState({});
+
+    // Object URLs for the thumbnails of the saved styles
+    useEffect(() => {
+        const urls = {};
+        customStyles.forEach((style) => {
+            urls[style.id] = URL.createObjectURL(style.thumbnail || style.file);
+        });
+        setThumbnailUrls(urls);
+
+        return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    }, [customStyles]);
+
+    const handleDelete = async (style) => {
+        if (!window.confirm(`Remove "${style.name}" from your style library?`)) return;
+        try {
+            await deleteCustomStyle(style.id);
+        } catch (error) {
+            console.error('❌ Failed to delete saved style:', error);
+        }
+    };
+
+    if (customStyles.length === 0) {
+        return null;
+    }
+
+    const visibleStyles = customStyles.filter(style => matchesStyleSearch(style, search));
+
+    return (
+        <div className="p-6 bg-yellow-900/20 border border-yellow-500/30 rounded-xl space-y-4">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                <h4 className="font-bold text-white">⭐ Your Style Library</h4>
+                <input
+                    type="search"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Search by name or tag"
+                    className="bg-black/40 border border-white/20 rounded-lg px-3 py-1.5 text-sm text-white sm:w-64"
+                />
+            </div>
+
+            {visibleStyles.length === 0 ? (
+                <p className="text-sm text-white/60">No saved styles match "{search}".</p>
+            ) : (
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+                    {visibleStyles.map(style => (
+                        <div key={style.id} className="relative group">
+                            <button
+                                className="w-full text-left bg-black/20 rounded-lg overflow-hidden border border-white/10 hover:border-yellow-400 transition-colors disabled:opacity-50"
+                                onClick={() => onSelect(style)}
+                                disabled={disabled}
+                                title={`Use ${style.name}`}
+                            >
+                                <img
+                                    src={thumbnailUrls[style.id]}
+                                    alt={style.name}
+                                    className="w-full aspect-square object-cover"
+                                />
+                                <div className="p-2 space-y-1">
+                                    <div className="text-sm font-medium text-white truncate">{style.name}</div>
+                                    <div className="text-xs text-white/60 truncate">
+                                        {Math.round((style.styleRatio ?? 1) * 100)}%
+                                        {style.tags.length > 0 && ` · ${style.tags.join(', ')}`}
+                                    </div>
+                                </div>
+                            </button>
+                            <button
+                                className="absolute top-1 right-1 w-7 h-7 rounded-full bg-black/70 text-white text-xs opacity-0 group-hover:opacity-100 transition-opacity"
+                                onClick={() => handleDelete(style)}
+                                title="Remove from library"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default StyleLibrary;
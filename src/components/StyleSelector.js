@@ -7,8 +7,26 @@
  * @author CartoonizeMe Team
  */
 
-import React, { useState, useContext, useRef } from 'react';
+import React, { useState, useContext, useRef, useMemo } from 'react';
 import { AppContext } from '../context/AppContext';
+import { normalizeBlendWeights, restoreBlendComponents } from '../utils/styleBlend';
+import { createStyleData } from '../utils/styleImage';
+import { inbetweenMethods } from '../utils/frameInterpolator';
+import { stylizeResolutions } from '../utils/tiling';
+import { qualityPresets, aspectRatios, fitModes } from '../utils/outputGeometry';
+import { formatInfo, normalizeOutputFormat, MAX_ANIMATION_SECONDS } from '../utils/outputFormats';
+import { getDefaultTrim, isFullClip } from '../utils/trimRange';
+import { frameRateSources } from '../utils/mediaFiles';
+import VideoTrimmer from './VideoTrimmer';
+import FramePreview from './FramePreview';
+import StyleLibrary from './StyleLibrary';
+import SavedStyleBlends from './SavedStyleBlends';
+import PresetStyleGallery from './PresetStyleGallery';
+import { parseTags, restoreLibraryStyle } from '../utils/styleLibrary';
+import { loadPresetStyleData, getPresetStyle } from '../utils/presetStyles';
+
+// Frame rate offered as a limit when keeping a higher source frame rate
+const FRAME_RATE_LIMIT = 30;
 
 // Custom slider styles
 const sliderStyles = `
@@ -54,14 +72,38 @@ if (typeof document !== 'undefined') {
 }
 
 function StyleSelector({ video }) {
-    const { setSelectedStyle, setAppState } = useContext(AppContext);
+    const {
+        setSelectedStyle,
+        setAppState,
+        saveStyleBlend,
+        saveCustomStyle,
+        updateCustomStyle,
+        preferences,
+        updatePreferences
+    } = useContext(AppContext);
     const [dragActive, setDragActive] = useState(false);
     const [uploadedImage, setUploadedImage] = useState(null);
     const [imagePreview, setImagePreview] = useState(null);
     const [isProcessing, setIsProcessing] = useState(false);
     const [error, setError] = useState(null);
     const [styleRatio, setStyleRatio] = useState(1.0);
+    const [temporalCoherence, setTemporalCoherence] = useState(false);
+    const [temporalStrength, setTemporalStrength] = useState(0.5);
+    const [preserveFrameRate, setPreserveFrameRate] = useState(false);
+    const [maxFrameRate, setMaxFrameRate] = useState(null);
+    const [inbetweenMethod, setInbetweenMethod] = useState(inbetweenMethods.FLOW);
+    // Photos are a single frame, so they default to full resolution detail
+    const isImage = video?.mediaType === 'image';
+    const [stylizeResolution, setStylizeResolution] = useState(isImage ? stylizeResolutions.NATIVE : stylizeResolutions.FAST);
+    const [trim, setTrim] = useState(() => (!isImage && video?.duration ? getDefaultTrim(video.duration) : null));
+    const [primaryWeight, setPrimaryWeight] = useState(1.0);
+    const [blendStyles, setBlendStyles] = useState([]); // Extra style images mixed in by weight
+    const [blendSaved, setBlendSaved] = useState(false);
+    const [libraryName, setLibraryName] = useState('');
+    const [libraryTags, setLibraryTags] = useState(''); // Comma separated
+    const [librarySaveState, setLibrarySaveState] = useState(null); // null | 'saving' | 'saved'
     const fileInputRef = useRef(null);
+    const blendInputRef = useRef(null);
 
     /**
      * Handle file drop
@@ -95,48 +137,13 @@ function StyleSelector({ video }) {
         setIsProcessing(true);
 
         try {
-            // Validate file type
-            const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-            if (!validTypes.includes(file.type)) {
-                throw new Error('Please upload a valid image file (JPG, PNG, or WEBP)');
-            }
-
-            // Validate file size (max 10MB)
-            const maxSize = 10 * 1024 * 1024;
-            if (file.size > maxSize) {
-                throw new Error('Image file is too large. Please use an image under 10MB.');
-            }
-
-            // Create preview
-            const previewUrl = URL.createObjectURL(file);
-            setImagePreview(previewUrl);
-
-            // Load and validate image
-            const img = await loadImage(file);
-
-            // Validate dimensions
-            if (img.width < 256 || img.height < 256) {
-                throw new Error('Image is too small. Please use an image at least 256x256 pixels.');
-            }
-
-            // Create style data object
-            const styleData = {
-                id: 'user_upload',
-                name: 'Custom Style',
-                description: `Your uploaded artwork: ${file.name}`,
-                file: file,
-                image: img,
-                url: previewUrl,
-                metadata: {
-                    width: img.width,
-                    height: img.height,
-                    size: file.size,
-                    type: file.type,
-                    fileName: file.name
-                }
-            };
+            const styleData = await createStyleData(file);
 
+            setImagePreview(styleData.url);
             setUploadedImage(styleData);
+            setLibraryName(file.name.replace(/\.[^/.]+$/, ''));
+            setLibraryTags('');
+            setLibrarySaveState(null);
             console.log('✅ Style reference image processed:', styleData);
 
         } catch (error) {
@@ -149,18 +156,6 @@ function StyleSelector({ video }) {
         }
     };
 
-    /**
-     * Load image and return img element
-     */
-    const loadImage = (file) => {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = () => reject(new Error('Failed to load image'));
-            img.src = URL.createObjectURL(file);
-        });
-    };
-
     /**
      * Handle drag events
      */
@@ -174,18 +169,218 @@ function StyleSelector({ video }) {
         }
     };
 
+    /**
+     * Add another style image to the blend
+     */
+    const handleBlendFileInput = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        try {
+            const styleData = await createStyleData(file);
+            setBlendStyles(previous => [...previous, { ...styleData, weight: 1.0 }]);
+            setBlendSaved(false);
+        } catch (error) {
+            console.error('❌ Error adding blend style:', error);
+            setError(error.message);
+        }
+    };
+
+    const updateBlendWeight = (index, weight) => {
+        setBlendStyles(previous => previous.map((style, i) => (i === index ? { ...style, weight } : style)));
+        setBlendSaved(false);
+    };
+
+    const removeBlendStyle = (index) => {
+        setBlendStyles(previous => previous.filter((_, i) => i !== index));
+        setBlendSaved(false);
+    };
+
+    /**
+     * All style images in the blend, with their weights
+     */
+    const getBlendComponents = () => [
+        { ...uploadedImage, weight: primaryWeight },
+        ...blendStyles
+    ];
+
+    /**
+     * Save the current blend so it can be re-applied later
+     */
+    const handleSaveBlend = async () => {
+        try {
+            const recipe = await saveStyleBlend(getBlendComponents(), styleRatio);
+            setBlendSaved(true);
+            console.log('💾 Style blend saved:', recipe.name);
+        } catch (error) {
+            console.error('❌ Failed to save style blend:', error);
+            setError('Failed to save this blend. Please try again.');
+        }
+    };
+
+    /**
+     * Load a saved blend recipe back into the selector
+     */
+    const handleApplyBlend = async (recipe) => {
+        setError(null);
+        setIsProcessing(true);
+
+        try {
+            const [primary, ...others] = await restoreBlendComponents(recipe);
+            const { weight, ...primaryStyle } = primary;
+
+            setUploadedImage({
+                id: 'user_upload',
+                name: 'Custom Style',
+                description: `Your uploaded artwork: ${primaryStyle.metadata.fileName}`,
+                ...primaryStyle
+            });
+            setImagePreview(primaryStyle.url);
+            setPrimaryWeight(weight);
+            setBlendStyles(others.map(style => ({
+                id: 'user_upload',
+                name: 'Custom Style',
+                description: `Your uploaded artwork: ${style.metadata.fileName}`,
+                ...style
+            })));
+            setStyleRatio(recipe.styleRatio ?? 1.0);
+            setBlendSaved(true);
+            console.log('🎨 Style blend applied:', recipe.name);
+        } catch (error) {
+            console.error('❌ Failed to apply style blend:', error);
+            setError('Failed to load this saved blend.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Load a style from the library at the strength it was last used at
+     */
+    const handleApplyLibraryStyle = async (record) => {
+        setError(null);
+        setIsProcessing(true);
+
+        try {
+            const styleData = await restoreLibraryStyle(record);
+            setImagePreview(styleData.url);
+            setUploadedImage(styleData);
+            setBlendStyles([]);
+            setPrimaryWeight(1.0);
+            setBlendSaved(false);
+            setStyleRatio(record.styleRatio ?? 1.0);
+            setLibraryName(record.name);
+            setLibraryTags(record.tags.join(', '));
+            setLibrarySaveState('saved');
+            console.log('⭐ Saved style applied:', record.name);
+        } catch (error) {
+            console.error('❌ Failed to load saved style:', error);
+            setError('Failed to load this saved style.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Load a preset from the built-in style pack at its default strength
+     */
+    const handleApplyPreset = async (preset) => {
+        setError(null);
+        setIsProcessing(true);
+
+        try {
+            const styleData = await loadPresetStyleData(preset);
+            setImagePreview(styleData.url);
+            setUploadedImage(styleData);
+            setBlendStyles([]);
+            setPrimaryWeight(1.0);
+            setBlendSaved(false);
+            setStyleRatio(preset.defaultRatio);
+            setLibraryName(preset.name);
+            setLibraryTags(preset.tags.join(', '));
+            setLibrarySaveState(null);
+            console.log('🖼️ Preset style applied:', preset.name);
+        } catch (error) {
+            console.error('❌ Failed to load preset style:', error);
+            setError(error.message);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Save the primary style image to the library, or update its name and tags
+     */
+    const handleSaveToLibrary = async () => {
+        setLibrarySaveState('saving');
+        try {
+            const details = { name: libraryName, tags: parseTags(libraryTags) };
+            if (uploadedImage.libraryId) {
+                await updateCustomStyle(uploadedImage.libraryId, details);
+            } else {
+                const record = await saveCustomStyle(uploadedImage, { ...details, styleRatio });
+                setUploadedImage(previous => ({ ...previous, styleKey: record.styleKey, libraryId: record.id }));
+            }
+            setLibrarySaveState('saved');
+        } catch (error) {
+            console.error('❌ Failed to save style to library:', error);
+            setError('Failed to save this style to your library.');
+            setLibrarySaveState(null);
+        }
+    };
+
+    /**
+     * The uploaded style, or the blend of all style images with a weight
+     * ({ ...style, blend }). Null when no style image has any weight.
+     */
+    const styleSelection = useMemo(() => {
+        if (!uploadedImage) return null;
+
+        if (blendStyles.length === 0) {
+            return { ...uploadedImage, blend: null };
+        }
+
+        const blend = normalizeBlendWeights(getBlendComponents());
+        if (blend.length === 0) {
+            return null;
+        }
+        if (blend.length === 1) {
+            // Only one style left with any weight - no blending needed
+            return { ...blend[0], blend: null };
+        }
+        return {
+            ...uploadedImage,
+            name: 'Blended Style',
+            description: `Blend of ${blend.map(style => style.metadata.fileName).join(', ')}`,
+            blend
+        };
+    }, [uploadedImage, blendStyles, primaryWeight]);
+
     /**
      * Proceed with selected style
      */
     const handleProceed = () => {
         if (uploadedImage) {
-            // Include the style ratio in the style data
+            if (!styleSelection) {
+                setError('Give at least one style image a weight above 0%.');
+                return;
+            }
+
+            // Include the style ratio, blend, flicker reduction, frame rate and trim settings in the style data
             const styleWithRatio = {
-                ...uploadedImage,
-                styleRatio: styleRatio
+                ...styleSelection,
+                styleRatio: styleRatio,
+                temporalStrength: temporalCoherence ? temporalStrength : 0,
+                preserveFrameRate: preserveFrameRate,
+                maxFrameRate: preserveFrameRate ? maxFrameRate : null,
+                inbetweenMethod: inbetweenMethod,
+                stylizeResolution: stylizeResolution,
+                trim: trim && !isFullClip(trim, video.duration) ? trim : null
             };
             setSelectedStyle(styleWithRatio);
-            console.log('🎨 Style selected for processing:', uploadedImage.metadata, 'with ratio:', styleRatio);
+            console.log('🎨 Style selected for processing:', uploadedImage.metadata, 'with ratio:', styleRatio, 'temporal strength:', styleWithRatio.temporalStrength);
         }
     };
 
@@ -195,6 +390,10 @@ function StyleSelector({ video }) {
     const handleClear = () => {
         setUploadedImage(null);
         setImagePreview(null);
+        setBlendStyles([]);
+        setPrimaryWeight(1.0);
+        setBlendSaved(false);
+        setLibrarySaveState(null);
         setError(null);
         if (fileInputRef.current) {
             fileInputRef.current.value = '';
@@ -208,6 +407,10 @@ function StyleSelector({ video }) {
         setAppState('upload');
     };
 
+    const blendComponents = uploadedImage ? getBlendComponents() : [];
+    const blendTotalWeight = blendComponents.reduce((sum, style) => sum + style.weight, 0);
+    const stylePreset = uploadedImage?.presetId ? getPresetStyle(uploadedImage.presetId) : null;
+
     return (
         <div className="glass rounded-2xl p-8">
             {/* Header */}
@@ -224,14 +427,23 @@ function StyleSelector({ video }) {
             {/* Current Video Info */}
             <div className="mb-8 p-4 bg-black/20 rounded-xl">
                 <div className="flex items-center justify-center space-x-4">
-                    <span className="text-white/60">Video selected:</span>
+                    <span className="text-white/60">{isImage ? 'Photo selected:' : 'Video selected:'}</span>
                     <span className="font-medium text-white">{video?.file?.name}</span>
                     <span className="text-white/60">
-                        ({video?.duration ? `${video.duration.toFixed(1)}s` : 'Processing...'})
+                        {isImage
+                            ? `(${video.metadata.width}x${video.metadata.height})`
+                            : `(${video?.duration ? `${video.duration.toFixed(1)}s` : 'Processing...'})`}
                     </span>
                 </div>
             </div>
 
+            {/* Segment Selection */}
+            {trim && (
+                <div className="mb-8">
+                    <VideoTrimmer video={video} trim={trim} onChange={setTrim} />
+                </div>
+            )}
+
             {/* Style Upload Section */}
             <div className="space-y-6">
                 {!uploadedImage ? (
@@ -286,6 +498,9 @@ function StyleSelector({ video }) {
                             )}
                         </div>
 
+                        {/* Built-in style pack */}
+                        <PresetStyleGallery onSelect={handleApplyPreset} disabled={isProcessing} />
+
                         {/* Error Display */}
                         {error && (
                             <div className="p-4 bg-red-900/20 border border-red-500/30 rounded-xl">
@@ -299,6 +514,12 @@ function StyleSelector({ video }) {
                             </div>
                         )}
 
+                        {/* Saved Styles */}
+                        <StyleLibrary onSelect={handleApplyLibraryStyle} disabled={isProcessing} />
+
+                        {/* Saved Blends */}
+                        <SavedStyleBlends onApply={handleApplyBlend} disabled={isProcessing} />
+
                         {/* Style Examples */}
                         <div className="mt-8 p-6 bg-blue-900/20 rounded-xl">
                             <h4 className="font-bold text-white mb-3">💡 Style Reference Tips:</h4>
@@ -369,6 +590,26 @@ function StyleSelector({ video }) {
                                         </div>
                                     </div>
 
+                                    {stylePreset && (
+                                        <div className="text-xs text-white/60">
+                                            {stylePreset.credit}
+                                            {stylePreset.license && ` · ${stylePreset.license}`}
+                                            {stylePreset.source && (
+                                                <>
+                                                    {' · '}
+                                                    <a
+                                                        href={stylePreset.source}
+                                                        target="_blank"
+                                                        rel="noopener noreferrer"
+                                                        className="underline hover:text-white"
+                                                    >
+                                                        Source
+                                                    </a>
+                                                </>
+                                            )}
+                                        </div>
+                                    )}
+
                                     <div className="p-4 bg-green-900/20 border border-green-500/30 rounded-lg">
                                         <div className="flex items-center space-x-2">
                                             <span className="text-green-400">✅</span>
@@ -377,10 +618,132 @@ function StyleSelector({ video }) {
                                             </span>
                                         </div>
                                     </div>
+
+                                    {/* Save to the style library */}
+                                    <div className="p-4 bg-yellow-900/20 border border-yellow-500/30 rounded-lg space-y-3">
+                                        <div className="text-sm font-medium text-white">
+                                            {uploadedImage.libraryId ? '⭐ In your style library' : '⭐ Save to your style library'}
+                                        </div>
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                            <input
+                                                type="text"
+                                                value={libraryName}
+                                                onChange={(e) => { setLibraryName(e.target.value); setLibrarySaveState(null); }}
+                                                placeholder="Name"
+                                                className="bg-black/40 border border-white/20 rounded-lg px-3 py-1.5 text-sm text-white"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={libraryTags}
+                                                onChange={(e) => { setLibraryTags(e.target.value); setLibrarySaveState(null); }}
+                                                placeholder="Tags, comma separated"
+                                                className="bg-black/40 border border-white/20 rounded-lg px-3 py-1.5 text-sm text-white"
+                                            />
+                                        </div>
+                                        <button
+                                            onClick={handleSaveToLibrary}
+                                            disabled={librarySaveState !== null}
+                                            className="btn btn-outline text-sm disabled:opacity-50"
+                                        >
+                                            {librarySaveState === 'saving' && 'Saving...'}
+                                            {librarySaveState === 'saved' && '✓ Saved'}
+                                            {librarySaveState === null && (uploadedImage.libraryId ? 'Update Saved Style' : 'Save Style')}
+                                        </button>
+                                    </div>
                                 </div>
                             </div>
                         </div>
 
+                        {/* Style Blend Control */}
+                        <div className="p-6 bg-black/20 border border-white/10 rounded-xl">
+                            <div className="flex items-center justify-between mb-4">
+                                <h4 className="text-lg font-semibold text-white">
+                                    🎨 Blend Styles
+                                </h4>
+                                <div className="flex gap-2">
+                                    <input
+                                        ref={blendInputRef}
+                                        type="file"
+                                        accept="image/*"
+                                        onChange={handleBlendFileInput}
+                                        className="hidden"
+                                    />
+                                    <button
+                                        onClick={() => blendInputRef.current?.click()}
+                                        className="btn btn-outline text-sm"
+                                    >
+                                        + Add Style Image
+                                    </button>
+                                    {blendStyles.length > 0 && (
+                                        <button
+                                            onClick={handleSaveBlend}
+                                            disabled={blendSaved}
+                                            className="btn btn-secondary text-sm disabled:opacity-50"
+                                        >
+                                            {blendSaved ? '✅ Saved' : '💾 Save Blend'}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {blendStyles.length === 0 ? (
+                                <p className="text-sm text-white/70">
+                                    Add more reference images to mix their styles. Each image gets a weight,
+                                    and the styles are combined before they are applied to your video.
+                                </p>
+                            ) : (
+                                <div className="space-y-3">
+                                    {blendComponents.map((style, index) => (
+                                        <div key={`${style.metadata.fileName}-${index}`} className="flex items-center gap-4">
+                                            <img
+                                                src={style.url}
+                                                alt={style.metadata.fileName}
+                                                className="w-12 h-12 rounded-lg object-cover border border-white/20 flex-shrink-0"
+                                            />
+                                            <div className="flex-1 min-w-0">
+                                                <div className="flex items-center justify-between text-sm mb-1">
+                                                    <span className="text-white/80 truncate">{style.metadata.fileName}</span>
+                                                    <span className="font-bold text-purple-400 ml-2">
+                                                        {blendTotalWeight > 0 ? Math.round((style.weight / blendTotalWeight) * 100) : 0}%
+                                                    </span>
+                                                </div>
+                                                <input
+                                                    type="range"
+                                                    min="0"
+                                                    max="1"
+                                                    step="0.05"
+                                                    value={style.weight}
+                                                    onChange={(e) => {
+                                                        const weight = parseFloat(e.target.value);
+                                                        if (index === 0) {
+                                                            setPrimaryWeight(weight);
+                                                            setBlendSaved(false);
+                                                        } else {
+                                                            updateBlendWeight(index - 1, weight);
+                                                        }
+                                                    }}
+                                                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                                                />
+                                            </div>
+                                            {index > 0 && (
+                                                <button
+                                                    onClick={() => removeBlendStyle(index - 1)}
+                                                    className="text-white/60 hover:text-red-400 flex-shrink-0"
+                                                    title="Remove from blend"
+                                                >
+                                                    ✕
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {error && (
+                                <div className="mt-4 text-sm text-red-300">⚠️ {error}</div>
+                            )}
+                        </div>
+
                         {/* Style Strength Control */}
                         <div className="p-6 bg-purple-900/20 border border-purple-500/30 rounded-xl">
                             <h4 className="text-lg font-semibold text-white mb-4 text-center">
@@ -421,6 +784,237 @@ function StyleSelector({ video }) {
                                 </div>
                             </div>
                         </div>
+
+                        {/* Stylized preview of a single frame */}
+                        {styleSelection && video && (
+                            <FramePreview
+                                video={video}
+                                style={styleSelection}
+                                styleRatio={styleRatio}
+                                trim={trim}
+                            />
+                        )}
+
+                        {/* Motion controls (videos only) */}
+                        {!isImage && (
+                            <>
+                                {/* Temporal Coherence Control */}
+                                <div className="p-6 bg-blue-900/20 border border-blue-500/30 rounded-xl">
+                                    <div className="flex items-center justify-between mb-4">
+                                        <h4 className="text-lg font-semibold text-white">
+                                            🌊 Reduce Flicker
+                                        </h4>
+                                        <label className="flex items-center space-x-2 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={temporalCoherence}
+                                                onChange={(e) => setTemporalCoherence(e.target.checked)}
+                                                className="w-4 h-4 accent-blue-500"
+                                            />
+                                            <span className="text-sm text-white/80">
+                                                {temporalCoherence ? 'On' : 'Off'}
+                                            </span>
+                                        </label>
+                                    </div>
+                                    <p className="text-xs text-white/70 mb-4">
+                                        Blends each frame with the previous one, following the motion in your video,
+                                        so the style stays steady instead of shimmering between frames.
+                                    </p>
+                                    {temporalCoherence && (
+                                        <div className="space-y-2">
+                                            <div className="flex items-center justify-between">
+                                                <label className="text-sm font-medium text-white/80">
+                                                    Stability Strength
+                                                </label>
+                                                <span className="text-sm font-bold text-blue-400">
+                                                    {Math.round(temporalStrength * 100)}%
+                                                </span>
+                                            </div>
+                                            <input
+                                                type="range"
+                                                min="0.1"
+                                                max="1"
+                                                step="0.05"
+                                                value={temporalStrength}
+                                                onChange={(e) => setTemporalStrength(parseFloat(e.target.value))}
+                                                className="w-full h-3 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                                            />
+                                            <div className="flex justify-between text-xs text-white/60">
+                                                <span>Crisper Motion</span>
+                                                <span>Steadier Style</span>
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+
+                                {/* Frame Rate Control */}
+                                <div className="p-6 bg-green-900/20 border border-green-500/30 rounded-xl">
+                                    <div className="flex items-center justify-between mb-4">
+                                        <h4 className="text-lg font-semibold text-white">
+                                            🎞️ Keep Original Frame Rate
+                                        </h4>
+                                        <label className="flex items-center space-x-2 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={preserveFrameRate}
+                                                onChange={(e) => setPreserveFrameRate(e.target.checked)}
+                                                className="w-4 h-4 accent-green-500"
+                                            />
+                                            <span className="text-sm text-white/80">
+                                                {preserveFrameRate ? 'On' : 'Off'}
+                                            </span>
+                                        </label>
+                                    </div>
+                                    <p className="text-xs text-white/70 mb-4">
+                                        Only a few frames per second are stylized; the frames in between are filled in
+                                        from them, so the result plays as smoothly as your original video.
+                                    </p>
+                                    {video.metadata.frameRateSource === frameRateSources.ASSUMED ? (
+                                        <p className="text-xs text-yellow-400 mb-4">
+                                            ⚠️ This video's frame rate couldn't be read, so {video.metadata.frameRate} fps is assumed.
+                                        </p>
+                                    ) : (
+                                        <p className="text-xs text-white/60 mb-4">
+                                            Original frame rate: {video.metadata.frameRate} fps
+                                            {video.metadata.frameRateSource === frameRateSources.PLAYBACK && ' (measured during playback)'}
+                                        </p>
+                                    )}
+                                    {preserveFrameRate && video.metadata.frameRate > FRAME_RATE_LIMIT && (
+                                        <div className="flex items-center justify-between mb-4">
+                                            <label className="text-sm font-medium text-white/80">
+                                                Frame Rate Limit
+                                            </label>
+                                            <select
+                                                value={maxFrameRate || ''}
+                                                onChange={(e) => setMaxFrameRate(e.target.value ? parseInt(e.target.value, 10) : null)}
+                                                className="bg-black/40 border border-white/20 rounded px-2 py-1 text-sm text-white"
+                                            >
+                                                <option value="">None ({Math.round(video.metadata.frameRate)} fps)</option>
+                                                <option value={FRAME_RATE_LIMIT}>{FRAME_RATE_LIMIT} fps (faster, smaller file)</option>
+                                            </select>
+                                        </div>
+                                    )}
+                                    {preserveFrameRate && (
+                                        <div className="flex items-center justify-between">
+                                            <label className="text-sm font-medium text-white/80">
+                                                In-between Frames
+                                            </label>
+                                            <select
+                                                value={inbetweenMethod}
+                                                onChange={(e) => setInbetweenMethod(e.target.value)}
+                                                className="bg-black/40 border border-white/20 rounded px-2 py-1 text-sm text-white"
+                                            >
+                                                <option value={inbetweenMethods.FLOW}>Motion warp (sharper)</option>
+                                                <option value={inbetweenMethods.COLOR}>Colour match (faster)</option>
+                                            </select>
+                                        </div>
+                                    )}
+                                </div>
+                            </>
+                        )}
+
+                        {/* Stylization Resolution Control */}
+                        <div className="p-6 bg-yellow-900/20 border border-yellow-500/30 rounded-xl">
+                            <div className="flex items-center justify-between mb-4">
+                                <h4 className="text-lg font-semibold text-white">
+                                    🔍 Style Detail
+                                </h4>
+                                <select
+                                    value={stylizeResolution}
+                                    onChange={(e) => setStylizeResolution(parseInt(e.target.value, 10))}
+                                    className="bg-black/40 border border-white/20 rounded px-2 py-1 text-sm text-white"
+                                >
+                                    <option value={stylizeResolutions.FAST}>Fast (384px)</option>
+                                    <option value={stylizeResolutions.BALANCED}>Balanced (720px)</option>
+                                    <option value={stylizeResolutions.HIGH}>High (1080px)</option>
+                                    <option value={stylizeResolutions.NATIVE}>Native resolution</option>
+                                </select>
+                            </div>
+                            <p className="text-xs text-white/70">
+                                Frames keep their shape and are stylized in overlapping tiles, so higher settings
+                                keep finer detail from your video. Each step up takes noticeably longer.
+                            </p>
+                        </div>
+
+                        {/* Output Size Control (videos only) */}
+                        {!isImage && (
+                            <div className="p-6 bg-pink-900/20 border border-pink-500/30 rounded-xl">
+                                <h4 className="text-lg font-semibold text-white mb-4">
+                                    📐 Output Size
+                                </h4>
+                                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                                    <label className="flex flex-col gap-1 text-sm text-white/80">
+                                        Format
+                                        <select
+                                            value={normalizeOutputFormat(preferences.outputFormat)}
+                                            onChange={(e) => updatePreferences({ outputFormat: e.target.value })}
+                                            className="bg-black/40 border border-white/20 rounded px-2 py-1 text-white"
+                                        >
+                                            {Object.entries(formatInfo).map(([format, info]) => (
+                                                <option key={format} value={format}>
+                                                    {info.isAnimation ? `${info.label} (animated, no sound)` : info.label}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="flex flex-col gap-1 text-sm text-white/80">
+                                        Resolution
+                                        <select
+                                            value={preferences.quality}
+                                            onChange={(e) => updatePreferences({ quality: e.target.value })}
+                                            className="bg-black/40 border border-white/20 rounded px-2 py-1 text-white"
+                                        >
+                                            {Object.keys(qualityPresets).map(quality => (
+                                                <option key={quality} value={quality}>
+                                                    {quality === 'source' ? 'Same as video' : quality}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="flex flex-col gap-1 text-sm text-white/80">
+                                        Aspect Ratio
+                                        <select
+                                            value={preferences.aspectRatio}
+                                            onChange={(e) => updatePreferences({ aspectRatio: e.target.value })}
+                                            className="bg-black/40 border border-white/20 rounded px-2 py-1 text-white"
+                                        >
+                                            <option value={aspectRatios.SOURCE}>Same as video</option>
+                                            <option value={aspectRatios.SQUARE}>Square (1:1)</option>
+                                            <option value={aspectRatios.PORTRAIT}>Portrait (9:16)</option>
+                                            <option value={aspectRatios.LANDSCAPE}>Landscape (16:9)</option>
+                                        </select>
+                                    </label>
+                                    <label className="flex flex-col gap-1 text-sm text-white/80">
+                                        Fit
+                                        <select
+                                            value={preferences.fit}
+                                            onChange={(e) => updatePreferences({ fit: e.target.value })}
+                                            disabled={preferences.aspectRatio === aspectRatios.SOURCE}
+                                            className="bg-black/40 border border-white/20 rounded px-2 py-1 text-white disabled:opacity-50"
+                                        >
+                                            <option value={fitModes.LETTERBOX}>Letterbox (black bars)</option>
+                                            <option value={fitModes.CROP}>Crop to fill</option>
+                                        </select>
+                                    </label>
+                                </div>
+                                <p className="text-xs text-white/60 mt-3">
+                                    Videos are never upscaled - smaller sources keep their own resolution.
+                                    {formatInfo[normalizeOutputFormat(preferences.outputFormat)].isAnimation &&
+                                        ` Animated images work best for short loops of up to ${MAX_ANIMATION_SECONDS} seconds at a low resolution.`}
+                                </p>
+                                <label className="flex items-center space-x-2 cursor-pointer mt-3">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!preferences.keepFrames}
+                                        onChange={(e) => updatePreferences({ keepFrames: e.target.checked })}
+                                        className="w-4 h-4 accent-pink-500"
+                                    />
+                                    <span className="text-sm text-white/80">
+                                        Keep the stylized frames for a PNG sequence download (uses more memory)
+                                    </span>
+                                </label>
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
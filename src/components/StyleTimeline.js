@@ -0,0 +1,236 @@
+/**
+ * Style Timeline Component
+ *
+ * Lets users place style keyframes on the video timeline - fading the style
+ * strength or switching to another style image at a point in time - and
+ * re-render the video with them.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useState, useRef } from 'react';
+import { createStyleData } from '../utils/styleImage';
+import { keyframeTransitions } from '../utils/styleKeyframes';
+
+let nextKeyframeId = 1;
+
+function StyleTimeline({ duration, baseStyle, getCurrentTime, onApply }) {
+    const [keyframes, setKeyframes] = useState(() =>
+        (baseStyle.keyframes || []).map(keyframe => ({ ...keyframe, id: nextKeyframeId++ }))
+    );
+    // Extra style images that keyframes can switch to
+    const [timelineStyles, setTimelineStyles] = useState(() =>
+        (baseStyle.keyframes || [])
+            .map(keyframe => keyframe.style)
+            .filter((style, index, styles) => style && styles.indexOf(style) === index)
+    );
+    const [error, setError] = useState(null);
+    const trackRef = useRef(null);
+    const styleInputRef = useRef(null);
+
+    const sortedKeyframes = [...keyframes].sort((a, b) => a.time - b.time);
+
+    const formatTime = (seconds) => `${seconds.toFixed(1)}s`;
+
+    /**
+     * Add a keyframe at a point in time
+     */
+    const addKeyframe = (time) => {
+        const clampedTime = Math.round(Math.min(duration, Math.max(0, time)) * 10) / 10;
+        setKeyframes(previous => [...previous, {
+            id: nextKeyframeId++,
+            time: clampedTime,
+            styleRatio: baseStyle.styleRatio ?? 1.0,
+            style: null,
+            transition: keyframeTransitions.FADE
+        }]);
+    };
+
+    const updateKeyframe = (id, changes) => {
+        setKeyframes(previous => previous.map(keyframe => (keyframe.id === id ? { ...keyframe, ...changes } : keyframe)));
+    };
+
+    const removeKeyframe = (id) => {
+        setKeyframes(previous => previous.filter(keyframe => keyframe.id !== id));
+    };
+
+    /**
+     * Add a keyframe where the user clicked on the track
+     */
+    const handleTrackClick = (e) => {
+        const rect = trackRef.current.getBoundingClientRect();
+        addKeyframe(((e.clientX - rect.left) / rect.width) * duration);
+    };
+
+    /**
+     * Upload another style image for keyframes to switch to
+     */
+    const handleStyleFileInput = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        try {
+            const styleData = await createStyleData(file);
+            setTimelineStyles(previous => [...previous, styleData]);
+        } catch (styleError) {
+            console.error('❌ Error adding timeline style:', styleError);
+            setError(styleError.message);
+        }
+    };
+
+    /**
+     * Render again with the keyframes (an empty list renders without keyframes)
+     */
+    const handleApply = () => {
+        const result = sortedKeyframes.map(({ id, ...keyframe }) => keyframe);
+        console.log(`🎞️ Re-rendering with ${result.length} style keyframes`);
+        onApply(result);
+    };
+
+    return (
+        <div className="glass rounded-2xl p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <div>
+                    <h3 className="text-xl font-semibold text-white">🎞️ Style Timeline</h3>
+                    <p className="text-sm text-white/70">
+                        Add keyframes to fade the style strength or switch styles over time, then re-render.
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <input
+                        ref={styleInputRef}
+                        type="file"
+                        accept="image/*"
+                        onChange={handleStyleFileInput}
+                        className="hidden"
+                    />
+                    <button
+                        className="btn glass text-white hover:bg-white/20 text-sm"
+                        onClick={() => styleInputRef.current?.click()}
+                    >
+                        + Add Style Image
+                    </button>
+                    <button
+                        className="btn glass text-white hover:bg-white/20 text-sm"
+                        onClick={() => addKeyframe(getCurrentTime ? getCurrentTime() : 0)}
+                    >
+                        + Keyframe at Playhead
+                    </button>
+                </div>
+            </div>
+
+            {/* Track */}
+            <div
+                ref={trackRef}
+                className="relative h-10 bg-black/30 rounded-lg cursor-crosshair border border-white/10"
+                onClick={handleTrackClick}
+                title="Click to add a keyframe"
+            >
+                {sortedKeyframes.map(keyframe => (
+                    <div
+                        key={keyframe.id}
+                        className={`absolute top-1 bottom-1 w-2 -ml-1 rounded ${keyframe.transition === keyframeTransitions.CUT ? 'bg-orange-400' : 'bg-purple-400'}`}
+                        style={{ left: `${duration > 0 ? (keyframe.time / duration) * 100 : 0}%` }}
+                        title={`${formatTime(keyframe.time)} · ${Math.round(keyframe.styleRatio * 100)}%`}
+                    />
+                ))}
+                <div className="absolute bottom-0 left-2 text-xs text-white/50">0s</div>
+                <div className="absolute bottom-0 right-2 text-xs text-white/50">{formatTime(duration)}</div>
+            </div>
+
+            {/* Keyframe List */}
+            {sortedKeyframes.length === 0 ? (
+                <p className="text-sm text-white/60 mt-4 text-center">
+                    No keyframes yet - the whole video uses the same style and strength.
+                </p>
+            ) : (
+                <div className="space-y-3 mt-4">
+                    {sortedKeyframes.map(keyframe => (
+                        <div key={keyframe.id} className="flex flex-wrap items-center gap-3 p-3 bg-black/20 rounded-lg text-sm">
+                            <label className="flex items-center gap-2 text-white/80">
+                                Time
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max={duration}
+                                    step="0.1"
+                                    value={keyframe.time}
+                                    onChange={(e) => updateKeyframe(keyframe.id, {
+                                        time: Math.min(duration, Math.max(0, parseFloat(e.target.value) || 0))
+                                    })}
+                                    className="w-20 bg-black/40 border border-white/20 rounded px-2 py-1 text-white"
+                                />
+                            </label>
+
+                            <label className="flex items-center gap-2 text-white/80 flex-1 min-w-[10rem]">
+                                Strength
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="1"
+                                    step="0.01"
+                                    value={keyframe.styleRatio}
+                                    onChange={(e) => updateKeyframe(keyframe.id, { styleRatio: parseFloat(e.target.value) })}
+                                    className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                                />
+                                <span className="w-10 text-right font-bold text-purple-400">
+                                    {Math.round(keyframe.styleRatio * 100)}%
+                                </span>
+                            </label>
+
+                            <select
+                                value={keyframe.style ? timelineStyles.indexOf(keyframe.style) : -1}
+                                onChange={(e) => {
+                                    const index = parseInt(e.target.value, 10);
+                                    updateKeyframe(keyframe.id, { style: index >= 0 ? timelineStyles[index] : null });
+                                }}
+                                className="bg-black/40 border border-white/20 rounded px-2 py-1 text-white"
+                            >
+                                <option value={-1}>Main style</option>
+                                {timelineStyles.map((style, index) => (
+                                    <option key={index} value={index}>{style.metadata.fileName}</option>
+                                ))}
+                            </select>
+
+                            <select
+                                value={keyframe.transition}
+                                onChange={(e) => updateKeyframe(keyframe.id, { transition: e.target.value })}
+                                className="bg-black/40 border border-white/20 rounded px-2 py-1 text-white"
+                                title="How the previous keyframe changes into this one"
+                            >
+                                <option value={keyframeTransitions.FADE}>Fade in</option>
+                                <option value={keyframeTransitions.CUT}>Cut</option>
+                            </select>
+
+                            <button
+                                onClick={() => removeKeyframe(keyframe.id)}
+                                className="text-white/60 hover:text-red-400"
+                                title="Remove keyframe"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {error && (
+                <div className="mt-4 text-sm text-red-300">⚠️ {error}</div>
+            )}
+
+            <div className="flex justify-end mt-4">
+                <button
+                    className="btn bg-gradient-primary text-white"
+                    onClick={handleApply}
+                    disabled={sortedKeyframes.length === 0 && !(baseStyle.keyframes && baseStyle.keyframes.length > 0)}
+                >
+                    🎬 Re-render with Keyframes
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default StyleTimeline;
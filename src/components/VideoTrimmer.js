@@ -0,0 +1,146 @@
+/**
+ * Video Trimmer Component
+ *
+ * Picks the segment of the uploaded video to stylize: in and out points over
+ * a thumbnail strip, with a preview of the frame at the point being moved.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { createThumbnailStrip } from '../utils/videoThumbnails';
+import { MAX_SEGMENT_SECONDS, clampTrim, formatTrimTime } from '../utils/trimRange';
+
+function VideoTrimmer({ video, trim, onChange }) {
+    const [thumbnails, setThumbnails] = useState([]);
+    const [previewUrl, setPreviewUrl] = useState(null);
+    const previewRef = useRef(null);
+    const duration = video.duration;
+
+    // Thumbnail strip and preview source for this video
+    useEffect(() => {
+        let cancelled = false;
+        let strip = [];
+
+        createThumbnailStrip(video.file)
+            .then((result) => {
+                if (cancelled) {
+                    result.forEach(thumbnail => URL.revokeObjectURL(thumbnail.url));
+                    return;
+                }
+                strip = result;
+                setThumbnails(result);
+            })
+            .catch((error) => console.warn('⚠️ Could not create trim thumbnails:', error.message));
+
+        const url = URL.createObjectURL(video.file);
+        setPreviewUrl(url);
+
+        return () => {
+            cancelled = true;
+            strip.forEach(thumbnail => URL.revokeObjectURL(thumbnail.url));
+            URL.revokeObjectURL(url);
+        };
+    }, [video.file]);
+
+    const updateTrim = (point, value) => {
+        const next = clampTrim({ ...trim, [point]: value }, duration, point);
+        onChange(next);
+
+        if (previewRef.current) {
+            previewRef.current.currentTime = next[point];
+        }
+    };
+
+    const startPercent = (trim.start / duration) * 100;
+    const endPercent = (trim.end / duration) * 100;
+
+    return (
+        <div className="p-6 bg-cyan-900/20 border border-cyan-500/30 rounded-xl space-y-4">
+            <div className="flex items-center justify-between">
+                <h4 className="text-lg font-semibold text-white">
+                    ✂️ Trim Video
+                </h4>
+                <span className="text-sm font-mono text-cyan-300">
+                    {formatTrimTime(trim.start)} – {formatTrimTime(trim.end)} ({(trim.end - trim.start).toFixed(1)}s)
+                </span>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-center">
+                {/* Frame at the point being moved */}
+                <div className="rounded-lg overflow-hidden bg-black aspect-video">
+                    {previewUrl && (
+                        <video
+                            ref={previewRef}
+                            src={previewUrl}
+                            className="w-full h-full object-contain"
+                            muted
+                            playsInline
+                            preload="auto"
+                            onLoadedMetadata={(e) => { e.target.currentTime = trim.start; }}
+                        />
+                    )}
+                </div>
+
+                <div className="md:col-span-3 space-y-3">
+                    {/* Thumbnail strip with the selected segment highlighted */}
+                    <div className="relative h-14 rounded-lg overflow-hidden bg-black/40 flex">
+                        {thumbnails.map(thumbnail => (
+                            <img
+                                key={thumbnail.time}
+                                src={thumbnail.url}
+                                alt=""
+                                className="h-full flex-1 object-cover min-w-0"
+                                draggable={false}
+                            />
+                        ))}
+                        <div
+                            className="absolute top-0 bottom-0 left-0 bg-black/60"
+                            style={{ width: `${startPercent}%` }}
+                        ></div>
+                        <div
+                            className="absolute top-0 bottom-0 right-0 bg-black/60"
+                            style={{ width: `${100 - endPercent}%` }}
+                        ></div>
+                        <div
+                            className="absolute top-0 bottom-0 border-2 border-cyan-400 rounded"
+                            style={{ left: `${startPercent}%`, width: `${endPercent - startPercent}%` }}
+                        ></div>
+                    </div>
+
+                    <label className="flex items-center gap-3 text-sm text-white/80">
+                        <span className="w-8">In</span>
+                        <input
+                            type="range"
+                            min="0"
+                            max={duration}
+                            step="0.1"
+                            value={trim.start}
+                            onChange={(e) => updateTrim('start', parseFloat(e.target.value))}
+                            className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                        />
+                    </label>
+                    <label className="flex items-center gap-3 text-sm text-white/80">
+                        <span className="w-8">Out</span>
+                        <input
+                            type="range"
+                            min="0"
+                            max={duration}
+                            step="0.1"
+                            value={trim.end}
+                            onChange={(e) => updateTrim('end', parseFloat(e.target.value))}
+                            className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                        />
+                    </label>
+                </div>
+            </div>
+
+            <p className="text-xs text-white/70">
+                Only the selected segment is extracted and stylized.
+                {duration > MAX_SEGMENT_SECONDS && ` Segments can be up to ${MAX_SEGMENT_SECONDS} seconds long.`}
+            </p>
+        </div>
+    );
+}
+
+export default VideoTrimmer;
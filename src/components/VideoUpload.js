@@ -9,15 +9,19 @@
  * - REQ-031: Single unified upload action (no duplicate buttons)
  * - REQ-032: Upload progress indicator
  * - REQ-033: Video thumbnail generation and display
+ *
+ * Photos (JPG, PNG, WEBP) are accepted too and stylized as a single still.
  * 
  * @author CartoonizeMe Team
  */
 
 import React, { useState, useContext } from 'react';
 import { AppContext } from '../context/AppContext';
+import { MEDIA_ACCEPT, readMediaFile } from '../utils/mediaFiles';
+import { jobStatus } from '../utils/jobQueue';
 
 function VideoUpload() {
-    const { setCurrentVideo, setError } = useContext(AppContext);
+    const { setCurrentVideo, setError, setAppState, videoHistory, batchQueue } = useContext(AppContext);
     const [isDragging, setIsDragging] = useState(false);
     const [isUploading, setIsUploading] = useState(false);
 
@@ -60,37 +64,7 @@ function VideoUpload() {
     const handleFileSelection = async (file) => {
         try {
             setIsUploading(true);
-
-            // Enhanced file validation
-            const validation = await validateVideoFile(file);
-            if (!validation.isValid) {
-                throw new Error(validation.error);
-            }
-
-            console.log('📁 Processing file:', file.name, file.size, file.type);
-
-            // Extract basic video metadata
-            const metadata = await extractVideoMetadata(file);
-
-            // Create video object with validation results
-            const videoData = {
-                file,
-                name: file.name,
-                size: file.size,
-                type: file.type,
-                duration: metadata.duration || 10,
-                thumbnail: metadata.thumbnail || null,
-                metadata: {
-                    width: metadata.width || 1920,
-                    height: metadata.height || 1080,
-                    frameRate: metadata.frameRate || 30,
-                    codec: metadata.codec || 'unknown',
-                    compatibility: validation.compatibility
-                }
-            };
-
-            setCurrentVideo(videoData);
-
+            setCurrentVideo(await readMediaFile(file));
         } catch (error) {
             console.error('❌ File processing error:', error);
             setError(error);
@@ -99,176 +73,7 @@ function VideoUpload() {
         }
     };
 
-    /**
-     * Validate video file format and compatibility
-     */
-    const validateVideoFile = async (file) => {
-        return new Promise((resolve) => {
-            // Check file type
-            const allowedTypes = [
-                'video/mp4',
-                'video/webm',
-                'video/quicktime', // .mov
-                'video/avi',
-                'video/x-msvideo' // alternative avi mime type
-            ];
-
-            if (!allowedTypes.includes(file.type)) {
-                resolve({
-                    isValid: false,
-                    error: `Unsupported file format: ${file.type || 'unknown'}. Please use MP4 (H.264), WebM, MOV, or AVI format.`,
-                    compatibility: 'unsupported'
-                });
-                return;
-            }
-
-            // Check file size (100MB limit)
-            const maxSize = 100 * 1024 * 1024; // 100MB
-            if (file.size > maxSize) {
-                resolve({
-                    isValid: false,
-                    error: `File too large: ${(file.size / 1024 / 1024).toFixed(1)}MB. Maximum size is 100MB.`,
-                    compatibility: 'too_large'
-                });
-                return;
-            }
-
-            // Test browser support for the specific video type
-            const video = document.createElement('video');
-            const canPlayType = video.canPlayType(file.type);
-
-            let compatibility = 'unknown';
-            if (canPlayType === 'probably') {
-                compatibility = 'excellent';
-            } else if (canPlayType === 'maybe') {
-                compatibility = 'good';
-            } else if (canPlayType === '') {
-                compatibility = 'poor';
-            }
-
-            // For MP4, check for common codec support
-            if (file.type === 'video/mp4') {
-                const h264Support = video.canPlayType('video/mp4; codecs="avc1.42E01E"');
-                if (h264Support === 'probably' || h264Support === 'maybe') {
-                    compatibility = 'excellent';
-                }
-            }
-
-            console.log(`📹 Browser compatibility for ${file.type}: ${canPlayType} (${compatibility})`);
-
-            if (compatibility === 'poor') {
-                resolve({
-                    isValid: false,
-                    error: `Your browser may not support this video format. Please try converting to MP4 with H.264 codec for best compatibility.`,
-                    compatibility: 'poor'
-                });
-                return;
-            }
-
-            resolve({
-                isValid: true,
-                compatibility: compatibility
-            });
-        });
-    };
-
-    /**
-     * Extract basic video metadata
-     */
-    const extractVideoMetadata = (file) => {
-        return new Promise((resolve) => {
-            const video = document.createElement('video');
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-
-            video.muted = true;
-            video.preload = 'metadata';
-
-            const timeout = setTimeout(() => {
-                resolve({
-                    duration: null,
-                    width: null,
-                    height: null,
-                    frameRate: null,
-                    thumbnail: null,
-                    codec: null
-                });
-            }, 10000); // 10 second timeout
-
-            video.onloadedmetadata = () => {
-                clearTimeout(timeout);
-
-                const metadata = {
-                    duration: video.duration,
-                    width: video.videoWidth,
-                    height: video.videoHeight,
-                    frameRate: 30, // Default estimate
-                    codec: 'unknown'
-                };
-
-                // Check duration limit (30 seconds)
-                if (video.duration > 30) {
-                    resolve({
-                        ...metadata,
-                        error: `Video too long: ${video.duration.toFixed(1)}s. Maximum duration is 30 seconds.`
-                    });
-                    return;
-                }
-
-                // Create thumbnail
-                if (video.videoWidth > 0 && video.videoHeight > 0) {
-                    canvas.width = 200; // Thumbnail width
-                    canvas.height = (200 * video.videoHeight) / video.videoWidth;
-
-                    video.currentTime = Math.min(1, video.duration * 0.1);
-
-                    video.onseeked = () => {
-                        try {
-                            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-                            canvas.toBlob((blob) => {
-                                resolve({
-                                    ...metadata,
-                                    thumbnail: blob ? URL.createObjectURL(blob) : null
-                                });
-                            }, 'image/jpeg', 0.8);
-                        } catch (error) {
-                            resolve(metadata);
-                        }
-                    };
-                } else {
-                    resolve(metadata);
-                }
-            };
-
-            video.onerror = () => {
-                clearTimeout(timeout);
-                resolve({
-                    duration: null,
-                    width: null,
-                    height: null,
-                    frameRate: null,
-                    thumbnail: null,
-                    codec: null,
-                    error: 'Could not read video metadata'
-                });
-            };
-
-            try {
-                video.src = URL.createObjectURL(file);
-            } catch (error) {
-                clearTimeout(timeout);
-                resolve({
-                    duration: null,
-                    width: null,
-                    height: null,
-                    frameRate: null,
-                    thumbnail: null,
-                    codec: null,
-                    error: 'Could not create video URL'
-                });
-            }
-        });
-    };
+    const queuedJobCount = batchQueue.filter(job => job.status === jobStatus.QUEUED).length;
 
     return (
         <div className="space-y-12">
@@ -296,7 +101,7 @@ function VideoUpload() {
                     style={{
                         textShadow: '0 1px 3px rgba(0, 0, 0, 0.3)'
                     }}>
-                    Upload a video and watch it transform into beautiful artistic styles using
+                    Upload a video or photo and watch it transform into beautiful artistic styles using
                     <span className="text-gradient-primary font-bold"> cutting-edge neural style transfer</span> technology.
                 </p>
             </div>
@@ -356,7 +161,7 @@ function VideoUpload() {
                                 }}>
                                 {isUploading ? 'Processing Your Video...' :
                                     isDragging ? 'Drop It Like It\'s Hot!' :
-                                        'Upload Your Video'}
+                                        'Upload Your Video or Photo'}
                             </h2>
 
                             <p className="text-lg text-white/80 mb-8 max-w-md mx-auto">
@@ -364,7 +169,7 @@ function VideoUpload() {
                                     ? 'Analyzing your video file and preparing for magic...'
                                     : isDragging
                                         ? 'Release to start the transformation!'
-                                        : 'Drag & drop your video here, or click to browse'
+                                        : 'Drag & drop your video or photo here, or click to browse'
                                 }
                             </p>
 
@@ -376,18 +181,19 @@ function VideoUpload() {
                                         <div className="font-semibold text-white mb-1">Best Formats</div>
                                         <div className="text-white/70">MP4 (H.264)</div>
                                         <div className="text-white/50 text-xs mt-1">Also: WebM, MOV, AVI</div>
+                                        <div className="text-white/50 text-xs">Photos: JPG, PNG, WEBP</div>
                                     </div>
                                     <div className="text-center">
                                         <div className="text-2xl mb-2">⏱️</div>
                                         <div className="font-semibold text-white mb-1">Max Duration</div>
-                                        <div className="text-white/70">30 seconds</div>
-                                        <div className="text-white/50 text-xs mt-1">For best performance</div>
+                                        <div className="text-white/70">30 seconds per render</div>
+                                        <div className="text-white/50 text-xs mt-1">Trim longer videos after upload</div>
                                     </div>
                                     <div className="text-center">
                                         <div className="text-2xl mb-2">💾</div>
                                         <div className="font-semibold text-white mb-1">Max File Size</div>
-                                        <div className="text-white/70">100MB</div>
-                                        <div className="text-white/50 text-xs mt-1">Smaller = faster</div>
+                                        <div className="text-white/70">250MB</div>
+                                        <div className="text-white/50 text-xs mt-1">25MB for photos</div>
                                     </div>
                                 </div>
 
@@ -408,7 +214,7 @@ function VideoUpload() {
                                     }}
                                 >
                                     <span className="mr-3 text-xl">🚀</span>
-                                    Choose Your Video
+                                    Choose Video or Photo
                                     <span className="ml-3 text-xl">✨</span>
                                 </button>
                             )}
@@ -417,7 +223,7 @@ function VideoUpload() {
                             <input
                                 id="file-input"
                                 type="file"
-                                accept="video/mp4,video/webm,video/quicktime,video/avi,video/x-msvideo,.mp4,.webm,.mov,.avi"
+                                accept={MEDIA_ACCEPT}
                                 onChange={handleFileInput}
                                 className="hidden"
                             />
@@ -439,6 +245,64 @@ function VideoUpload() {
                 </div>
             </div>
 
+            {/* Live webcam mode */}
+            <div className="text-center">
+                <div className="glass rounded-2xl p-6 max-w-4xl mx-auto flex flex-col md:flex-row items-center justify-between gap-4">
+                    <div className="text-left">
+                        <h3 className="text-xl font-bold text-white mb-1">📷 No video handy?</h3>
+                        <p className="text-white/70 text-sm">
+                            Stylize your webcam live and record the result.
+                        </p>
+                    </div>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => setAppState('live')}
+                    >
+                        Go Live with Webcam
+                    </button>
+                </div>
+            </div>
+
+            {/* Batch processing */}
+            <div className="text-center">
+                <div className="glass rounded-2xl p-6 max-w-4xl mx-auto flex flex-col md:flex-row items-center justify-between gap-4">
+                    <div className="text-left">
+                        <h3 className="text-xl font-bold text-white mb-1">📋 Lots of clips?</h3>
+                        <p className="text-white/70 text-sm">
+                            {queuedJobCount > 0
+                                ? `${queuedJobCount} ${queuedJobCount === 1 ? 'job is' : 'jobs are'} waiting in your batch queue.`
+                                : 'Queue several videos with one or more styles and let them run one after another.'}
+                        </p>
+                    </div>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => setAppState('batch')}
+                    >
+                        Open Batch Queue
+                    </button>
+                </div>
+            </div>
+
+            {/* Previous results */}
+            {videoHistory.length > 0 && (
+                <div className="text-center">
+                    <div className="glass rounded-2xl p-6 max-w-4xl mx-auto flex flex-col md:flex-row items-center justify-between gap-4">
+                        <div className="text-left">
+                            <h3 className="text-xl font-bold text-white mb-1">📚 Your History</h3>
+                            <p className="text-white/70 text-sm">
+                                {videoHistory.length} saved {videoHistory.length === 1 ? 'result' : 'results'} - view, download or run them again.
+                            </p>
+                        </div>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => setAppState('history')}
+                        >
+                            Open History
+                        </button>
+                    </div>
+                </div>
+            )}
+
             {/* Bottom info section */}
             <div className="text-center">
                 <div className="glass rounded-2xl p-8 max-w-4xl mx-auto">
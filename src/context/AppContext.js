@@ -14,6 +14,13 @@
  */
 
 import React, { createContext, useReducer, useEffect, useCallback } from 'react';
+import { normalizeQuality } from '../utils/outputGeometry';
+import * as historyStore from '../utils/historyStore';
+import * as styleLibrary from '../utils/styleLibrary';
+import * as jobQueue from '../utils/jobQueue';
+import { loadPresetStyles } from '../utils/presetStyles';
+import { createBlendRecipe } from '../utils/styleBlend';
+import { saveBlendImage, deleteUnusedBlendImages } from '../utils/blendImageStore';
 
 /**
  * Application State Interface
@@ -21,18 +28,22 @@ import React, { createContext, useReducer, useEffect, useCallback } from 'react'
  */
 const initialState = {
     // Application flow state
-    appState: 'upload', // 'upload' | 'styleSelection' | 'processing' | 'results'
+    appState: 'upload', // 'upload' | 'styleSelection' | 'processing' | 'results' | 'live' | 'history' | 'batch'
     isLoading: false,
     error: null,
 
     // Video data
     currentVideo: null, // { file, metadata, thumbnail, duration, frames }
-    videoHistory: [], // Array of previously processed videos
+    videoHistory: [], // Previously processed results, newest first (persisted in IndexedDB, see historyStore.js)
 
     // Style selection
     selectedStyle: null, // Selected style object
-    availableStyles: [], // Array of available styles
-    customStyles: [], // User uploaded custom styles (future feature)
+    availableStyles: [], // Built-in preset styles (from public/styles/manifest.json, see presetStyles.js)
+    customStyles: [], // Saved style library, most recently used first (persisted in IndexedDB, see styleLibrary.js)
+    styleBlends: [], // Saved multi-style blend recipes (persisted in localStorage, images in IndexedDB, see blendImageStore.js)
+
+    // Batch processing
+    batchQueue: [], // Batch jobs in the order they run (persisted in IndexedDB, see jobQueue.js)
 
     // Processing state
     processingState: {
@@ -48,8 +59,11 @@ const initialState = {
 
     // User preferences (REQ-048)
     preferences: {
-        outputFormat: 'mp4', // 'mp4' | 'webm'
-        quality: 'high', // 'low' | 'medium' | 'high'
+        outputFormat: 'mp4', // 'mp4' | 'webm' | 'gif' | 'apng'
+        quality: 'source', // '360p' | '480p' | '720p' | '1080p' | 'source'
+        aspectRatio: 'source', // 'source' | '1:1' | '9:16' | '16:9'
+        fit: 'letterbox', // 'letterbox' | 'crop'
+        keepFrames: false, // Keep the stylized frames for PNG sequence export
         enableGPU: true,
         showPreviewFrames: true,
         autoDownload: false
@@ -78,12 +92,24 @@ const actionTypes = {
     // Video actions
     SET_CURRENT_VIDEO: 'SET_CURRENT_VIDEO',
     CLEAR_CURRENT_VIDEO: 'CLEAR_CURRENT_VIDEO',
+    SET_HISTORY: 'SET_HISTORY',
     ADD_TO_HISTORY: 'ADD_TO_HISTORY',
+    UPDATE_HISTORY_ENTRY: 'UPDATE_HISTORY_ENTRY',
+    REMOVE_FROM_HISTORY: 'REMOVE_FROM_HISTORY',
 
     // Style actions
     SET_SELECTED_STYLE: 'SET_SELECTED_STYLE',
     SET_AVAILABLE_STYLES: 'SET_AVAILABLE_STYLES',
+    SET_CUSTOM_STYLES: 'SET_CUSTOM_STYLES',
     ADD_CUSTOM_STYLE: 'ADD_CUSTOM_STYLE',
+    REMOVE_CUSTOM_STYLE: 'REMOVE_CUSTOM_STYLE',
+    SAVE_STYLE_BLEND: 'SAVE_STYLE_BLEND',
+    DELETE_STYLE_BLEND: 'DELETE_STYLE_BLEND',
+
+    // Batch queue actions
+    SET_BATCH_QUEUE: 'SET_BATCH_QUEUE',
+    UPSERT_BATCH_JOBS: 'UPSERT_BATCH_JOBS',
+    REMOVE_BATCH_JOB: 'REMOVE_BATCH_JOB',
 
     // Processing actions
     SET_PROCESSING_STATE: 'SET_PROCESSING_STATE',
@@ -152,10 +178,28 @@ function appReducer(state, action) {
                 processingState: { ...initialState.processingState }
             };
 
+        case actionTypes.SET_HISTORY:
+            return {
+                ...state,
+                videoHistory: action.payload
+            };
+
         case actionTypes.ADD_TO_HISTORY:
             return {
                 ...state,
-                videoHistory: [action.payload, ...state.videoHistory.slice(0, 9)] // Keep last 10
+                videoHistory: [action.payload, ...state.videoHistory.filter(entry => entry.id !== action.payload.id)]
+            };
+
+        case actionTypes.UPDATE_HISTORY_ENTRY:
+            return {
+                ...state,
+                videoHistory: state.videoHistory.map(entry => entry.id === action.payload.id ? action.payload : entry)
+            };
+
+        case actionTypes.REMOVE_FROM_HISTORY:
+            return {
+                ...state,
+                videoHistory: state.videoHistory.filter(entry => !action.payload.includes(entry.id))
             };
 
         case actionTypes.SET_SELECTED_STYLE:
@@ -171,10 +215,68 @@ function appReducer(state, action) {
                 availableStyles: action.payload
             };
 
+        case actionTypes.SET_CUSTOM_STYLES:
+            return {
+                ...state,
+                customStyles: action.payload
+            };
+
         case actionTypes.ADD_CUSTOM_STYLE:
+            // Saving or using a style again moves it to the front
+            return {
+                ...state,
+                customStyles: [action.payload, ...state.customStyles.filter(style => style.id !== action.payload.id)]
+            };
+
+        case actionTypes.REMOVE_CUSTOM_STYLE:
+            return {
+                ...state,
+                customStyles: state.customStyles.filter(style => style.id !== action.payload)
+            };
+
+        case actionTypes.SAVE_STYLE_BLEND: {
+            const styleBlends = [action.payload, ...state.styleBlends.filter(blend => blend.id !== action.payload.id)]
+                .slice(0, MAX_STYLE_BLENDS);
+            saveStyleBlends(styleBlends);
             return {
                 ...state,
-                customStyles: [...state.customStyles, action.payload]
+                styleBlends
+            };
+        }
+
+        case actionTypes.DELETE_STYLE_BLEND: {
+            const styleBlends = state.styleBlends.filter(blend => blend.id !== action.payload);
+            saveStyleBlends(styleBlends);
+            return {
+                ...state,
+                styleBlends
+            };
+        }
+
+        case actionTypes.SET_BATCH_QUEUE:
+            return {
+                ...state,
+                batchQueue: action.payload
+            };
+
+        case actionTypes.UPSERT_BATCH_JOBS: {
+            const updatedIds = action.payload.map(job => job.id);
+            const added = action.payload.filter(job => !state.batchQueue.some(existing => existing.id === job.id));
+            return {
+                ...state,
+                batchQueue: [
+                    ...state.batchQueue.map(job => updatedIds.includes(job.id)
+                        ? action.payload.find(updated => updated.id === job.id)
+                        : job),
+                    ...added
+                ]
+            };
+        }
+
+        case actionTypes.REMOVE_BATCH_JOB:
+            return {
+                ...state,
+                batchQueue: state.batchQueue.filter(job => job.id !== action.payload)
             };
 
         case actionTypes.SET_PROCESSING_STATE:
@@ -252,7 +354,12 @@ function appReducer(state, action) {
         case actionTypes.RESET_ALL:
             return {
                 ...initialState,
-                preferences: state.preferences // Keep user preferences
+                preferences: state.preferences, // Keep user preferences
+                styleBlends: state.styleBlends,
+                videoHistory: state.videoHistory,
+                customStyles: state.customStyles,
+                availableStyles: state.availableStyles,
+                batchQueue: state.batchQueue
             };
 
         default:
@@ -271,7 +378,8 @@ function loadPreferences() {
             const parsed = JSON.parse(saved);
             // Validate preferences structure
             if (typeof parsed === 'object' && parsed !== null) {
-                return { ...initialState.preferences, ...parsed };
+                // Earlier versions stored quality as 'low' | 'medium' | 'high'
+                return { ...initialState.preferences, ...parsed, quality: normalizeQuality(parsed.quality) };
             }
         }
     } catch (error) {
@@ -280,6 +388,37 @@ function loadPreferences() {
     return initialState.preferences;
 }
 
+const MAX_STYLE_BLENDS = 10;
+
+/**
+ * Load saved style blend recipes from localStorage
+ */
+function loadStyleBlends() {
+    try {
+        const saved = localStorage.getItem('cartoonizeme_style_blends');
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed)) {
+                return parsed;
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to load style blends from localStorage:', error);
+    }
+    return initialState.styleBlends;
+}
+
+/**
+ * Save style blend recipes to localStorage
+ */
+function saveStyleBlends(styleBlends) {
+    try {
+        localStorage.setItem('cartoonizeme_style_blends', JSON.stringify(styleBlends));
+    } catch (error) {
+        console.warn('Failed to save style blends to localStorage:', error);
+    }
+}
+
 // Create context
 const AppContext = createContext();
 
@@ -291,7 +430,8 @@ function AppProvider({ children }) {
     // Initialize state with loaded preferences
     const [state, dispatch] = useReducer(appReducer, {
         ...initialState,
-        preferences: loadPreferences()
+        preferences: loadPreferences(),
+        styleBlends: loadStyleBlends()
     });
 
     /**
@@ -357,8 +497,41 @@ function AppProvider({ children }) {
             dispatch({ type: actionTypes.CLEAR_CURRENT_VIDEO });
         }, []),
 
-        addToHistory: useCallback((videoData) => {
-            dispatch({ type: actionTypes.ADD_TO_HISTORY, payload: videoData });
+        addToHistory: useCallback((entry) => {
+            dispatch({ type: actionTypes.ADD_TO_HISTORY, payload: entry });
+        }, []),
+
+        // Persist a processing result; old entries may be evicted to make room
+        // Save a result to the history ({ keepIds }: entries that must not be evicted for it)
+        saveResultToHistory: useCallback(async (result, preferences, options) => {
+            let saved;
+            try {
+                saved = await historyStore.saveToHistory(result, preferences, options);
+            } catch (error) {
+                // Entries may have been evicted before the save failed
+                const entries = await historyStore.loadHistory().catch(() => null);
+                if (entries) {
+                    dispatch({ type: actionTypes.SET_HISTORY, payload: entries });
+                }
+                throw error;
+            }
+
+            const { entry, evictedIds } = saved;
+            if (evictedIds.length > 0) {
+                dispatch({ type: actionTypes.REMOVE_FROM_HISTORY, payload: evictedIds });
+            }
+            dispatch({ type: actionTypes.ADD_TO_HISTORY, payload: entry });
+            return entry;
+        }, []),
+
+        renameHistoryEntry: useCallback(async (id, name) => {
+            const entry = await historyStore.renameHistoryEntry(id, name);
+            dispatch({ type: actionTypes.UPDATE_HISTORY_ENTRY, payload: entry });
+        }, []),
+
+        deleteHistoryEntry: useCallback(async (id) => {
+            await historyStore.deleteHistoryEntry(id);
+            dispatch({ type: actionTypes.REMOVE_FROM_HISTORY, payload: [id] });
         }, []),
 
         // Style actions
@@ -374,6 +547,68 @@ function AppProvider({ children }) {
             dispatch({ type: actionTypes.ADD_CUSTOM_STYLE, payload: style });
         }, []),
 
+        // Save a style reference to the library ({ name, tags, styleRatio })
+        saveCustomStyle: useCallback(async (styleData, details) => {
+            const record = await styleLibrary.saveStyleToLibrary(styleData, details);
+            dispatch({ type: actionTypes.ADD_CUSTOM_STYLE, payload: record });
+            return record;
+        }, []),
+
+        updateCustomStyle: useCallback(async (id, changes) => {
+            const record = await styleLibrary.updateLibraryStyle(id, changes);
+            dispatch({ type: actionTypes.ADD_CUSTOM_STYLE, payload: record });
+            return record;
+        }, []),
+
+        deleteCustomStyle: useCallback(async (id) => {
+            await styleLibrary.deleteLibraryStyle(id);
+            dispatch({ type: actionTypes.REMOVE_CUSTOM_STYLE, payload: id });
+        }, []),
+
+        // Remember the strength a saved style was last used at
+        recordStyleUse: useCallback(async (style) => {
+            if (!style?.libraryId) return;
+            const record = await styleLibrary.recordLibraryStyleUse(style.libraryId, style.styleRatio ?? 1.0);
+            if (record) {
+                dispatch({ type: actionTypes.ADD_CUSTOM_STYLE, payload: record });
+            }
+        }, []),
+
+        // Save the current blend; its images go to the blend image store and the recipe keeps their ids
+        saveStyleBlend: useCallback(async (components, styleRatio) => {
+            const savedComponents = await Promise.all(components.map(async component => ({
+                ...component,
+                imageId: await saveBlendImage(component)
+            })));
+
+            const recipe = createBlendRecipe(savedComponents, styleRatio);
+            dispatch({ type: actionTypes.SAVE_STYLE_BLEND, payload: recipe });
+            return recipe;
+        }, []),
+
+        deleteStyleBlend: useCallback((blendId) => {
+            dispatch({ type: actionTypes.DELETE_STYLE_BLEND, payload: blendId });
+        }, []),
+
+        // Batch queue actions
+        enqueueBatchJobs: useCallback(async (videos, styles, preferences) => {
+            const jobs = await jobQueue.enqueueJobs(videos, styles, preferences);
+            dispatch({ type: actionTypes.UPSERT_BATCH_JOBS, payload: jobs });
+            jobQueue.requestQueueSync();
+            return jobs;
+        }, []),
+
+        updateBatchJob: useCallback(async (id, changes) => {
+            const job = await jobQueue.updateQueueJob(id, changes);
+            dispatch({ type: actionTypes.UPSERT_BATCH_JOBS, payload: [job] });
+            return job;
+        }, []),
+
+        deleteBatchJob: useCallback(async (id) => {
+            await jobQueue.deleteQueueJob(id);
+            dispatch({ type: actionTypes.REMOVE_BATCH_JOB, payload: id });
+        }, []),
+
         // Processing actions
         setProcessingState: useCallback((stateUpdate) => {
             dispatch({ type: actionTypes.SET_PROCESSING_STATE, payload: stateUpdate });
@@ -423,6 +658,31 @@ function AppProvider({ children }) {
         }, [])
     };
 
+    // Load the preset style pack, persisted history, style library and batch queue
+    useEffect(() => {
+        loadPresetStyles()
+            .then(styles => dispatch({ type: actionTypes.SET_AVAILABLE_STYLES, payload: styles }))
+            .catch(error => console.warn('Failed to load preset styles:', error));
+
+        historyStore.loadHistory()
+            .then(entries => dispatch({ type: actionTypes.SET_HISTORY, payload: entries }))
+            .catch(error => console.warn('Failed to load history from IndexedDB:', error));
+
+        styleLibrary.loadStyleLibrary()
+            .then(styles => dispatch({ type: actionTypes.SET_CUSTOM_STYLES, payload: styles }))
+            .catch(error => console.warn('Failed to load style library from IndexedDB:', error));
+
+        jobQueue.loadQueue()
+            .then(jobs => dispatch({ type: actionTypes.SET_BATCH_QUEUE, payload: jobs }))
+            .catch(error => console.warn('Failed to load batch queue from IndexedDB:', error));
+    }, []);
+
+    // Free the images of blends that were deleted or pushed out by newer ones
+    useEffect(() => {
+        deleteUnusedBlendImages(state.styleBlends)
+            .catch(error => console.warn('Failed to delete unused blend images:', error));
+    }, [state.styleBlends]);
+
     // Log state changes in development
     useEffect(() => {
         if (process.env.NODE_ENV === 'development') {
@@ -15,6 +15,8 @@ import { precacheAndRoute, cleanupOutdatedCaches } from 'workbox-precaching';
 import { registerRoute } from 'workbox-routing';
 import { CacheFirst, NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
 import { ExpirationPlugin } from 'workbox-expiration';
+import { stores, getAllRecords } from './utils/database';
+import { jobStatus, QUEUE_SYNC_TAG } from './utils/jobQueue';
 
 const CACHE_NAME = 'cartoonizeme-v1';
 const MODEL_CACHE_NAME = 'cartoonizeme-models-v1';
@@ -45,6 +47,24 @@ registerRoute(
     })
 );
 
+/**
+ * Cache Strategy for the Multi-threaded FFmpeg Core
+ * Not precached (it only runs on cross-origin isolated pages), so it's kept
+ * once a page that can use it has loaded it
+ */
+registerRoute(
+    ({ url }) => url.pathname.startsWith('/ffmpeg/core-mt/'),
+    new CacheFirst({
+        cacheName: 'ffmpeg-core-mt',
+        plugins: [
+            new ExpirationPlugin({
+                maxEntries: 3,
+                purgeOnQuotaError: true,
+            }),
+        ],
+    })
+);
+
 /**
  * Cache Strategy for Static Assets
  * Cache JavaScript, CSS, and other static assets
@@ -101,43 +121,36 @@ registerRoute(
 
 /**
  * Handle Background Sync for Processing Queue
- * This would be used for queuing video processing tasks
+ * Registered by the app when batch jobs are queued (see jobQueue.js)
  */
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'video-processing-queue') {
+    if (event.tag === QUEUE_SYNC_TAG) {
         event.waitUntil(processVideoQueue());
     }
 });
 
 /**
- * Process queued video processing tasks
+ * Hand queued batch jobs to an open app window. Styling needs WebGL and
+ * FFmpeg, which a service worker doesn't have, so the jobs run in the page;
+ * with no window open they stay queued until the app is opened again.
  */
 async function processVideoQueue() {
-    console.log('📋 Processing video queue in background...');
+    console.log('📋 Checking the video queue in background...');
 
     try {
-        // Get queued processing tasks from IndexedDB
         const queue = await getProcessingQueue();
+        if (queue.length === 0) {
+            return;
+        }
 
-        for (const task of queue) {
-            try {
-                // Process video task
-                await processVideoTask(task);
-
-                // Remove from queue on success
-                await removeFromQueue(task.id);
-
-                // Notify main thread of completion
-                await notifyMainThread('processing-complete', task);
-
-            } catch (error) {
-                console.error('❌ Background processing failed for task:', task.id, error);
-
-                // Update task with error status
-                await updateQueueTask(task.id, { status: 'failed', error: error.message });
-            }
+        const clients = await self.clients.matchAll({ type: 'window' });
+        if (clients.length === 0) {
+            console.log(`📋 ${queue.length} queued jobs will run when the app is opened`);
+            return;
         }
 
+        await notifyMainThread('processing-queue-pending', { count: queue.length });
+
     } catch (error) {
         console.error('❌ Failed to process video queue:', error);
     }
@@ -288,27 +301,11 @@ async function getCacheSize() {
 }
 
 /**
- * Utility Functions for IndexedDB Operations
- * These would be fully implemented for production use
+ * Jobs waiting in the batch queue (IndexedDB, shared with the app)
  */
 async function getProcessingQueue() {
-    // Implementation would use IndexedDB to get queued tasks
-    return [];
-}
-
-async function removeFromQueue(taskId) {
-    // Implementation would remove task from IndexedDB
-    console.log(`Removing task ${taskId} from queue`);
-}
-
-async function updateQueueTask(taskId, updates) {
-    // Implementation would update task in IndexedDB
-    console.log(`Updating task ${taskId}:`, updates);
-}
-
-async function processVideoTask(task) {
-    // Implementation would process video using Web Workers
-    console.log(`Processing video task:`, task);
+    const jobs = await getAllRecords(stores.QUEUE);
+    return jobs.filter(job => job.status === jobStatus.QUEUED);
 }
 
 async function notifyMainThread(type, data) {
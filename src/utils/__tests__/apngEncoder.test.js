@@ -0,0 +1,88 @@
+import { inflateSync, crc32 } from 'zlib';
+import ApngEncoder from '../apngEncoder';
+
+function createFrame(width, height, shade) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        data.set([(p * 7 + shade) % 256, (p * 3) % 256, shade, 200], p * 4);
+    }
+    return { width, height, data };
+}
+
+// Split a PNG into its chunks, checking the signature and every CRC
+function readChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    expect([...bytes.subarray(0, 8)]).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const chunks = [];
+    for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset);
+        const body = bytes.subarray(offset + 4, offset + 8 + length);
+        expect(view.getUint32(offset + 8 + length)).toBe(crc32(body));
+        chunks.push({ type: String.fromCharCode(...body.subarray(0, 4)), data: body.subarray(4) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+// Undo the "Sub" filter of inflated RGBA scanlines
+function unfilter(bytes, width, height) {
+    const rowLength = width * 4;
+    const pixels = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        expect(bytes[y * (rowLength + 1)]).toBe(1);
+        for (let x = 0; x < rowLength; x++) {
+            const left = x >= 4 ? pixels[y * rowLength + x - 4] : 0;
+            pixels[y * rowLength + x] = (bytes[y * (rowLength + 1) + 1 + x] + left) & 0xff;
+        }
+    }
+    return pixels;
+}
+
+describe('ApngEncoder', () => {
+    it('writes valid chunks that decode back to the frames', async () => {
+        const frames = [createFrame(5, 3, 10), createFrame(5, 3, 90), createFrame(5, 3, 250)];
+        const encoder = new ApngEncoder(5, 3, frames.length, { fps: 25 });
+        for (const frame of frames) {
+            await encoder.addFrame(frame);
+        }
+        const blob = encoder.finish();
+        expect(blob.type).toBe('image/apng');
+
+        const chunks = readChunks(new Uint8Array(await blob.arrayBuffer()));
+        expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+
+        const uint32 = (data, offset) => new DataView(data.buffer, data.byteOffset).getUint32(offset);
+        const uint16 = (data, offset) => new DataView(data.buffer, data.byteOffset).getUint16(offset);
+
+        const [ihdr, actl] = chunks;
+        expect([uint32(ihdr.data, 0), uint32(ihdr.data, 4), ...ihdr.data.subarray(8)]).toEqual([5, 3, 8, 6, 0, 0, 0]);
+        expect([uint32(actl.data, 0), uint32(actl.data, 4)]).toEqual([3, 0]);
+
+        // fcTL and fdAT share one sequence, counting up from 0
+        const sequence = chunks.filter(chunk => chunk.type === 'fcTL' || chunk.type === 'fdAT').map(chunk => uint32(chunk.data, 0));
+        expect(sequence).toEqual([0, 1, 2, 3, 4]);
+
+        const controls = chunks.filter(chunk => chunk.type === 'fcTL');
+        controls.forEach(control => expect([uint16(control.data, 20), uint16(control.data, 22)]).toEqual([40, 1000]));
+
+        const frameData = chunks
+            .filter(chunk => chunk.type === 'IDAT' || chunk.type === 'fdAT')
+            .map(chunk => (chunk.type === 'IDAT' ? chunk.data : chunk.data.subarray(4)));
+        frameData.forEach((data, i) => {
+            expect(unfilter(inflateSync(data), 5, 3)).toEqual(new Uint8Array(frames[i].data));
+        });
+    });
+
+    it('keeps each frame on screen for its own duration', async () => {
+        const encoder = new ApngEncoder(1, 1, 2);
+        await encoder.addFrame(createFrame(1, 1, 0), 0.125);
+        await encoder.addFrame(createFrame(1, 1, 0));
+
+        const chunks = readChunks(new Uint8Array(await encoder.finish().arrayBuffer()));
+        const delays = chunks
+            .filter(chunk => chunk.type === 'fcTL')
+            .map(chunk => new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint16(20));
+        expect(delays).toEqual([125, 100]);
+    });
+});
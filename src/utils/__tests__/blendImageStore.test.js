@@ -0,0 +1,70 @@
+import { saveBlendImage, loadBlendImage, deleteUnusedBlendImages } from '../blendImageStore';
+import * as database from '../database';
+
+jest.mock('../database', () => ({
+    __esModule: true,
+    stores: { BLEND_IMAGES: 'blendImages' },
+    getAllRecords: jest.fn(),
+    getRecord: jest.fn(),
+    putRecord: jest.fn(),
+    deleteRecord: jest.fn()
+}));
+
+// An in-memory object store behind the database mock
+let records;
+
+beforeEach(() => {
+    records = new Map();
+    database.getRecord.mockImplementation(async (store, id) => records.get(id));
+    database.getAllRecords.mockImplementation(async () => [...records.values()]);
+    database.putRecord.mockImplementation(async (store, record) => records.set(record.id, record));
+    database.deleteRecord.mockImplementation(async (store, id) => records.delete(id));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function recipe(...imageIds) {
+    return { components: imageIds.map(imageId => ({ imageId, fileName: `${imageId}.png`, weight: 1 })) };
+}
+
+describe('saveBlendImage', () => {
+    it('stores an image once under its hash', async () => {
+        const file = new File([new Uint8Array([1, 2, 3])], 'ink.png', { type: 'image/png' });
+
+        const id = await saveBlendImage({ file });
+        expect(await saveBlendImage({ file })).toBe(id);
+
+        expect(database.putRecord).toHaveBeenCalledTimes(1);
+        expect(await loadBlendImage(id)).toBe(file);
+    });
+
+    it('uses the style key the style already has', async () => {
+        const file = new File([new Uint8Array([1])], 'ink.png', { type: 'image/png' });
+        expect(await saveBlendImage({ file, styleKey: 'known' })).toBe('known');
+    });
+});
+
+describe('loadBlendImage', () => {
+    it('returns null for an image that is gone', async () => {
+        expect(await loadBlendImage('missing')).toBeNull();
+    });
+});
+
+describe('deleteUnusedBlendImages', () => {
+    it('deletes only the images no recipe uses', async () => {
+        ['a', 'b', 'c'].forEach(id => records.set(id, { id }));
+
+        await deleteUnusedBlendImages([recipe('a'), recipe('a', 'c')]);
+
+        expect([...records.keys()]).toEqual(['a', 'c']);
+    });
+
+    it('deletes everything when no recipes are left', async () => {
+        records.set('a', { id: 'a' });
+        await deleteUnusedBlendImages([]);
+        expect(records.size).toBe(0);
+    });
+});
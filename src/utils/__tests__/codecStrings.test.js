@@ -0,0 +1,40 @@
+import {
+    getAvcCodecString,
+    getHevcCodecString,
+    getAv1CodecString,
+    getVp9CodecString,
+    getAacCodecString
+} from '../codecStrings';
+
+describe('codec strings', () => {
+    it('reads the H.264 profile, constraints and level from avcC', () => {
+        expect(getAvcCodecString(Uint8Array.from([1, 0x64, 0x00, 0x1f, 0xff]))).toBe('avc1.64001f');
+        expect(getAvcCodecString(Uint8Array.from([1, 0x42, 0xc0, 0x1e]), 'avc3')).toBe('avc3.42c01e');
+    });
+
+    it('writes HEVC compatibility flags in reverse bit order and drops trailing zero constraints', () => {
+        // Main profile, main tier, level 3.1, progressive source flag only
+        const hvcC = Uint8Array.from([1, 0x01, 0x60, 0x00, 0x00, 0x00, 0xb0, 0, 0, 0, 0, 0, 93]);
+        expect(getHevcCodecString(hvcC)).toBe('hvc1.1.6.L93.B0');
+
+        // Main 10, high tier, level 5.1
+        const main10 = Uint8Array.from([1, 0x22, 0x20, 0x00, 0x00, 0x00, 0x90, 0, 0, 0, 0, 0, 153]);
+        expect(getHevcCodecString(main10, 'hev1')).toBe('hev1.2.4.H153.90');
+    });
+
+    it('reads the AV1 profile, level, tier and bit depth from av1C', () => {
+        expect(getAv1CodecString(Uint8Array.from([0x81, 0x08, 0x00]))).toBe('av01.0.08M.08');
+        expect(getAv1CodecString(Uint8Array.from([0x81, 0x2d, 0xc0]))).toBe('av01.1.13H.10');
+    });
+
+    it('pads the VP9 fields', () => {
+        expect(getVp9CodecString()).toBe('vp09.00.10.08');
+        expect(getVp9CodecString({ profile: 2, level: 41, bitDepth: 10 })).toBe('vp09.02.41.10');
+    });
+
+    it('reads the AAC object type, including escaped ones', () => {
+        expect(getAacCodecString(Uint8Array.from([0x12, 0x10]))).toBe('mp4a.40.2');
+        expect(getAacCodecString(Uint8Array.from([0x2b, 0x92]))).toBe('mp4a.40.5');
+        expect(getAacCodecString(Uint8Array.from([0xf9, 0x40]))).toBe('mp4a.40.42');
+    });
+});
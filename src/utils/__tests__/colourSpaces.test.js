@@ -0,0 +1,61 @@
+import {
+    BT709_COLOUR,
+    hasColourInfo,
+    isHdrColour,
+    getFFmpegColourNames,
+    parseFFmpegColourNames,
+    getWebCodecsColorSpace,
+    parseWebCodecsColorSpace,
+    canConvertToBt709
+} from '../colourSpaces';
+
+const HDR10 = { primaries: 9, transfer: 16, matrix: 9, fullRange: false };
+const UNSPECIFIED = { primaries: 2, transfer: 2, matrix: 2, fullRange: false };
+
+describe('colourSpaces', () => {
+    it('tells colour descriptions that say something from unspecified ones', () => {
+        expect(hasColourInfo(BT709_COLOUR)).toBe(true);
+        expect(hasColourInfo({ ...UNSPECIFIED, transfer: 13 })).toBe(true);
+        expect(hasColourInfo(UNSPECIFIED)).toBe(false);
+        expect(hasColourInfo(null)).toBe(false);
+    });
+
+    it('finds PQ and HLG HDR', () => {
+        expect(isHdrColour(HDR10)).toBe(true);
+        expect(isHdrColour({ ...HDR10, transfer: 18 })).toBe(true);
+        expect(isHdrColour({ ...HDR10, transfer: 14 })).toBe(false);
+        expect(isHdrColour(null)).toBe(false);
+    });
+
+    it('round-trips FFmpeg names', () => {
+        const names = getFFmpegColourNames(HDR10);
+        expect(names).toEqual({ primaries: 'bt2020', transfer: 'smpte2084', matrix: 'bt2020nc', range: 'tv' });
+        expect(parseFFmpegColourNames(names)).toEqual(HDR10);
+
+        const fullRangeSrgb = { primaries: 1, transfer: 13, matrix: 0, fullRange: true };
+        expect(parseFFmpegColourNames(getFFmpegColourNames(fullRangeSrgb))).toEqual(fullRangeSrgb);
+    });
+
+    it('leaves unknown FFmpeg names unspecified', () => {
+        expect(getFFmpegColourNames(UNSPECIFIED)).toEqual({ primaries: undefined, transfer: undefined, matrix: undefined, range: 'tv' });
+        expect(parseFFmpegColourNames({ primaries: 'jedec-p22', transfer: 'unknown', range: 'pc' }))
+            .toEqual({ ...UNSPECIFIED, fullRange: true });
+    });
+
+    it('round-trips WebCodecs colour spaces, leaving out what WebCodecs has no name for', () => {
+        const colorSpace = getWebCodecsColorSpace(HDR10);
+        expect(colorSpace).toEqual({ primaries: 'bt2020', transfer: 'pq', matrix: 'bt2020-ncl', fullRange: false });
+        expect(parseWebCodecsColorSpace(colorSpace)).toEqual(HDR10);
+
+        expect(getWebCodecsColorSpace({ primaries: 7, transfer: 14, matrix: 7, fullRange: true })).toEqual({ fullRange: true });
+        expect(parseWebCodecsColorSpace({ primaries: null, transfer: 'hlg' })).toEqual({ ...UNSPECIFIED, transfer: 18 });
+    });
+
+    it('only offers conversion to BT.709 for SDR colours FFmpeg can convert', () => {
+        expect(canConvertToBt709({ primaries: 9, transfer: 14, matrix: 9 })).toBe(true);
+        expect(canConvertToBt709({ primaries: 6, transfer: 6, matrix: 6 })).toBe(true);
+        expect(canConvertToBt709(HDR10)).toBe(false);
+        expect(canConvertToBt709({ primaries: 12, transfer: 13, matrix: 1 })).toBe(false);
+        expect(canConvertToBt709(UNSPECIFIED)).toBe(false);
+    });
+});
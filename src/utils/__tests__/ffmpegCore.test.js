@@ -0,0 +1,60 @@
+import { ffmpegVariants, getMultiThreadSupport, getFFmpegCoreSources, describeFFmpegStatus } from '../ffmpegCore';
+
+describe('getFFmpegCoreSources', () => {
+    it('tries the self-hosted multi-threaded core, then the single-threaded one', () => {
+        const sources = getFFmpegCoreSources();
+
+        expect(sources.map(({ name }) => name)).toEqual(['self-hosted (core-mt)', 'self-hosted (core)']);
+        expect(sources[0]).toMatchObject({ variant: ffmpegVariants.MULTI_THREADED, selfHosted: true, baseURL: '/ffmpeg/core-mt' });
+        expect(sources[0].files.workerURL).toBe('ffmpeg-core.worker.js');
+        expect(sources[1]).toMatchObject({ variant: ffmpegVariants.SINGLE_THREADED, selfHosted: true, baseURL: '/ffmpeg/core' });
+        expect(sources[1].files).toEqual({ coreURL: 'ffmpeg-core.js', wasmURL: 'ffmpeg-core.wasm' });
+    });
+
+    it('only adds unpkg.com when the build opts in', () => {
+        const { FFMPEG_CDN_FALLBACK } = process.env;
+        process.env.FFMPEG_CDN_FALLBACK = 'true';
+        try {
+            jest.isolateModules(() => {
+                const sources = require('../ffmpegCore').getFFmpegCoreSources();
+                expect(sources.map(({ selfHosted }) => selfHosted)).toEqual([true, true, false, false]);
+                expect(sources[2].baseURL).toBe('https://unpkg.com/@ffmpeg/core-mt@0.12.6/dist/esm');
+            });
+        } finally {
+            if (FFMPEG_CDN_FALLBACK === undefined) {
+                delete process.env.FFMPEG_CDN_FALLBACK;
+            } else {
+                process.env.FFMPEG_CDN_FALLBACK = FFMPEG_CDN_FALLBACK;
+            }
+        }
+    });
+});
+
+describe('getMultiThreadSupport', () => {
+    it('needs a cross-origin isolated page', () => {
+        expect(getMultiThreadSupport()).toEqual({
+            supported: false,
+            reason: 'the page is not cross-origin isolated (COOP/COEP headers missing)'
+        });
+
+        globalThis.crossOriginIsolated = true;
+        try {
+            expect(getMultiThreadSupport()).toEqual({ supported: true, reason: null });
+        } finally {
+            delete globalThis.crossOriginIsolated;
+        }
+    });
+});
+
+describe('describeFFmpegStatus', () => {
+    it('summarises how FFmpeg loaded, or what replaced it', () => {
+        expect(describeFFmpegStatus(null)).toBe('FFmpeg not loaded');
+        expect(describeFFmpegStatus({ variant: ffmpegVariants.SINGLE_THREADED, source: 'self-hosted (core)', reason: 'no SharedArrayBuffer' }))
+            .toBe('FFmpeg single-threaded (self-hosted (core)) - no SharedArrayBuffer');
+        expect(describeFFmpegStatus({ variant: ffmpegVariants.MULTI_THREADED, source: 'self-hosted (core-mt)', reason: null }))
+            .toBe('FFmpeg multi-threaded (self-hosted (core-mt))');
+        expect(describeFFmpegStatus({ variant: null, reason: 'core failed to load' })).toBe('HTML5 fallback - core failed to load');
+        expect(describeFFmpegStatus({ variant: null, fallback: 'WebCodecs', reason: 'core failed to load' }))
+            .toBe('WebCodecs fallback - core failed to load');
+    });
+});
@@ -0,0 +1,55 @@
+import { isBlankFrame, getFrameSignature, isSameFrame } from '../frameChecks';
+
+// RGBA image filled by `pixel(x, y)`
+function createImage(width, height, pixel) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(pixel(x, y), (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+const black = createImage(64, 64, () => [0, 0, 0, 255]);
+const grey = createImage(64, 64, () => [128, 128, 128, 255]);
+
+describe('frameChecks', () => {
+    it('finds black, near-black and transparent frames blank', () => {
+        expect(isBlankFrame(black)).toBe(true);
+        expect(isBlankFrame(createImage(64, 64, () => [8, 8, 8, 255]))).toBe(true);
+        expect(isBlankFrame(createImage(64, 64, () => [255, 255, 255, 0]))).toBe(true);
+        expect(isBlankFrame({ data: new Uint8ClampedArray(0), width: 0, height: 0 })).toBe(true);
+    });
+
+    it('finds frames with more than 5% content not blank', () => {
+        expect(isBlankFrame(grey)).toBe(false);
+        // A dark scene with a lit tenth of the picture
+        expect(isBlankFrame(createImage(64, 64, (x, y) => (y < 7 ? [200, 180, 90, 255] : [0, 0, 0, 255])))).toBe(false);
+        // ...but a few bright pixels are not enough
+        expect(isBlankFrame(createImage(64, 64, (x, y) => (y < 2 ? [200, 180, 90, 255] : [0, 0, 0, 255])))).toBe(true);
+    });
+
+    it('reduces a frame to a 16 x 16 luma grid', () => {
+        const signature = getFrameSignature(createImage(32, 32, x => (x < 16 ? [255, 255, 255, 255] : [0, 0, 255, 255])));
+
+        expect(signature).toHaveLength(256);
+        expect(signature[0]).toBeCloseTo(255, 3);
+        expect(signature[15]).toBeCloseTo(0.114 * 255, 3);
+    });
+
+    it('matches repeated frames and tells different ones apart', () => {
+        const gradient = createImage(64, 64, (x, y) => [x * 4, y * 4, 0, 255]);
+        const shifted = createImage(64, 64, (x, y) => [x * 4 + 12, y * 4, 0, 255]);
+
+        expect(isSameFrame(getFrameSignature(grey), getFrameSignature(grey))).toBe(true);
+        expect(isSameFrame(getFrameSignature(gradient), getFrameSignature(createImage(64, 64, (x, y) => [x * 4, y * 4, 0, 255])))).toBe(true);
+        expect(isSameFrame(getFrameSignature(grey), getFrameSignature(black))).toBe(false);
+        expect(isSameFrame(getFrameSignature(gradient), getFrameSignature(shifted))).toBe(false);
+    });
+
+    it('never matches a missing signature', () => {
+        expect(isSameFrame(null, getFrameSignature(grey))).toBe(false);
+        expect(isSameFrame(getFrameSignature(grey), new Float32Array(4))).toBe(false);
+    });
+});
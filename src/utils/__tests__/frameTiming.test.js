@@ -0,0 +1,38 @@
+import {
+    getFrameDuration,
+    getFrameTimeline,
+    getTimelineDuration,
+    hasFrameTiming,
+    isConstantTimeline
+} from '../frameTiming';
+
+describe('frameTiming', () => {
+    it('uses a frame\'s own duration and falls back to one step at the frame rate', () => {
+        expect(getFrameDuration({ duration: 0.25 }, 10)).toBe(0.25);
+        expect(getFrameDuration('data:image/png;base64,', 10)).toBeCloseTo(0.1);
+        expect(getFrameDuration({ duration: 0 }, 4)).toBe(0.25);
+        expect(getFrameDuration({ duration: NaN }, 4)).toBe(0.25);
+        expect(getFrameDuration(null, 4)).toBe(0.25);
+    });
+
+    it('lays frames end to end from 0', () => {
+        const timeline = getFrameTimeline([{ duration: 0.1 }, { duration: 0.25 }, 'frame', { duration: 0.05 }], 10);
+
+        expect(timeline.map(({ time }) => time)).toEqual([0, 0.1, 0.35, expect.closeTo(0.45)]);
+        expect(timeline.map(({ duration }) => duration)).toEqual([0.1, 0.25, 0.1, 0.05]);
+        expect(getTimelineDuration(timeline)).toBeCloseTo(0.5);
+        expect(getTimelineDuration([])).toBe(0);
+    });
+
+    it('tells frames with their own timing from plain ones', () => {
+        expect(hasFrameTiming(['a', 'b'])).toBe(false);
+        expect(hasFrameTiming([{ dataUrl: 'a' }])).toBe(false);
+        expect(hasFrameTiming(['a', { duration: 0.04 }])).toBe(true);
+    });
+
+    it('calls a timeline constant when every frame lasts one step within a millisecond', () => {
+        expect(isConstantTimeline(getFrameTimeline(['a', 'b', 'c'], 30), 30)).toBe(true);
+        expect(isConstantTimeline(getFrameTimeline([{ duration: 0.0336 }, { duration: 0.0331 }], 30), 30)).toBe(true);
+        expect(isConstantTimeline(getFrameTimeline([{ duration: 1 / 30 }, { duration: 0.05 }], 30), 30)).toBe(false);
+    });
+});
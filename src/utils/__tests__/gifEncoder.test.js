@@ -0,0 +1,164 @@
+import GifEncoder, { GifPaletteBuilder } from '../gifEncoder';
+
+const COLORS = [[0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255]];
+
+// Deterministic pseudo-random numbers for noisy frames
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) & 0x7fffffff;
+        return state / 0x80000000;
+    };
+}
+
+function createFrame(width, height, colorAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        data.set([...colorAt(p % width, Math.floor(p / width)), 255], p * 4);
+    }
+    return { width, height, data };
+}
+
+function lzwDecode(bytes, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    let bitPosition = 0;
+    let clears = 0;
+
+    const readCode = () => {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+            code |= ((bytes[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit;
+        }
+        return code;
+    };
+    const resetTable = () => {
+        table = Array.from({ length: endCode + 1 }, (_, code) => [code]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+
+    resetTable();
+    while (bitPosition + codeSize <= bytes.length * 8) {
+        const code = readCode();
+        if (code === clearCode) {
+            clears++;
+            resetTable();
+            continue;
+        }
+        if (code === endCode) {
+            return { indices: output, clears };
+        }
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+        } else if (code === table.length && previous) {
+            entry = [...previous, previous[0]];
+        } else {
+            throw new Error(`Invalid LZW code ${code}`);
+        }
+
+        output.push(...entry);
+        if (previous) {
+            table.push([...previous, entry[0]]);
+            if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        previous = entry;
+    }
+    throw new Error('LZW data ended without an end code');
+}
+
+// Read an encoded GIF into its palette and frames ({ delay, indices })
+function parseGif(bytes) {
+    const text = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    const short = offset => bytes[offset] | (bytes[offset + 1] << 8);
+    const readSubBlocks = (offset) => {
+        const chunks = [];
+        while (bytes[offset] !== 0) {
+            chunks.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+            offset += bytes[offset] + 1;
+        }
+        return { data: Uint8Array.from(chunks), next: offset + 1 };
+    };
+
+    expect(text(0, 6)).toBe('GIF89a');
+    const gif = { width: short(6), height: short(8), palette: bytes.subarray(13, 13 + 768), frames: [], loop: null };
+    let offset = 13 + 768;
+    let delay = null;
+
+    while (bytes[offset] !== 0x3b) {
+        if (bytes[offset] === 0x21) {
+            const label = bytes[offset + 1];
+            const { data, next } = readSubBlocks(offset + 2);
+            if (label === 0xf9) delay = data[1] | (data[2] << 8);
+            if (label === 0xff) gif.loop = data[12] | (data[13] << 8);
+            offset = next;
+        } else if (bytes[offset] === 0x2c) {
+            expect([short(offset + 5), short(offset + 7)]).toEqual([gif.width, gif.height]);
+            const minCodeSize = bytes[offset + 10];
+            const { data, next } = readSubBlocks(offset + 11);
+            gif.frames.push({ delay, ...lzwDecode(data, minCodeSize) });
+            offset = next;
+        } else {
+            throw new Error(`Unexpected GIF block 0x${bytes[offset].toString(16)}`);
+        }
+    }
+    return gif;
+}
+
+async function encode(frames, durations, fps) {
+    const palette = new GifPaletteBuilder(frames.length);
+    frames.forEach(frame => palette.addFrame(frame));
+
+    const encoder = new GifEncoder(frames[0].width, frames[0].height, palette.build(), { fps });
+    frames.forEach((frame, i) => encoder.addFrame(frame, durations?.[i]));
+    const blob = encoder.finish();
+    expect(blob.type).toBe('image/gif');
+    return parseGif(new Uint8Array(await blob.arrayBuffer()));
+}
+
+describe('GifEncoder', () => {
+    it('decodes back to the frame colours', async () => {
+        const frames = [0, 1].map(shift => createFrame(24, 16, (x, y) => COLORS[(Math.floor(x / 6) + y + shift) % 4]));
+        const gif = await encode(frames, null, 10);
+
+        expect([gif.width, gif.height, gif.loop]).toEqual([24, 16, 0]);
+        expect(gif.frames).toHaveLength(2);
+        gif.frames.forEach(({ indices }, f) => {
+            expect(indices).toHaveLength(24 * 16);
+            indices.forEach((index, p) => {
+                const decoded = gif.palette.subarray(index * 3, index * 3 + 3);
+                const source = frames[f].data.subarray(p * 4, p * 4 + 3);
+                decoded.forEach((value, c) => expect(Math.abs(value - source[c])).toBeLessThanOrEqual(8));
+            });
+        });
+    });
+
+    it('survives the LZW table filling up and being cleared', async () => {
+        const random = createRandom(7);
+        const frame = createFrame(160, 160, () => COLORS[Math.floor(random() * 4)]);
+        const gif = await encode([frame], null, 10);
+
+        const matches = Array.from({ length: 160 * 160 }, (_, p) => {
+            const index = gif.frames[0].indices[p];
+            return [...frame.data.subarray(p * 4, p * 4 + 3)].every((value, c) => Math.abs(value - gif.palette[index * 3 + c]) <= 8);
+        });
+        expect(gif.frames[0].clears).toBeGreaterThan(1);
+        expect(gif.frames[0].indices).toHaveLength(160 * 160);
+        expect(matches.every(Boolean)).toBe(true);
+    });
+
+    it('spreads delays so the animation keeps the frame times', async () => {
+        const frame = createFrame(4, 4, () => COLORS[1]);
+        const gif = await encode([frame, frame, frame], null, 30);
+        expect(gif.frames.map(f => f.delay)).toEqual([3, 4, 3]);
+
+        const timed = await encode([frame, frame], [0.5, 0.001], 10);
+        expect(timed.frames.map(f => f.delay)).toEqual([50, 2]);
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Test helpers for muxing small MP4 and WebM files in memory and reading
+ * them back
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { demuxMp4, isMp4 } from '../../mp4Demuxer';
+import { demuxWebm, isWebm } from '../../webmDemuxer';
+
+/**
+ * A WebCodecs EncodedVideoChunk / EncodedAudioChunk lookalike filled with one byte value
+ */
+function chunk(timestamp, duration, isKey, size, fill) {
+    return {
+        type: isKey ? 'key' : 'delta',
+        timestamp,
+        duration,
+        byteLength: size,
+        copyTo(destination) {
+            destination.fill(fill);
+        }
+    };
+}
+
+/**
+ * The bytes of the file a muxer writes
+ */
+async function muxToBytes(muxer) {
+    return new Uint8Array(await muxer.finish().arrayBuffer());
+}
+
+/**
+ * Finish a muxer and demux its file with the demuxer for its container.
+ * Resolves with { bytes, media }.
+ */
+async function muxAndDemux(muxer) {
+    const bytes = await muxToBytes(muxer);
+
+    if (isMp4(bytes)) {
+        return { bytes, media: demuxMp4(bytes) };
+    }
+    if (isWebm(bytes)) {
+        return { bytes, media: demuxWebm(bytes) };
+    }
+    throw new Error('The muxer wrote neither MP4 nor WebM');
+}
+
+export { chunk, muxToBytes, muxAndDemux };
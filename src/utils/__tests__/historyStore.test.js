@@ -0,0 +1,107 @@
+import { MAX_HISTORY_ENTRIES, planEviction, saveToHistory } from '../historyStore';
+import * as database from '../database';
+
+jest.mock('../database', () => ({
+    __esModule: true,
+    stores: { HISTORY: 'history' },
+    getAllRecords: jest.fn(),
+    getRecord: jest.fn(),
+    putRecord: jest.fn(),
+    deleteRecord: jest.fn(),
+    isQuotaError: jest.fn(error => error.name === 'QuotaExceededError'),
+    getStorageEstimate: jest.fn()
+}));
+
+jest.mock('../videoThumbnails', () => ({
+    __esModule: true,
+    createResultThumbnail: jest.fn(async () => null)
+}));
+
+jest.mock('../styleImage', () => ({ __esModule: true, createStyleData: jest.fn() }));
+
+// History entries, oldest first, `size` bytes each
+function createEntries(count, size) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `history_${i}`,
+        createdAt: new Date(2024, 0, 1, 0, i).toISOString(),
+        size
+    }));
+}
+
+function createResult(size) {
+    return {
+        blob: new Blob([new Uint8Array(size)]),
+        originalVideo: { name: 'clip.mp4', file: new Blob([]), metadata: {} },
+        appliedStyle: { name: 'Ink', metadata: { fileName: 'ink.png' }, file: new Blob([]) }
+    };
+}
+
+describe('planEviction', () => {
+    it('evicts nothing when there is room', () => {
+        expect(planEviction(createEntries(3, 100), 500, 200)).toEqual({ evict: [], fits: true });
+    });
+
+    it('evicts the oldest entries until the new one fits', () => {
+        const entries = createEntries(4, 100);
+        const { evict, fits } = planEviction(entries, 50, 220);
+        expect(evict.map(entry => entry.id)).toEqual(['history_0', 'history_1']);
+        expect(fits).toBe(true);
+    });
+
+    it('makes room for another entry at the entry limit', () => {
+        const entries = createEntries(MAX_HISTORY_ENTRIES, 1);
+        expect(planEviction(entries, Infinity, 10).evict.map(entry => entry.id)).toEqual(['history_0']);
+    });
+
+    it('never evicts the kept entries', () => {
+        const { evict, fits } = planEviction(createEntries(4, 100), 50, 220, ['history_0', 'history_2']);
+        expect(evict.map(entry => entry.id)).toEqual(['history_1', 'history_3']);
+        expect(fits).toBe(true);
+
+        expect(planEviction(createEntries(4, 100), 50, 220, ['history_0', 'history_1', 'history_2']).fits).toBe(false);
+    });
+
+    it('reports when even an empty history has no room', () => {
+        expect(planEviction(createEntries(3, 100), 50, 400).fits).toBe(false);
+    });
+});
+
+describe('saveToHistory', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps the whole history when the result cannot fit', async () => {
+        database.getAllRecords.mockResolvedValue(createEntries(3, 100));
+        database.getStorageEstimate.mockResolvedValue({ quota: 1000, usage: 550 });
+
+        await expect(saveToHistory(createResult(500), {})).rejects.toThrow('Not enough storage space');
+        expect(database.deleteRecord).not.toHaveBeenCalled();
+        expect(database.putRecord).not.toHaveBeenCalled();
+    });
+
+    it('evicts only what the new entry needs and reports it', async () => {
+        database.getAllRecords.mockResolvedValue(createEntries(3, 100).reverse());
+        database.getStorageEstimate.mockResolvedValue({ quota: 1000, usage: 550 });
+
+        const { entry, evictedIds } = await saveToHistory(createResult(180), {});
+        expect(evictedIds).toEqual(['history_0', 'history_1']);
+        expect(database.deleteRecord.mock.calls.map(call => call[1])).toEqual(['history_0', 'history_1']);
+        expect(database.putRecord).toHaveBeenCalledWith('history', entry);
+    });
+
+    it('stops evicting when the browser refuses and the rest could not make room', async () => {
+        const quotaError = Object.assign(new Error('Quota'), { name: 'QuotaExceededError' });
+        database.getAllRecords.mockResolvedValue(createEntries(2, 10).reverse());
+        database.getStorageEstimate.mockResolvedValue(null);
+        database.putRecord.mockRejectedValue(quotaError);
+
+        await expect(saveToHistory(createResult(100), {})).rejects.toThrow('Not enough storage space');
+        expect(database.deleteRecord).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,94 @@
+import {
+    jobStatus,
+    MAX_JOB_ATTEMPTS,
+    loadQueue,
+    enqueueJobs,
+    getNextQueuedJob,
+    getFailedJobChanges,
+    getBatchHistoryIds
+} from '../jobQueue';
+import * as database from '../database';
+
+jest.mock('../database', () => ({
+    __esModule: true,
+    stores: { QUEUE: 'queue' },
+    getAllRecords: jest.fn(),
+    getRecord: jest.fn(),
+    putRecord: jest.fn(async () => {}),
+    deleteRecord: jest.fn()
+}));
+
+jest.mock('../styleImage', () => ({ __esModule: true, createStyleData: jest.fn() }));
+
+function job(id, status, extra = {}) {
+    return { id, status, attempts: 0, createdAt: '2024-01-01T00:00:00.000Z', position: 0, ...extra };
+}
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('enqueueJobs', () => {
+    it('queues every video with every style, in order', async () => {
+        const videos = ['a.mp4', 'b.mp4'].map(name => ({ name, file: new Blob([]), metadata: {} }));
+        const styles = ['ink.png', 'oil.png'].map(fileName => ({ name: fileName, metadata: { fileName }, file: new Blob([]) }));
+
+        const jobs = await enqueueJobs(videos, styles, { outputFormat: 'gif' });
+
+        expect(jobs.map(queued => queued.name)).toEqual(['a · ink', 'a · oil', 'b · ink', 'b · oil']);
+        expect(jobs.map(queued => queued.position)).toEqual([0, 1, 2, 3]);
+        expect(jobs.every(queued => queued.status === jobStatus.QUEUED && queued.output === null)).toBe(true);
+        expect(jobs[0].outputPreferences).toEqual({ outputFormat: 'gif' });
+        expect(database.putRecord).toHaveBeenCalledTimes(4);
+    });
+});
+
+describe('loadQueue', () => {
+    it('sorts jobs and puts jobs left running back in the queue', async () => {
+        database.getAllRecords.mockResolvedValue([
+            job('second', jobStatus.RUNNING, { position: 1, startedAt: 'then' }),
+            job('first', jobStatus.COMPLETED)
+        ]);
+
+        const jobs = await loadQueue();
+        expect(jobs.map(loaded => [loaded.id, loaded.status])).toEqual([['first', jobStatus.COMPLETED], ['second', jobStatus.QUEUED]]);
+        expect(jobs[1].startedAt).toBeNull();
+        expect(database.putRecord).toHaveBeenCalledWith('queue', jobs[1]);
+    });
+});
+
+describe('getNextQueuedJob', () => {
+    it('picks the first queued job', () => {
+        const jobs = [job('done', jobStatus.COMPLETED), job('next', jobStatus.QUEUED), job('later', jobStatus.QUEUED)];
+        expect(getNextQueuedJob(jobs).id).toBe('next');
+        expect(getNextQueuedJob([job('done', jobStatus.COMPLETED)])).toBeNull();
+    });
+});
+
+describe('getFailedJobChanges', () => {
+    it('requeues a job with attempts left and fails it after the last', () => {
+        const retry = getFailedJobChanges({ attempts: 1 }, new Error('Out of memory'));
+        expect(retry).toMatchObject({ status: jobStatus.QUEUED, error: 'Out of memory', finishedAt: null });
+
+        const failed = getFailedJobChanges({ attempts: MAX_JOB_ATTEMPTS }, 'Decoder error');
+        expect(failed).toMatchObject({ status: jobStatus.FAILED, error: 'Decoder error' });
+        expect(failed.finishedAt).toEqual(expect.any(String));
+    });
+});
+
+describe('getBatchHistoryIds', () => {
+    it('lists the history entries of finished jobs', () => {
+        const jobs = [
+            job('done', jobStatus.COMPLETED, { historyId: 'history_1' }),
+            job('unsaved', jobStatus.COMPLETED, { historyId: null }),
+            job('failed', jobStatus.FAILED, { historyId: 'history_2' }),
+            job('queued', jobStatus.QUEUED)
+        ];
+        expect(getBatchHistoryIds(jobs)).toEqual(['history_1']);
+    });
+});
@@ -0,0 +1,88 @@
+import LiveStylizer from '../liveStylizer';
+
+jest.mock('../videoProcessor', () => ({
+    __esModule: true,
+    default: jest.fn().mockImplementation(() => ({
+        createCanvas: () => ({ getContext: () => ({ drawImage() {} }) }),
+        stylizeFrame: jest.fn(),
+        cleanup: jest.fn()
+    }))
+}));
+
+function createStream() {
+    const track = { stop: jest.fn() };
+    return { track, getTracks: () => [track] };
+}
+
+function createVideo() {
+    return { videoWidth: 640, videoHeight: 480, play: jest.fn().mockResolvedValue() };
+}
+
+function createCanvas() {
+    return { getContext: () => ({ drawImage() {} }) };
+}
+
+describe('LiveStylizer camera', () => {
+    let getUserMedia;
+
+    beforeEach(() => {
+        getUserMedia = jest.fn();
+        globalThis.navigator = { mediaDevices: { getUserMedia } };
+        globalThis.MediaRecorder = class {};
+        globalThis.requestAnimationFrame = callback => setTimeout(callback, 0);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete globalThis.navigator;
+        delete globalThis.MediaRecorder;
+        delete globalThis.requestAnimationFrame;
+        jest.restoreAllMocks();
+    });
+
+    function createStylizer() {
+        const stylizer = new LiveStylizer();
+        stylizer.styleData = { file: null };
+        return stylizer;
+    }
+
+    it('closes a camera that opens after the stylizer was disposed', async () => {
+        const stream = createStream();
+        let grant;
+        getUserMedia.mockReturnValue(new Promise(resolve => { grant = resolve; }));
+
+        const stylizer = createStylizer();
+        const starting = stylizer.start(createVideo(), createCanvas());
+        await stylizer.dispose();
+        grant(stream);
+
+        await expect(starting).resolves.toBe(false);
+        expect(stream.track.stop).toHaveBeenCalled();
+        expect(stylizer.stream).toBeNull();
+    });
+
+    it('releases the camera when a live frame fails, so it can be started again', async () => {
+        const first = createStream();
+        const second = createStream();
+        getUserMedia.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+
+        const stylizer = createStylizer();
+        const onError = jest.fn();
+        stylizer.processor.stylizeFrame.mockRejectedValueOnce(new Error('out of memory'));
+
+        await expect(stylizer.start(createVideo(), createCanvas(), { onError })).resolves.toBe(true);
+        await stylizer.loop;
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'out of memory' }));
+        expect(first.track.stop).toHaveBeenCalled();
+        expect(stylizer.stream).toBeNull();
+
+        stylizer.processor.stylizeFrame.mockResolvedValue({});
+        await expect(stylizer.start(createVideo(), createCanvas())).resolves.toBe(true);
+        expect(stylizer.stream).toBe(second);
+
+        await stylizer.stop();
+        expect(second.track.stop).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,28 @@
+import { getPlaybackFrameRate } from '../mediaFiles';
+
+function frameTimes(fps, count, start = 0) {
+    return Array.from({ length: count }, (_, i) => start + i / fps);
+}
+
+describe('getPlaybackFrameRate', () => {
+    it('snaps a measured rate to the common rate it is close to', () => {
+        expect(getPlaybackFrameRate(frameTimes(30000 / 1001, 16, 3.2))).toBe(29.97);
+        expect(getPlaybackFrameRate(frameTimes(25.3, 16))).toBe(25);
+    });
+
+    it('ignores dropped and repeated frames', () => {
+        const times = frameTimes(60, 16).filter((_, i) => i !== 4 && i !== 9);
+        times.splice(6, 0, times[5]);
+        expect(getPlaybackFrameRate(times)).toBe(60);
+    });
+
+    it('keeps an uncommon rate as measured', () => {
+        expect(getPlaybackFrameRate(frameTimes(15, 16))).toBe(15);
+        expect(getPlaybackFrameRate(frameTimes(40, 16))).toBe(40);
+    });
+
+    it('needs a few frames to measure', () => {
+        expect(getPlaybackFrameRate([])).toBeNull();
+        expect(getPlaybackFrameRate([0, 0.04, 0.08])).toBeNull();
+    });
+});
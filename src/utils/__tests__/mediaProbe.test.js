@@ -0,0 +1,156 @@
+import Mp4Muxer from '../mp4Muxer';
+import WebmMuxer from '../webmMuxer';
+import { demuxVideoFile } from '../remux';
+import { chunk, muxToBytes } from './helpers/media';
+import {
+    getDisplaySize,
+    probeMedia,
+    parseFFmpegProbe,
+    getSourceFrameTimes,
+    getFFmpegSourceFilters
+} from '../mediaProbe';
+
+const AVC_CONFIG = Uint8Array.from([1, 0x64, 0x00, 0x1e, 0xff, 0xe1, 0x00, 0x00, 0x01, 0x00]);
+const HDR10 = { primaries: 9, transfer: 16, matrix: 9, fullRange: false };
+
+// What FFmpeg logs for a portrait HLG phone video
+const PHONE_LOG = [
+    "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'input.mp4':",
+    '  Stream #0:0[0x1](und): Video: hevc (Main 10) (hvc1 / 0x31637668), yuv420p10le(tv, bt2020nc/bt2020/arib-std-b67), 1920x1080 [SAR 1:1 DAR 16:9], 9000 kb/s, 29.98 fps, 30 tbr, 600 tbn (default)',
+    '    Side data:',
+    '      displaymatrix: rotation of -90.00 degrees'
+];
+
+// framecrc listing of 60 packets at 1/600 s, every third interval 50 ms instead of 33 ms
+function createFrameCrc() {
+    let listing = '#tb 0: 1/600\n#media_type 0: video\n#codec_id 0: hevc\n';
+    let pts = 0;
+    for (let i = 0; i < 60; i++) {
+        listing += `0,      ${pts},      ${pts},       20,     1000, 0x0abc1234\n`;
+        pts += i % 3 === 0 ? 30 : 20;
+    }
+    return listing;
+}
+
+// Mux frames whose durations alternate 50 ms and 33 ms, optionally marking the track as turned 90°
+async function createVideo(Muxer, codec, { rotate = false } = {}) {
+    const muxer = new Muxer({ video: { codec, width: 640, height: 360, description: AVC_CONFIG, colour: HDR10 } });
+    let timestamp = 0;
+    for (let i = 0; i < 30; i++) {
+        const duration = i % 4 === 0 ? 50000 : 33333;
+        muxer.addVideoChunk(chunk(timestamp, duration, i === 0, 5, i));
+        timestamp += duration;
+    }
+
+    const bytes = await muxToBytes(muxer);
+    if (rotate) {
+        // Write a 90° clockwise matrix (a = 0, b = 1, c = -1, d = 0) into the tkhd box
+        const tkhd = Buffer.from(bytes).indexOf('tkhd');
+        const matrix = tkhd + 4 + (bytes[tkhd + 4] ? 52 : 40);
+        const view = new DataView(bytes.buffer);
+        view.setInt32(matrix, 0);
+        view.setInt32(matrix + 4, 0x10000);
+        view.setInt32(matrix + 12, -0x10000);
+        view.setInt32(matrix + 16, 0);
+    }
+    return demuxVideoFile(new Blob([bytes]));
+}
+
+describe('mediaProbe', () => {
+    it('sizes the upright picture with square pixels', () => {
+        expect(getDisplaySize(1920, 1080, { num: 1, den: 1 }, 0)).toEqual({ width: 1920, height: 1080 });
+        expect(getDisplaySize(720, 480, { num: 32, den: 27 }, 0)).toEqual({ width: 853, height: 480 });
+        expect(getDisplaySize(720, 480, { num: 32, den: 27 }, 90)).toEqual({ width: 480, height: 853 });
+    });
+
+    it('probes rotation, colour and variable timing from a demuxed MP4', async () => {
+        const probe = probeMedia(await createVideo(Mp4Muxer, 'avc1.64001e', { rotate: true }));
+
+        expect(probe).toMatchObject({
+            source: 'js',
+            codec: 'avc1.64001e',
+            codedWidth: 640,
+            codedHeight: 360,
+            width: 360,
+            height: 640,
+            rotation: 90,
+            pixelAspectRatio: { num: 1, den: 1 },
+            colour: HDR10,
+            isVariableFrameRate: true
+        });
+        expect(probe.frameTimes).toHaveLength(30);
+        expect(probe.frameTimes[1]).toBeCloseTo(0.05, 5);
+        expect(probe.frameRate).toBeCloseTo(29 / probe.frameTimes[29], 5);
+    });
+
+    it('probes a demuxed WebM the same way', async () => {
+        const probe = probeMedia(await createVideo(WebmMuxer, 'vp09.00.10.08'));
+
+        expect(probe).toMatchObject({ codec: 'vp09.00.10.08', width: 640, height: 360, rotation: 0, colour: HDR10, isVariableFrameRate: true });
+        expect(probe.frameTimes[1]).toBeCloseTo(0.05, 3);
+    });
+
+    it('reads size, rotation, colour and frame times from FFmpeg output', () => {
+        const probe = parseFFmpegProbe(PHONE_LOG, createFrameCrc());
+
+        expect(probe).toMatchObject({
+            source: 'ffmpeg',
+            codec: 'hevc',
+            codedWidth: 1920,
+            codedHeight: 1080,
+            width: 1080,
+            height: 1920,
+            rotation: 90,
+            colour: { primaries: 9, transfer: 18, matrix: 9, fullRange: false },
+            isVariableFrameRate: true
+        });
+        expect(probe.frameTimes).toHaveLength(60);
+        expect(probe.frameTimes[1]).toBeCloseTo(0.05);
+        expect(probe.frameRate).toBeCloseTo(25.65, 2);
+    });
+
+    it('reads the older rotate tag and non-square pixels from FFmpeg output', () => {
+        const probe = parseFFmpegProbe([
+            '  Stream #0:0: Video: mpeg4 (Simple Profile) (mp4v / 0x7634706D), yuv420p, 720x480 [SAR 8:9 DAR 4:3], 30 fps',
+            '      rotate          : 180'
+        ], '');
+
+        expect(probe).toMatchObject({ codec: 'mpeg4', width: 640, height: 480, rotation: 180, pixelAspectRatio: { num: 8, den: 9 }, colour: null, frameTimes: null });
+        expect(getFFmpegSourceFilters(probe)).toEqual(['scale=640:480', 'setsar=1', 'hflip', 'vflip']);
+    });
+
+    it('refuses FFmpeg output without a video stream', () => {
+        expect(() => parseFFmpegProbe(['  Stream #0:0: Audio: aac (LC), 44100 Hz, stereo'], '')).toThrow('FFmpeg found no video stream');
+    });
+
+    it('labels the source colour and only converts wide gamut FFmpeg can convert', () => {
+        const hlg = parseFFmpegProbe(PHONE_LOG, '');
+        expect(getFFmpegSourceFilters(hlg)).toEqual([
+            'setparams=colorspace=bt2020nc:color_primaries=bt2020:color_trc=arib-std-b67:range=tv',
+            'transpose=clock'
+        ]);
+
+        const sdrWideGamut = { ...hlg, rotation: 0, colour: { primaries: 9, transfer: 14, matrix: 9, fullRange: true } };
+        expect(getFFmpegSourceFilters(sdrWideGamut)).toEqual([
+            'setparams=colorspace=bt2020nc:color_primaries=bt2020:color_trc=bt2020-10:range=pc',
+            'colorspace=all=bt709'
+        ]);
+    });
+
+    it('keeps variable frame rate source frames that fill the trim exactly', () => {
+        const probe = parseFFmpegProbe(PHONE_LOG, createFrameCrc());
+        const frames = getSourceFrameTimes(probe, 30, { start: 0.5, end: 1 });
+
+        expect(frames[0].timestamp).toBeCloseTo(0.5167, 4);
+        expect(frames[0].duration).toBeCloseTo(0.05, 5);
+        expect(frames.every(({ timestamp }) => timestamp >= 0.5 && timestamp < 1)).toBe(true);
+        expect(frames.reduce((total, { duration }) => total + duration, 0)).toBeCloseTo(0.5, 5);
+    });
+
+    it('resamples when the source is constant or fewer frames are wanted', () => {
+        const probe = parseFFmpegProbe(PHONE_LOG, createFrameCrc());
+        expect(getSourceFrameTimes(probe, 10)).toBeNull();
+        expect(getSourceFrameTimes({ ...probe, isVariableFrameRate: false }, 30)).toBeNull();
+        expect(getSourceFrameTimes(null, 30)).toBeNull();
+    });
+});
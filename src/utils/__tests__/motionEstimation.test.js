@@ -0,0 +1,95 @@
+import { getAnalysisSize, toGray, estimateBlockMotion, getBlockIndex } from '../motionEstimation';
+
+const SIZE = 48;
+
+// Deterministic noise, so every block has exactly one good match
+function createTexture(width, height, seed = 7) {
+    const gray = new Uint8Array(width * height);
+    let state = seed;
+    for (let i = 0; i < gray.length; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        gray[i] = state >> 23;
+    }
+    return gray;
+}
+
+// `reference` moved so that pixel (x, y) shows what was at (x + dx, y + dy)
+function shift(reference, width, height, dx, dy) {
+    const gray = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(width - 1, Math.max(0, x + dx));
+            const sy = Math.min(height - 1, Math.max(0, y + dy));
+            gray[y * width + x] = reference[sy * width + sx];
+        }
+    }
+    return gray;
+}
+
+// Blocks whose whole match lies inside the frame
+function getInteriorBlocks(motion, dx, dy) {
+    const blocks = [];
+    for (let by = 0; by < motion.blocksY; by++) {
+        for (let bx = 0; bx < motion.blocksX; bx++) {
+            const x0 = bx * motion.blockSize;
+            const y0 = by * motion.blockSize;
+            if (x0 + dx >= 0 && x0 + motion.blockSize + dx <= SIZE && y0 + dy >= 0 && y0 + motion.blockSize + dy <= SIZE) {
+                blocks.push(by * motion.blocksX + bx);
+            }
+        }
+    }
+    return blocks;
+}
+
+describe('estimateBlockMotion', () => {
+    const reference = createTexture(SIZE, SIZE);
+
+    it.each([[2, 1], [-2, -1], [-3, 4]])('finds a shift of (%i, %i)', (dx, dy) => {
+        const motion = estimateBlockMotion(shift(reference, SIZE, SIZE, dx, dy), reference, SIZE, SIZE);
+        const blocks = getInteriorBlocks(motion, dx, dy);
+
+        expect(blocks.length).toBeGreaterThan(0);
+        for (const block of blocks) {
+            expect([motion.vectorsX[block], motion.vectorsY[block]]).toEqual([dx, dy]);
+            expect(motion.confidence[block]).toBe(1);
+        }
+    });
+
+    it('keeps the zero vector when other vectors match as well', () => {
+        const flat = new Uint8Array(SIZE * SIZE).fill(90);
+        const motion = estimateBlockMotion(flat, flat, SIZE, SIZE);
+
+        expect(motion.vectorsX.every(vector => vector === 0)).toBe(true);
+        expect(motion.vectorsY.every(vector => vector === 0)).toBe(true);
+        expect(motion.meanError).toBe(0);
+    });
+
+    it('loses confidence in blocks that match nothing', () => {
+        const motion = estimateBlockMotion(new Uint8Array(SIZE * SIZE).fill(255), new Uint8Array(SIZE * SIZE), SIZE, SIZE);
+
+        expect(motion.meanError).toBe(255);
+        expect(motion.confidence.every(confidence => confidence === 0)).toBe(true);
+    });
+});
+
+describe('motion estimation helpers', () => {
+    it('never analyses at more than the analysis width', () => {
+        expect(getAnalysisSize(1920, 1080)).toEqual({ scale: 160 / 1920, width: 160, height: 90 });
+        expect(getAnalysisSize(100, 50)).toEqual({ scale: 1, width: 100, height: 50 });
+    });
+
+    it('downscales RGBA pixels to luma', () => {
+        const data = new Uint8ClampedArray(4 * 4 * 4);
+        for (let i = 0; i < 16; i++) {
+            data.set(i % 4 < 2 ? [255, 255, 255, 255] : [0, 0, 255, 255], i * 4);
+        }
+        expect(Array.from(toGray({ width: 4, height: 4, data }, 2, 2))).toEqual([255, 28, 255, 28]);
+    });
+
+    it('maps full-resolution pixels to their block', () => {
+        const motion = { blockSize: 8, blocksX: 4, blocksY: 3 };
+        expect(getBlockIndex(motion, 0, 0, 0.5)).toBe(0);
+        expect(getBlockIndex(motion, 17, 0, 0.5)).toBe(1);
+        expect(getBlockIndex(motion, 1000, 1000, 0.5)).toBe(11);
+    });
+});
@@ -0,0 +1,87 @@
+import Mp4Muxer from '../mp4Muxer';
+import { chunk, muxAndDemux } from './helpers/media';
+
+const AVC_CONFIG = Uint8Array.from([1, 0x64, 0x00, 0x1f, 0xff, 0xe1, 0x00, 0x00, 0x01, 0x00]);
+const AAC_CONFIG = Uint8Array.from([0x12, 0x10]);
+
+describe('Mp4Muxer and demuxMp4', () => {
+    it('round-trip H.264 and AAC samples with their timing', async () => {
+        const muxer = new Mp4Muxer({
+            video: { codec: 'avc1.64001f', width: 640, height: 360 },
+            audio: { codec: 'mp4a.40.2', sampleRate: 48000, numberOfChannels: 2 }
+        });
+        const frameDuration = 1e6 / 30;
+        for (let i = 0; i < 60; i++) {
+            muxer.addVideoChunk(
+                chunk(Math.round(i * frameDuration), Math.round(frameDuration), i % 30 === 0, 100 + i, i),
+                i === 0 ? { decoderConfig: { description: AVC_CONFIG } } : undefined
+            );
+        }
+        const audioDuration = 1024e6 / 48000;
+        for (let i = 0; i < 94; i++) {
+            muxer.addAudioChunk(
+                chunk(Math.round(i * audioDuration), Math.round(audioDuration), true, 50 + i, 200 + (i % 50)),
+                i === 0 ? { decoderConfig: { description: AAC_CONFIG } } : undefined
+            );
+        }
+
+        const { bytes, media } = await muxAndDemux(muxer);
+        const [video, audio] = media.tracks;
+
+        expect(media.container).toBe('mp4');
+        expect(media.duration).toBeCloseTo(2, 2);
+        expect(video).toMatchObject({ type: 'video', codec: 'avc1.64001f', codedWidth: 640, codedHeight: 360, rotation: 0 });
+        expect(Array.from(video.description)).toEqual(Array.from(AVC_CONFIG));
+        expect(audio).toMatchObject({ type: 'audio', codec: 'mp4a.40.2', sampleRate: 48000, numberOfChannels: 2 });
+
+        expect(video.samples).toHaveLength(60);
+        video.samples.forEach((sample, i) => {
+            expect(sample.size).toBe(100 + i);
+            expect(bytes[sample.offset]).toBe(i);
+            expect(bytes[sample.offset + sample.size - 1]).toBe(i);
+            expect(Math.abs(sample.timestamp - i * frameDuration)).toBeLessThanOrEqual(12);
+            expect(sample.isKey).toBe(i % 30 === 0);
+        });
+
+        expect(audio.samples).toHaveLength(94);
+        audio.samples.forEach((sample, i) => {
+            expect(sample.size).toBe(50 + i);
+            expect(bytes[sample.offset]).toBe(200 + (i % 50));
+        });
+    });
+
+    it('keeps presentation times of frames handed out in decode order', async () => {
+        const muxer = new Mp4Muxer({ video: { codec: 'avc1.64001f', width: 64, height: 64, description: AVC_CONFIG } });
+        // I P B B: presented as 0 3 1 2
+        const order = [0, 3, 1, 2, 4, 7, 5, 6];
+        order.forEach((frame, i) => muxer.addVideoSample({
+            data: Uint8Array.of(frame),
+            timestamp: frame * 40000,
+            duration: 40000,
+            isKey: i === 0
+        }));
+
+        const { bytes, media } = await muxAndDemux(muxer);
+        const samples = media.tracks[0].samples;
+
+        expect(samples.map(sample => bytes[sample.offset])).toEqual(order);
+        expect(samples.map(sample => sample.timestamp)).toEqual(order.map(frame => frame * 40000));
+        expect(media.duration).toBeCloseTo(0.32, 3);
+    });
+
+    it('round-trips the colour description', async () => {
+        const colour = { primaries: 9, transfer: 16, matrix: 9, fullRange: false };
+        const muxer = new Mp4Muxer({ video: { codec: 'avc1.64001f', width: 64, height: 64, description: AVC_CONFIG, colour } });
+        muxer.addVideoSample({ data: Uint8Array.of(1), timestamp: 0, duration: 40000, isKey: true });
+
+        const { media } = await muxAndDemux(muxer);
+        expect(media.tracks[0].colour).toEqual(colour);
+    });
+
+    it('refuses codecs MP4 output does not support', () => {
+        expect(() => new Mp4Muxer({ video: { codec: 'vp8', width: 64, height: 64 } })).toThrow('does not support video codec vp8');
+        expect(() => new Mp4Muxer({ video: { codec: 'avc1.64001f', width: 64, height: 64 }, audio: { codec: 'opus' } }))
+            .toThrow('does not support audio codec opus');
+        expect(() => new Mp4Muxer({ video: { codec: 'avc1.64001f', width: 64, height: 64 } }).finish()).toThrow('No video frames');
+    });
+});
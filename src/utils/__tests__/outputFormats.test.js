@@ -0,0 +1,40 @@
+import { outputFormats, formatInfo, normalizeOutputFormat, getFormatForMimeType, getFFmpegEncodeArgs } from '../outputFormats';
+
+describe('normalizeOutputFormat', () => {
+    it('falls back to MP4 for unknown values', () => {
+        expect(normalizeOutputFormat('gif')).toBe(outputFormats.GIF);
+        expect(normalizeOutputFormat('avi')).toBe(outputFormats.MP4);
+        expect(normalizeOutputFormat(undefined)).toBe(outputFormats.MP4);
+    });
+});
+
+describe('getFormatForMimeType', () => {
+    it('recognises every format by its mime type', () => {
+        Object.values(outputFormats).forEach((format) => {
+            expect(getFormatForMimeType(formatInfo[format].mimeType)).toBe(format);
+        });
+        expect(getFormatForMimeType('video/webm;codecs=vp9')).toBe(outputFormats.WEBM);
+        expect(getFormatForMimeType('image/png')).toBe(outputFormats.APNG);
+    });
+});
+
+describe('getFFmpegEncodeArgs', () => {
+    it('encodes video as BT.709 after the given filter', () => {
+        const args = getFFmpegEncodeArgs(outputFormats.MP4, { filter: 'scale=640:360', withAudio: true });
+        expect(args[args.indexOf('-vf') + 1]).toBe('scale=640:360,scale=out_color_matrix=bt709:out_range=tv,format=yuv420p');
+        expect(args).toEqual(expect.arrayContaining(['-c:v', 'libx264', '-c:a', 'aac', '-colorspace', 'bt709']));
+    });
+
+    it('leaves audio out when there is none', () => {
+        expect(getFFmpegEncodeArgs(outputFormats.WEBM)).not.toContain('-c:a');
+        expect(getFFmpegEncodeArgs(outputFormats.WEBM)).toContain('libvpx-vp9');
+    });
+
+    it('makes looping animations', () => {
+        const gif = getFFmpegEncodeArgs(outputFormats.GIF, { filter: 'scale=320:180' });
+        expect(gif[gif.indexOf('-filter_complex') + 1]).toMatch(/^\[0:v\]scale=320:180,split.*palettegen.*paletteuse/);
+        expect(gif).toEqual(expect.arrayContaining(['-loop', '0']));
+
+        expect(getFFmpegEncodeArgs(outputFormats.APNG)).toEqual(['-c:v', 'apng', '-plays', '0', '-f', 'apng']);
+    });
+});
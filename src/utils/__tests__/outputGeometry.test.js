@@ -0,0 +1,59 @@
+import {
+    aspectRatios,
+    fitModes,
+    normalizeQuality,
+    getOutputGeometry,
+    getDrawRect,
+    getFFmpegScaleFilter
+} from '../outputGeometry';
+
+describe('normalizeQuality', () => {
+    it('keeps presets and maps values from earlier versions', () => {
+        expect(normalizeQuality('720p')).toBe('720p');
+        expect(normalizeQuality('low')).toBe('480p');
+        expect(normalizeQuality('high')).toBe('source');
+        expect(normalizeQuality('8k')).toBe('source');
+    });
+});
+
+describe('getOutputGeometry', () => {
+    it('scales the short edge to the preset, keeping the source aspect ratio', () => {
+        expect(getOutputGeometry(1920, 1080, { quality: '720p' })).toMatchObject({ width: 1280, height: 720 });
+        expect(getOutputGeometry(1080, 1920, { quality: '480p' })).toMatchObject({ width: 480, height: 852 });
+    });
+
+    it('never upscales and keeps dimensions even', () => {
+        expect(getOutputGeometry(641, 361, { quality: '1080p' })).toMatchObject({ width: 640, height: 360 });
+    });
+
+    it('letterboxes a landscape source into a square', () => {
+        const geometry = getOutputGeometry(1920, 1080, { quality: '720p', aspectRatio: aspectRatios.SQUARE });
+        expect(geometry).toMatchObject({ width: 720, height: 720, fit: fitModes.LETTERBOX });
+        expect(geometry.content).toEqual({ x: 0, y: 157, width: 720, height: 405 });
+    });
+
+    it('crops a landscape source to portrait from the centre', () => {
+        const geometry = getOutputGeometry(1920, 1080, { quality: '1080p', aspectRatio: aspectRatios.PORTRAIT, fit: fitModes.CROP });
+        expect(geometry).toMatchObject({ width: 1080, height: 1920 });
+
+        const rect = getDrawRect(1920, 1080, geometry);
+        expect(rect.sh).toBe(1080);
+        expect(rect.sw).toBeCloseTo(607.5);
+        expect(rect.sx).toBeCloseTo((1920 - 607.5) / 2);
+        expect([rect.dx, rect.dy, rect.dw, rect.dh]).toEqual([0, 0, 1080, 1920]);
+    });
+
+    it('ignores unknown aspect ratios and fits', () => {
+        expect(getOutputGeometry(1280, 720, { aspectRatio: '4:3', fit: 'stretch' }))
+            .toMatchObject({ aspectRatio: aspectRatios.SOURCE, fit: fitModes.LETTERBOX, width: 1280, height: 720 });
+    });
+});
+
+describe('getFFmpegScaleFilter', () => {
+    it('pads for letterbox and crops for crop', () => {
+        expect(getFFmpegScaleFilter({ width: 720, height: 720, fit: fitModes.LETTERBOX }))
+            .toBe('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(ow-iw)/2:(oh-ih)/2:black,setsar=1');
+        expect(getFFmpegScaleFilter({ width: 720, height: 720, fit: fitModes.CROP }))
+            .toBe('scale=720:720:force_original_aspect_ratio=increase,crop=720:720,setsar=1');
+    });
+});
@@ -0,0 +1,89 @@
+import { getVideoJobOptions, runProcessingJob } from '../processingJob';
+
+const preferences = { quality: 'original', aspectRatio: 'original', fit: 'contain', outputFormat: 'mp4' };
+
+function video(frameRate, duration = 10) {
+    return { duration, metadata: { width: 1280, height: 720, frameRate } };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getVideoJobOptions', () => {
+    it('stylizes a few frames per second by default, fewer for longer clips', () => {
+        expect(getVideoJobOptions(video(30), {}, preferences)).toMatchObject({ fps: 5, keyframeInterval: 1 });
+        expect(getVideoJobOptions(video(30, 20), {}, preferences).fps).toBe(4);
+        expect(getVideoJobOptions(video(30, 60), { trim: { start: 0, end: 12 } }, preferences).fps).toBe(5);
+    });
+
+    it('keeps the source frame rate, above 30 fps too', () => {
+        expect(getVideoJobOptions(video(24), { preserveFrameRate: true }, preferences)).toMatchObject({ fps: 24, keyframeInterval: 5 });
+        expect(getVideoJobOptions(video(59.94), { preserveFrameRate: true }, preferences)).toMatchObject({ fps: 60, keyframeInterval: 12 });
+    });
+
+    it('limits the kept frame rate only when a limit is chosen', () => {
+        const style = { preserveFrameRate: true, maxFrameRate: 30 };
+        expect(getVideoJobOptions(video(60), style, preferences).fps).toBe(30);
+        expect(getVideoJobOptions(video(25), style, preferences).fps).toBe(25);
+    });
+
+    it('falls back to the default frame rate when the video has none', () => {
+        expect(getVideoJobOptions(video(null), { preserveFrameRate: true }, preferences).fps).toBe(30);
+    });
+
+    it('keeps the stylized frames only when sequence export is turned on', () => {
+        expect(getVideoJobOptions(video(30), {}, preferences).keepFrames).toBe(false);
+        expect(getVideoJobOptions(video(30), {}, { ...preferences, keepFrames: true }).keepFrames).toBe(true);
+    });
+});
+
+describe('runProcessingJob', () => {
+    function createProcessor() {
+        return {
+            processStyleReference: jest.fn(async () => true),
+            processImage: jest.fn(async () => ({ blob: 'photo' })),
+            processVideo: jest.fn(async () => ({ blob: 'video' }))
+        };
+    }
+
+    it('reports each stage and returns the video frame rate', async () => {
+        const processor = createProcessor();
+        const stages = [];
+        const onFrameProgress = jest.fn();
+
+        const result = await runProcessingJob(processor, video(24), { preserveFrameRate: true }, preferences, {
+            onStage: stage => stages.push(stage),
+            onFrameProgress
+        });
+
+        expect(stages).toEqual(['processing_style_reference', 'extracting_frames']);
+        expect(result).toEqual({ blob: 'video', fps: 24 });
+        expect(processor.processVideo.mock.calls[0][2]).toMatchObject({ fps: 24, onFrameProgress });
+    });
+
+    it('stylizes photos in one pass', async () => {
+        const processor = createProcessor();
+        const stages = [];
+
+        const result = await runProcessingJob(processor, { mediaType: 'image', file: 'photo.jpg' }, { styleRatio: 0.5 }, preferences, {
+            onStage: stage => stages.push(stage)
+        });
+
+        expect(stages).toEqual(['processing_style_reference', 'applying_style']);
+        expect(result).toEqual({ blob: 'photo', fps: null });
+        expect(processor.processVideo).not.toHaveBeenCalled();
+    });
+
+    it('stops when the style reference fails', async () => {
+        const processor = createProcessor();
+        processor.processStyleReference.mockResolvedValue(false);
+
+        await expect(runProcessingJob(processor, video(30), {}, preferences)).rejects.toThrow('Failed to process style reference image');
+        expect(processor.processVideo).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,228 @@
+import ProcessingWorkerClient from '../processingWorkerClient';
+import { messageTypes } from '../../workers/processingProtocol';
+
+jest.mock('../../workers/videoProcessing.worker.js', () => {
+    class FakeWorker {
+        constructor() {
+            this.posted = [];
+            FakeWorker.instances.push(this);
+        }
+
+        postMessage(message) {
+            this.posted.push(message);
+        }
+
+        // Simulate a message from the worker
+        reply(type, payload = null) {
+            this.onmessage({ data: { type, payload } });
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+    FakeWorker.instances = [];
+    return { __esModule: true, default: FakeWorker };
+});
+
+// The real processor pulls in TensorFlow.js and FFmpeg
+jest.mock('../videoProcessor', () => ({
+    __esModule: true,
+    default: jest.fn(),
+    abortReasons: { PAUSE: 'pause', CANCEL: 'cancel' }
+}));
+
+jest.mock('../webCodecs', () => ({ isWebCodecsSupported: () => false }));
+
+const ProcessingWorker = jest.requireMock('../../workers/videoProcessing.worker.js').default;
+
+async function startClient(onStageChange = null, useFallback = false) {
+    const client = new ProcessingWorkerClient();
+    const ready = client.initialize(null, onStageChange);
+    const worker = ProcessingWorker.instances[ProcessingWorker.instances.length - 1];
+    worker.reply(messageTypes.READY, { useFallback, isModelReady: true, ffmpegStatus: null });
+    await ready;
+    return { client, worker };
+}
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function abortError() {
+    return new DOMException('Processing cancelled', 'AbortError');
+}
+
+/**
+ * A stand-in for the main-thread VideoProcessor: extraction resolves when the
+ * test says so (ignoring pauses, like the real one), reconstruction fails
+ * with an AbortError when its signal is aborted
+ */
+function createDomProcessor() {
+    const processor = {
+        finishExtraction: null,
+        reconstructSignals: [],
+        extractFramesWithoutFFmpeg: jest.fn((file, fps, signal) => new Promise((resolve, reject) => {
+            processor.finishExtraction = () => resolve([{ name: 'frame_0001.png' }]);
+            signal.addEventListener('abort', () => {
+                if (signal.reason === 'cancel') reject(abortError());
+            });
+        })),
+        reconstructVideoWithoutFFmpeg: jest.fn((frames, fps, signal) => new Promise((resolve, reject) => {
+            processor.reconstructSignals.push(signal);
+            processor.finishReconstruction = () => resolve(new Blob(['video'], { type: 'video/webm' }));
+            signal.addEventListener('abort', () => reject(abortError()));
+        }))
+    };
+    return processor;
+}
+
+async function startFallbackJob() {
+    const stages = [];
+    const { client, worker } = await startClient(stage => stages.push(stage), true);
+    const domProcessor = createDomProcessor();
+    client.domProcessor = domProcessor;
+
+    const job = client.processVideo(new Blob(['source']), {}, { fps: 5 });
+    job.catch(() => {});
+    await flushPromises();
+    return { client, worker, domProcessor, stages, job };
+}
+
+function postedTypes(worker) {
+    return worker.posted.map(message => message.type);
+}
+
+describe('ProcessingWorkerClient', () => {
+    test('initialize sends INIT and takes the worker state from READY', async () => {
+        const { client, worker } = await startClient();
+
+        expect(worker.posted[0]).toEqual({ type: messageTypes.INIT, payload: null });
+        expect(client.isModelReady).toBe(true);
+        expect(client.useFallback).toBe(false);
+    });
+
+    test('a request resolves with the payload of the expected reply only', async () => {
+        const onStageChange = jest.fn();
+        const { client, worker } = await startClient(onStageChange);
+
+        const result = client.request(messageTypes.START, { videoFile: null }, messageTypes.COMPLETE);
+        worker.reply(messageTypes.STAGE, { stage: 'applying_style' });
+        worker.reply(messageTypes.STYLE_READY, { success: true });
+        worker.reply(messageTypes.COMPLETE, { frameCount: 3 });
+
+        await expect(result).resolves.toEqual({ frameCount: 3 });
+        expect(onStageChange).toHaveBeenCalledWith('applying_style');
+        expect(client.pendingRequest).toBeNull();
+    });
+
+    test('ERROR rejects the pending request with the worker message', async () => {
+        const { client, worker } = await startClient();
+
+        const result = client.request(messageTypes.START, {}, messageTypes.COMPLETE);
+        worker.reply(messageTypes.ERROR, { message: 'Out of memory' });
+
+        await expect(result).rejects.toThrow('Out of memory');
+    });
+
+    test('CANCELLED rejects with an AbortError', async () => {
+        const { client, worker } = await startClient();
+
+        const result = client.request(messageTypes.START, {}, messageTypes.COMPLETE);
+        worker.reply(messageTypes.CANCELLED);
+
+        await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('only one request can be pending at a time', async () => {
+        const { client } = await startClient();
+
+        client.request(messageTypes.START, {}, messageTypes.COMPLETE);
+        await expect(client.request(messageTypes.PREPARE_STYLE, {}, messageTypes.STYLE_READY)).rejects.toThrow('busy');
+    });
+
+    test('pause, resume and cancel are posted to the worker', async () => {
+        const { client, worker } = await startClient();
+
+        client.pause();
+        client.resume();
+        client.cancel();
+
+        expect(worker.posted.slice(1).map(message => message.type)).toEqual([
+            messageTypes.PAUSE, messageTypes.RESUME, messageTypes.CANCEL
+        ]);
+    });
+
+    test('cleanup terminates the worker and rejects what is pending', async () => {
+        const { client, worker } = await startClient();
+
+        const result = client.request(messageTypes.START, {}, messageTypes.COMPLETE);
+        client.cleanup();
+
+        await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+        expect(worker.terminated).toBe(true);
+    });
+
+    describe('without FFmpeg in the worker', () => {
+        test('pausing during extraction keeps the frames and waits for resume before stylizing', async () => {
+            const { client, worker, domProcessor, stages, job } = await startFallbackJob();
+
+            client.pause();
+            domProcessor.finishExtraction();
+            await flushPromises();
+
+            expect(stages).toContain('paused');
+            expect(postedTypes(worker)).not.toContain(messageTypes.PAUSE);
+            expect(postedTypes(worker)).not.toContain(messageTypes.START);
+
+            client.resume();
+            await flushPromises();
+
+            const start = worker.posted.find(message => message.type === messageTypes.START);
+            expect(start.payload.frames).toEqual([{ name: 'frame_0001.png' }]);
+            expect(stages[stages.length - 1]).toBe('extracting_frames');
+
+            worker.reply(messageTypes.COMPLETE, { frames: [{ name: 'processed_0001.png' }], frameCount: 1, fps: 5 });
+            await flushPromises();
+            domProcessor.finishReconstruction();
+            await expect(job).resolves.toMatchObject({ frameCount: 1 });
+        });
+
+        test('pausing during reconstruction stops it and starts it over on resume', async () => {
+            const { client, worker, domProcessor, stages, job } = await startFallbackJob();
+
+            domProcessor.finishExtraction();
+            await flushPromises();
+            worker.reply(messageTypes.COMPLETE, { frames: [{ name: 'processed_0001.png' }], frameCount: 1, fps: 5 });
+            await flushPromises();
+
+            client.pause();
+            await flushPromises();
+            expect(stages[stages.length - 1]).toBe('paused');
+            expect(domProcessor.reconstructSignals[0].aborted).toBe(true);
+
+            client.resume();
+            await flushPromises();
+            expect(domProcessor.reconstructVideoWithoutFFmpeg).toHaveBeenCalledTimes(2);
+            expect(domProcessor.reconstructSignals[1].aborted).toBe(false);
+
+            domProcessor.finishReconstruction();
+            const result = await job;
+            expect(result.blob.type).toBe('video/webm');
+            // Frames needed only for reconstruction are not kept without sequence export
+            expect(result.frames).toBeNull();
+        });
+
+        test('cancelling while paused rejects the job', async () => {
+            const { client, worker, domProcessor, job } = await startFallbackJob();
+
+            client.pause();
+            domProcessor.finishExtraction();
+            await flushPromises();
+            client.cancel();
+
+            await expect(job).rejects.toMatchObject({ name: 'AbortError' });
+            expect(postedTypes(worker)).not.toContain(messageTypes.START);
+        });
+    });
+});
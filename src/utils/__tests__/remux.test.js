@@ -0,0 +1,105 @@
+import WebmMuxer from '../webmMuxer';
+import Mp4Muxer from '../mp4Muxer';
+import { outputFormats } from '../outputFormats';
+import { demuxVideoFile, canCopyAudio, retimeRecording } from '../remux';
+import { chunk } from './helpers/media';
+
+const VIDEO = { codec: 'vp8', width: 64, height: 48 };
+
+// A MediaRecorder-like recording: frames at the recorder's uneven clock, frame i filled with i
+function createRecording(frameCount) {
+    const muxer = new WebmMuxer({ video: VIDEO });
+    let timestamp = 0;
+    for (let i = 0; i < frameCount; i++) {
+        timestamp += 5000 + (i % 3) * 7000;
+        muxer.addVideoChunk(chunk(timestamp, 0, i % 10 === 0, 3, i));
+    }
+    return muxer.finish();
+}
+
+// A source with one frame and 4 s of Opus packets, packet i filled with i
+async function createAudioSource() {
+    const muxer = new WebmMuxer({
+        video: VIDEO,
+        audio: { codec: 'opus', sampleRate: 48000, numberOfChannels: 2 }
+    });
+    muxer.addVideoChunk(chunk(0, 0, true, 1, 1));
+    for (let i = 0; i < 200; i++) {
+        muxer.addAudioChunk(chunk(i * 20000, 20000, true, 1, i));
+    }
+    return demuxVideoFile(muxer.finish());
+}
+
+describe('remux', () => {
+    it('demuxes WebM and MP4 files and refuses anything else', async () => {
+        const webm = await demuxVideoFile(createRecording(3));
+        expect(webm).toMatchObject({ container: 'webm', audio: null });
+        expect(webm.video.samples).toHaveLength(3);
+
+        const mp4Muxer = new Mp4Muxer({ video: { codec: 'vp09.00.10.08', width: 64, height: 48 } });
+        mp4Muxer.addVideoSample({ data: Uint8Array.of(1), timestamp: 0, duration: 40000, isKey: true });
+        expect((await demuxVideoFile(mp4Muxer.finish())).container).toBe('mp4');
+
+        await expect(demuxVideoFile(new Blob([new Uint8Array(64)])))
+            .rejects.toThrow('Only MP4, MOV and WebM files can be read without FFmpeg');
+    });
+
+    it('knows which audio can be copied into each format', () => {
+        expect(canCopyAudio('mp4a.40.2', outputFormats.MP4)).toBe(true);
+        expect(canCopyAudio('opus', outputFormats.MP4)).toBe(false);
+        expect(canCopyAudio('opus', outputFormats.WEBM)).toBe(true);
+        expect(canCopyAudio('vorbis', outputFormats.WEBM)).toBe(true);
+        expect(canCopyAudio('mp4a.40.2', outputFormats.WEBM)).toBe(false);
+        expect(canCopyAudio(null, outputFormats.WEBM)).toBe(false);
+        expect(canCopyAudio('opus', outputFormats.GIF)).toBe(false);
+    });
+
+    it('retimes recorded frames to steps of 1 / fps without touching their data', async () => {
+        const { blob, frameCount } = await retimeRecording(createRecording(20), 10);
+        const output = await demuxVideoFile(blob);
+
+        expect(frameCount).toBe(20);
+        expect(output.duration).toBeCloseTo(2, 2);
+        output.video.samples.forEach((sample, i) => {
+            expect(sample.timestamp).toBe(i * 100000);
+            expect(sample.isKey).toBe(i % 10 === 0);
+            expect(Array.from(output.bytes.subarray(sample.offset, sample.offset + sample.size))).toEqual([i, i, i]);
+        });
+    });
+
+    it('follows a frame timeline instead of the frame rate', async () => {
+        const timeline = [
+            { time: 0, duration: 0.1 },
+            { time: 0.1, duration: 0.25 },
+            { time: 0.35, duration: 0.05 }
+        ];
+        const { blob } = await retimeRecording(createRecording(3), 10, { timeline });
+        const output = await demuxVideoFile(blob);
+
+        expect(output.video.samples.map(sample => sample.timestamp)).toEqual([0, 100000, 350000]);
+        expect(output.duration).toBeCloseTo(0.4, 2);
+    });
+
+    it('copies the source audio from the trim start for as long as the video lasts', async () => {
+        const audioMedia = await createAudioSource();
+        const { blob } = await retimeRecording(createRecording(20), 10, { audioMedia, audioStart: 1 });
+        const output = await demuxVideoFile(blob);
+
+        expect(output.audio).toMatchObject({ codec: 'opus', sampleRate: 48000, numberOfChannels: 2 });
+        // 2 s of 20 ms packets, starting with the one at 1 s
+        expect(output.audio.samples).toHaveLength(100);
+        expect(output.audio.samples[0].timestamp).toBe(0);
+        expect(output.bytes[output.audio.samples[0].offset]).toBe(50);
+        expect(output.bytes[output.audio.samples[99].offset]).toBe(149);
+    });
+
+    it('leaves out audio WebM cannot hold and refuses recordings that are not WebM', async () => {
+        const audioMedia = { audio: { codec: 'mp4a.40.2' } };
+        const { blob } = await retimeRecording(createRecording(3), 10, { audioMedia });
+        expect((await demuxVideoFile(blob)).audio).toBeNull();
+
+        const mp4Muxer = new Mp4Muxer({ video: { codec: 'vp09.00.10.08', width: 64, height: 48 } });
+        mp4Muxer.addVideoSample({ data: Uint8Array.of(1), timestamp: 0, duration: 40000, isKey: true });
+        await expect(retimeRecording(mp4Muxer.finish(), 10)).rejects.toThrow('Recording is not a WebM video');
+    });
+});
@@ -0,0 +1,81 @@
+import { normalizeBlendWeights, createBlendRecipe, restoreBlendComponents } from '../styleBlend';
+import { loadBlendImage } from '../blendImageStore';
+
+jest.mock('../blendImageStore', () => ({
+    __esModule: true,
+    loadBlendImage: jest.fn()
+}));
+
+function component(fileName, weight, imageId = `image_${fileName}`) {
+    return { metadata: { fileName }, weight, imageId, file: { name: fileName } };
+}
+
+describe('normalizeBlendWeights', () => {
+    it('scales weights to sum to 1 and drops unweighted styles', () => {
+        const normalized = normalizeBlendWeights([component('a.png', 3), component('b.png', 0), component('c.png', 1)]);
+        expect(normalized.map(style => style.metadata.fileName)).toEqual(['a.png', 'c.png']);
+        expect(normalized.map(style => style.weight)).toEqual([0.75, 0.25]);
+    });
+
+    it('returns nothing when no style has weight', () => {
+        expect(normalizeBlendWeights([component('a.png', 0)])).toEqual([]);
+    });
+});
+
+describe('createBlendRecipe', () => {
+    it('keeps image ids and weights, not images', () => {
+        const recipe = createBlendRecipe([component('ink.jpg', 1), component('water.png', 1)], 0.8);
+
+        expect(recipe.name).toBe('ink + water');
+        expect(recipe.styleRatio).toBe(0.8);
+        expect(recipe.components).toEqual([
+            { imageId: 'image_ink.jpg', fileName: 'ink.jpg', weight: 0.5 },
+            { imageId: 'image_water.png', fileName: 'water.png', weight: 0.5 }
+        ]);
+        expect(JSON.parse(JSON.stringify(recipe))).toEqual(recipe);
+    });
+
+    it('rejects styles whose images were not saved', () => {
+        expect(() => createBlendRecipe([component('a.png', 1, null)])).toThrow('must be saved');
+    });
+});
+
+describe('restoreBlendComponents', () => {
+    const savedImages = {
+        'image_ink.jpg': new File([new Uint8Array(4)], 'ink.jpg', { type: 'image/jpeg' }),
+        'image_water.png': new File([new Uint8Array(8)], 'water.png', { type: 'image/png' })
+    };
+
+    beforeEach(() => {
+        loadBlendImage.mockImplementation(async id => savedImages[id] || null);
+        URL.createObjectURL = jest.fn(() => 'blob:style');
+        // Images load as soon as their source is set
+        global.Image = class {
+            set src(url) {
+                this.width = 512;
+                this.height = 256;
+                this.onload();
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.Image;
+    });
+
+    it('restores each image from the store with its weight and feature cache key', async () => {
+        const recipe = createBlendRecipe([component('water.png', 1), component('ink.jpg', 3)]);
+        const components = await restoreBlendComponents(recipe);
+
+        expect(components.map(style => [style.styleKey, style.weight, style.file.name])).toEqual([
+            ['image_water.png', 0.25, 'water.png'],
+            ['image_ink.jpg', 0.75, 'ink.jpg']
+        ]);
+        expect(components[0].metadata).toEqual({ width: 512, height: 256, size: 8, type: 'image/png', fileName: 'water.png' });
+    });
+
+    it('fails clearly when an image is gone', async () => {
+        const recipe = createBlendRecipe([component('ink.jpg', 1), component('gone.png', 1)]);
+        await expect(restoreBlendComponents(recipe)).rejects.toThrow('"gone.png" of this blend is no longer saved');
+    });
+});
@@ -0,0 +1,63 @@
+import { hashStyleImage, getStyleFeatures, setStyleFeatures, clearStyleFeatures } from '../styleFeatureCache';
+
+function createFeatures(value) {
+    return { shape: [1, 1, 1, 1], data: Float32Array.of(value) };
+}
+
+describe('hashStyleImage', () => {
+    it('hashes the file bytes with SHA-256', async () => {
+        const file = new File(['abc'], 'style.png', { type: 'image/png' });
+        await expect(hashStyleImage(file))
+            .resolves.toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    it('falls back to FNV-1a and the size without SubtleCrypto', async () => {
+        const crypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+        Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+        try {
+            await expect(hashStyleImage(new File(['abc'], 'style.png'))).resolves.toBe('fnv-1a47e90b-3');
+        } finally {
+            Object.defineProperty(globalThis, 'crypto', crypto);
+        }
+    });
+});
+
+describe('style feature cache', () => {
+    beforeEach(() => {
+        clearStyleFeatures();
+    });
+
+    it('returns what was stored for a key', () => {
+        const features = createFeatures(1);
+        setStyleFeatures('a', features);
+
+        expect(getStyleFeatures('a')).toBe(features);
+        expect(getStyleFeatures('b')).toBeNull();
+        expect(getStyleFeatures(null)).toBeNull();
+    });
+
+    it('ignores entries without a key or features', () => {
+        setStyleFeatures(null, createFeatures(1));
+        setStyleFeatures('a', null);
+        expect(getStyleFeatures('a')).toBeNull();
+    });
+
+    it('drops the least recently used style past 20 entries', () => {
+        for (let i = 0; i < 20; i++) {
+            setStyleFeatures(`style${i}`, createFeatures(i));
+        }
+        // Using style0 makes style1 the oldest
+        getStyleFeatures('style0');
+        setStyleFeatures('style20', createFeatures(20));
+
+        expect(getStyleFeatures('style0')).not.toBeNull();
+        expect(getStyleFeatures('style1')).toBeNull();
+        expect(getStyleFeatures('style20')).not.toBeNull();
+    });
+
+    it('forgets everything when cleared', () => {
+        setStyleFeatures('a', createFeatures(1));
+        clearStyleFeatures();
+        expect(getStyleFeatures('a')).toBeNull();
+    });
+});
@@ -0,0 +1,51 @@
+import { keyframeTransitions, normalizeKeyframes, sampleKeyframes, lerp } from '../styleKeyframes';
+
+describe('normalizeKeyframes', () => {
+    it('sorts by time and fills in defaults', () => {
+        const inkStyle = { id: 'ink' };
+        const keyframes = normalizeKeyframes([
+            { time: 4, style: inkStyle, transition: keyframeTransitions.CUT },
+            { time: '-2' },
+            { time: 'soon', styleRatio: 0.3 }
+        ], 0.8);
+
+        expect(keyframes).toEqual([
+            { time: 0, styleRatio: 0.8, style: null, transition: keyframeTransitions.FADE },
+            { time: 0, styleRatio: 0.3, style: null, transition: keyframeTransitions.FADE },
+            { time: 4, styleRatio: 0.8, style: inkStyle, transition: keyframeTransitions.CUT }
+        ]);
+    });
+
+    it('keeps a zero strength instead of replacing it with the default', () => {
+        expect(normalizeKeyframes([{ time: 1, styleRatio: 0 }])[0].styleRatio).toBe(0);
+    });
+});
+
+describe('sampleKeyframes', () => {
+    const keyframes = normalizeKeyframes([
+        { time: 0, styleRatio: 0 },
+        { time: 2, styleRatio: 1 },
+        { time: 6, styleRatio: 0.5, transition: keyframeTransitions.CUT }
+    ]);
+
+    it('holds the first and last keyframes outside the timeline', () => {
+        expect(sampleKeyframes(keyframes, -1)).toEqual({ from: keyframes[0], to: keyframes[0], amount: 0 });
+        expect(sampleKeyframes(keyframes, 10)).toEqual({ from: keyframes[2], to: keyframes[2], amount: 0 });
+    });
+
+    it('fades between keyframes', () => {
+        const { from, to, amount } = sampleKeyframes(keyframes, 0.5);
+        expect([from, to]).toEqual([keyframes[0], keyframes[1]]);
+        expect(amount).toBe(0.25);
+        expect(lerp(from.styleRatio, to.styleRatio, amount)).toBe(0.25);
+    });
+
+    it('holds the previous keyframe until a cut', () => {
+        expect(sampleKeyframes(keyframes, 5.9)).toEqual({ from: keyframes[1], to: keyframes[2], amount: 0 });
+        expect(sampleKeyframes(keyframes, 6).from).toBe(keyframes[2]);
+    });
+
+    it('starts the next segment exactly on a keyframe', () => {
+        expect(sampleKeyframes(keyframes, 2)).toEqual({ from: keyframes[1], to: keyframes[2], amount: 0 });
+    });
+});
@@ -0,0 +1,23 @@
+import { parseTags, matchesStyleSearch } from '../styleLibrary';
+
+describe('parseTags', () => {
+    it('splits on commas, trims, lowercases and drops empty and repeated tags', () => {
+        expect(parseTags(' Ink, watercolor ,,INK, Warm Tones ')).toEqual(['ink', 'watercolor', 'warm tones']);
+        expect(parseTags('')).toEqual([]);
+    });
+});
+
+describe('matchesStyleSearch', () => {
+    const record = { name: 'Starry Night', tags: ['van gogh', 'swirls'] };
+
+    it('matches part of the name or a tag, ignoring case', () => {
+        expect(matchesStyleSearch(record, 'starry')).toBe(true);
+        expect(matchesStyleSearch(record, ' GOGH ')).toBe(true);
+        expect(matchesStyleSearch(record, 'swirl')).toBe(true);
+        expect(matchesStyleSearch(record, 'monet')).toBe(false);
+    });
+
+    it('matches everything on an empty search', () => {
+        expect(matchesStyleSearch(record, '   ')).toBe(true);
+    });
+});
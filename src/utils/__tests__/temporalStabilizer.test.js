@@ -0,0 +1,64 @@
+import TemporalStabilizer from '../temporalStabilizer';
+
+const SIZE = 32;
+
+function createFrame(value) {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4).fill(value);
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    return { width: SIZE, height: SIZE, data };
+}
+
+describe('TemporalStabilizer', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('passes the first frame through', () => {
+        const stabilizer = new TemporalStabilizer();
+        const styled = createFrame(200);
+
+        expect(stabilizer.stabilize(createFrame(50), styled)).toBe(styled);
+        expect(styled.data[0]).toBe(200);
+    });
+
+    it.each([
+        [0, 100],
+        [0.5, 100 + 100 * 0.5 * 0.85],
+        [1, 100 + 100 * 0.85]
+    ])('blends the previous output in at strength %f', (strength, expected) => {
+        const stabilizer = new TemporalStabilizer({ strength });
+        stabilizer.stabilize(createFrame(50), createFrame(200));
+        const styled = stabilizer.stabilize(createFrame(50), createFrame(100));
+
+        expect(Math.abs(styled.data[0] - expected)).toBeLessThanOrEqual(1);
+        expect(Math.abs(styled.data[SIZE * SIZE * 4 - 2] - expected)).toBeLessThanOrEqual(1);
+        expect(styled.data[3]).toBe(255);
+    });
+
+    it('restarts at a scene cut instead of blending across it', () => {
+        const stabilizer = new TemporalStabilizer({ strength: 1 });
+        stabilizer.stabilize(createFrame(0), createFrame(200));
+
+        const cut = stabilizer.stabilize(createFrame(255), createFrame(100));
+        expect(cut.data[0]).toBe(100);
+
+        // The next frame blends with the frame after the cut, not the one before it
+        const next = stabilizer.stabilize(createFrame(255), createFrame(0));
+        expect(Math.abs(next.data[0] - 100 * 0.85)).toBeLessThanOrEqual(1);
+    });
+
+    it('starts over when the frame size changes or it is reset', () => {
+        const stabilizer = new TemporalStabilizer({ strength: 1 });
+        stabilizer.stabilize(createFrame(50), createFrame(200));
+        stabilizer.reset();
+
+        expect(stabilizer.stabilize(createFrame(50), createFrame(100)).data[0]).toBe(100);
+
+        const smaller = { width: 16, height: 16, data: new Uint8ClampedArray(16 * 16 * 4).fill(30) };
+        expect(stabilizer.stabilize(smaller, smaller).data[0]).toBe(30);
+    });
+});
@@ -0,0 +1,90 @@
+import {
+    stylizeResolutions,
+    getWorkingSize,
+    getTileGrid,
+    createTileAccumulator,
+    addTile,
+    resolveTiles
+} from '../tiling';
+
+// RGBA pixels of a tile cut out of a frame
+function cropTile(frame, tile) {
+    const pixels = new Uint8ClampedArray(tile.width * tile.height * 4);
+    for (let y = 0; y < tile.height; y++) {
+        const start = ((tile.y + y) * frame.width + tile.x) * 4;
+        pixels.set(frame.data.subarray(start, start + tile.width * 4), y * tile.width * 4);
+    }
+    return pixels;
+}
+
+function createGradientFrame(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data.set([x % 256, y % 256, (x + y) % 256, 255], i);
+        }
+    }
+    return { width, height, data };
+}
+
+describe('getWorkingSize', () => {
+    it('scales the long edge down to the resolution, keeping the aspect ratio', () => {
+        expect(getWorkingSize(1920, 1080, stylizeResolutions.BALANCED)).toEqual({ width: 720, height: 404 });
+        expect(getWorkingSize(1080, 1920, stylizeResolutions.FAST)).toEqual({ width: 216, height: 384 });
+    });
+
+    it('never scales up and snaps to the multiple', () => {
+        expect(getWorkingSize(641, 359, stylizeResolutions.HIGH)).toEqual({ width: 640, height: 360 });
+        expect(getWorkingSize(1921, 1081, stylizeResolutions.NATIVE)).toEqual({ width: 1920, height: 1080 });
+    });
+});
+
+describe('getTileGrid', () => {
+    it('uses one tile for a frame no bigger than a tile', () => {
+        expect(getTileGrid(300, 200)).toEqual([{ x: 0, y: 0, width: 300, height: 200 }]);
+    });
+
+    it('covers the frame with full-size overlapping tiles', () => {
+        const tiles = getTileGrid(1000, 500, { tileSize: 384, overlap: 48 });
+        const xs = [...new Set(tiles.map(tile => tile.x))];
+        const ys = [...new Set(tiles.map(tile => tile.y))];
+
+        expect(xs).toEqual([0, 336, 616]);
+        expect(ys).toEqual([0, 116]);
+        expect(tiles.every(tile => tile.width === 384 && tile.height === 384)).toBe(true);
+    });
+});
+
+describe('feathering tiles back together', () => {
+    it('rebuilds the frame exactly when tiles are unchanged', () => {
+        const frame = createGradientFrame(200, 120);
+        const tiles = getTileGrid(frame.width, frame.height, { tileSize: 64, overlap: 16 });
+        const accumulator = createTileAccumulator(frame.width, frame.height);
+
+        tiles.forEach(tile => addTile(accumulator, tile, cropTile(frame, tile), 16));
+        const result = resolveTiles(accumulator);
+
+        const maxDifference = result.data.reduce((max, value, i) => Math.max(max, Math.abs(value - frame.data[i])), 0);
+        expect(accumulator.weight.every(w => w > 0)).toBe(true);
+        expect(maxDifference).toBeLessThanOrEqual(1);
+    });
+
+    it('blends differing tiles smoothly across the overlap', () => {
+        const tiles = getTileGrid(100, 10, { tileSize: 60, overlap: 20 });
+        const accumulator = createTileAccumulator(100, 10);
+        const [left, right] = tiles;
+
+        addTile(accumulator, left, new Uint8ClampedArray(left.width * left.height * 4).fill(0), 20);
+        addTile(accumulator, right, new Uint8ClampedArray(right.width * right.height * 4).fill(200), 20);
+        const { data } = resolveTiles(accumulator);
+        const row = Array.from({ length: 100 }, (_, x) => data[x * 4]);
+
+        expect(row[0]).toBe(0);
+        expect(row[99]).toBe(200);
+        for (let x = 1; x < 100; x++) {
+            expect(row[x]).toBeGreaterThanOrEqual(row[x - 1]);
+            expect(row[x] - row[x - 1]).toBeLessThan(20);
+        }
+    });
+});
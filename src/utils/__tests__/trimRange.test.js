@@ -0,0 +1,63 @@
+import {
+    MAX_SEGMENT_SECONDS,
+    MIN_SEGMENT_SECONDS,
+    getDefaultTrim,
+    clampTrim,
+    isFullClip,
+    getTrimDuration,
+    formatTrimTime
+} from '../trimRange';
+
+describe('getDefaultTrim', () => {
+    it('covers a short clip and the start of a long one', () => {
+        expect(getDefaultTrim(12)).toEqual({ start: 0, end: 12 });
+        expect(getDefaultTrim(90)).toEqual({ start: 0, end: MAX_SEGMENT_SECONDS });
+    });
+});
+
+describe('clampTrim', () => {
+    it('keeps the points inside the clip', () => {
+        expect(clampTrim({ start: -2, end: 14 }, 10, 'start')).toEqual({ start: 0, end: 10 });
+        expect(clampTrim({ start: 2, end: 14 }, 10, 'end')).toEqual({ start: 2, end: 10 });
+    });
+
+    it('pushes the other point along when the moved one passes it', () => {
+        expect(clampTrim({ start: 8, end: 5 }, 10, 'start')).toEqual({ start: 8, end: 8 + MIN_SEGMENT_SECONDS });
+        expect(clampTrim({ start: 5, end: 3 }, 10, 'end')).toEqual({ start: 3 - MIN_SEGMENT_SECONDS, end: 3 });
+    });
+
+    it('pulls the other point along to stay within the longest segment', () => {
+        expect(clampTrim({ start: 40, end: 45 }, 120, 'end')).toEqual({ start: 40, end: 45 });
+        expect(clampTrim({ start: 0, end: 45 }, 120, 'end')).toEqual({ start: 45 - MAX_SEGMENT_SECONDS, end: 45 });
+        expect(clampTrim({ start: 50, end: 100 }, 120, 'start')).toEqual({ start: 50, end: 50 + MAX_SEGMENT_SECONDS });
+    });
+
+    it('never needs more than the clip for its minimum length', () => {
+        expect(clampTrim({ start: 0.2, end: 0.1 }, 0.3, 'start')).toEqual({ start: 0, end: 0.3 });
+    });
+});
+
+describe('isFullClip and getTrimDuration', () => {
+    it('treat a missing trim as the whole clip', () => {
+        expect(isFullClip(null, 10)).toBe(true);
+        expect(getTrimDuration(null, 10)).toBe(10);
+    });
+
+    it('allow for rounding at the ends', () => {
+        expect(isFullClip({ start: 0.005, end: 9.995 }, 10)).toBe(true);
+        expect(isFullClip({ start: 0, end: 9.5 }, 10)).toBe(false);
+        expect(getTrimDuration({ start: 2, end: 9.5 }, 10)).toBe(7.5);
+    });
+});
+
+describe('formatTrimTime', () => {
+    it('formats minutes and tenths of seconds', () => {
+        expect(formatTrimTime(0)).toBe('0:00.0');
+        expect(formatTrimTime(7.25)).toBe('0:07.3');
+        expect(formatTrimTime(125.4)).toBe('2:05.4');
+    });
+
+    it('carries into the next minute when rounding up', () => {
+        expect(formatTrimTime(59.96)).toBe('1:00.0');
+    });
+});
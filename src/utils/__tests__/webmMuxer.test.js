@@ -0,0 +1,72 @@
+import WebmMuxer from '../webmMuxer';
+import { chunk, muxAndDemux } from './helpers/media';
+
+describe('WebmMuxer and demuxWebm', () => {
+    it('round-trip VP9 and Opus blocks with millisecond timing', async () => {
+        const muxer = new WebmMuxer({
+            video: { codec: 'vp09.00.10.08', width: 640, height: 360 },
+            audio: { codec: 'opus', sampleRate: 48000, numberOfChannels: 2 }
+        });
+        const frameDuration = 1e6 / 30;
+        for (let i = 0; i < 60; i++) {
+            muxer.addVideoChunk(chunk(Math.round(i * frameDuration), Math.round(frameDuration), i % 30 === 0, 100 + i, i));
+        }
+        for (let i = 0; i < 100; i++) {
+            muxer.addAudioChunk(chunk(i * 20000, 20000, true, 40 + i, 200 + (i % 50)));
+        }
+
+        const { bytes, media } = await muxAndDemux(muxer);
+        const video = media.tracks.find(track => track.type === 'video');
+        const audio = media.tracks.find(track => track.type === 'audio');
+
+        expect(media.container).toBe('webm');
+        expect(media.duration).toBeCloseTo(2, 1);
+        expect(video).toMatchObject({ codecId: 'V_VP9', codec: 'vp09.00.10.08', codedWidth: 640, codedHeight: 360 });
+        expect(audio).toMatchObject({ codecId: 'A_OPUS', codec: 'opus', sampleRate: 48000, numberOfChannels: 2 });
+        // The muxer writes an OpusHead when the encoder gives none
+        expect(String.fromCharCode(...audio.description.slice(0, 8))).toBe('OpusHead');
+
+        expect(video.samples).toHaveLength(60);
+        video.samples.forEach((sample, i) => {
+            expect(sample.size).toBe(100 + i);
+            expect(bytes[sample.offset]).toBe(i);
+            expect(bytes[sample.offset + sample.size - 1]).toBe(i);
+            expect(sample.timestamp).toBe(Math.round(i * frameDuration / 1000) * 1000);
+            expect(sample.isKey).toBe(i % 30 === 0);
+        });
+
+        expect(audio.samples).toHaveLength(100);
+        audio.samples.forEach((sample, i) => {
+            expect(sample.size).toBe(40 + i);
+            expect(bytes[sample.offset]).toBe(200 + (i % 50));
+            expect(sample.timestamp).toBe(i * 20000);
+        });
+    });
+
+    it('reads the VP9 profile, level and bit depth back from CodecPrivate', async () => {
+        const muxer = new WebmMuxer({
+            video: { codec: 'vp09.02.41.10', width: 64, height: 64, description: Uint8Array.from([1, 1, 2, 2, 1, 41, 3, 1, 10]) }
+        });
+        muxer.addVideoSample({ data: Uint8Array.of(1), timestamp: 0, duration: 40000, isKey: true });
+
+        const { media } = await muxAndDemux(muxer);
+        expect(media.tracks[0].codec).toBe('vp09.02.41.10');
+    });
+
+    it('round-trips the colour description', async () => {
+        const colour = { primaries: 9, transfer: 18, matrix: 9, fullRange: true };
+        const muxer = new WebmMuxer({ video: { codec: 'vp09.00.10.08', width: 64, height: 64, colour } });
+        muxer.addVideoSample({ data: Uint8Array.of(1), timestamp: 0, duration: 40000, isKey: true });
+
+        const { media } = await muxAndDemux(muxer);
+        expect(media.tracks[0].colour).toEqual(colour);
+    });
+
+    it('refuses codecs WebM output does not support', () => {
+        expect(() => new WebmMuxer({ video: { codec: 'avc1.64001f', width: 64, height: 64 } }))
+            .toThrow('does not support codec avc1.64001f');
+        expect(() => new WebmMuxer({ video: { codec: 'vp8', width: 64, height: 64 }, audio: { codec: 'mp4a.40.2' } }))
+            .toThrow('does not support codec mp4a.40.2');
+        expect(() => new WebmMuxer({ video: { codec: 'vp8', width: 64, height: 64 } }).finish()).toThrow('No video frames');
+    });
+});
@@ -0,0 +1,64 @@
+import yauzl from 'yauzl';
+import ZipWriter from '../zipWriter';
+import { crc32 } from '../crc32';
+
+// Every entry of a ZIP archive: { name, crc, data, lastModified }
+function readZip(buffer) {
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(buffer, { lazyEntries: true, decodeStrings: true }, (error, zip) => {
+            if (error) return reject(error);
+
+            const entries = [];
+            zip.on('error', reject);
+            zip.on('end', () => resolve(entries));
+            zip.on('entry', (entry) => {
+                zip.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) return reject(streamError);
+                    const chunks = [];
+                    stream.on('data', chunk => chunks.push(chunk));
+                    stream.on('end', () => {
+                        entries.push({
+                            name: entry.fileName,
+                            crc: entry.crc32,
+                            method: entry.compressionMethod,
+                            data: new Uint8Array(Buffer.concat(chunks)),
+                            lastModified: entry.getLastModDate()
+                        });
+                        zip.readEntry();
+                    });
+                });
+            });
+            zip.readEntry();
+        });
+    });
+}
+
+describe('ZipWriter', () => {
+    it('writes an archive other tools read back with matching CRCs', async () => {
+        const date = new Date(2024, 4, 17, 13, 45, 30);
+        const png = Uint8Array.from({ length: 3000 }, (_, i) => (i * 31) % 256);
+
+        const zip = new ZipWriter();
+        await zip.addFile('frames/frame_0001.png', new Blob([png]), date);
+        await zip.addFile('frames/frame_0002.png', png.subarray(0, 10), date);
+        await zip.addText('cartoon-ä.json', '{"fps":12}', date);
+        const blob = zip.finish();
+        expect(blob.type).toBe('application/zip');
+
+        const entries = await readZip(Buffer.from(await blob.arrayBuffer()));
+        expect(entries.map(entry => entry.name)).toEqual(['frames/frame_0001.png', 'frames/frame_0002.png', 'cartoon-ä.json']);
+        entries.forEach((entry) => {
+            expect(entry.method).toBe(0);
+            expect(entry.crc).toBe(crc32(entry.data));
+            expect(entry.lastModified.getTime()).toBe(date.getTime());
+        });
+        expect(entries[0].data).toEqual(png);
+        expect(entries[1].data).toEqual(png.subarray(0, 10));
+        expect(new TextDecoder().decode(entries[2].data)).toBe('{"fps":12}');
+    });
+
+    it('writes a valid empty archive', async () => {
+        const blob = new ZipWriter().finish();
+        expect(await readZip(Buffer.from(await blob.arrayBuffer()))).toEqual([]);
+    });
+});
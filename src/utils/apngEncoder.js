@@ -0,0 +1,132 @@
+/**
+ * APNG Encoder
+ *
+ * Encodes RGBA frames ({ width, height, data }) as a looping animated PNG
+ * without FFmpeg. Rows use the PNG "Sub" filter and are deflated with the
+ * browser's CompressionStream.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { crc32 } from './crc32';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Big-endian 32-bit and 16-bit integers
+ */
+function uint32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function uint16(value) {
+    return [(value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ */
+function createChunk(type, data) {
+    const body = new Uint8Array(4 + data.length);
+    for (let i = 0; i < 4; i++) body[i] = type.charCodeAt(i);
+    body.set(data, 4);
+
+    const chunk = new Uint8Array(12 + data.length);
+    chunk.set(uint32(data.length), 0);
+    chunk.set(body, 4);
+    chunk.set(uint32(crc32(body)), 8 + data.length);
+    return chunk;
+}
+
+/**
+ * zlib-compress bytes with CompressionStream
+ */
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+class ApngEncoder {
+    /**
+     * Whether this browser can encode APNG in JavaScript
+     */
+    static isSupported() {
+        return typeof CompressionStream !== 'undefined';
+    }
+
+    constructor(width, height, frameCount, options = {}) {
+        if (!ApngEncoder.isSupported()) {
+            throw new Error('APNG export is not supported in this browser');
+        }
+
+        this.width = width;
+        this.height = height;
+        this.frameCount = frameCount;
+        this.fps = options.fps || 10;
+        this.loop = options.loop ?? 0; // 0 = forever
+        this.sequence = 0;
+        this.chunks = [new Uint8Array(PNG_SIGNATURE)];
+
+        // IHDR: 8-bit RGBA, no interlacing
+        this.chunks.push(createChunk('IHDR', new Uint8Array([
+            ...uint32(width), ...uint32(height), 8, 6, 0, 0, 0
+        ])));
+
+        // acTL: frame count and loop count
+        this.chunks.push(createChunk('acTL', new Uint8Array([
+            ...uint32(frameCount), ...uint32(this.loop)
+        ])));
+    }
+
+    /**
+     * Filter, compress and append a frame, shown for `duration` seconds (one
+     * frame at the frame rate by default)
+     */
+    async addFrame({ data }, duration = 1 / this.fps) {
+        const { width, height } = this;
+        const rowLength = width * 4;
+        const filtered = new Uint8Array((rowLength + 1) * height);
+
+        // "Sub" filter: each byte minus the same channel of the pixel to its left
+        for (let y = 0; y < height; y++) {
+            const row = y * rowLength;
+            const out = y * (rowLength + 1);
+            filtered[out] = 1;
+            for (let x = 0; x < rowLength; x++) {
+                const left = x >= 4 ? data[row + x - 4] : 0;
+                filtered[out + 1 + x] = (data[row + x] - left) & 0xff;
+            }
+        }
+
+        const compressed = await deflate(filtered);
+
+        // fcTL: frame size, offset and delay (in milliseconds)
+        this.chunks.push(createChunk('fcTL', new Uint8Array([
+            ...uint32(this.sequence++),
+            ...uint32(width), ...uint32(height),
+            ...uint32(0), ...uint32(0),
+            ...uint16(Math.min(65535, Math.round(duration * 1000))), ...uint16(1000),
+            0, 0 // dispose: none, blend: source
+        ])));
+
+        // The first frame is the default image (IDAT); later frames use fdAT with a sequence number
+        if (this.sequence === 1) {
+            this.chunks.push(createChunk('IDAT', compressed));
+        } else {
+            const frameData = new Uint8Array(4 + compressed.length);
+            frameData.set(uint32(this.sequence++), 0);
+            frameData.set(compressed, 4);
+            this.chunks.push(createChunk('fdAT', frameData));
+        }
+    }
+
+    /**
+     * Finish the animation and return it as a Blob
+     */
+    finish() {
+        this.chunks.push(createChunk('IEND', new Uint8Array(0)));
+        return new Blob(this.chunks, { type: 'image/apng' });
+    }
+}
+
+export default ApngEncoder;
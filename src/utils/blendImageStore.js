@@ -0,0 +1,55 @@
+/**
+ * Blend Image Store
+ *
+ * The style images of saved blend recipes, kept in their own IndexedDB object
+ * store so they never show up among the styles the user saved on purpose.
+ * Images are keyed by the hash of their file (the same key as the style
+ * feature cache), so recipes that share an image store it once. An image is
+ * deleted once no saved recipe uses it.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { stores, getAllRecords, getRecord, putRecord, deleteRecord } from './database';
+import { hashStyleImage } from './styleFeatureCache';
+
+/**
+ * Save a blend style's image unless it is saved already. Resolves with its id.
+ */
+async function saveBlendImage(styleData) {
+    const id = styleData.styleKey || await hashStyleImage(styleData.file);
+
+    if (!await getRecord(stores.BLEND_IMAGES, id)) {
+        await putRecord(stores.BLEND_IMAGES, {
+            id,
+            file: styleData.file,
+            savedAt: new Date().toISOString()
+        });
+    }
+    return id;
+}
+
+/**
+ * The saved image file for an id, or null when it is gone
+ */
+async function loadBlendImage(id) {
+    const record = await getRecord(stores.BLEND_IMAGES, id);
+    return record ? record.file : null;
+}
+
+/**
+ * Delete the images no recipe in `recipes` uses any more
+ */
+async function deleteUnusedBlendImages(recipes) {
+    const usedIds = new Set(recipes.flatMap(recipe => recipe.components.map(component => component.imageId)));
+    const unused = (await getAllRecords(stores.BLEND_IMAGES)).filter(record => !usedIds.has(record.id));
+
+    for (const record of unused) {
+        await deleteRecord(stores.BLEND_IMAGES, record.id);
+    }
+    if (unused.length > 0) {
+        console.log(`🧹 Deleted ${unused.length} blend image(s) no saved blend uses`);
+    }
+}
+
+export { saveBlendImage, loadBlendImage, deleteUnusedBlendImages };
@@ -0,0 +1,93 @@
+/**
+ * Codec Strings
+ *
+ * WebCodecs codec strings (e.g. "avc1.64001f", "vp09.00.10.08") built from
+ * the codec configuration records MP4 and WebM files carry. Shared by the
+ * MP4 and WebM demuxers.
+ *
+ * @author CartoonizeMe Team
+ */
+
+function hex2(value) {
+    return value.toString(16).padStart(2, '0');
+}
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * H.264 from an AVCDecoderConfigurationRecord (avcC)
+ */
+function getAvcCodecString(avcC, type = 'avc1') {
+    return `${type}.${hex2(avcC[1])}${hex2(avcC[2])}${hex2(avcC[3])}`;
+}
+
+/**
+ * HEVC from an HEVCDecoderConfigurationRecord (hvcC), as in ISO/IEC 14496-15 Annex E
+ */
+function getHevcCodecString(hvcC, type = 'hvc1') {
+    const profileSpace = hvcC[1] >> 6;
+    const tierFlag = (hvcC[1] >> 5) & 1;
+    const profileIdc = hvcC[1] & 0x1f;
+
+    // The compatibility flags are written in reverse bit order
+    const compatibility = ((hvcC[2] << 24) | (hvcC[3] << 16) | (hvcC[4] << 8) | hvcC[5]) >>> 0;
+    let reversed = 0;
+    for (let bit = 0; bit < 32; bit++) {
+        reversed = ((reversed << 1) | ((compatibility >>> bit) & 1)) >>> 0;
+    }
+
+    const constraints = Array.from(hvcC.subarray(6, 12));
+    while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+        constraints.pop();
+    }
+
+    return [
+        type,
+        `${['', 'A', 'B', 'C'][profileSpace]}${profileIdc}`,
+        reversed.toString(16).toUpperCase(),
+        `${tierFlag ? 'H' : 'L'}${hvcC[12]}`,
+        ...constraints.map(byte => hex2(byte).toUpperCase())
+    ].join('.');
+}
+
+/**
+ * AV1 from an AV1CodecConfigurationRecord (av1C)
+ */
+function getAv1CodecString(av1C) {
+    const profile = av1C[1] >> 5;
+    const level = av1C[1] & 0x1f;
+    const tier = av1C[2] >> 7;
+    const highBitDepth = (av1C[2] >> 6) & 1;
+    const twelveBit = (av1C[2] >> 5) & 1;
+    const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+
+    return `av01.${profile}.${pad2(level)}${tier ? 'H' : 'M'}.${pad2(bitDepth)}`;
+}
+
+/**
+ * VP9 from the profile, level and bit depth (from a vpcC box or WebM CodecPrivate)
+ */
+function getVp9CodecString({ profile = 0, level = 10, bitDepth = 8 } = {}) {
+    return `vp09.${pad2(profile)}.${pad2(level)}.${pad2(bitDepth)}`;
+}
+
+/**
+ * AAC from an AudioSpecificConfig
+ */
+function getAacCodecString(audioSpecificConfig) {
+    let objectType = audioSpecificConfig[0] >> 3;
+    if (objectType === 31) {
+        objectType = 32 + (((audioSpecificConfig[0] & 0x07) << 3) | (audioSpecificConfig[1] >> 5));
+    }
+    return `mp4a.40.${objectType}`;
+}
+
+export {
+    getAvcCodecString,
+    getHevcCodecString,
+    getAv1CodecString,
+    getVp9CodecString,
+    getAacCodecString
+};
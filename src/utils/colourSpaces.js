@@ -0,0 +1,152 @@
+/**
+ * Colour Spaces
+ *
+ * Translates video colour descriptions between the ISO/IEC 23091-2 code
+ * points MP4 and WebM files carry (colr box, Colour element), FFmpeg's names
+ * and WebCodecs' VideoColorSpace. A colour description is
+ * { primaries, transfer, matrix, fullRange } with code points, where 2 means
+ * unspecified.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const UNSPECIFIED = 2;
+
+// Code point: [FFmpeg name, WebCodecs name (or null)]
+const primaries = {
+    1: ['bt709', 'bt709'],
+    4: ['bt470m', null],
+    5: ['bt470bg', 'bt470bg'],
+    6: ['smpte170m', 'smpte170m'],
+    7: ['smpte240m', null],
+    8: ['film', null],
+    9: ['bt2020', 'bt2020'],
+    10: ['smpte428', null],
+    11: ['smpte431', null],
+    12: ['smpte432', 'smpte432']
+};
+
+const transfers = {
+    1: ['bt709', 'bt709'],
+    4: ['gamma22', null],
+    5: ['gamma28', null],
+    6: ['smpte170m', 'smpte170m'],
+    7: ['smpte240m', null],
+    8: ['linear', 'linear'],
+    13: ['iec61966-2-1', 'iec61966-2-1'],
+    14: ['bt2020-10', null],
+    15: ['bt2020-12', null],
+    16: ['smpte2084', 'pq'],
+    18: ['arib-std-b67', 'hlg']
+};
+
+const matrices = {
+    0: ['gbr', 'rgb'],
+    1: ['bt709', 'bt709'],
+    5: ['bt470bg', 'bt470bg'],
+    6: ['smpte170m', 'smpte170m'],
+    7: ['smpte240m', null],
+    9: ['bt2020nc', 'bt2020-ncl'],
+    10: ['bt2020c', null]
+};
+
+// What everything the app writes is: canvas pixels are sRGB, encoded as BT.709
+const BT709_COLOUR = { primaries: 1, transfer: 1, matrix: 1, fullRange: false };
+
+// FFmpeg's colorspace filter converts from these (not from PQ or HLG)
+const FFMPEG_CONVERTIBLE_PRIMARIES = [1, 4, 5, 6, 7, 9];
+const FFMPEG_CONVERTIBLE_TRANSFERS = [1, 4, 5, 6, 7, 13, 14, 15];
+const FFMPEG_CONVERTIBLE_MATRICES = [1, 5, 6, 7, 9];
+
+function findCodePoint(table, name, column) {
+    if (!name) return UNSPECIFIED;
+    const entry = Object.entries(table).find(([, names]) => names[column] === name);
+    return entry ? Number(entry[0]) : UNSPECIFIED;
+}
+
+/**
+ * Whether a colour description says anything at all
+ */
+function hasColourInfo(colour) {
+    return Boolean(colour) && (colour.primaries in primaries || colour.transfer in transfers || colour.matrix in matrices);
+}
+
+/**
+ * Whether the transfer is HDR (PQ or HLG), which isn't tone mapped
+ */
+function isHdrColour(colour) {
+    return colour?.transfer === 16 || colour?.transfer === 18;
+}
+
+/**
+ * FFmpeg names for a colour description: { primaries, transfer, matrix, range },
+ * each undefined when unspecified
+ */
+function getFFmpegColourNames(colour) {
+    return {
+        primaries: primaries[colour.primaries]?.[0],
+        transfer: transfers[colour.transfer]?.[0],
+        matrix: matrices[colour.matrix]?.[0],
+        range: colour.fullRange ? 'pc' : 'tv'
+    };
+}
+
+/**
+ * A colour description from FFmpeg names (as printed in its stream info)
+ */
+function parseFFmpegColourNames({ primaries: primariesName, transfer, matrix, range }) {
+    return {
+        primaries: findCodePoint(primaries, primariesName, 0),
+        transfer: findCodePoint(transfers, transfer, 0),
+        matrix: findCodePoint(matrices, matrix, 0),
+        fullRange: range === 'pc'
+    };
+}
+
+/**
+ * VideoColorSpaceInit for WebCodecs, with the fields it has names for
+ */
+function getWebCodecsColorSpace(colour) {
+    const colorSpace = { fullRange: Boolean(colour.fullRange) };
+    const primariesName = primaries[colour.primaries]?.[1];
+    const transferName = transfers[colour.transfer]?.[1];
+    const matrixName = matrices[colour.matrix]?.[1];
+
+    if (primariesName) colorSpace.primaries = primariesName;
+    if (transferName) colorSpace.transfer = transferName;
+    if (matrixName) colorSpace.matrix = matrixName;
+    return colorSpace;
+}
+
+/**
+ * A colour description from a WebCodecs VideoColorSpace (e.g. an encoder's
+ * decoderConfig.colorSpace)
+ */
+function parseWebCodecsColorSpace(colorSpace) {
+    return {
+        primaries: findCodePoint(primaries, colorSpace.primaries, 1),
+        transfer: findCodePoint(transfers, colorSpace.transfer, 1),
+        matrix: findCodePoint(matrices, colorSpace.matrix, 1),
+        fullRange: Boolean(colorSpace.fullRange)
+    };
+}
+
+/**
+ * Whether FFmpeg's colorspace filter can convert the colour to BT.709
+ */
+function canConvertToBt709(colour) {
+    return FFMPEG_CONVERTIBLE_PRIMARIES.includes(colour.primaries) &&
+        FFMPEG_CONVERTIBLE_TRANSFERS.includes(colour.transfer) &&
+        FFMPEG_CONVERTIBLE_MATRICES.includes(colour.matrix);
+}
+
+export {
+    BT709_COLOUR,
+    hasColourInfo,
+    isHdrColour,
+    getFFmpegColourNames,
+    parseFFmpegColourNames,
+    getWebCodecsColorSpace,
+    parseWebCodecsColorSpace,
+    canConvertToBt709
+};
@@ -0,0 +1,37 @@
+/**
+ * CRC-32
+ *
+ * The IEEE CRC-32 checksum used by PNG chunks and ZIP entries.
+ *
+ * @author CartoonizeMe Team
+ */
+
+let crcTable = null;
+
+function getTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * CRC-32 of a byte array
+ */
+function crc32(bytes) {
+    const table = getTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+export { crc32 };
@@ -0,0 +1,167 @@
+/**
+ * Database
+ *
+ * The app's IndexedDB database. Each feature keeps its records in its own
+ * object store; stores are created in upgradeDatabase() when DB_VERSION is
+ * bumped. The helpers wrap IndexedDB requests in promises.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const DB_NAME = 'cartoonizeme';
+const DB_VERSION = 4;
+
+const stores = {
+    BLEND_IMAGES: 'blendImages',    // Style images of saved blend recipes ({ id, file, savedAt }, see blendImageStore.js)
+    HISTORY: 'history',             // Processed results ({ id, createdAt, ... }, see historyStore.js)
+    STYLES: 'styles',               // Saved style references ({ id, lastUsedAt, ... }, see styleLibrary.js)
+    QUEUE: 'queue'                  // Batch processing jobs ({ id, createdAt, status, ... }, see jobQueue.js)
+};
+
+let databasePromise = null;
+
+/**
+ * Whether IndexedDB is available (it isn't in some private browsing modes)
+ */
+function isDatabaseSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Create the object stores missing from an older version of the database
+ */
+function upgradeDatabase(db) {
+    if (!db.objectStoreNames.contains(stores.BLEND_IMAGES)) {
+        db.createObjectStore(stores.BLEND_IMAGES, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(stores.HISTORY)) {
+        const history = db.createObjectStore(stores.HISTORY, { keyPath: 'id' });
+        history.createIndex('createdAt', 'createdAt');
+    }
+    if (!db.objectStoreNames.contains(stores.STYLES)) {
+        const styles = db.createObjectStore(stores.STYLES, { keyPath: 'id' });
+        styles.createIndex('lastUsedAt', 'lastUsedAt');
+    }
+    if (!db.objectStoreNames.contains(stores.QUEUE)) {
+        const queue = db.createObjectStore(stores.QUEUE, { keyPath: 'id' });
+        queue.createIndex('createdAt', 'createdAt');
+    }
+}
+
+/**
+ * Open the database once and share the connection
+ */
+function openDatabase() {
+    if (!isDatabaseSupported()) {
+        return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+    }
+
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => upgradeDatabase(request.result);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgraded the database - let it, and reopen on next use
+                db.onversionchange = () => {
+                    db.close();
+                    databasePromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                databasePromise = null;
+                reject(request.error || new Error('Failed to open the database'));
+            };
+            request.onblocked = () => console.warn('⚠️ Database upgrade is waiting for other tabs to close');
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Resolve with a request's result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run work(store) in a transaction and resolve with its result once the
+ * transaction has committed
+ */
+async function withStore(storeName, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        let result;
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Database transaction was aborted'));
+
+        Promise.resolve(work(transaction.objectStore(storeName)))
+            .then((value) => { result = value; })
+            .catch((error) => {
+                transaction.abort();
+                reject(error);
+            });
+    });
+}
+
+function getRecord(storeName, key) {
+    return withStore(storeName, 'readonly', store => requestToPromise(store.get(key)));
+}
+
+function getAllRecords(storeName) {
+    return withStore(storeName, 'readonly', store => requestToPromise(store.getAll()));
+}
+
+function putRecord(storeName, record) {
+    return withStore(storeName, 'readwrite', store => requestToPromise(store.put(record)));
+}
+
+function deleteRecord(storeName, key) {
+    return withStore(storeName, 'readwrite', store => requestToPromise(store.delete(key)));
+}
+
+/**
+ * Whether an error means the browser refused to store more data
+ */
+function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' ||
+        (error?.name === 'AbortError' && /quota/i.test(error.message || ''));
+}
+
+/**
+ * Storage used and available to this site in bytes ({ usage, quota }), or null when unknown
+ */
+async function getStorageEstimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+        return null;
+    }
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return quota > 0 ? { usage, quota } : null;
+    } catch (error) {
+        console.warn('⚠️ Could not estimate storage usage:', error);
+        return null;
+    }
+}
+
+export {
+    stores,
+    isDatabaseSupported,
+    openDatabase,
+    getRecord,
+    getAllRecords,
+    putRecord,
+    deleteRecord,
+    isQuotaError,
+    getStorageEstimate
+};
@@ -5,6 +5,9 @@
  * when FFmpeg is not available or fails to load
  */
 
+import { getPresetStyle } from './presetStyles';
+import { isBlankFrame } from './frameChecks';
+
 class DemoProcessor {
     constructor() {
         this.onProgress = null;
@@ -428,25 +431,7 @@ class DemoProcessor {
      * Check if a frame is valid (not completely black/transparent)
      */
     isFrameValid(imageData) {
-        const data = imageData.data;
-        let nonZeroPixels = 0;
-        const sampleSize = Math.min(1000, data.length / 4); // Sample subset for performance
-        const step = Math.floor((data.length / 4) / sampleSize);
-
-        for (let i = 0; i < data.length; i += (step * 4)) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            const a = data[i + 3];
-
-            // Check if pixel has any color or is not fully transparent
-            if (r > 10 || g > 10 || b > 10 || a > 100) {
-                nonZeroPixels++;
-            }
-        }
-
-        // If more than 5% of sampled pixels have content, consider frame valid
-        return (nonZeroPixels / sampleSize) > 0.05;
+        return !isBlankFrame(imageData);
     }
 
     /**
@@ -604,7 +589,7 @@ class DemoProcessor {
      * Get display name for style
      */
     getStyleName(styleId) {
-        return 'Custom Style';
+        return getPresetStyle(styleId)?.name || 'Custom Style';
     }
 
     /**
@@ -0,0 +1,108 @@
+/**
+ * FFmpeg Core
+ *
+ * Where the FFmpeg WebAssembly core is loaded from. The build copies
+ * @ffmpeg/core and @ffmpeg/core-mt into /ffmpeg/ (see webpack.config.js); the
+ * service worker precaches the single-threaded core and caches the
+ * multi-threaded one once it's used, so FFmpeg works offline and on networks
+ * that block CDNs. unpkg.com is only tried when the build opts in with
+ * FFMPEG_CDN_FALLBACK=true.
+ *
+ * The multi-threaded core needs SharedArrayBuffer, which browsers only allow
+ * on cross-origin isolated pages (COOP/COEP headers).
+ *
+ * @author CartoonizeMe Team
+ */
+
+const FFMPEG_CORE_VERSION = '0.12.6';
+const SELF_HOSTED_BASE_URL = '/ffmpeg';
+const CDN_ENABLED = process.env.FFMPEG_CDN_FALLBACK === 'true';
+
+const ffmpegVariants = {
+    MULTI_THREADED: 'multi-threaded',
+    SINGLE_THREADED: 'single-threaded'
+};
+
+const CORE_FILES = {
+    [ffmpegVariants.MULTI_THREADED]: {
+        coreURL: 'ffmpeg-core.js',
+        wasmURL: 'ffmpeg-core.wasm',
+        workerURL: 'ffmpeg-core.worker.js'
+    },
+    [ffmpegVariants.SINGLE_THREADED]: {
+        coreURL: 'ffmpeg-core.js',
+        wasmURL: 'ffmpeg-core.wasm'
+    }
+};
+
+/**
+ * Whether the multi-threaded core can run here, and why not if it can't
+ */
+function getMultiThreadSupport() {
+    if (typeof SharedArrayBuffer === 'undefined') {
+        return { supported: false, reason: 'SharedArrayBuffer is not available in this browser' };
+    }
+    if (!globalThis.crossOriginIsolated) {
+        return { supported: false, reason: 'the page is not cross-origin isolated (COOP/COEP headers missing)' };
+    }
+    return { supported: true, reason: null };
+}
+
+/**
+ * The places to load the core from, in order of preference:
+ * { name, variant, selfHosted, baseURL, files }
+ */
+function getFFmpegCoreSources() {
+    const sources = [
+        {
+            name: 'self-hosted (core-mt)',
+            variant: ffmpegVariants.MULTI_THREADED,
+            selfHosted: true,
+            baseURL: `${SELF_HOSTED_BASE_URL}/core-mt`
+        },
+        {
+            name: 'self-hosted (core)',
+            variant: ffmpegVariants.SINGLE_THREADED,
+            selfHosted: true,
+            baseURL: `${SELF_HOSTED_BASE_URL}/core`
+        }
+    ];
+
+    if (CDN_ENABLED) {
+        sources.push(
+            {
+                name: 'unpkg.com (core-mt)',
+                variant: ffmpegVariants.MULTI_THREADED,
+                selfHosted: false,
+                baseURL: `https://unpkg.com/@ffmpeg/core-mt@${FFMPEG_CORE_VERSION}/dist/esm`
+            },
+            {
+                name: 'unpkg.com (core)',
+                variant: ffmpegVariants.SINGLE_THREADED,
+                selfHosted: false,
+                baseURL: `https://unpkg.com/@ffmpeg/core@${FFMPEG_CORE_VERSION}/dist/umd`
+            }
+        );
+    }
+
+    return sources.map(source => ({ ...source, files: CORE_FILES[source.variant] }));
+}
+
+/**
+ * A one-line summary of how FFmpeg was loaded, from VideoProcessor's ffmpegStatus.
+ * Without FFmpeg, `fallback` says what is used instead ('WebCodecs' or 'HTML5').
+ */
+function describeFFmpegStatus(status) {
+    if (!status) return 'FFmpeg not loaded';
+    if (!status.variant) {
+        return `${status.fallback || 'HTML5'} fallback - ${status.reason}`;
+    }
+    return `FFmpeg ${status.variant} (${status.source})${status.reason ? ` - ${status.reason}` : ''}`;
+}
+
+export {
+    ffmpegVariants,
+    getMultiThreadSupport,
+    getFFmpegCoreSources,
+    describeFFmpegStatus
+};
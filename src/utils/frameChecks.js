@@ -0,0 +1,78 @@
+/**
+ * Frame Checks
+ *
+ * Pixel checks for frames grabbed from a <video> element, which can come out
+ * black (drawn before the decoder had a picture) or repeat the previous frame
+ * (the seek didn't present a new one).
+ *
+ * @author CartoonizeMe Team
+ */
+
+// Pixels sampled per check
+const SAMPLE_COUNT = 1000;
+
+// Side of the luma grid a frame signature is reduced to
+const SIGNATURE_SIZE = 16;
+
+// Mean luma difference (0-255) below which two signatures are the same frame
+const SAME_FRAME_THRESHOLD = 1;
+
+/**
+ * Whether a frame is (almost) entirely black or transparent: no more than 5%
+ * of the sampled pixels are both visible and brighter than near-black
+ */
+function isBlankFrame(imageData) {
+    const { data } = imageData;
+    const pixelCount = data.length / 4;
+    const step = Math.max(1, Math.floor(pixelCount / SAMPLE_COUNT));
+    let sampled = 0;
+    let contentPixels = 0;
+
+    for (let pixel = 0; pixel < pixelCount; pixel += step) {
+        const i = pixel * 4;
+        if (data[i + 3] > 100 && (data[i] > 10 || data[i + 1] > 10 || data[i + 2] > 10)) {
+            contentPixels++;
+        }
+        sampled++;
+    }
+
+    return sampled === 0 || contentPixels / sampled <= 0.05;
+}
+
+/**
+ * A small luma grid of a frame, for telling repeated frames apart cheaply
+ */
+function getFrameSignature(imageData) {
+    const { data, width, height } = imageData;
+    const signature = new Float32Array(SIGNATURE_SIZE * SIGNATURE_SIZE);
+
+    for (let cellY = 0; cellY < SIGNATURE_SIZE; cellY++) {
+        const y = Math.min(height - 1, Math.floor(((cellY + 0.5) * height) / SIGNATURE_SIZE));
+        for (let cellX = 0; cellX < SIGNATURE_SIZE; cellX++) {
+            const x = Math.min(width - 1, Math.floor(((cellX + 0.5) * width) / SIGNATURE_SIZE));
+            const i = (y * width + x) * 4;
+            signature[cellY * SIGNATURE_SIZE + cellX] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+    }
+
+    return signature;
+}
+
+/**
+ * Whether two frame signatures show the same picture
+ */
+function isSameFrame(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference += Math.abs(a[i] - b[i]);
+    }
+    return difference / a.length < SAME_FRAME_THRESHOLD;
+}
+
+export {
+    isBlankFrame,
+    getFrameSignature,
+    isSameFrame
+};
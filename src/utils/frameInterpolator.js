@@ -0,0 +1,150 @@
+/**
+ * Frame Interpolator
+ *
+ * Fills the frames between two stylized keyframes so the output can keep the
+ * source frame rate while only a few frames per second go through the neural
+ * network. Two methods:
+ * - 'flow': warp both neighbouring stylized keyframes onto the original frame
+ *   using block-matching motion and blend them by distance and match quality
+ * - 'color': transfer the colour statistics of the stylized keyframes onto the
+ *   original frame (Reinhard-style mean / standard deviation matching)
+ *
+ * Areas where motion can't be matched fall back to the colour transfer.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { DEFAULT_MOTION_OPTIONS, getAnalysisSize, toGray, estimateBlockMotion, getBlockIndex } from './motionEstimation';
+
+const inbetweenMethods = {
+    FLOW: 'flow',
+    COLOR: 'color'
+};
+
+// Weight of the colour-transfer pixel when blending warped keyframes, so it takes over where motion matching fails
+const COLOR_FALLBACK_WEIGHT = 0.05;
+
+class FrameInterpolator {
+    constructor(method = inbetweenMethods.FLOW, options = {}) {
+        this.method = method;
+        this.options = { ...DEFAULT_MOTION_OPTIONS, ...options };
+    }
+
+    /**
+     * Keep what the interpolator needs from a stylized keyframe.
+     * `source` and `styled` are ImageData-like objects ({ width, height, data }).
+     */
+    createKeyframe(source, styled) {
+        const analysis = getAnalysisSize(source.width, source.height, this.options.analysisWidth);
+        return {
+            styled,
+            gray: this.method === inbetweenMethods.FLOW ? toGray(source, analysis.width, analysis.height) : null,
+            stats: getColorStats(styled)
+        };
+    }
+
+    /**
+     * Build the stylized version of an original frame that sits `amount` (0-1)
+     * of the way from the `previous` keyframe to the `next` one
+     */
+    interpolate(source, previous, next, amount) {
+        const colorMatched = this.transferColor(source, previous.stats, next.stats, amount);
+
+        if (this.method !== inbetweenMethods.FLOW) {
+            return colorMatched;
+        }
+
+        const { width, height } = source;
+        const analysis = getAnalysisSize(width, height, this.options.analysisWidth);
+        const gray = toGray(source, analysis.width, analysis.height);
+        const fromPrevious = estimateBlockMotion(gray, previous.gray, analysis.width, analysis.height, this.options);
+        const fromNext = estimateBlockMotion(gray, next.gray, analysis.width, analysis.height, this.options);
+
+        const output = new Uint8ClampedArray(width * height * 4);
+        const color = colorMatched.data;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const blockA = getBlockIndex(fromPrevious, x, y, analysis.scale);
+                const blockB = getBlockIndex(fromNext, x, y, analysis.scale);
+                const weightA = (1 - amount) * fromPrevious.confidence[blockA];
+                const weightB = amount * fromNext.confidence[blockB];
+                const total = weightA + weightB + COLOR_FALLBACK_WEIGHT;
+
+                const a = this.warpedIndex(fromPrevious, blockA, x, y, width, height, analysis.scale);
+                const b = this.warpedIndex(fromNext, blockB, x, y, width, height, analysis.scale);
+
+                for (let c = 0; c < 3; c++) {
+                    output[i + c] = (
+                        previous.styled.data[a + c] * weightA +
+                        next.styled.data[b + c] * weightB +
+                        color[i + c] * COLOR_FALLBACK_WEIGHT
+                    ) / total;
+                }
+                output[i + 3] = 255;
+            }
+        }
+
+        return { width, height, data: output };
+    }
+
+    /**
+     * Pixel index in the keyframe that full-resolution pixel (x, y) moved from
+     */
+    warpedIndex(motion, block, x, y, width, height, scale) {
+        const px = Math.min(width - 1, Math.max(0, Math.round(x + motion.vectorsX[block] / scale)));
+        const py = Math.min(height - 1, Math.max(0, Math.round(y + motion.vectorsY[block] / scale)));
+        return (py * width + px) * 4;
+    }
+
+    /**
+     * Match the original frame's colour statistics to the (blended) keyframe statistics
+     */
+    transferColor(source, previousStats, nextStats, amount) {
+        const sourceStats = getColorStats(source);
+        const output = new Uint8ClampedArray(source.data.length);
+        const gain = [];
+        const offset = [];
+
+        for (let c = 0; c < 3; c++) {
+            const targetMean = previousStats.mean[c] * (1 - amount) + nextStats.mean[c] * amount;
+            const targetStd = previousStats.std[c] * (1 - amount) + nextStats.std[c] * amount;
+            gain[c] = targetStd / Math.max(1, sourceStats.std[c]);
+            offset[c] = targetMean - sourceStats.mean[c] * gain[c];
+        }
+
+        for (let i = 0; i < source.data.length; i += 4) {
+            output[i] = source.data[i] * gain[0] + offset[0];
+            output[i + 1] = source.data[i + 1] * gain[1] + offset[1];
+            output[i + 2] = source.data[i + 2] * gain[2] + offset[2];
+            output[i + 3] = 255;
+        }
+
+        return { width: source.width, height: source.height, data: output };
+    }
+}
+
+/**
+ * Per-channel mean and standard deviation, sampled on every 4th pixel
+ */
+function getColorStats({ data }) {
+    const sum = [0, 0, 0];
+    const sumSquares = [0, 0, 0];
+    let count = 0;
+
+    for (let i = 0; i < data.length; i += 16) {
+        for (let c = 0; c < 3; c++) {
+            sum[c] += data[i + c];
+            sumSquares[c] += data[i + c] * data[i + c];
+        }
+        count++;
+    }
+
+    const mean = sum.map(value => value / count);
+    const std = sumSquares.map((value, c) => Math.sqrt(Math.max(0, value / count - mean[c] * mean[c])));
+    return { mean, std };
+}
+
+export { inbetweenMethods };
+export default FrameInterpolator;
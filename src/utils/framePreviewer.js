@@ -0,0 +1,116 @@
+/**
+ * Frame Previewer
+ *
+ * Stylizes single frames for the preview in the style selector. One shared
+ * instance keeps the models loaded between previews, and the style features
+ * are only recomputed when the style changes, so moving the strength slider
+ * or scrubbing only costs the stylization of one reduced-size frame.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import VideoProcessor from './videoProcessor';
+import { stylizeResolutions, getWorkingSize } from './tiling';
+
+const DEFAULT_PREVIEW_OPTIONS = {
+    size: stylizeResolutions.FAST,  // Long edge preview frames are stylized at
+    displaySize: 640                // Long edge preview frames are drawn at
+};
+
+class FramePreviewer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_PREVIEW_OPTIONS, ...options };
+        this.processor = new VideoProcessor();
+        this.ready = null;
+        this.styleData = null;      // Style the processor's style features belong to
+        this.queue = Promise.resolve();
+        this.latestRequest = 0;
+    }
+
+    /**
+     * Load the style transfer models once (FFmpeg isn't needed for previews)
+     */
+    initialize(onProgress = null) {
+        if (!this.ready) {
+            this.ready = this.processor.initialize(onProgress, null, { loadFFmpeg: false })
+                .then(() => {
+                    this.processor.stylizeResolution = this.options.size;
+                })
+                .catch((error) => {
+                    this.ready = null;
+                    throw error;
+                });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Stylize the frame returned by loadFrame (an async function returning an
+     * image, video or canvas). Renders run one at a time and only the latest
+     * request is rendered; superseded requests resolve with null.
+     *
+     * Resolves with { canvas, original, renderTime }.
+     */
+    render(loadFrame, styleData, styleRatio) {
+        const request = ++this.latestRequest;
+
+        const run = async () => {
+            if (request !== this.latestRequest) return null;
+            await this.initialize();
+
+            if (this.styleData !== styleData) {
+                this.styleData = null;
+                const ready = await this.processor.processStyleReference(styleData);
+                if (!ready) {
+                    throw new Error('Failed to process style reference image');
+                }
+                this.styleData = styleData;
+            }
+            if (request !== this.latestRequest) return null;
+
+            const source = await loadFrame();
+            if (request !== this.latestRequest) return null;
+
+            const sourceWidth = source.videoWidth || source.width;
+            const sourceHeight = source.videoHeight || source.height;
+            const { width, height } = getWorkingSize(sourceWidth, sourceHeight, this.options.displaySize);
+            const original = this.processor.createCanvas(width, height);
+            original.getContext('2d').drawImage(source, 0, 0, width, height);
+
+            const renderStart = performance.now();
+            const canvas = await this.processor.stylizeFrame(original, styleData, styleRatio, null);
+            return { canvas, original, renderTime: Math.round(performance.now() - renderStart) };
+        };
+
+        const result = this.queue.then(run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Free the style features once nothing is previewing any more
+     */
+    releaseStyle() {
+        this.latestRequest++;
+        this.queue = this.queue.then(() => {
+            this.processor.releaseStyleBottleneck();
+            this.styleData = null;
+        });
+        return this.queue;
+    }
+}
+
+let sharedPreviewer = null;
+
+/**
+ * The shared previewer, created on first use
+ */
+function getFramePreviewer() {
+    if (!sharedPreviewer) {
+        sharedPreviewer = new FramePreviewer();
+    }
+    return sharedPreviewer;
+}
+
+export { getFramePreviewer };
+export default FramePreviewer;
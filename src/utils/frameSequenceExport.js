@@ -0,0 +1,71 @@
+/**
+ * Frame Sequence Export
+ *
+ * Packages the stylized frames of a result as a numbered PNG image sequence
+ * in a ZIP, for compositing in other tools. A JSON sidecar next to the frames
+ * describes the sequence (frame rate, naming pattern, source and style, and
+ * each frame's timing when the frames don't follow the frame rate exactly).
+ *
+ * @author CartoonizeMe Team
+ */
+
+import ZipWriter from './zipWriter';
+import { getFrameTimeline, hasFrameTiming } from './frameTiming';
+
+const SIDECAR_NAME = 'sequence.json';
+
+/**
+ * File-name-safe base name for a source video
+ */
+function getSequenceBaseName(sourceName) {
+    const base = (sourceName || 'video').replace(/\.[^/.]+$/, '');
+    return base.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'video';
+}
+
+/**
+ * Build the ZIP: frames/<base>_00001.png ... plus sequence.json
+ *
+ * `frames` are { blob } or { data } PNG frames in playback order.
+ */
+async function createFrameSequenceZip(frames, details, onProgress = null) {
+    if (!frames || frames.length === 0) {
+        throw new Error('No stylized frames available to export');
+    }
+
+    const baseName = getSequenceBaseName(details.sourceName);
+    const digits = Math.max(5, String(frames.length).length);
+    const frameName = (index) => `${baseName}_${String(index + 1).padStart(digits, '0')}.png`;
+    const zip = new ZipWriter();
+
+    for (let i = 0; i < frames.length; i++) {
+        const frame = frames[i];
+        const content = frame.blob || new Blob([frame.data], { type: 'image/png' });
+        await zip.addFile(`frames/${frameName(i)}`, content);
+
+        if (onProgress) {
+            onProgress((i + 1) / frames.length);
+        }
+    }
+
+    const sidecar = {
+        fps: details.fps,
+        frameCount: frames.length,
+        firstFrame: 1,
+        pattern: `frames/${baseName}_%0${digits}d.png`,
+        sourceName: details.sourceName || null,
+        style: {
+            name: details.style?.name || null,
+            fileName: details.style?.metadata?.fileName || null
+        },
+        styleRatio: details.styleRatio ?? 1.0,
+        // Start and length of each frame in seconds
+        frameTimes: hasFrameTiming(frames) ? getFrameTimeline(frames, details.fps) : null,
+        exportedAt: new Date().toISOString()
+    };
+    await zip.addText(SIDECAR_NAME, JSON.stringify(sidecar, null, 2));
+
+    console.log(`📦 Packaged ${frames.length} frames as ${sidecar.pattern}`);
+    return zip.finish();
+}
+
+export { getSequenceBaseName, createFrameSequenceZip };
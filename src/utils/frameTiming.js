@@ -0,0 +1,67 @@
+/**
+ * Frame Timing
+ *
+ * Where each extracted frame sits on the output timeline. Frames from the
+ * HTML5 extraction carry their true presentation time and how long they stay
+ * on screen (`timestamp` and `duration` in seconds, see
+ * VideoProcessor.extractFramesWithVideoFrameCallback), as do frames kept at a
+ * variable source frame rate (see mediaProbe.getSourceFrameTimes); every other
+ * frame lasts exactly 1 / fps.
+ *
+ * @author CartoonizeMe Team
+ */
+
+/**
+ * Duration of a frame in seconds: its own, or one step at `fps`
+ */
+function getFrameDuration(frame, fps) {
+    const duration = frame && typeof frame === 'object' ? frame.duration : null;
+    return Number.isFinite(duration) && duration > 0 ? duration : 1 / fps;
+}
+
+/**
+ * The output timeline of a list of frames: [{ time, duration }] in seconds,
+ * the first frame at 0 and each frame following the previous one
+ */
+function getFrameTimeline(frames, fps) {
+    const timeline = [];
+    let time = 0;
+
+    for (const frame of frames) {
+        const duration = getFrameDuration(frame, fps);
+        timeline.push({ time, duration });
+        time += duration;
+    }
+
+    return timeline;
+}
+
+/**
+ * Total length of a timeline in seconds
+ */
+function getTimelineDuration(timeline) {
+    const last = timeline[timeline.length - 1];
+    return last ? last.time + last.duration : 0;
+}
+
+/**
+ * Whether any frame has its own timing (otherwise the frame rate is constant)
+ */
+function hasFrameTiming(frames) {
+    return frames.some(frame => frame && typeof frame === 'object' && Number.isFinite(frame.duration));
+}
+
+/**
+ * Whether every frame of a timeline lasts (within a millisecond) one step at `fps`
+ */
+function isConstantTimeline(timeline, fps) {
+    return timeline.every(({ duration }) => Math.abs(duration - 1 / fps) < 0.001);
+}
+
+export {
+    getFrameDuration,
+    getFrameTimeline,
+    getTimelineDuration,
+    hasFrameTiming,
+    isConstantTimeline
+};
@@ -0,0 +1,308 @@
+/**
+ * GIF Encoder
+ *
+ * Encodes RGBA frames ({ width, height, data }) as a looping animated GIF
+ * without FFmpeg. A single 256-colour palette is generated for the whole
+ * animation by median cut over pixels sampled from the frames, and frames are
+ * mapped onto it with light ordered dithering.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const MAX_COLORS = 256;
+const MAX_SAMPLES = 200000;    // Pixels sampled across all frames for the palette
+const DITHER_AMOUNT = 12;      // Strength of the ordered dither, in 8-bit levels
+
+// 4x4 Bayer matrix for ordered dithering
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+/**
+ * 15-bit key (5 bits per channel) used by the palette histogram and lookup cache
+ */
+function colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/**
+ * Collects pixel samples from frames and builds a palette by median cut
+ */
+class GifPaletteBuilder {
+    constructor(frameCount = 1) {
+        this.histogram = new Uint32Array(32768);
+        this.frameCount = Math.max(1, frameCount);
+    }
+
+    /**
+     * Sample a frame's pixels into the histogram
+     */
+    addFrame({ data }) {
+        const pixels = data.length / 4;
+        const stride = Math.max(1, Math.floor((pixels * this.frameCount) / MAX_SAMPLES));
+
+        for (let p = 0; p < pixels; p += stride) {
+            const i = p * 4;
+            this.histogram[colorKey(data[i], data[i + 1], data[i + 2])]++;
+        }
+    }
+
+    /**
+     * Median-cut palette as a Uint8Array of up to 256 RGB triplets
+     */
+    build() {
+        const colors = [];
+        for (let key = 0; key < this.histogram.length; key++) {
+            if (this.histogram[key] > 0) {
+                colors.push({
+                    r: (key >> 10) & 31,
+                    g: (key >> 5) & 31,
+                    b: key & 31,
+                    count: this.histogram[key]
+                });
+            }
+        }
+
+        if (colors.length === 0) {
+            colors.push({ r: 0, g: 0, b: 0, count: 1 });
+        }
+
+        let boxes = [colors];
+        while (boxes.length < MAX_COLORS) {
+            // Split the box with the widest channel range (weighted by pixel count)
+            let bestIndex = -1;
+            let bestScore = 0;
+            let bestChannel = 'r';
+
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                const { channel, range } = getWidestChannel(box);
+                const score = range * Math.sqrt(box.reduce((sum, color) => sum + color.count, 0));
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = index;
+                    bestChannel = channel;
+                }
+            });
+
+            if (bestIndex === -1) break;
+
+            const box = boxes[bestIndex].sort((a, b) => a[bestChannel] - b[bestChannel]);
+            const half = box.reduce((sum, color) => sum + color.count, 0) / 2;
+            let split = 1;
+            for (let seen = box[0].count; split < box.length - 1 && seen < half; split++) {
+                seen += box[split].count;
+            }
+
+            boxes = [...boxes.slice(0, bestIndex), box.slice(0, split), box.slice(split), ...boxes.slice(bestIndex + 1)];
+        }
+
+        const palette = new Uint8Array(MAX_COLORS * 3);
+        boxes.forEach((box, index) => {
+            const total = box.reduce((sum, color) => sum + color.count, 0);
+            ['r', 'g', 'b'].forEach((channel, c) => {
+                const mean = box.reduce((sum, color) => sum + color[channel] * color.count, 0) / total;
+                palette[index * 3 + c] = Math.round(mean * 8 + 4);
+            });
+        });
+        return palette;
+    }
+}
+
+/**
+ * Channel with the largest value range in a box of histogram colours
+ */
+function getWidestChannel(box) {
+    let best = { channel: 'r', range: -1 };
+    ['r', 'g', 'b'].forEach(channel => {
+        let min = 31;
+        let max = 0;
+        for (const color of box) {
+            if (color[channel] < min) min = color[channel];
+            if (color[channel] > max) max = color[channel];
+        }
+        if (max - min > best.range) {
+            best = { channel, range: max - min };
+        }
+    });
+    return best;
+}
+
+class GifEncoder {
+    constructor(width, height, palette, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.palette = palette;
+        this.fps = options.fps || 10;
+        this.loop = options.loop ?? 0; // 0 = forever
+        this.elapsed = 0;           // Seconds of animation written so far
+        this.bytes = [];
+        this.lookup = new Int16Array(32768).fill(-1);
+
+        this.writeHeader();
+    }
+
+    /**
+     * Map a frame onto the palette and append it to the animation, showing it
+     * for `duration` seconds (one frame at the frame rate by default)
+     */
+    addFrame({ data }, duration = 1 / this.fps) {
+        const { width, height } = this;
+        const indices = new Uint8Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const dither = (BAYER_4X4[(y & 3) * 4 + (x & 3)] / 16 - 0.5) * DITHER_AMOUNT;
+                const r = clampByte(data[p * 4] + dither);
+                const g = clampByte(data[p * 4 + 1] + dither);
+                const b = clampByte(data[p * 4 + 2] + dither);
+                indices[p] = this.findColor(r, g, b);
+            }
+        }
+
+        // Per-frame delay in 1/100 s, spread so the total length matches the frame times
+        const start = Math.round(this.elapsed * 100);
+        const end = Math.round((this.elapsed + duration) * 100);
+        const delay = Math.max(2, end - start);
+        this.elapsed += duration;
+
+        // Graphic control extension
+        this.bytes.push(0x21, 0xf9, 0x04, 0x00, delay & 0xff, (delay >> 8) & 0xff, 0x00, 0x00);
+
+        // Image descriptor (full frame, no local colour table)
+        this.bytes.push(0x2c, 0, 0, 0, 0);
+        this.writeShort(width);
+        this.writeShort(height);
+        this.bytes.push(0x00);
+
+        // LZW image data
+        this.bytes.push(8);
+        const compressed = lzwEncode(indices, 8);
+        for (let i = 0; i < compressed.length; i += 255) {
+            const block = compressed.subarray(i, i + 255);
+            this.bytes.push(block.length);
+            for (let j = 0; j < block.length; j++) {
+                this.bytes.push(block[j]);
+            }
+        }
+        this.bytes.push(0x00);
+    }
+
+    /**
+     * Finish the animation and return it as a Blob
+     */
+    finish() {
+        this.bytes.push(0x3b);
+        return new Blob([new Uint8Array(this.bytes)], { type: 'image/gif' });
+    }
+
+    /**
+     * Nearest palette entry, cached per 15-bit colour
+     */
+    findColor(r, g, b) {
+        const key = colorKey(r, g, b);
+        const cached = this.lookup[key];
+        if (cached !== -1) return cached;
+
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < MAX_COLORS; i++) {
+            const dr = r - this.palette[i * 3];
+            const dg = g - this.palette[i * 3 + 1];
+            const db = b - this.palette[i * 3 + 2];
+            const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+
+        this.lookup[key] = best;
+        return best;
+    }
+
+    writeHeader() {
+        // Signature and logical screen descriptor with a 256-entry global colour table
+        for (const char of 'GIF89a') this.bytes.push(char.charCodeAt(0));
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.bytes.push(0xf7, 0x00, 0x00);
+        for (let i = 0; i < this.palette.length; i++) this.bytes.push(this.palette[i]);
+
+        // NETSCAPE2.0 application extension for looping
+        this.bytes.push(0x21, 0xff, 0x0b);
+        for (const char of 'NETSCAPE2.0') this.bytes.push(char.charCodeAt(0));
+        this.bytes.push(0x03, 0x01);
+        this.writeShort(this.loop);
+        this.bytes.push(0x00);
+    }
+
+    writeShort(value) {
+        this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+}
+
+function clampByte(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+/**
+ * GIF-flavoured LZW compression of palette indices (variable code size up to 12 bits)
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full - start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        output.push(bitBuffer & 0xff);
+    }
+
+    return new Uint8Array(output);
+}
+
+export { GifPaletteBuilder };
+export default GifEncoder;
@@ -0,0 +1,177 @@
+/**
+ * History Store
+ *
+ * Keeps processed results in IndexedDB so they survive a reload: the output
+ * blob, a thumbnail, the source file, the style images and the settings the
+ * job ran with, which is enough to run the same job again. When storage runs
+ * short the oldest entries are evicted first.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { stores, getAllRecords, getRecord, putRecord, deleteRecord, isQuotaError, getStorageEstimate } from './database';
+import { createResultThumbnail } from './videoThumbnails';
+import { serializeJob, getJobFilesSize, getJobName, restoreJob } from './jobSnapshot';
+
+const MAX_HISTORY_ENTRIES = 50;
+const HISTORY_QUOTA_SHARE = 0.6; // Share of the site's storage quota the history may fill
+
+/**
+ * Bytes an entry takes up, roughly
+ */
+function getEntrySize(entry) {
+    return entry.output.blob.size + (entry.thumbnail?.size || 0) + getJobFilesSize(entry);
+}
+
+/**
+ * Build a history entry from a processing result
+ */
+async function createHistoryEntry(result, preferences) {
+    const video = result.originalVideo;
+    const style = result.appliedStyle;
+
+    let thumbnail = null;
+    try {
+        thumbnail = await createResultThumbnail(result.blob);
+    } catch (error) {
+        console.warn('⚠️ Could not create history thumbnail:', error.message);
+    }
+
+    const entry = {
+        id: `history_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: getJobName(video, style),
+        createdAt: new Date().toISOString(),
+        output: {
+            blob: result.blob,
+            format: result.format || null,
+            isImage: !!result.isImage,
+            width: result.width || null,
+            height: result.height || null,
+            frameCount: result.frameCount || null,
+            fps: result.fps || null,
+            processingTime: result.processingTime || null
+        },
+        thumbnail,
+        ...serializeJob(video, style, preferences)
+    };
+    entry.size = getEntrySize(entry);
+    return entry;
+}
+
+/**
+ * All entries, newest first
+ */
+async function loadHistory() {
+    const entries = await getAllRecords(stores.HISTORY);
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Which of the entries (oldest first) to evict so `bytesNeeded` more bytes
+ * and another entry fit, with `available` bytes free now. Entries in
+ * `keepIds` are never evicted. Returns { evict, fits }; nothing should be
+ * evicted when `fits` is false.
+ */
+function planEviction(oldestFirst, available, bytesNeeded, keepIds = []) {
+    const candidates = oldestFirst.filter(entry => !keepIds.includes(entry.id));
+    const evict = [];
+    let freed = 0;
+
+    while (evict.length < candidates.length
+        && (available + freed < bytesNeeded || oldestFirst.length - evict.length >= MAX_HISTORY_ENTRIES)) {
+        const oldest = candidates[evict.length];
+        evict.push(oldest);
+        freed += oldest.size || 0;
+    }
+
+    return { evict, fits: available + freed >= bytesNeeded };
+}
+
+/**
+ * Delete the oldest entries until there's room for `bytesNeeded` more bytes
+ * and another entry. Nothing is deleted if even an empty history wouldn't
+ * have room. Returns the ids of the evicted entries.
+ */
+async function evictForSpace(bytesNeeded, keepIds) {
+    const oldestFirst = (await loadHistory()).reverse();
+    const estimate = await getStorageEstimate();
+    const available = estimate ? estimate.quota * HISTORY_QUOTA_SHARE - estimate.usage : Infinity;
+
+    const { evict, fits } = planEviction(oldestFirst, available, bytesNeeded, keepIds);
+    if (!fits) {
+        throw new Error('Not enough storage space to keep this result in your history');
+    }
+
+    for (const entry of evict) {
+        await deleteRecord(stores.HISTORY, entry.id);
+    }
+    return evict.map(entry => entry.id);
+}
+
+/**
+ * Save a processing result, never evicting the entries in `keepIds`.
+ * Resolves with { entry, evictedIds }. If it rejects, entries may still
+ * have been evicted; reload the history.
+ */
+async function saveToHistory(result, preferences, { keepIds = [] } = {}) {
+    const entry = await createHistoryEntry(result, preferences);
+    const evictedIds = await evictForSpace(entry.size, keepIds);
+
+    // The estimate can be off - if the browser still refuses, keep evicting
+    // while the remaining entries could make room for this one
+    for (;;) {
+        try {
+            await putRecord(stores.HISTORY, entry);
+            break;
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+
+            const remaining = (await loadHistory()).filter(other => !keepIds.includes(other.id));
+            const remainingSize = remaining.reduce((total, other) => total + (other.size || 0), 0);
+            if (remaining.length === 0 || remainingSize < entry.size) {
+                throw new Error('Not enough storage space to keep this result in your history');
+            }
+            const oldest = remaining[remaining.length - 1];
+            await deleteRecord(stores.HISTORY, oldest.id);
+            evictedIds.push(oldest.id);
+        }
+    }
+
+    if (evictedIds.length > 0) {
+        console.log(`🧹 Evicted ${evictedIds.length} old history entries to make room`);
+    }
+    console.log(`💾 Saved to history: ${entry.name} (${(entry.size / 1024 / 1024).toFixed(1)}MB)`);
+    return { entry, evictedIds };
+}
+
+async function renameHistoryEntry(id, name) {
+    const entry = await getRecord(stores.HISTORY, id);
+    if (!entry) {
+        throw new Error('History entry not found');
+    }
+    const renamed = { ...entry, name: name.trim() || entry.name };
+    await putRecord(stores.HISTORY, renamed);
+    return renamed;
+}
+
+function deleteHistoryEntry(id) {
+    return deleteRecord(stores.HISTORY, id);
+}
+
+/**
+ * Rebuild the video, style and output preferences of an entry so the same
+ * job can be run again. Resolves with { video, style, outputPreferences }.
+ */
+function restoreHistoryJob(entry) {
+    return restoreJob(entry);
+}
+
+export {
+    MAX_HISTORY_ENTRIES,
+    planEviction,
+    loadHistory,
+    saveToHistory,
+    renameHistoryEntry,
+    deleteHistoryEntry,
+    restoreHistoryJob
+};
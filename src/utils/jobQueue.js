@@ -0,0 +1,156 @@
+/**
+ * Job Queue
+ *
+ * Batch processing jobs persisted in IndexedDB: every combination of the
+ * dropped videos and the chosen styles becomes a job that runs after the one
+ * before it. Jobs keep a snapshot of their inputs (see jobSnapshot.js), their
+ * status and how often they were attempted; finished results go to the
+ * history gallery and the job keeps the id of its history entry, or the
+ * output itself ({ blob, format, isImage }) when it couldn't be saved there.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { stores, getAllRecords, getRecord, putRecord, deleteRecord } from './database';
+import { serializeJob, getJobName } from './jobSnapshot';
+
+const jobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// A failed job is retried automatically until it has been attempted this often
+const MAX_JOB_ATTEMPTS = 2;
+
+// Background sync tag the service worker listens for (see sw.js)
+const QUEUE_SYNC_TAG = 'video-processing-queue';
+
+/**
+ * All jobs in the order they run. Jobs left running by a closed tab go back
+ * to the queue.
+ */
+async function loadQueue() {
+    const jobs = await getAllRecords(stores.QUEUE);
+    jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.position - b.position);
+
+    return Promise.all(jobs.map(async (job) => {
+        if (job.status !== jobStatus.RUNNING) return job;
+
+        const requeued = { ...job, status: jobStatus.QUEUED, startedAt: null };
+        await putRecord(stores.QUEUE, requeued);
+        return requeued;
+    }));
+}
+
+/**
+ * Queue a job for every video with every style. Resolves with the new jobs.
+ */
+async function enqueueJobs(videos, styles, preferences) {
+    const createdAt = new Date().toISOString();
+    const jobs = [];
+
+    for (const video of videos) {
+        for (const style of styles) {
+            const job = {
+                id: `job_${Date.now()}_${jobs.length}_${Math.random().toString(36).slice(2, 8)}`,
+                name: getJobName(video, style),
+                createdAt,
+                position: jobs.length,
+                status: jobStatus.QUEUED,
+                attempts: 0,
+                error: null,
+                startedAt: null,
+                finishedAt: null,
+                historyId: null,
+                output: null,
+                ...serializeJob(video, style, preferences)
+            };
+            await putRecord(stores.QUEUE, job);
+            jobs.push(job);
+        }
+    }
+
+    console.log(`📋 Queued ${jobs.length} jobs`);
+    return jobs;
+}
+
+/**
+ * Change a job's fields ({ status, error, ... }). Resolves with the updated job.
+ */
+async function updateQueueJob(id, changes) {
+    const job = await getRecord(stores.QUEUE, id);
+    if (!job) {
+        throw new Error('Queued job not found');
+    }
+    const updated = { ...job, ...changes };
+    await putRecord(stores.QUEUE, updated);
+    return updated;
+}
+
+function deleteQueueJob(id) {
+    return deleteRecord(stores.QUEUE, id);
+}
+
+/**
+ * The job to run next, or null when nothing is queued
+ */
+function getNextQueuedJob(jobs) {
+    return jobs.find(job => job.status === jobStatus.QUEUED) || null;
+}
+
+/**
+ * The changes for a job that failed: back in the queue while it has
+ * attempts left, failed otherwise
+ */
+function getFailedJobChanges(job, error) {
+    const canRetry = job.attempts < MAX_JOB_ATTEMPTS;
+    return {
+        status: canRetry ? jobStatus.QUEUED : jobStatus.FAILED,
+        error: error?.message || String(error),
+        startedAt: null,
+        finishedAt: canRetry ? null : new Date().toISOString()
+    };
+}
+
+/**
+ * History entries of finished jobs, which saving later results must not
+ * evict while the jobs are listed
+ */
+function getBatchHistoryIds(jobs) {
+    return jobs
+        .filter(job => job.status === jobStatus.COMPLETED && job.historyId)
+        .map(job => job.historyId);
+}
+
+/**
+ * Ask the service worker to pick the queue up again, e.g. after the app was
+ * closed with jobs left. Does nothing without Background Sync support.
+ */
+async function requestQueueSync() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (registration?.sync) {
+            await registration.sync.register(QUEUE_SYNC_TAG);
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not register queue sync:', error);
+    }
+}
+
+export {
+    jobStatus,
+    MAX_JOB_ATTEMPTS,
+    QUEUE_SYNC_TAG,
+    loadQueue,
+    enqueueJobs,
+    updateQueueJob,
+    deleteQueueJob,
+    getNextQueuedJob,
+    getFailedJobChanges,
+    getBatchHistoryIds,
+    requestQueueSync
+};
@@ -0,0 +1,144 @@
+/**
+ * Job Snapshots
+ *
+ * The storable description of a processing job: the source file, the style
+ * images and the settings it runs with. History entries and queued batch
+ * jobs keep one, and restoreJob() turns it back into the video and style
+ * objects ProcessingEngine works with.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { createStyleData } from './styleImage';
+
+// Job settings kept from the selected style (see StyleSelector's handleProceed)
+const STYLE_SETTING_KEYS = ['styleRatio', 'temporalStrength', 'preserveFrameRate', 'maxFrameRate', 'inbetweenMethod', 'stylizeResolution', 'trim'];
+// Preferences that shape the output file
+const OUTPUT_PREFERENCE_KEYS = ['outputFormat', 'quality', 'aspectRatio', 'fit'];
+
+function pick(source, keys) {
+    return keys.reduce((picked, key) => {
+        if (source && source[key] !== undefined) picked[key] = source[key];
+        return picked;
+    }, {});
+}
+
+/**
+ * The storable part of a style data object (image elements and object URLs can't be stored)
+ */
+function serializeStyleImage(style) {
+    return {
+        id: style.id,
+        name: style.name,
+        description: style.description,
+        file: style.file,
+        metadata: style.metadata
+    };
+}
+
+function serializeStyle(style) {
+    return {
+        ...serializeStyleImage(style),
+        blend: style.blend
+            ? style.blend.map(component => ({ ...serializeStyleImage(component), weight: component.weight }))
+            : null,
+        keyframes: style.keyframes
+            ? style.keyframes.map(keyframe => ({
+                time: keyframe.time,
+                styleRatio: keyframe.styleRatio,
+                transition: keyframe.transition,
+                style: keyframe.style ? serializeStyleImage(keyframe.style) : null
+            }))
+            : null
+    };
+}
+
+/**
+ * Describe a job: { mediaType, source, style, settings, outputPreferences }
+ */
+function serializeJob(video, style, preferences) {
+    return {
+        mediaType: video.mediaType || 'video',
+        source: {
+            file: video.file,
+            name: video.name,
+            duration: video.duration,
+            metadata: video.metadata
+        },
+        style: serializeStyle(style),
+        settings: pick(style, STYLE_SETTING_KEYS),
+        outputPreferences: pick(preferences, OUTPUT_PREFERENCE_KEYS)
+    };
+}
+
+/**
+ * Bytes of source and style files a job snapshot holds
+ */
+function getJobFilesSize(job) {
+    const styleFiles = [job.style, ...(job.style.blend || []), ...(job.style.keyframes || []).map(k => k.style)]
+        .filter(Boolean)
+        .reduce((sum, style) => sum + (style.file?.size || 0), 0);
+
+    return job.source.file.size + styleFiles;
+}
+
+/**
+ * A display name for a job: "<source name> · <style name>"
+ */
+function getJobName(video, style) {
+    const stripExtension = (name) => name.replace(/\.[^/.]+$/, '');
+    const styleLabel = style.blend ? style.name : stripExtension(style.metadata?.fileName || style.name);
+    return `${stripExtension(video.name)} · ${styleLabel}`;
+}
+
+async function restoreStyleImage(saved) {
+    const styleData = await createStyleData(saved.file);
+    return {
+        ...styleData,
+        id: saved.id || styleData.id,
+        name: saved.name || styleData.name,
+        description: saved.description || styleData.description
+    };
+}
+
+/**
+ * Rebuild the video, style and output preferences of a job snapshot.
+ * Resolves with { video, style, outputPreferences }.
+ */
+async function restoreJob(job) {
+    const saved = job.style;
+
+    const mainStyle = await restoreStyleImage(saved);
+    const blend = saved.blend
+        ? await Promise.all(saved.blend.map(async component => ({
+            ...(await restoreStyleImage(component)),
+            weight: component.weight
+        })))
+        : null;
+    const keyframes = saved.keyframes
+        ? await Promise.all(saved.keyframes.map(async keyframe => ({
+            ...keyframe,
+            style: keyframe.style ? await restoreStyleImage(keyframe.style) : null
+        })))
+        : null;
+
+    const file = job.source.file;
+    const video = {
+        file,
+        name: job.source.name,
+        size: file.size,
+        type: file.type,
+        mediaType: job.mediaType,
+        duration: job.source.duration,
+        thumbnail: null,
+        metadata: job.source.metadata
+    };
+
+    return {
+        video,
+        style: { ...mainStyle, blend, keyframes, ...job.settings },
+        outputPreferences: job.outputPreferences
+    };
+}
+
+export { serializeJob, getJobFilesSize, getJobName, restoreJob };
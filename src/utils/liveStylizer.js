@@ -0,0 +1,282 @@
+/**
+ * Live Stylizer
+ *
+ * Stylizes webcam frames in real time. Camera frames are drawn at a reduced
+ * size and run through VideoProcessor's style transfer with the style
+ * features computed once for the chosen style, then drawn to a canvas. The
+ * canvas can be recorded with MediaRecorder like a reconstructed video.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import VideoProcessor from './videoProcessor';
+import { getWorkingSize } from './tiling';
+import { outputFormats } from './outputFormats';
+
+const DEFAULT_LIVE_OPTIONS = {
+    size: 256,              // Long edge camera frames are stylized at (one tile, no seams)
+    cameraWidth: 640,       // Requested camera resolution
+    cameraHeight: 480,
+    recordFps: 30           // Frame rate of the recorded canvas stream
+};
+
+class LiveStylizer {
+    /**
+     * Whether the browser can capture and record the webcam
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' &&
+            !!navigator.mediaDevices?.getUserMedia &&
+            typeof MediaRecorder !== 'undefined';
+    }
+
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_LIVE_OPTIONS, ...options };
+        this.processor = new VideoProcessor();
+        this.styleData = null;
+        this.styleRatio = 1.0;
+
+        // Camera and render loop
+        this.stream = null;
+        this.video = null;
+        this.canvas = null;
+        this.running = false;
+        this.loop = null;
+        this.session = 0;       // Bumped by start() and stop(), so a camera opened too late is closed again
+        this.frameTimes = [];   // Timestamps of frames drawn in the last second
+        this.onStats = null;
+        this.onError = null;
+
+        // Recording
+        this.recorder = null;
+        this.recording = null;  // Resolves with the recorded blob once the recorder stops
+        this.recordingStartedAt = null;
+    }
+
+    /**
+     * Load the style transfer models (FFmpeg isn't needed for live mode)
+     */
+    async initialize(onProgress) {
+        await this.processor.initialize(onProgress, null, { loadFFmpeg: false });
+        this.processor.stylizeResolution = this.options.size;
+    }
+
+    /**
+     * Compute the style features once; every live frame reuses them
+     */
+    async setStyle(styleData) {
+        const ready = await this.processor.processStyleReference(styleData);
+        if (!ready) {
+            throw new Error('Failed to process style reference image');
+        }
+        this.styleData = styleData;
+    }
+
+    setStyleRatio(styleRatio) {
+        this.styleRatio = styleRatio;
+    }
+
+    /**
+     * Open the camera and start drawing stylized frames to the canvas.
+     * Resolves with false if the stylizer was stopped (or started again)
+     * while the camera was opening.
+     *
+     * onStats receives { fps, frameTime } after every frame.
+     */
+    async start(video, canvas, { onStats = null, onError = null } = {}) {
+        if (!LiveStylizer.isSupported()) {
+            throw new Error('Camera access is not supported in this browser');
+        }
+        if (!this.styleData) {
+            throw new Error('Choose a style before starting the camera');
+        }
+        if (this.running) return true;
+
+        const session = ++this.session;
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                width: { ideal: this.options.cameraWidth },
+                height: { ideal: this.options.cameraHeight },
+                facingMode: 'user'
+            },
+            audio: false
+        });
+
+        // The permission prompt can outlast stop() or dispose()
+        if (session !== this.session) {
+            stream.getTracks().forEach(track => track.stop());
+            return false;
+        }
+
+        this.stream = stream;
+        this.video = video;
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+        try {
+            await video.play();
+        } catch (error) {
+            this.releaseCamera();
+            throw error;
+        }
+        if (session !== this.session) {
+            return false;
+        }
+
+        this.canvas = canvas;
+        this.onStats = onStats;
+        this.onError = onError;
+        canvas.width = video.videoWidth || this.options.cameraWidth;
+        canvas.height = video.videoHeight || this.options.cameraHeight;
+
+        console.log(`📷 Live mode started: camera ${canvas.width}x${canvas.height}, stylizing at ${this.options.size}px`);
+
+        this.running = true;
+        this.frameTimes = [];
+        this.loop = this.runLoop();
+        return true;
+    }
+
+    /**
+     * Stylize the latest camera frame, draw it, and repeat on the next animation frame
+     */
+    async runLoop() {
+        const { width, height } = getWorkingSize(this.canvas.width, this.canvas.height, this.options.size);
+        const frameCanvas = this.processor.createCanvas(width, height);
+        const frameCtx = frameCanvas.getContext('2d');
+        const ctx = this.canvas.getContext('2d');
+
+        while (this.running) {
+            const frameStart = performance.now();
+
+            try {
+                frameCtx.drawImage(this.video, 0, 0, width, height);
+                const stylized = await this.processor.stylizeFrame(frameCanvas, this.styleData, this.styleRatio, null);
+                if (!this.running) break;
+                ctx.drawImage(stylized, 0, 0, this.canvas.width, this.canvas.height);
+            } catch (error) {
+                console.error('❌ Live frame failed:', error);
+                this.running = false;
+                this.releaseCamera();
+                if (this.onError) this.onError(error);
+                break;
+            }
+
+            const now = performance.now();
+            this.frameTimes.push(now);
+            while (this.frameTimes.length > 0 && now - this.frameTimes[0] > 1000) {
+                this.frameTimes.shift();
+            }
+            if (this.onStats) {
+                this.onStats({ fps: this.frameTimes.length, frameTime: Math.round(now - frameStart) });
+            }
+
+            await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+    }
+
+    /**
+     * Stop the render loop and release the camera
+     */
+    async stop() {
+        this.session++;
+        this.running = false;
+        if (this.loop) {
+            await this.loop;
+            this.loop = null;
+        }
+        this.releaseCamera();
+    }
+
+    releaseCamera() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video = null;
+        }
+    }
+
+    /**
+     * Record the stylized canvas, preferring the given output format
+     */
+    startRecording(format = outputFormats.WEBM) {
+        if (!this.running) {
+            throw new Error('Start the camera before recording');
+        }
+        if (this.recorder) return;
+
+        const stream = this.canvas.captureStream(this.options.recordFps);
+        const recorder = this.processor.createMediaRecorder(stream, format);
+        const chunks = [];
+
+        this.recording = new Promise((resolve, reject) => {
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                if (chunks.length === 0) {
+                    reject(new Error('No video data was recorded'));
+                    return;
+                }
+                resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+            };
+
+            recorder.onerror = (event) => {
+                stream.getTracks().forEach(track => track.stop());
+                reject(new Error(`MediaRecorder error: ${event.error?.message || 'Unknown recording error'}`));
+            };
+        });
+
+        recorder.start(100); // Record in 100ms chunks
+        this.recorder = recorder;
+        this.recordingStartedAt = Date.now();
+        console.log('🔴 Live recording started');
+    }
+
+    /**
+     * Stop recording and return { blob, duration } (duration in seconds)
+     */
+    async stopRecording() {
+        if (!this.recorder) return null;
+
+        const recorder = this.recorder;
+        const duration = (Date.now() - this.recordingStartedAt) / 1000;
+        this.recorder = null;
+        this.recordingStartedAt = null;
+
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+
+        const blob = await this.recording;
+        this.recording = null;
+        console.log(`✅ Live recording complete: ${duration.toFixed(1)}s, ${(blob.size / 1024 / 1024).toFixed(2)}MB`);
+        return { blob, duration };
+    }
+
+    /**
+     * Stop everything and free the models' style features
+     */
+    async dispose() {
+        if (this.recorder) {
+            // Nobody is waiting for an abandoned recording
+            this.recording.catch(() => {});
+            if (this.recorder.state !== 'inactive') {
+                this.recorder.stop();
+            }
+        }
+        this.recorder = null;
+        this.recording = null;
+        await this.stop();
+        this.processor.cleanup();
+    }
+}
+
+export default LiveStylizer;
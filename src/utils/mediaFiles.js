@@ -0,0 +1,385 @@
+/**
+ * Media Files
+ *
+ * Reads an uploaded video or photo into the media object the rest of the app
+ * works with ({ file, name, mediaType, duration, thumbnail, metadata, ... }):
+ * checks the format and size, reads the dimensions and makes a thumbnail.
+ * MP4 and WebM videos are also probed for rotation, pixel aspect ratio,
+ * colour and frame timing (metadata.probe, see mediaProbe.js); other videos
+ * have their frame rate measured during a moment of playback.
+ * metadata.frameRateSource says where the frame rate came from.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { probeVideoFile } from './mediaProbe';
+
+// Still images are stylized on their own, without frame extraction
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_SIZE = 25 * 1024 * 1024; // 25MB
+
+// Where a video's metadata.frameRate came from
+const frameRateSources = {
+    CONTAINER: 'container', // read from the file
+    PLAYBACK: 'playback', // measured while playing
+    ASSUMED: 'assumed' // neither worked, DEFAULT_FRAME_RATE is a guess
+};
+const DEFAULT_FRAME_RATE = 30;
+
+// Rates videos are usually made at; a measured rate this close to one is taken to be it
+const COMMON_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+const COMMON_FRAME_RATE_TOLERANCE = 0.02;
+// Frames watched, and the longest wait, when measuring the frame rate during playback
+const FRAME_RATE_SAMPLE_FRAMES = 16;
+const FRAME_RATE_TIMEOUT_MS = 2000;
+
+// File input accept list for videos and photos
+const MEDIA_ACCEPT = 'video/mp4,video/webm,video/quicktime,video/avi,video/x-msvideo,.mp4,.webm,.mov,.avi,image/jpeg,image/png,image/webp,.jpg,.jpeg,.png,.webp';
+
+/**
+ * Read a photo's dimensions and create its thumbnail
+ */
+function extractImageMetadata(file) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(file);
+
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = 200; // Thumbnail width
+            canvas.height = Math.max(1, Math.round((200 * img.naturalHeight) / img.naturalWidth));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            canvas.toBlob((blob) => {
+                resolve({
+                    width: img.naturalWidth,
+                    height: img.naturalHeight,
+                    thumbnail: blob ? URL.createObjectURL(blob) : null
+                });
+            }, 'image/jpeg', 0.8);
+        };
+
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not read image: ${file.name}. Please use a JPG, PNG or WEBP file.`));
+        };
+
+        img.src = url;
+    });
+}
+
+/**
+ * Validate video file format and compatibility
+ */
+function validateVideoFile(file) {
+    return new Promise((resolve) => {
+        // Check file type
+        const allowedTypes = [
+            'video/mp4',
+            'video/webm',
+            'video/quicktime', // .mov
+            'video/avi',
+            'video/x-msvideo' // alternative avi mime type
+        ];
+
+        if (!allowedTypes.includes(file.type)) {
+            resolve({
+                isValid: false,
+                error: `Unsupported file format: ${file.type || 'unknown'}. Please use MP4 (H.264), WebM, MOV, or AVI video, or a JPG, PNG or WEBP photo.`,
+                compatibility: 'unsupported'
+            });
+            return;
+        }
+
+        // Check file size (250MB limit - longer videos are trimmed to a segment before processing)
+        const maxSize = 250 * 1024 * 1024; // 250MB
+        if (file.size > maxSize) {
+            resolve({
+                isValid: false,
+                error: `File too large: ${(file.size / 1024 / 1024).toFixed(1)}MB. Maximum size is 250MB.`,
+                compatibility: 'too_large'
+            });
+            return;
+        }
+
+        // Test browser support for the specific video type
+        const video = document.createElement('video');
+        const canPlayType = video.canPlayType(file.type);
+
+        let compatibility = 'unknown';
+        if (canPlayType === 'probably') {
+            compatibility = 'excellent';
+        } else if (canPlayType === 'maybe') {
+            compatibility = 'good';
+        } else if (canPlayType === '') {
+            compatibility = 'poor';
+        }
+
+        // For MP4, check for common codec support
+        if (file.type === 'video/mp4') {
+            const h264Support = video.canPlayType('video/mp4; codecs="avc1.42E01E"');
+            if (h264Support === 'probably' || h264Support === 'maybe') {
+                compatibility = 'excellent';
+            }
+        }
+
+        console.log(`📹 Browser compatibility for ${file.type}: ${canPlayType} (${compatibility})`);
+
+        if (compatibility === 'poor') {
+            resolve({
+                isValid: false,
+                error: `Your browser may not support this video format. Please try converting to MP4 with H.264 codec for best compatibility.`,
+                compatibility: 'poor'
+            });
+            return;
+        }
+
+        resolve({
+            isValid: true,
+            compatibility: compatibility
+        });
+    });
+}
+
+/**
+ * Frame rate from the media times of frames presented during playback, or
+ * null. Uses the median interval so dropped frames don't count.
+ */
+function getPlaybackFrameRate(mediaTimes) {
+    const intervals = [];
+    for (let i = 1; i < mediaTimes.length; i++) {
+        const interval = mediaTimes[i] - mediaTimes[i - 1];
+        if (interval > 0) intervals.push(interval);
+    }
+    if (intervals.length < 3) {
+        return null;
+    }
+
+    const median = intervals.sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+    const frameRate = 1 / median;
+    const closest = COMMON_FRAME_RATES.reduce((best, rate) => (Math.abs(frameRate - rate) < Math.abs(frameRate - best) ? rate : best));
+    return Math.abs(frameRate - closest) <= closest * COMMON_FRAME_RATE_TOLERANCE
+        ? closest
+        : Math.round(frameRate * 100) / 100;
+}
+
+/**
+ * Play a loaded video for a moment and measure its frame rate with
+ * requestVideoFrameCallback. Resolves with null where that isn't possible.
+ */
+function measureFrameRate(video) {
+    if (typeof video.requestVideoFrameCallback !== 'function') {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        const mediaTimes = [];
+        let finished = false;
+
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timeout);
+            video.pause();
+            resolve(getPlaybackFrameRate(mediaTimes));
+        };
+        const timeout = setTimeout(finish, FRAME_RATE_TIMEOUT_MS);
+
+        const onFrame = (now, frame) => {
+            if (finished) return;
+            mediaTimes.push(frame.mediaTime);
+            if (mediaTimes.length >= FRAME_RATE_SAMPLE_FRAMES) {
+                finish();
+            } else {
+                video.requestVideoFrameCallback(onFrame);
+            }
+        };
+        video.requestVideoFrameCallback(onFrame);
+        video.play().catch(finish);
+    });
+}
+
+/**
+ * Extract basic video metadata
+ */
+function extractVideoMetadata(file) {
+    return new Promise((resolve) => {
+        const video = document.createElement('video');
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        video.muted = true;
+        video.preload = 'metadata';
+
+        const timeout = setTimeout(() => {
+            resolve({
+                duration: null,
+                width: null,
+                height: null,
+                frameRate: null,
+                thumbnail: null,
+                codec: null
+            });
+        }, 10000); // 10 second timeout
+
+        video.onloadedmetadata = async () => {
+            clearTimeout(timeout);
+
+            const metadata = {
+                duration: video.duration,
+                width: video.videoWidth,
+                height: video.videoHeight,
+                frameRate: await measureFrameRate(video),
+                codec: 'unknown'
+            };
+
+            // Longer videos are fine - a segment of up to 30 seconds is picked in the trim step
+
+            // Create thumbnail
+            if (video.videoWidth > 0 && video.videoHeight > 0) {
+                canvas.width = 200; // Thumbnail width
+                canvas.height = (200 * video.videoHeight) / video.videoWidth;
+
+                video.currentTime = Math.min(1, video.duration * 0.1);
+
+                video.onseeked = () => {
+                    try {
+                        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                        canvas.toBlob((blob) => {
+                            resolve({
+                                ...metadata,
+                                thumbnail: blob ? URL.createObjectURL(blob) : null
+                            });
+                        }, 'image/jpeg', 0.8);
+                    } catch (error) {
+                        resolve(metadata);
+                    }
+                };
+            } else {
+                resolve(metadata);
+            }
+        };
+
+        video.onerror = () => {
+            clearTimeout(timeout);
+            resolve({
+                duration: null,
+                width: null,
+                height: null,
+                frameRate: null,
+                thumbnail: null,
+                codec: null,
+                error: 'Could not read video metadata'
+            });
+        };
+
+        try {
+            video.src = URL.createObjectURL(file);
+        } catch (error) {
+            clearTimeout(timeout);
+            resolve({
+                duration: null,
+                width: null,
+                height: null,
+                frameRate: null,
+                thumbnail: null,
+                codec: null,
+                error: 'Could not create video URL'
+            });
+        }
+    });
+}
+
+/**
+ * Read a selected photo
+ */
+async function readImageFile(file) {
+    if (file.size > MAX_IMAGE_SIZE) {
+        throw new Error(`Image too large: ${(file.size / 1024 / 1024).toFixed(1)}MB. Maximum size is 25MB.`);
+    }
+
+    console.log('🖼️ Processing image:', file.name, file.size, file.type);
+
+    const metadata = await extractImageMetadata(file);
+
+    return {
+        file,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        mediaType: 'image',
+        duration: 0,
+        thumbnail: metadata.thumbnail,
+        metadata: {
+            width: metadata.width,
+            height: metadata.height,
+            frameRate: null,
+            codec: null,
+            compatibility: 'excellent'
+        }
+    };
+}
+
+/**
+ * Read a selected video or photo. Rejects with a user-facing message when
+ * the file can't be used.
+ */
+async function readMediaFile(file) {
+    if (IMAGE_TYPES.includes(file.type)) {
+        return readImageFile(file);
+    }
+
+    // Enhanced file validation
+    const validation = await validateVideoFile(file);
+    if (!validation.isValid) {
+        throw new Error(validation.error);
+    }
+
+    console.log('📁 Processing file:', file.name, file.size, file.type);
+
+    // Extract basic video metadata, and probe the container where we can read it
+    const [metadata, probe] = await Promise.all([
+        extractVideoMetadata(file),
+        probeVideoFile(file).catch((error) => {
+            console.log('🔎 Video not probed in the browser:', error.message);
+            return null;
+        })
+    ]);
+
+    if (probe) {
+        console.log(`🔎 Probed ${probe.codec} ${probe.width}x${probe.height}, rotation ${probe.rotation}°, ${probe.isVariableFrameRate ? 'variable' : 'constant'} frame rate`);
+    }
+
+    let frameRateSource = frameRateSources.ASSUMED;
+    if (probe?.frameRate) {
+        frameRateSource = frameRateSources.CONTAINER;
+    } else if (metadata.frameRate) {
+        frameRateSource = frameRateSources.PLAYBACK;
+        console.log(`⏱️ Measured ${metadata.frameRate} fps during playback`);
+    } else {
+        console.warn(`⚠️ Could not read the frame rate, assuming ${DEFAULT_FRAME_RATE} fps`);
+    }
+
+    return {
+        file,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        mediaType: 'video',
+        duration: metadata.duration || 10,
+        thumbnail: metadata.thumbnail || null,
+        metadata: {
+            width: probe?.width || metadata.width || 1920,
+            height: probe?.height || metadata.height || 1080,
+            frameRate: (probe?.frameRate && Math.round(probe.frameRate * 100) / 100) || metadata.frameRate || DEFAULT_FRAME_RATE,
+            frameRateSource,
+            codec: probe?.codec || metadata.codec || 'unknown',
+            compatibility: validation.compatibility,
+            probe
+        }
+    };
+}
+
+export { MEDIA_ACCEPT, DEFAULT_FRAME_RATE, frameRateSources, getPlaybackFrameRate, readMediaFile };
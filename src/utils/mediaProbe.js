@@ -0,0 +1,282 @@
+/**
+ * Media Probe
+ *
+ * What a video needs beyond its pixels to come out right: rotation, pixel
+ * aspect ratio, colour description and the real timestamp of every frame.
+ * MP4 and WebM files are probed in JavaScript at upload (see mediaFiles.js);
+ * FFmpeg probes anything else before extracting frames. A probe is:
+ *
+ *   { source: 'js' | 'ffmpeg', codec, codedWidth, codedHeight,
+ *     width, height,              // upright display size
+ *     rotation,                   // clockwise degrees: 0, 90, 180 or 270
+ *     pixelAspectRatio,           // { num, den }
+ *     colour,                     // see colourSpaces.js, or null
+ *     frameRate, isVariableFrameRate,
+ *     frameTimes }                // presentation time of each frame in seconds, ascending
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { demuxVideoFile } from './remux';
+import {
+    hasColourInfo,
+    getFFmpegColourNames,
+    parseFFmpegColourNames,
+    canConvertToBt709
+} from './colourSpaces';
+
+// A frame interval more than this far from the median is irregular...
+const IRREGULAR_INTERVAL = 0.15;
+// ...and a source with more irregular intervals than this has a variable frame rate
+const VARIABLE_FRAME_RATE_SHARE = 0.02;
+
+// Primaries too wide to just relabel as BT.709 (BT.2020, DCI-P3, Display P3)
+const WIDE_GAMUT_PRIMARIES = [9, 11, 12];
+
+const SQUARE_PIXELS = { num: 1, den: 1 };
+
+function normalizeRotation(degrees) {
+    const quarterTurns = Math.round(degrees / 90);
+    return (((quarterTurns % 4) + 4) % 4) * 90;
+}
+
+/**
+ * Width of the picture once its pixels are square, before rotation
+ */
+function getSquarePixelWidth(codedWidth, { num, den }) {
+    return Math.round((codedWidth * num) / den);
+}
+
+/**
+ * Upright display size of a coded picture
+ */
+function getDisplaySize(codedWidth, codedHeight, pixelAspectRatio, rotation) {
+    const width = getSquarePixelWidth(codedWidth, pixelAspectRatio);
+    return rotation % 180 === 0
+        ? { width, height: codedHeight }
+        : { width: codedHeight, height: width };
+}
+
+/**
+ * Average frame rate and whether frames come at irregular intervals
+ */
+function analyzeFrameTimes(frameTimes) {
+    if (!frameTimes || frameTimes.length < 2) {
+        return { frameRate: null, isVariableFrameRate: false };
+    }
+
+    const intervals = [];
+    for (let i = 1; i < frameTimes.length; i++) {
+        intervals.push(frameTimes[i] - frameTimes[i - 1]);
+    }
+    const median = [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+    const irregular = intervals.filter(interval => Math.abs(interval - median) > median * IRREGULAR_INTERVAL).length;
+    const span = frameTimes[frameTimes.length - 1] - frameTimes[0];
+
+    return {
+        frameRate: span > 0 ? (frameTimes.length - 1) / span : null,
+        isVariableFrameRate: irregular > intervals.length * VARIABLE_FRAME_RATE_SHARE
+    };
+}
+
+function createProbe({ source, codec = null, codedWidth, codedHeight, rotation = 0, pixelAspectRatio = SQUARE_PIXELS, colour = null, frameTimes = null }) {
+    const sortedTimes = frameTimes ? Float64Array.from(frameTimes).sort() : null;
+    return {
+        source,
+        codec,
+        codedWidth,
+        codedHeight,
+        ...getDisplaySize(codedWidth, codedHeight, pixelAspectRatio, rotation),
+        rotation,
+        pixelAspectRatio,
+        colour: hasColourInfo(colour) ? colour : null,
+        ...analyzeFrameTimes(sortedTimes),
+        frameTimes: sortedTimes
+    };
+}
+
+/**
+ * Probe a file demuxed with demuxVideoFile()
+ */
+function probeMedia(media) {
+    const track = media.video;
+    if (!track) {
+        throw new Error('No video track found');
+    }
+
+    return createProbe({
+        source: 'js',
+        codec: track.codec,
+        codedWidth: track.codedWidth,
+        codedHeight: track.codedHeight,
+        rotation: track.rotation || 0,
+        pixelAspectRatio: track.pixelAspectRatio || SQUARE_PIXELS,
+        colour: track.colour,
+        frameTimes: track.samples.map(sample => sample.timestamp / 1e6)
+    });
+}
+
+/**
+ * Probe an MP4, MOV or WebM file in JavaScript (rejects for other containers)
+ */
+async function probeVideoFile(file) {
+    return probeMedia(await demuxVideoFile(file));
+}
+
+/**
+ * Colour from the pixel format part of FFmpeg's stream info, e.g.
+ * "tv, bt709" or "tv, bt2020nc/bt2020/smpte2084, progressive"
+ */
+function parseFFmpegColour(details) {
+    const names = { range: 'tv' };
+    for (const token of details.split(',').map(part => part.trim())) {
+        if (token === 'tv' || token === 'pc') {
+            names.range = token;
+        } else if (token.includes('/')) {
+            [names.matrix, names.primaries, names.transfer] = token.split('/');
+        } else if (!names.matrix) {
+            // One name means all three are the same
+            names.matrix = names.primaries = names.transfer = token;
+        }
+    }
+    return parseFFmpegColourNames(names);
+}
+
+/**
+ * Probe from what `ffmpeg -i input -map 0:v:0 -c copy -f framecrc` leaves:
+ * its log (stream info and side data) and the framecrc listing of the video
+ * packets (one "stream, dts, pts, duration, size, hash" line each)
+ */
+function parseFFmpegProbe(logLines, frameCrc) {
+    const log = logLines.join('\n');
+    const stream = log.match(/Stream #\d+:\d+.*?: Video: (.*)/);
+    if (!stream) {
+        throw new Error('FFmpeg found no video stream');
+    }
+
+    const info = stream[1];
+    const size = info.match(/, (\d+)x(\d+)/);
+    if (!size) {
+        throw new Error('FFmpeg reported no video size');
+    }
+
+    const sar = info.match(/\[SAR (\d+):(\d+)/);
+    const pixelFormat = info.match(/, \w+\(([^)]*)\)/);
+    const displayMatrix = log.match(/displaymatrix: rotation of (-?[\d.]+) degrees/);
+    const rotateTag = log.match(/rotate\s*:\s*(-?\d+)/);
+
+    // The display matrix angle is counter-clockwise, the older rotate tag clockwise
+    let rotation = 0;
+    if (displayMatrix) {
+        rotation = normalizeRotation(-parseFloat(displayMatrix[1]));
+    } else if (rotateTag) {
+        rotation = normalizeRotation(parseInt(rotateTag[1], 10));
+    }
+
+    const timeBase = frameCrc.match(/^#tb 0: (\d+)\/(\d+)/m);
+    const frameTimes = [];
+    if (timeBase) {
+        const seconds = Number(timeBase[1]) / Number(timeBase[2]);
+        for (const line of frameCrc.split('\n')) {
+            const fields = line.split(',').map(field => field.trim());
+            if (fields[0] === '0' && /^-?\d+$/.test(fields[2])) {
+                frameTimes.push(Number(fields[2]) * seconds);
+            }
+        }
+    }
+
+    const codec = info.match(/^(\w+)/);
+
+    return createProbe({
+        source: 'ffmpeg',
+        codec: codec ? codec[1] : null,
+        codedWidth: Number(size[1]),
+        codedHeight: Number(size[2]),
+        rotation,
+        pixelAspectRatio: sar && Number(sar[1]) > 0 && Number(sar[2]) > 0
+            ? { num: Number(sar[1]), den: Number(sar[2]) }
+            : SQUARE_PIXELS,
+        colour: pixelFormat ? parseFFmpegColour(pixelFormat[1]) : null,
+        frameTimes: frameTimes.length ? frameTimes : null
+    });
+}
+
+/**
+ * The source frames to extract as they are, with their real timing, instead
+ * of resampling to `fps`: [{ timestamp, duration }] in seconds (see
+ * frameTiming.js), or null. Only variable frame rate sources extracted at
+ * their full frame rate need this; resampling to fewer frames already follows
+ * the real timestamps. The first frame covers the time from the start of the
+ * `trim` segment, so the frames fill it exactly.
+ */
+function getSourceFrameTimes(probe, fps, trim = null) {
+    if (!probe?.isVariableFrameRate || !probe.frameTimes?.length || fps < Math.round(probe.frameRate)) {
+        return null;
+    }
+
+    const { frameTimes } = probe;
+    const start = trim ? trim.start : 0;
+    const end = trim ? trim.end : frameTimes[frameTimes.length - 1] + 1 / probe.frameRate;
+    const times = Array.from(frameTimes).filter(time => time >= start && time < end);
+
+    return times.map((time, index) => ({
+        timestamp: time,
+        duration: (index + 1 < times.length ? times[index + 1] : end) - (index === 0 ? start : time)
+    }));
+}
+
+/**
+ * FFmpeg filters that turn decoded source frames into upright, square-pixel
+ * frames with the right colours: the container's colour description is
+ * applied (streams often don't carry it), wide gamut is converted to BT.709,
+ * then pixels are made square and the picture rotated. Run FFmpeg with
+ * -noautorotate so the rotation isn't applied twice.
+ */
+function getFFmpegSourceFilters(probe) {
+    const filters = [];
+
+    if (probe.colour) {
+        const names = getFFmpegColourNames(probe.colour);
+        filters.push(`setparams=${[
+            names.matrix && `colorspace=${names.matrix}`,
+            names.primaries && `color_primaries=${names.primaries}`,
+            names.transfer && `color_trc=${names.transfer}`,
+            `range=${names.range}`
+        ].filter(Boolean).join(':')}`);
+
+        if (WIDE_GAMUT_PRIMARIES.includes(probe.colour.primaries) && canConvertToBt709(probe.colour)) {
+            filters.push('colorspace=all=bt709');
+        }
+    }
+
+    if (probe.pixelAspectRatio.num !== probe.pixelAspectRatio.den) {
+        const width = Math.max(2, Math.round(getSquarePixelWidth(probe.codedWidth, probe.pixelAspectRatio) / 2) * 2);
+        filters.push(`scale=${width}:${probe.codedHeight}`, 'setsar=1');
+    }
+
+    switch (probe.rotation) {
+        case 90:
+            filters.push('transpose=clock');
+            break;
+        case 180:
+            filters.push('hflip', 'vflip');
+            break;
+        case 270:
+            filters.push('transpose=cclock');
+            break;
+        default:
+            break;
+    }
+
+    return filters;
+}
+
+export {
+    getDisplaySize,
+    getSquarePixelWidth,
+    probeMedia,
+    probeVideoFile,
+    parseFFmpegProbe,
+    getSourceFrameTimes,
+    getFFmpegSourceFilters
+};
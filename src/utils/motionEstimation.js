@@ -0,0 +1,132 @@
+/**
+ * Motion Estimation
+ *
+ * Cheap block-matching motion estimation on downscaled grayscale frames,
+ * shared by the temporal stabilizer and the in-between frame interpolator.
+ * Works on raw RGBA pixel data ({ width, height, data }) so it runs on the
+ * main thread and in the processing worker alike.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const DEFAULT_MOTION_OPTIONS = {
+    blockSize: 8,           // Block size in analysis pixels
+    searchRadius: 4,        // Motion search range in analysis pixels
+    analysisWidth: 160,     // Motion is estimated on a downscaled grayscale copy
+    maxBlockError: 24       // Mean abs difference at which a block is no longer trusted
+};
+
+/**
+ * Size of the downscaled analysis copy for a frame
+ */
+function getAnalysisSize(width, height, analysisWidth = DEFAULT_MOTION_OPTIONS.analysisWidth) {
+    const scale = Math.min(1, analysisWidth / width);
+    return {
+        scale,
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * Downscale RGBA pixels to a luminance buffer using nearest-neighbour sampling
+ */
+function toGray(source, analysisWidth, analysisHeight) {
+    const gray = new Uint8Array(analysisWidth * analysisHeight);
+    const xRatio = source.width / analysisWidth;
+    const yRatio = source.height / analysisHeight;
+
+    for (let y = 0; y < analysisHeight; y++) {
+        const sy = Math.min(source.height - 1, Math.floor(y * yRatio));
+        for (let x = 0; x < analysisWidth; x++) {
+            const sx = Math.min(source.width - 1, Math.floor(x * xRatio));
+            const i = (sy * source.width + sx) * 4;
+            gray[y * analysisWidth + x] = (source.data[i] * 77 + source.data[i + 1] * 150 + source.data[i + 2] * 29) >> 8;
+        }
+    }
+
+    return gray;
+}
+
+/**
+ * Find, for every block of `gray`, where it came from in `reference`.
+ * Returns per-block vectors (in analysis pixels), a 0-1 match confidence and the mean block error.
+ */
+function estimateBlockMotion(gray, reference, analysisWidth, analysisHeight, options = {}) {
+    const { blockSize, searchRadius, maxBlockError } = { ...DEFAULT_MOTION_OPTIONS, ...options };
+    const blocksX = Math.ceil(analysisWidth / blockSize);
+    const blocksY = Math.ceil(analysisHeight / blockSize);
+    const vectorsX = new Int8Array(blocksX * blocksY);
+    const vectorsY = new Int8Array(blocksX * blocksY);
+    const confidence = new Float32Array(blocksX * blocksY);
+    let totalError = 0;
+
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            const x0 = bx * blockSize;
+            const y0 = by * blockSize;
+            const x1 = Math.min(x0 + blockSize, analysisWidth);
+            const y1 = Math.min(y0 + blockSize, analysisHeight);
+            const pixelCount = (x1 - x0) * (y1 - y0);
+
+            let bestError = Infinity;
+            let bestX = 0;
+            let bestY = 0;
+
+            for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+                if (y0 + dy < 0 || y1 + dy > analysisHeight) continue;
+
+                for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+                    if (x0 + dx < 0 || x1 + dx > analysisWidth) continue;
+
+                    // Stop once the block is worse; an equal partial sum must go on, or a
+                    // truncated sum would win the zero vector tie below
+                    let error = 0;
+                    for (let y = y0; y < y1 && error <= bestError; y++) {
+                        const row = y * analysisWidth;
+                        const referenceRow = (y + dy) * analysisWidth + dx;
+                        for (let x = x0; x < x1; x++) {
+                            error += Math.abs(gray[row + x] - reference[referenceRow + x]);
+                        }
+                    }
+
+                    // Prefer the zero vector on ties so static areas stay put
+                    if (error < bestError || (error === bestError && dx === 0 && dy === 0)) {
+                        bestError = error;
+                        bestX = dx;
+                        bestY = dy;
+                    }
+                }
+            }
+
+            const block = by * blocksX + bx;
+            const meanError = bestError / pixelCount;
+            vectorsX[block] = bestX;
+            vectorsY[block] = bestY;
+            confidence[block] = Math.max(0, 1 - meanError / maxBlockError);
+            totalError += meanError;
+        }
+    }
+
+    return {
+        blockSize,
+        blocksX,
+        blocksY,
+        vectorsX,
+        vectorsY,
+        confidence,
+        meanError: totalError / (blocksX * blocksY)
+    };
+}
+
+/**
+ * Index of the motion block covering full-resolution pixel (x, y)
+ */
+function getBlockIndex(motion, x, y, scale) {
+    const blockPixels = motion.blockSize / scale;
+    const bx = Math.min(motion.blocksX - 1, Math.floor(x / blockPixels));
+    const by = Math.min(motion.blocksY - 1, Math.floor(y / blockPixels));
+    return by * motion.blocksX + bx;
+}
+
+export { DEFAULT_MOTION_OPTIONS, getAnalysisSize, toGray, estimateBlockMotion, getBlockIndex };
@@ -0,0 +1,494 @@
+/**
+ * MP4 Demuxer
+ *
+ * Reads the sample tables of an MP4/MOV file so its video and audio can be
+ * fed to WebCodecs decoders without FFmpeg, along with how the video is meant
+ * to be shown (rotation, pixel aspect ratio and colour). Only progressive
+ * files with a moov box are supported; fragmented MP4 is rejected so callers
+ * can fall back.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import {
+    getAvcCodecString,
+    getHevcCodecString,
+    getAv1CodecString,
+    getVp9CodecString,
+    getAacCodecString
+} from './codecStrings';
+
+// Sample entry header sizes before the child boxes (ISO/IEC 14496-12 12.1.3, 12.2.3)
+const VISUAL_SAMPLE_ENTRY_SIZE = 78;
+const AUDIO_SAMPLE_ENTRY_SIZE = 28;
+
+function readType(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+}
+
+function readUint64(view, offset) {
+    return view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+}
+
+function readInt64(view, offset) {
+    return view.getInt32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+}
+
+/**
+ * The boxes between start and end: [{ type, start, end }] where start is the
+ * first byte after the box header
+ */
+function readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        const type = readType(view, offset + 4);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = readUint64(view, offset + 8);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+
+        boxes.push({ type, start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+function findBox(view, parent, type) {
+    return readBoxes(view, parent.start, parent.end).find(box => box.type === type) || null;
+}
+
+function findPath(view, parent, path) {
+    let box = parent;
+    for (const type of path) {
+        box = box && findBox(view, box, type);
+    }
+    return box;
+}
+
+function getBytes(view, box) {
+    return new Uint8Array(view.buffer, view.byteOffset + box.start, box.end - box.start);
+}
+
+/**
+ * Descriptor length in an esds box: up to four 7-bit groups
+ */
+function readDescriptor(view, offset) {
+    const tag = view.getUint8(offset++);
+    let size = 0;
+    for (let i = 0; i < 4; i++) {
+        const byte = view.getUint8(offset++);
+        size = (size << 7) | (byte & 0x7f);
+        if (!(byte & 0x80)) break;
+    }
+    return { tag, start: offset, end: offset + size };
+}
+
+/**
+ * The AudioSpecificConfig inside an esds box
+ */
+function parseEsds(view, esds) {
+    let descriptor = readDescriptor(view, esds.start + 4);
+    if (descriptor.tag !== 0x03) return null;
+
+    // ES_Descriptor: ES_ID, flags, then optional fields the flags announce
+    let offset = descriptor.start + 2;
+    const flags = view.getUint8(offset++);
+    if (flags & 0x80) offset += 2;
+    if (flags & 0x40) offset += 1 + view.getUint8(offset);
+    if (flags & 0x20) offset += 2;
+
+    descriptor = readDescriptor(view, offset);
+    if (descriptor.tag !== 0x04) return null;
+
+    // DecoderConfigDescriptor: object type, stream type, buffer size and bitrates
+    descriptor = readDescriptor(view, descriptor.start + 13);
+    if (descriptor.tag !== 0x05) return null;
+
+    return new Uint8Array(view.buffer.slice(
+        view.byteOffset + descriptor.start,
+        view.byteOffset + descriptor.end
+    ));
+}
+
+/**
+ * An Ogg OpusHead from a dOps box, which is what WebCodecs expects as the
+ * Opus description
+ */
+function opusHeadFromDops(view, dOps) {
+    const channels = view.getUint8(dOps.start + 1);
+    const mappingFamily = view.getUint8(dOps.start + 10);
+    const head = new Uint8Array(19 + (mappingFamily ? 2 + channels : 0));
+    const headView = new DataView(head.buffer);
+
+    head.set([0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64], 0);
+    head[8] = 1;
+    head[9] = channels;
+    headView.setUint16(10, view.getUint16(dOps.start + 2), true);
+    headView.setUint32(12, view.getUint32(dOps.start + 4), true);
+    headView.setInt16(16, view.getInt16(dOps.start + 8), true);
+    head[18] = mappingFamily;
+    if (mappingFamily) {
+        head.set(getBytes(view, { start: dOps.start + 11, end: dOps.start + 13 + channels }), 19);
+    }
+
+    return head;
+}
+
+function copyBytes(view, box) {
+    return new Uint8Array(view.buffer.slice(view.byteOffset + box.start, view.byteOffset + box.end));
+}
+
+/**
+ * Colour description from a colr box: ISO/IEC 23091-2 code points, null for
+ * ICC profiles
+ */
+function parseColr(view, colr) {
+    const colourType = readType(view, colr.start);
+    if (colourType !== 'nclx' && colourType !== 'nclc') return null;
+
+    return {
+        primaries: view.getUint16(colr.start + 4),
+        transfer: view.getUint16(colr.start + 6),
+        matrix: view.getUint16(colr.start + 8),
+        // QuickTime's nclc has no range flag and means limited range
+        fullRange: colourType === 'nclx' && colr.end - colr.start > 10
+            ? (view.getUint8(colr.start + 10) & 0x80) !== 0
+            : false
+    };
+}
+
+/**
+ * Clockwise rotation in degrees (0, 90, 180 or 270) from the tkhd matrix
+ */
+function parseRotation(view, tkhd) {
+    const matrixOffset = tkhd.start + (view.getUint8(tkhd.start) === 1 ? 52 : 40);
+    const a = view.getInt32(matrixOffset) / 65536;
+    const b = view.getInt32(matrixOffset + 4) / 65536;
+    const degrees = Math.round(Math.atan2(b, a) * 180 / Math.PI / 90) * 90;
+    return (degrees + 360) % 360;
+}
+
+/**
+ * Codec string, decoder description, pixel aspect ratio and colour from a
+ * video sample entry
+ */
+function parseVideoSampleEntry(view, entry) {
+    const children = { start: entry.start + VISUAL_SAMPLE_ENTRY_SIZE, end: entry.end };
+    const config = {
+        codec: null,
+        description: undefined,
+        codedWidth: view.getUint16(entry.start + 24),
+        codedHeight: view.getUint16(entry.start + 26),
+        pixelAspectRatio: { num: 1, den: 1 },
+        colour: null
+    };
+
+    const pasp = findBox(view, children, 'pasp');
+    if (pasp && view.getUint32(pasp.start) > 0 && view.getUint32(pasp.start + 4) > 0) {
+        config.pixelAspectRatio = { num: view.getUint32(pasp.start), den: view.getUint32(pasp.start + 4) };
+    }
+
+    const colr = findBox(view, children, 'colr');
+    if (colr && colr.end - colr.start >= 10) {
+        config.colour = parseColr(view, colr);
+    }
+
+    if (entry.type === 'avc1' || entry.type === 'avc3') {
+        const avcC = findBox(view, children, 'avcC');
+        if (avcC) {
+            config.description = copyBytes(view, avcC);
+            config.codec = getAvcCodecString(config.description, entry.type);
+        }
+    } else if (entry.type === 'hvc1' || entry.type === 'hev1') {
+        const hvcC = findBox(view, children, 'hvcC');
+        if (hvcC) {
+            config.description = copyBytes(view, hvcC);
+            config.codec = getHevcCodecString(config.description, entry.type);
+        }
+    } else if (entry.type === 'vp09') {
+        const vpcC = findBox(view, children, 'vpcC');
+        config.codec = getVp9CodecString(vpcC ? {
+            profile: view.getUint8(vpcC.start + 4),
+            level: view.getUint8(vpcC.start + 5),
+            bitDepth: view.getUint8(vpcC.start + 6) >> 4
+        } : undefined);
+    } else if (entry.type === 'vp08') {
+        config.codec = 'vp8';
+    } else if (entry.type === 'av01') {
+        const av1C = findBox(view, children, 'av1C');
+        if (av1C) {
+            config.codec = getAv1CodecString(getBytes(view, av1C));
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Codec string and decoder description from an audio sample entry
+ */
+function parseAudioSampleEntry(view, entry) {
+    // QuickTime sound descriptions v1/v2 carry extra fields before the children
+    const version = view.getUint16(entry.start + 8);
+    const extraSize = version === 1 ? 16 : version === 2 ? 36 : 0;
+    const children = { start: entry.start + AUDIO_SAMPLE_ENTRY_SIZE + extraSize, end: entry.end };
+    const config = {
+        codec: null,
+        description: undefined,
+        numberOfChannels: view.getUint16(entry.start + 16),
+        sampleRate: view.getUint32(entry.start + 24) / 65536
+    };
+
+    if (entry.type === 'mp4a') {
+        const esds = findBox(view, children, 'esds');
+        const audioSpecificConfig = esds && parseEsds(view, esds);
+        if (audioSpecificConfig?.length) {
+            config.description = audioSpecificConfig;
+            config.codec = getAacCodecString(audioSpecificConfig);
+        }
+    } else if (entry.type === 'Opus') {
+        const dOps = findBox(view, children, 'dOps');
+        if (dOps) {
+            config.description = opusHeadFromDops(view, dOps);
+            config.codec = 'opus';
+            config.sampleRate = 48000;
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Presentation offset from an edit list, in media timescale ticks: leading
+ * empty edits delay the track, the first real edit says where it starts
+ */
+function parseEditList(view, trak, mediaTimescale, movieTimescale) {
+    const elst = findPath(view, trak, ['edts', 'elst']);
+    if (!elst) return 0;
+
+    const version = view.getUint8(elst.start);
+    const count = view.getUint32(elst.start + 4);
+    const entrySize = version === 1 ? 20 : 12;
+    let delay = 0;
+
+    for (let i = 0; i < count; i++) {
+        const offset = elst.start + 8 + i * entrySize;
+        const segmentDuration = version === 1 ? readUint64(view, offset) : view.getUint32(offset);
+        const mediaTime = version === 1 ? readInt64(view, offset + 8) : view.getInt32(offset + 4);
+
+        if (mediaTime === -1) {
+            delay += segmentDuration * mediaTimescale / movieTimescale;
+        } else {
+            return delay - mediaTime;
+        }
+    }
+
+    return delay;
+}
+
+/**
+ * Offset, size, presentation time and duration (µs) of every sample, in
+ * decode order
+ */
+function buildSampleTable(view, stbl, timescale, presentationOffset) {
+    const stsz = findBox(view, stbl, 'stsz');
+    const stco = findBox(view, stbl, 'stco') || findBox(view, stbl, 'co64');
+    const stsc = findBox(view, stbl, 'stsc');
+    const stts = findBox(view, stbl, 'stts');
+    const ctts = findBox(view, stbl, 'ctts');
+    const stss = findBox(view, stbl, 'stss');
+
+    if (!stsz || !stco || !stsc || !stts) {
+        throw new Error('MP4 sample table is incomplete');
+    }
+
+    const sampleCount = view.getUint32(stsz.start + 8);
+    const fixedSize = view.getUint32(stsz.start + 4);
+    const samples = new Array(sampleCount);
+
+    // Sizes
+    for (let i = 0; i < sampleCount; i++) {
+        samples[i] = {
+            offset: 0,
+            size: fixedSize || view.getUint32(stsz.start + 12 + i * 4),
+            timestamp: 0,
+            duration: 0,
+            isKey: !stss
+        };
+    }
+
+    // Offsets: chunks hold runs of samples as described by stsc
+    const is64 = stco.type === 'co64';
+    const chunkCount = view.getUint32(stco.start + 4);
+    const chunkOffset = (index) => is64
+        ? readUint64(view, stco.start + 8 + index * 8)
+        : view.getUint32(stco.start + 8 + index * 4);
+    const runCount = view.getUint32(stsc.start + 4);
+    let sampleIndex = 0;
+
+    for (let run = 0; run < runCount; run++) {
+        const firstChunk = view.getUint32(stsc.start + 8 + run * 12) - 1;
+        const samplesPerChunk = view.getUint32(stsc.start + 12 + run * 12);
+        const lastChunk = run + 1 < runCount
+            ? view.getUint32(stsc.start + 8 + (run + 1) * 12) - 1
+            : chunkCount;
+
+        for (let chunk = firstChunk; chunk < lastChunk && sampleIndex < sampleCount; chunk++) {
+            let offset = chunkOffset(chunk);
+            for (let i = 0; i < samplesPerChunk && sampleIndex < sampleCount; i++) {
+                samples[sampleIndex].offset = offset;
+                offset += samples[sampleIndex].size;
+                sampleIndex++;
+            }
+        }
+    }
+
+    // Decode times, shifted by composition offsets to presentation times
+    const compositionOffsets = new Array(sampleCount).fill(0);
+    if (ctts) {
+        const signed = view.getUint8(ctts.start) === 1;
+        const entryCount = view.getUint32(ctts.start + 4);
+        let index = 0;
+        for (let entry = 0; entry < entryCount; entry++) {
+            const count = view.getUint32(ctts.start + 8 + entry * 8);
+            const offset = signed
+                ? view.getInt32(ctts.start + 12 + entry * 8)
+                : view.getUint32(ctts.start + 12 + entry * 8);
+            for (let i = 0; i < count && index < sampleCount; i++) {
+                compositionOffsets[index++] = offset;
+            }
+        }
+    }
+
+    const toMicroseconds = (ticks) => Math.round(ticks * 1e6 / timescale);
+    const entryCount = view.getUint32(stts.start + 4);
+    let decodeTime = 0;
+    sampleIndex = 0;
+
+    for (let entry = 0; entry < entryCount; entry++) {
+        const count = view.getUint32(stts.start + 8 + entry * 8);
+        const delta = view.getUint32(stts.start + 12 + entry * 8);
+        for (let i = 0; i < count && sampleIndex < sampleCount; i++) {
+            const sample = samples[sampleIndex];
+            sample.timestamp = toMicroseconds(decodeTime + compositionOffsets[sampleIndex] + presentationOffset);
+            sample.duration = toMicroseconds(delta);
+            decodeTime += delta;
+            sampleIndex++;
+        }
+    }
+
+    // Sync samples (1-based); without stss every sample is a keyframe
+    if (stss) {
+        const syncCount = view.getUint32(stss.start + 4);
+        for (let i = 0; i < syncCount; i++) {
+            const sample = samples[view.getUint32(stss.start + 8 + i * 4) - 1];
+            if (sample) sample.isKey = true;
+        }
+    }
+
+    return samples;
+}
+
+function parseTrack(view, trak, movieTimescale) {
+    const mdhd = findPath(view, trak, ['mdia', 'mdhd']);
+    const hdlr = findPath(view, trak, ['mdia', 'hdlr']);
+    const stbl = findPath(view, trak, ['mdia', 'minf', 'stbl']);
+    if (!mdhd || !hdlr || !stbl) return null;
+
+    const handler = readType(view, hdlr.start + 8);
+    const type = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : null;
+    if (!type) return null;
+
+    const mdhdVersion = view.getUint8(mdhd.start);
+    const timescale = view.getUint32(mdhd.start + (mdhdVersion === 1 ? 20 : 12));
+
+    const stsd = findBox(view, stbl, 'stsd');
+    const [entry] = stsd ? readBoxes(view, stsd.start + 8, stsd.end) : [];
+    if (!entry) return null;
+
+    const config = type === 'video'
+        ? parseVideoSampleEntry(view, entry)
+        : parseAudioSampleEntry(view, entry);
+
+    if (type === 'video') {
+        const tkhd = findBox(view, trak, 'tkhd');
+        config.rotation = tkhd ? parseRotation(view, tkhd) : 0;
+    }
+
+    const presentationOffset = parseEditList(view, trak, timescale, movieTimescale);
+    const samples = buildSampleTable(view, stbl, timescale, presentationOffset);
+
+    return {
+        type,
+        sampleEntry: entry.type,
+        ...config,
+        timescale,
+        samples
+    };
+}
+
+/**
+ * Demux an MP4/MOV file held in memory.
+ * Resolves to { container: 'mp4', duration, tracks: [{ type, codec, description,
+ * codedWidth/codedHeight or sampleRate/numberOfChannels, samples }] } where
+ * samples are { offset, size, timestamp, duration, isKey } with times in µs.
+ * Video tracks also have rotation (clockwise degrees), pixelAspectRatio
+ * ({ num, den }) and colour (see parseColr, or null).
+ * Tracks whose codec is not recognised have codec null.
+ */
+function demuxMp4(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const topLevel = readBoxes(view, 0, bytes.byteLength);
+    const moov = topLevel.find(box => box.type === 'moov');
+
+    if (!moov) {
+        throw new Error('MP4 file has no movie header (moov)');
+    }
+    if (findBox(view, moov, 'mvex')) {
+        throw new Error('Fragmented MP4 is not supported');
+    }
+
+    const mvhd = findBox(view, moov, 'mvhd');
+    const mvhdVersion = mvhd ? view.getUint8(mvhd.start) : 0;
+    const movieTimescale = mvhd ? view.getUint32(mvhd.start + (mvhdVersion === 1 ? 20 : 12)) : 1000;
+    const movieDuration = mvhd
+        ? (mvhdVersion === 1 ? readUint64(view, mvhd.start + 24) : view.getUint32(mvhd.start + 16))
+        : 0;
+
+    const tracks = readBoxes(view, moov.start, moov.end)
+        .filter(box => box.type === 'trak')
+        .map(trak => parseTrack(view, trak, movieTimescale))
+        .filter(Boolean);
+
+    return {
+        container: 'mp4',
+        duration: movieDuration / movieTimescale,
+        tracks
+    };
+}
+
+/**
+ * Whether the bytes look like an MP4/MOV file
+ */
+function isMp4(bytes) {
+    if (bytes.length < 12) return false;
+    const type = String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]);
+    return ['ftyp', 'moov', 'mdat', 'free', 'wide', 'skip'].includes(type);
+}
+
+export {
+    demuxMp4,
+    isMp4
+};
@@ -0,0 +1,359 @@
+/**
+ * MP4 Muxer
+ *
+ * Writes WebCodecs encoder output (H.264, HEVC or VP9 video, AAC audio) into a
+ * progressive MP4 file. Everything is collected in memory and written on
+ * finish(), with the moov box in front so the result streams and seeks right
+ * away.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { BT709_COLOUR, parseWebCodecsColorSpace } from './colourSpaces';
+
+const VIDEO_TIMESCALE = 90000;
+const MOVIE_TIMESCALE = 1000;
+const UINT32_MAX = 0xFFFFFFFF;
+
+// Unity transformation matrix (ISO/IEC 14496-12 8.2.2)
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+function u8(...values) {
+    return Uint8Array.from(values);
+}
+
+function u16(value) {
+    return u8((value >> 8) & 0xff, value & 0xff);
+}
+
+function u32(value) {
+    return u8((value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function zeros(length) {
+    return new Uint8Array(length);
+}
+
+function concat(parts) {
+    const flat = parts.flat(Infinity);
+    const result = new Uint8Array(flat.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of flat) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function box(type, ...payload) {
+    const body = concat(payload);
+    return concat([u32(body.length + 8), ascii(type), body]);
+}
+
+function fullBox(type, version, flags, ...payload) {
+    return box(type, u8(version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff), ...payload);
+}
+
+function matrix() {
+    return IDENTITY_MATRIX.map(u32);
+}
+
+/**
+ * ES descriptor with the 4-byte length form, which every parser accepts
+ */
+function descriptor(tag, ...payload) {
+    const body = concat(payload);
+    const size = body.length;
+    return concat([
+        u8(tag, 0x80 | ((size >> 21) & 0x7f), 0x80 | ((size >> 14) & 0x7f), 0x80 | ((size >> 7) & 0x7f), size & 0x7f),
+        body
+    ]);
+}
+
+function toBytes(description) {
+    if (!description) return null;
+    if (description instanceof ArrayBuffer) return new Uint8Array(description);
+    return new Uint8Array(description.buffer, description.byteOffset, description.byteLength);
+}
+
+function chunkToSample(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    return {
+        data,
+        timestamp: chunk.timestamp,
+        duration: chunk.duration || 0,
+        isKey: chunk.type === 'key'
+    };
+}
+
+class Mp4Muxer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.video - { codec, width, height, description?, colour? } (see colourSpaces.js)
+     * @param {Object} [options.audio] - { codec, sampleRate, numberOfChannels, description? }
+     */
+    constructor({ video, audio = null }) {
+        if (!/^(avc1|avc3|hvc1|hev1|vp09)\./.test(video.codec)) {
+            throw new Error(`MP4 muxer does not support video codec ${video.codec}`);
+        }
+        if (audio && !audio.codec.startsWith('mp4a.')) {
+            throw new Error(`MP4 muxer does not support audio codec ${audio.codec}`);
+        }
+
+        this.video = { colour: null, ...video, timescale: VIDEO_TIMESCALE, samples: [] };
+        this.audio = audio ? { ...audio, timescale: audio.sampleRate, samples: [] } : null;
+    }
+
+    addVideoChunk(chunk, metadata) {
+        if (metadata?.decoderConfig?.description) {
+            this.video.description = metadata.decoderConfig.description;
+        }
+        if (metadata?.decoderConfig?.colorSpace) {
+            this.video.colour = parseWebCodecsColorSpace(metadata.decoderConfig.colorSpace);
+        }
+        this.addVideoSample(chunkToSample(chunk));
+    }
+
+    addAudioChunk(chunk, metadata) {
+        if (!this.audio) return;
+        if (metadata?.decoderConfig?.description) {
+            this.audio.description = metadata.decoderConfig.description;
+        }
+        this.addAudioSample(chunkToSample(chunk));
+    }
+
+    /**
+     * Add an already encoded frame: { data, timestamp, duration, isKey } with times in µs
+     */
+    addVideoSample(sample) {
+        this.video.samples.push(sample);
+    }
+
+    addAudioSample(sample) {
+        if (this.audio) this.audio.samples.push(sample);
+    }
+
+    /**
+     * Write the file without its audio track (e.g. when re-encoding it failed)
+     */
+    removeAudio() {
+        this.audio = null;
+    }
+
+    /**
+     * Write the file as a video/mp4 Blob
+     */
+    finish() {
+        if (this.video.samples.length === 0) {
+            throw new Error('No video frames were encoded');
+        }
+
+        const tracks = [this.video, this.audio].filter(track => track?.samples.length);
+        tracks.forEach(track => this.computeTiming(track));
+
+        const mdatSize = tracks.reduce(
+            (sum, track) => sum + track.samples.reduce((total, sample) => total + sample.data.length, 0), 8
+        );
+        if (mdatSize > UINT32_MAX) {
+            throw new Error('Output is too large for an MP4 file');
+        }
+
+        const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso2'), ascii('avc1'), ascii('mp41'));
+
+        // Sizes don't depend on the offsets, so lay out once to know where mdat starts
+        const dataStart = ftyp.length + this.createMoov(tracks, 0).length + 8;
+        const moov = this.createMoov(tracks, dataStart);
+
+        return new Blob([
+            ftyp,
+            moov,
+            concat([u32(mdatSize), ascii('mdat')]),
+            ...tracks.flatMap(track => track.samples.map(sample => sample.data))
+        ], { type: 'video/mp4' });
+    }
+
+    /**
+     * Decode times, composition offsets and durations in track ticks. Encoders
+     * that reorder frames hand out chunks in decode order with presentation
+     * timestamps, so decode times are the sorted presentation times. The
+     * track starts at its first frame whatever the encoder's first timestamp.
+     */
+    computeTiming(track) {
+        const toTicks = (microseconds) => Math.round(microseconds * track.timescale / 1e6);
+        const presentation = track.samples.map(sample => toTicks(sample.timestamp));
+        const decode = [...presentation].sort((a, b) => a - b);
+        const last = track.samples[track.samples.length - 1];
+        const lastDuration = toTicks(last.duration) || (decode.length > 1
+            ? decode[decode.length - 1] - decode[decode.length - 2]
+            : toTicks(1e6 / 30));
+
+        track.samples.forEach((sample, index) => {
+            sample.compositionOffset = presentation[index] - decode[index];
+            sample.delta = index + 1 < decode.length ? decode[index + 1] - decode[index] : lastDuration;
+        });
+
+        track.mediaDuration = decode[decode.length - 1] + lastDuration - decode[0];
+        track.movieDuration = Math.round(track.mediaDuration * MOVIE_TIMESCALE / track.timescale);
+    }
+
+    createMoov(tracks, dataStart) {
+        const movieDuration = Math.max(...tracks.map(track => track.movieDuration));
+        let offset = dataStart;
+
+        const traks = tracks.map((track, index) => {
+            const offsets = track.samples.map((sample) => {
+                const sampleOffset = offset;
+                offset += sample.data.length;
+                return sampleOffset;
+            });
+            return this.createTrak(track, index + 1, offsets);
+        });
+
+        return box('moov',
+            fullBox('mvhd', 0, 0,
+                u32(0), u32(0), u32(MOVIE_TIMESCALE), u32(movieDuration),
+                u32(0x00010000), u16(0x0100), zeros(10), matrix(), zeros(24),
+                u32(tracks.length + 1)
+            ),
+            ...traks
+        );
+    }
+
+    createTrak(track, trackId, offsets) {
+        const isVideo = track === this.video;
+
+        return box('trak',
+            fullBox('tkhd', 0, 0x000003,
+                u32(0), u32(0), u32(trackId), u32(0), u32(track.movieDuration),
+                zeros(8), u16(0), u16(0), u16(isVideo ? 0 : 0x0100), u16(0), matrix(),
+                u32(isVideo ? track.width * 65536 : 0), u32(isVideo ? track.height * 65536 : 0)
+            ),
+            box('mdia',
+                fullBox('mdhd', 0, 0,
+                    u32(0), u32(0), u32(track.timescale), u32(track.mediaDuration),
+                    u16(0x55C4), u16(0)
+                ),
+                fullBox('hdlr', 0, 0,
+                    u32(0), ascii(isVideo ? 'vide' : 'soun'), zeros(12),
+                    ascii(isVideo ? 'VideoHandler' : 'SoundHandler'), u8(0)
+                ),
+                box('minf',
+                    isVideo ? fullBox('vmhd', 0, 1, zeros(8)) : fullBox('smhd', 0, 0, zeros(4)),
+                    box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+                    this.createStbl(track, isVideo, offsets)
+                )
+            )
+        );
+    }
+
+    createStbl(track, isVideo, offsets) {
+        const { samples } = track;
+
+        // Run-length encode the decode deltas
+        const timeToSample = [];
+        for (const sample of samples) {
+            const previous = timeToSample[timeToSample.length - 1];
+            if (previous && previous.delta === sample.delta) {
+                previous.count++;
+            } else {
+                timeToSample.push({ count: 1, delta: sample.delta });
+            }
+        }
+
+        const compositionOffsets = [];
+        if (samples.some(sample => sample.compositionOffset !== 0)) {
+            for (const sample of samples) {
+                const previous = compositionOffsets[compositionOffsets.length - 1];
+                if (previous && previous.offset === sample.compositionOffset) {
+                    previous.count++;
+                } else {
+                    compositionOffsets.push({ count: 1, offset: sample.compositionOffset });
+                }
+            }
+        }
+
+        const syncSamples = samples
+            .map((sample, index) => (sample.isKey ? index + 1 : 0))
+            .filter(Boolean);
+
+        return box('stbl',
+            fullBox('stsd', 0, 0, u32(1), isVideo ? this.createVideoSampleEntry(track) : this.createAudioSampleEntry(track)),
+            fullBox('stts', 0, 0, u32(timeToSample.length), timeToSample.map(run => [u32(run.count), u32(run.delta)])),
+            compositionOffsets.length
+                ? fullBox('ctts', 1, 0, u32(compositionOffsets.length),
+                    compositionOffsets.map(run => [u32(run.count), u32(run.offset)]))
+                : [],
+            // One sample per chunk
+            fullBox('stsc', 0, 0, u32(1), u32(1), u32(1), u32(1)),
+            fullBox('stsz', 0, 0, u32(0), u32(samples.length), samples.map(sample => u32(sample.data.length))),
+            fullBox('stco', 0, 0, u32(offsets.length), offsets.map(u32)),
+            isVideo && syncSamples.length < samples.length
+                ? fullBox('stss', 0, 0, u32(syncSamples.length), syncSamples.map(u32))
+                : []
+        );
+    }
+
+    createVideoSampleEntry(track) {
+        const type = track.codec.slice(0, 4);
+        const description = toBytes(track.description);
+        // VP9 needs a colour description, which the encoder normally provides
+        const { primaries, transfer, matrix: matrixCoefficients, fullRange } = track.colour || BT709_COLOUR;
+        let config;
+
+        if (type === 'vp09') {
+            const [profile, level, bitDepth] = track.codec.split('.').slice(1, 4).map(Number);
+            config = fullBox('vpcC', 1, 0,
+                u8(profile || 0, level || 10, ((bitDepth || 8) << 4) | (1 << 1) | (fullRange ? 1 : 0), primaries, transfer, matrixCoefficients),
+                u16(0)
+            );
+        } else {
+            if (!description) {
+                throw new Error(`Encoder did not provide a ${type} decoder configuration`);
+            }
+            config = box(type.startsWith('avc') ? 'avcC' : 'hvcC', description);
+        }
+
+        return box(type,
+            zeros(6), u16(1),
+            u16(0), u16(0), zeros(12),
+            u16(track.width), u16(track.height),
+            u32(0x00480000), u32(0x00480000), u32(0), u16(1),
+            zeros(32), u16(0x0018), u16(0xFFFF),
+            config,
+            track.colour
+                ? box('colr', ascii('nclx'), u16(primaries), u16(transfer), u16(matrixCoefficients), u8(fullRange ? 0x80 : 0))
+                : []
+        );
+    }
+
+    createAudioSampleEntry(track) {
+        const audioSpecificConfig = toBytes(track.description);
+        if (!audioSpecificConfig) {
+            throw new Error('Encoder did not provide an AAC decoder configuration');
+        }
+
+        const esds = fullBox('esds', 0, 0, descriptor(0x03,
+            u16(1), u8(0),
+            descriptor(0x04,
+                // MPEG-4 audio, audio stream, buffer size, max and average bitrate
+                u8(0x40, 0x15), zeros(3), u32(0), u32(0),
+                descriptor(0x05, audioSpecificConfig)
+            ),
+            descriptor(0x06, u8(0x02))
+        ));
+
+        return box('mp4a',
+            zeros(6), u16(1),
+            zeros(8), u16(track.numberOfChannels), u16(16), u16(0), u16(0),
+            u32(Math.min(track.sampleRate, 65535) * 65536),
+            esds
+        );
+    }
+}
+
+export default Mp4Muxer;
@@ -0,0 +1,130 @@
+/**
+ * Output Formats
+ *
+ * The formats a result can be exported as (preferences.outputFormat), with
+ * the FFmpeg encoder settings and MediaRecorder mime types used for each.
+ * GIF and APNG have no MediaRecorder support and are encoded in JavaScript
+ * when FFmpeg isn't available (see gifEncoder.js and apngEncoder.js).
+ *
+ * @author CartoonizeMe Team
+ */
+
+const outputFormats = {
+    MP4: 'mp4',
+    WEBM: 'webm',
+    GIF: 'gif',
+    APNG: 'apng'
+};
+
+const formatInfo = {
+    [outputFormats.MP4]: {
+        label: 'MP4',
+        extension: 'mp4',
+        mimeType: 'video/mp4',
+        isAnimation: false,
+        recorderMimeTypes: ['video/mp4;codecs=avc1.42E01E,mp4a.40.2', 'video/mp4;codecs=avc1.42E01E', 'video/mp4']
+    },
+    [outputFormats.WEBM]: {
+        label: 'WebM',
+        extension: 'webm',
+        mimeType: 'video/webm',
+        isAnimation: false,
+        recorderMimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    },
+    [outputFormats.GIF]: {
+        label: 'GIF',
+        extension: 'gif',
+        mimeType: 'image/gif',
+        isAnimation: true,
+        recorderMimeTypes: []
+    },
+    [outputFormats.APNG]: {
+        label: 'APNG',
+        extension: 'png',
+        mimeType: 'image/apng',
+        isAnimation: true,
+        recorderMimeTypes: []
+    }
+};
+
+// Animated images get long and heavy quickly - the UI suggests keeping them short
+const MAX_ANIMATION_SECONDS = 10;
+
+/**
+ * A known output format for a stored preference value
+ */
+function normalizeOutputFormat(format) {
+    return formatInfo[format] ? format : outputFormats.MP4;
+}
+
+/**
+ * Output format of an encoded blob, from its mime type
+ */
+function getFormatForMimeType(mimeType = '') {
+    if (mimeType.startsWith('image/gif')) return outputFormats.GIF;
+    if (mimeType.startsWith('image/apng') || mimeType.startsWith('image/png')) return outputFormats.APNG;
+    if (mimeType.startsWith('video/mp4')) return outputFormats.MP4;
+    return outputFormats.WEBM;
+}
+
+// Frames are sRGB PNGs: convert them to limited range BT.709 YUV (FFmpeg
+// would otherwise use BT.601) and tag the video as such
+const BT709_FILTER = 'scale=out_color_matrix=bt709:out_range=tv,format=yuv420p';
+const BT709_TAGS = ['-colorspace', 'bt709', '-color_primaries', 'bt709', '-color_trc', 'bt709', '-color_range', 'tv'];
+
+/**
+ * FFmpeg output arguments (everything after the inputs, without the file name)
+ * for a format. `filter` is an optional video filter applied before encoding.
+ */
+function getFFmpegEncodeArgs(format, { filter = null, withAudio = false } = {}) {
+    const videoFilter = filter ? `${filter},${BT709_FILTER}` : BT709_FILTER;
+
+    switch (format) {
+        case outputFormats.WEBM:
+            return [
+                '-vf', videoFilter,
+                ...BT709_TAGS,
+                '-c:v', 'libvpx-vp9',
+                '-crf', '32',
+                '-b:v', '0',
+                '-deadline', 'realtime',
+                '-cpu-used', '8',
+                ...(withAudio ? ['-c:a', 'libopus', '-b:a', '128k'] : [])
+            ];
+
+        case outputFormats.GIF: {
+            // Two-pass palette: generate a palette from the frames, then map them onto it
+            const scale = filter ? `${filter},` : '';
+            return [
+                '-filter_complex', `[0:v]${scale}split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`,
+                '-loop', '0'
+            ];
+        }
+
+        case outputFormats.APNG:
+            return [
+                ...(filter ? ['-vf', filter] : []),
+                '-c:v', 'apng',
+                '-plays', '0',
+                '-f', 'apng'
+            ];
+
+        default:
+            return [
+                '-vf', videoFilter,
+                ...BT709_TAGS,
+                '-c:v', 'libx264',
+                '-crf', '23', // Good quality
+                ...(withAudio ? ['-c:a', 'aac', '-b:a', '128k'] : [])
+            ];
+    }
+}
+
+export {
+    outputFormats,
+    formatInfo,
+    MAX_ANIMATION_SECONDS,
+    normalizeOutputFormat,
+    getFormatForMimeType,
+    getFFmpegEncodeArgs
+};
@@ -0,0 +1,164 @@
+/**
+ * Output Geometry
+ *
+ * Turns the output preferences (quality preset, aspect ratio and fit mode)
+ * into the frame size of the result and tells each step where the source
+ * picture goes in it - letterboxed with black bars, or cropped to fill.
+ *
+ * @author CartoonizeMe Team
+ */
+
+// Short edge of the output in pixels; 0 keeps the source size
+const qualityPresets = {
+    '360p': 360,
+    '480p': 480,
+    '720p': 720,
+    '1080p': 1080,
+    source: 0
+};
+
+// Values stored by earlier versions of preferences.quality
+const legacyQualities = {
+    low: '480p',
+    medium: '720p',
+    high: 'source'
+};
+
+const aspectRatios = {
+    SOURCE: 'source',
+    SQUARE: '1:1',
+    PORTRAIT: '9:16',
+    LANDSCAPE: '16:9'
+};
+
+const fitModes = {
+    LETTERBOX: 'letterbox',
+    CROP: 'crop'
+};
+
+/**
+ * A known quality preset for a stored preference value
+ */
+function normalizeQuality(quality) {
+    if (quality in qualityPresets) return quality;
+    return legacyQualities[quality] || 'source';
+}
+
+/**
+ * Round down to an even number (H.264 with yuv420p needs even dimensions)
+ */
+function toEven(value) {
+    return Math.max(2, Math.floor(value / 2) * 2);
+}
+
+/**
+ * Output frame size for a source size and the output preferences.
+ * Presets never upscale beyond the source's short edge.
+ */
+function getOutputGeometry(sourceWidth, sourceHeight, preferences = {}) {
+    const quality = normalizeQuality(preferences.quality);
+    const aspectRatio = Object.values(aspectRatios).includes(preferences.aspectRatio)
+        ? preferences.aspectRatio
+        : aspectRatios.SOURCE;
+    const fit = preferences.fit === fitModes.CROP ? fitModes.CROP : fitModes.LETTERBOX;
+
+    let ratio = sourceWidth / sourceHeight;
+    if (aspectRatio !== aspectRatios.SOURCE) {
+        const [ratioWidth, ratioHeight] = aspectRatio.split(':').map(Number);
+        ratio = ratioWidth / ratioHeight;
+    }
+
+    const target = qualityPresets[quality];
+    const sourceShortEdge = Math.min(sourceWidth, sourceHeight);
+    const shortEdge = target > 0 ? Math.min(target, sourceShortEdge) : sourceShortEdge;
+
+    const width = ratio >= 1 ? shortEdge * ratio : shortEdge;
+    const height = ratio >= 1 ? shortEdge : shortEdge / ratio;
+
+    const geometry = {
+        quality,
+        aspectRatio,
+        fit,
+        width: toEven(width),
+        height: toEven(height),
+        sourceWidth,
+        sourceHeight
+    };
+
+    const rect = getDrawRect(sourceWidth, sourceHeight, geometry);
+    geometry.content = { x: rect.dx, y: rect.dy, width: rect.dw, height: rect.dh };
+    return geometry;
+}
+
+/**
+ * Where a source frame is drawn in the output frame, as drawImage() arguments:
+ * the source rectangle (sx, sy, sw, sh) and destination rectangle (dx, dy, dw, dh)
+ */
+function getDrawRect(sourceWidth, sourceHeight, geometry) {
+    const { width, height, fit } = geometry;
+
+    if (fit === fitModes.CROP) {
+        const scale = Math.max(width / sourceWidth, height / sourceHeight);
+        const sw = width / scale;
+        const sh = height / scale;
+        return {
+            sx: (sourceWidth - sw) / 2, sy: (sourceHeight - sh) / 2, sw, sh,
+            dx: 0, dy: 0, dw: width, dh: height
+        };
+    }
+
+    const scale = Math.min(width / sourceWidth, height / sourceHeight);
+    const dw = Math.round(sourceWidth * scale);
+    const dh = Math.round(sourceHeight * scale);
+    return {
+        sx: 0, sy: 0, sw: sourceWidth, sh: sourceHeight,
+        dx: Math.floor((width - dw) / 2), dy: Math.floor((height - dh) / 2), dw, dh
+    };
+}
+
+/**
+ * Draw a source frame (video, image or canvas) into an output-sized canvas context
+ */
+function drawToOutput(ctx, source, sourceWidth, sourceHeight, geometry) {
+    const { sx, sy, sw, sh, dx, dy, dw, dh } = getDrawRect(sourceWidth, sourceHeight, geometry);
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, geometry.width, geometry.height);
+    ctx.drawImage(source, sx, sy, sw, sh, dx, dy, dw, dh);
+}
+
+/**
+ * Draw a picture turned `rotation` degrees clockwise, scaled to `width` x
+ * `height` before turning it (e.g. to make its pixels square). The canvas
+ * has the upright size.
+ */
+function drawUpright(ctx, source, width, height, rotation) {
+    ctx.save();
+    ctx.translate(ctx.canvas.width / 2, ctx.canvas.height / 2);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.drawImage(source, -width / 2, -height / 2, width, height);
+    ctx.restore();
+}
+
+/**
+ * FFmpeg video filter that scales and letterboxes or crops to the output size
+ */
+function getFFmpegScaleFilter(geometry) {
+    const { width, height, fit } = geometry;
+
+    if (fit === fitModes.CROP) {
+        return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+    }
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`;
+}
+
+export {
+    qualityPresets,
+    aspectRatios,
+    fitModes,
+    normalizeQuality,
+    getOutputGeometry,
+    getDrawRect,
+    drawToOutput,
+    drawUpright,
+    getFFmpegScaleFilter
+};
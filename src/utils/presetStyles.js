@@ -0,0 +1,93 @@
+/**
+ * Preset Styles
+ *
+ * The built-in style pack: curated style reference images described by
+ * public/styles/manifest.json (ids, names, thumbnails, default strength,
+ * credits and licence). The images are kept in public/styles/presets;
+ * npm run verify-styles checks them against the manifest's checksums.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { createStyleData } from './styleImage';
+
+const PRESET_BASE_URL = '/styles/';
+const PRESET_MANIFEST_URL = `${PRESET_BASE_URL}manifest.json`;
+
+// Presets from the last loaded manifest, by id
+const presetsById = new Map();
+
+/**
+ * A manifest entry as used by the app, with absolute image URLs
+ */
+function normalizePreset(entry) {
+    return {
+        id: entry.id,
+        name: entry.name,
+        artist: entry.artist || null,
+        year: entry.year || null,
+        imageUrl: `${PRESET_BASE_URL}${entry.image}`,
+        thumbnailUrl: `${PRESET_BASE_URL}${entry.thumbnail || entry.image}`,
+        defaultRatio: entry.defaultRatio ?? 1.0,
+        tags: entry.tags || [],
+        credit: entry.credit || null,
+        license: entry.license || null,
+        source: entry.source || null
+    };
+}
+
+/**
+ * Load the preset manifest. Resolves with the presets in manifest order.
+ */
+async function loadPresetStyles() {
+    const response = await fetch(PRESET_MANIFEST_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load preset styles: ${response.status} ${response.statusText}`);
+    }
+
+    const manifest = await response.json();
+    if (!Array.isArray(manifest.styles)) {
+        throw new Error('Preset style manifest has no styles');
+    }
+
+    const presets = manifest.styles
+        .filter(entry => entry.id && entry.name && entry.image)
+        .map(normalizePreset);
+
+    presetsById.clear();
+    presets.forEach(preset => presetsById.set(preset.id, preset));
+    console.log(`🖼️ Loaded ${presets.length} preset styles`);
+    return presets;
+}
+
+/**
+ * A preset from the loaded manifest, or null
+ */
+function getPresetStyle(id) {
+    return presetsById.get(id) || null;
+}
+
+/**
+ * Fetch a preset's image and build its style data object
+ */
+async function loadPresetStyleData(preset) {
+    const response = await fetch(preset.imageUrl);
+    if (!response.ok) {
+        throw new Error(`The "${preset.name}" preset image is missing - run npm run verify-styles`);
+    }
+
+    const blob = await response.blob();
+    const extension = preset.imageUrl.split('.').pop();
+    const file = new File([blob], `${preset.id}.${extension}`, { type: blob.type || 'image/jpeg' });
+    const styleData = await createStyleData(file);
+
+    return {
+        ...styleData,
+        id: preset.id,
+        name: preset.name,
+        description: preset.credit || `${preset.name} preset`,
+        presetId: preset.id
+    };
+}
+
+export { loadPresetStyles, getPresetStyle, loadPresetStyleData };
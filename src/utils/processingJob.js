@@ -0,0 +1,100 @@
+/**
+ * Processing Job
+ *
+ * The settings a job is processed with, worked out from the video, the
+ * selected style and the user's preferences, and a helper that runs a whole
+ * job on an initialized processor (VideoProcessor or ProcessingWorkerClient).
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { getOutputGeometry } from './outputGeometry';
+import { normalizeOutputFormat } from './outputFormats';
+import { getTrimDuration } from './trimRange';
+import { DEFAULT_FRAME_RATE } from './mediaFiles';
+
+/**
+ * Frames stylized per second, lower for longer videos to reduce processing time
+ */
+function getOptimalFPS(video, style) {
+    const duration = getTrimDuration(style.trim, video?.duration);
+    if (!duration) return 5; // default FPS
+
+    if (duration > 30) return 3;
+    if (duration > 15) return 4;
+    return 5; // Maximum FPS for shorter videos
+}
+
+/**
+ * Output frame rate when keeping the source frame rate: the source's own,
+ * down to style.maxFrameRate if one was chosen
+ */
+function getPreservedFPS(video, style) {
+    const sourceFps = Math.round(video.metadata?.frameRate || DEFAULT_FRAME_RATE);
+    return style.maxFrameRate ? Math.min(style.maxFrameRate, sourceFps) : sourceFps;
+}
+
+/**
+ * The processVideo() options for a job, without the progress callback
+ */
+function getVideoJobOptions(video, style, preferences) {
+    // Keeping the frame rate extracts every source frame but only stylizes
+    // about getOptimalFPS() of them per second; the rest are interpolated
+    const stylizedFps = getOptimalFPS(video, style);
+    const fps = style.preserveFrameRate ? getPreservedFPS(video, style) : stylizedFps;
+    const keyframeInterval = style.preserveFrameRate ? Math.max(1, Math.round(fps / stylizedFps)) : 1;
+
+    // Output size, aspect ratio and fit from the user's preferences
+    const output = getOutputGeometry(
+        video.metadata?.width || 1920,
+        video.metadata?.height || 1080,
+        preferences
+    );
+    console.log(`📐 Output: ${output.width}x${output.height} (${output.quality}, ${output.aspectRatio}, ${output.fit})`);
+
+    return {
+        fps: fps,
+        styleRatio: style.styleRatio || 1.0,
+        temporalStrength: style.temporalStrength || 0,
+        keyframes: style.keyframes || null,
+        keyframeInterval: keyframeInterval,
+        inbetweenMethod: style.inbetweenMethod,
+        stylizeResolution: style.stylizeResolution,
+        output: output,
+        trim: style.trim || null,
+        outputFormat: normalizeOutputFormat(preferences.outputFormat),
+        keepFrames: !!preferences.keepFrames,
+        probe: video.metadata?.probe || null
+    };
+}
+
+/**
+ * Process the style reference and then the photo or video. `onStage` is
+ * called as each step starts ('processing_style_reference', then
+ * 'applying_style' for a photo or 'extracting_frames' for a video). Resolves
+ * with the processor's result plus the output frame rate (null for photos).
+ */
+async function runProcessingJob(processor, video, style, preferences, { onStage, onFrameProgress } = {}) {
+    onStage?.('processing_style_reference');
+    const styleProcessed = await processor.processStyleReference(style);
+    if (!styleProcessed) {
+        throw new Error('Failed to process style reference image');
+    }
+
+    if (video.mediaType === 'image') {
+        // Photos are stylized in one pass - no frame extraction or reconstruction
+        onStage?.('applying_style');
+        const result = await processor.processImage(video.file, style, {
+            styleRatio: style.styleRatio || 1.0,
+            stylizeResolution: style.stylizeResolution
+        });
+        return { ...result, fps: null };
+    }
+
+    const options = getVideoJobOptions(video, style, preferences);
+    onStage?.('extracting_frames');
+    const result = await processor.processVideo(video.file, style, { ...options, onFrameProgress });
+    return { ...result, fps: options.fps };
+}
+
+export { getVideoJobOptions, runProcessingJob };
@@ -0,0 +1,423 @@
+/**
+ * Processing Worker Client
+ *
+ * Main-thread side of the video processing worker. Exposes the same
+ * initialize / processStyleReference / processVideo / processImage / cleanup
+ * surface as VideoProcessor, plus pause, resume and cancel for running jobs.
+ *
+ * When FFmpeg is unavailable inside the worker, frame extraction and
+ * reconstruction (WebCodecs, or the HTML5 video and MediaRecorder fallback
+ * that needs DOM elements) run here on the main thread and only the
+ * stylization runs in the worker. Pausing works in those stages too:
+ * extraction finishes and keeps its frames, reconstruction stops, and both
+ * wait for resume() (reconstruction then starts over from the kept frames).
+ *
+ * @author CartoonizeMe Team
+ */
+
+import ProcessingWorker from '../workers/videoProcessing.worker.js';
+import VideoProcessor, { abortReasons } from './videoProcessor';
+import { messageTypes, createMessage } from '../workers/processingProtocol';
+import { hashStyleImage, getStyleFeatures, setStyleFeatures } from './styleFeatureCache';
+import { getFormatForMimeType } from './outputFormats';
+import { describeFFmpegStatus } from './ffmpegCore';
+import { isWebCodecsSupported } from './webCodecs';
+
+class ProcessingWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.onProgress = null;
+        this.onStageChange = null;
+        this.onFrameProgress = null;
+        this.useFallback = false;
+        this.isModelReady = false;
+        this.ffmpegStatus = null;        // Which FFmpeg core the worker loaded and why (see ffmpegCore.js)
+        this.pendingRequest = null;      // { expects, resolve, reject }
+        this.domProcessor = null;        // Main-thread VideoProcessor for the steps that run without FFmpeg
+        this.domAbortController = null;  // Cancels or pauses the main-thread fallback steps
+        this.mainThreadStage = null;     // Stage running on the main thread, if any
+        this.pauseRequested = false;
+        this.cancelRequested = false;
+        this.resumeWaiter = null;        // Resolves with true on resume, false on cancel
+    }
+
+    /**
+     * Check whether the browser can run processing in a worker
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * Start the worker and initialize FFmpeg and TensorFlow.js inside it
+     */
+    async initialize(onProgress, onStageChange) {
+        this.onProgress = onProgress;
+        this.onStageChange = onStageChange;
+
+        this.worker = new ProcessingWorker();
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('❌ Processing worker error:', event);
+            this.rejectPending(new Error(`Processing worker error: ${event.message || 'Unknown error'}`));
+        };
+
+        const { useFallback, isModelReady, ffmpegStatus } = await this.request(messageTypes.INIT, null, messageTypes.READY);
+        this.useFallback = useFallback;
+        this.isModelReady = isModelReady;
+        // Extraction and reconstruction without FFmpeg run here, so report what this thread supports
+        this.ffmpegStatus = useFallback && ffmpegStatus
+            ? { ...ffmpegStatus, fallback: isWebCodecsSupported() ? 'WebCodecs' : 'HTML5' }
+            : ffmpegStatus;
+
+        console.log('✅ Processing worker ready:', { useFallback, isModelReady, ffmpeg: describeFFmpegStatus(this.ffmpegStatus) });
+    }
+
+    /**
+     * Send the style reference to the worker, along with its cached style features.
+     * The worker is terminated after each job, so the cache lives on this side.
+     */
+    async processStyleReference(styleData) {
+        if (!styleData || !styleData.file) {
+            console.error('❌ Failed to process style reference: No style reference data provided');
+            return false;
+        }
+
+        // Image elements can't be posted to a worker, so blends only send files and weights
+        const blend = styleData.blend && styleData.blend.length > 1
+            ? styleData.blend.map(component => ({ ...this.toTransferableStyle(component), weight: component.weight }))
+            : null;
+
+        const styleImages = blend || [styleData];
+        const cachedFeatures = {};
+        for (const styleImage of styleImages) {
+            styleImage.styleKey = await this.getStyleKey(styleImage);
+            const features = getStyleFeatures(styleImage.styleKey);
+            if (features) {
+                cachedFeatures[styleImage.styleKey] = features;
+            }
+        }
+
+        const { success, cachedFeatures: computedFeatures } = await this.request(messageTypes.PREPARE_STYLE, {
+            file: styleData.file,
+            metadata: styleData.metadata,
+            styleKey: styleData.styleKey,
+            blend,
+            cachedFeatures
+        }, messageTypes.STYLE_READY);
+
+        Object.entries(computedFeatures || {}).forEach(([key, features]) => setStyleFeatures(key, features));
+
+        return success;
+    }
+
+    /**
+     * The parts of a style data object that can be posted to the worker
+     */
+    toTransferableStyle(style) {
+        const transferable = {
+            file: style.file,
+            metadata: style.metadata,
+            styleKey: style.styleKey
+        };
+
+        if (style.blend && style.blend.length > 1) {
+            transferable.blend = style.blend.map(component => ({
+                ...this.toTransferableStyle(component),
+                weight: component.weight
+            }));
+        }
+
+        return transferable;
+    }
+
+    /**
+     * Hash a style image for the feature cache (null if hashing is unavailable)
+     */
+    async getStyleKey(styleImage) {
+        if (styleImage.styleKey) {
+            return styleImage.styleKey;
+        }
+
+        try {
+            return await hashStyleImage(styleImage.file);
+        } catch (hashError) {
+            console.warn('⚠️ Could not hash style image, style features will not be cached:', hashError.message);
+            return null;
+        }
+    }
+
+    /**
+     * Run the processing job in the worker
+     */
+    async processVideo(videoFile, styleData, options = {}) {
+        const { onFrameProgress, keyframes, ...workerOptions } = options;
+        const fps = workerOptions.fps || 5;
+
+        if (keyframes) {
+            workerOptions.keyframes = keyframes.map(keyframe => ({
+                ...keyframe,
+                style: keyframe.style ? this.toTransferableStyle(keyframe.style) : null
+            }));
+        }
+
+        this.onFrameProgress = onFrameProgress;
+        this.domAbortController = new AbortController();
+        this.pauseRequested = false;
+        this.cancelRequested = false;
+
+        let frames;
+        if (this.useFallback) {
+            // Without FFmpeg, extract on the main thread (WebCodecs, or <video> seeking which needs the DOM)
+            console.log('📸 Extracting frames on the main thread (no FFmpeg)...');
+            frames = await this.runOnMainThread('extracting_frames', signal =>
+                this.getDomProcessor().extractFramesWithoutFFmpeg(videoFile, fps, signal, workerOptions.output, workerOptions.trim)
+            );
+        }
+
+        const result = await this.request(messageTypes.START, {
+            videoFile,
+            options: workerOptions,
+            frames
+        }, messageTypes.COMPLETE);
+
+        let blob = result.blob;
+        if (!blob && result.frames) {
+            if (this.onStageChange) this.onStageChange('reconstructing_video');
+            blob = await this.runOnMainThread('reconstructing_video', signal =>
+                this.getDomProcessor().reconstructVideoWithoutFFmpeg(result.frames, fps, signal, {
+                    audioSource: videoFile,
+                    audioStart: workerOptions.trim ? workerOptions.trim.start : 0,
+                    output: workerOptions.output,
+                    format: workerOptions.outputFormat
+                })
+            );
+        }
+
+        if (!blob) {
+            throw new Error('Failed to reconstruct video - output blob is null');
+        }
+
+        return {
+            blob,
+            url: URL.createObjectURL(blob),
+            format: getFormatForMimeType(blob.type),
+            // Fallback reconstruction always gets the frames; keep them only for sequence export
+            frames: workerOptions.keepFrames ? result.frames : null,
+            frameCount: result.frameCount,
+            fps: result.fps
+        };
+    }
+
+    /**
+     * Run a fallback stage on the main thread with pause support. `run(signal)`
+     * is started again after a pause that stopped it; a pause that let it
+     * finish waits before its result is used.
+     */
+    async runOnMainThread(stage, run) {
+        this.mainThreadStage = stage;
+
+        try {
+            while (true) {
+                const { signal } = this.domAbortController;
+
+                try {
+                    const result = await run(signal);
+                    await this.waitIfPaused();
+                    return result;
+                } catch (error) {
+                    if (error?.name !== 'AbortError' || signal.reason !== abortReasons.PAUSE || this.cancelRequested) {
+                        throw error;
+                    }
+                    console.log(`⏸️ ${stage} stopped for the pause, it starts over on resume`);
+                    await this.waitIfPaused();
+                }
+            }
+        } finally {
+            this.mainThreadStage = null;
+        }
+    }
+
+    /**
+     * Wait for resume() or cancel() when a pause was requested during a
+     * main-thread stage, then continue with a fresh abort controller
+     */
+    async waitIfPaused() {
+        if (this.pauseRequested && !this.cancelRequested) {
+            console.log(`⏸️ Processing paused during ${this.mainThreadStage}`);
+            if (this.onStageChange) this.onStageChange('paused');
+
+            await new Promise(resolve => {
+                this.resumeWaiter = resolve;
+            });
+            this.resumeWaiter = null;
+        }
+
+        if (this.cancelRequested) {
+            throw new DOMException('Processing cancelled', 'AbortError');
+        }
+
+        if (this.domAbortController.signal.aborted) {
+            this.domAbortController = new AbortController();
+        }
+        if (this.pauseRequested) {
+            this.pauseRequested = false;
+            console.log('▶️ Resuming processing...');
+            if (this.onStageChange) this.onStageChange(this.mainThreadStage);
+        }
+    }
+
+    /**
+     * Stylize a single photo in the worker
+     */
+    async processImage(imageFile, styleData, options = {}) {
+        const result = await this.request(messageTypes.PROCESS_IMAGE, {
+            imageFile,
+            options
+        }, messageTypes.COMPLETE);
+
+        return {
+            blob: result.blob,
+            url: URL.createObjectURL(result.blob),
+            isImage: true,
+            width: result.width,
+            height: result.height,
+            frameCount: result.frameCount
+        };
+    }
+
+    /**
+     * Pause the running job, keeping the frames extracted and processed so far
+     */
+    pause() {
+        if (this.mainThreadStage) {
+            this.pauseRequested = true;
+            this.domAbortController.abort(abortReasons.PAUSE);
+            return;
+        }
+        this.post(messageTypes.PAUSE);
+    }
+
+    /**
+     * Resume a paused job
+     */
+    resume() {
+        if (this.mainThreadStage) {
+            if (this.resumeWaiter) {
+                this.resumeWaiter(true);
+            } else {
+                // Resumed before the stage noticed the pause
+                this.pauseRequested = false;
+            }
+            return;
+        }
+        this.post(messageTypes.RESUME);
+    }
+
+    /**
+     * Cancel the running job
+     */
+    cancel() {
+        this.cancelMainThreadStage();
+        this.post(messageTypes.CANCEL);
+    }
+
+    cancelMainThreadStage() {
+        this.cancelRequested = true;
+        if (this.domAbortController) {
+            this.domAbortController.abort(abortReasons.CANCEL);
+        }
+        if (this.resumeWaiter) {
+            this.resumeWaiter(false);
+        }
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage({ type, payload }) {
+        switch (type) {
+            case messageTypes.INIT_PROGRESS:
+                if (this.onProgress) this.onProgress(payload);
+                break;
+
+            case messageTypes.STAGE:
+                if (this.onStageChange) this.onStageChange(payload.stage);
+                break;
+
+            case messageTypes.FRAME_PROGRESS:
+                if (this.onFrameProgress) this.onFrameProgress(payload);
+                break;
+
+            case messageTypes.CANCELLED:
+                this.rejectPending(new DOMException('Processing cancelled', 'AbortError'));
+                break;
+
+            case messageTypes.ERROR:
+                this.rejectPending(new Error(payload.message));
+                break;
+
+            default:
+                if (this.pendingRequest && this.pendingRequest.expects === type) {
+                    const { resolve } = this.pendingRequest;
+                    this.pendingRequest = null;
+                    resolve(payload);
+                } else {
+                    console.warn('Unexpected worker message:', type);
+                }
+        }
+    }
+
+    /**
+     * Post a message and wait for the matching response
+     */
+    request(type, payload, expects) {
+        if (this.pendingRequest) {
+            return Promise.reject(new Error(`Worker is busy - cannot send ${type}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingRequest = { expects, resolve, reject };
+            this.post(type, payload);
+        });
+    }
+
+    post(type, payload) {
+        if (this.worker) {
+            this.worker.postMessage(createMessage(type, payload));
+        }
+    }
+
+    rejectPending(error) {
+        if (this.pendingRequest) {
+            const { reject } = this.pendingRequest;
+            this.pendingRequest = null;
+            reject(error);
+        }
+    }
+
+    getDomProcessor() {
+        if (!this.domProcessor) {
+            this.domProcessor = new VideoProcessor();
+            this.domProcessor.useFallback = true;
+            this.domProcessor.useWebCodecs = isWebCodecsSupported();
+            this.domProcessor.onStageChange = this.onStageChange;
+        }
+        return this.domProcessor;
+    }
+
+    /**
+     * Terminate the worker and release resources
+     */
+    cleanup() {
+        this.cancelMainThreadStage();
+        this.rejectPending(new DOMException('Processing cancelled', 'AbortError'));
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.domProcessor = null;
+    }
+}
+
+export default ProcessingWorkerClient;
@@ -0,0 +1,146 @@
+/**
+ * Remux
+ *
+ * Container work that needs no codecs: reading a video file's tracks,
+ * copying its audio into an output as is, and retiming a MediaRecorder WebM
+ * so every frame gets the duration it should have. Used by the WebCodecs path
+ * and by the fast MediaRecorder fallback.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { demuxMp4, isMp4 } from './mp4Demuxer';
+import { demuxWebm, isWebm } from './webmDemuxer';
+import WebmMuxer from './webmMuxer';
+import { outputFormats } from './outputFormats';
+
+// Audio that can be copied into each container without re-encoding
+const COPYABLE_AUDIO = {
+    [outputFormats.MP4]: codec => codec.startsWith('mp4a.'),
+    [outputFormats.WEBM]: codec => codec === 'opus' || codec === 'vorbis'
+};
+
+/**
+ * Read a video file (or Blob) into memory and demux it. Resolves to
+ * { bytes, container, duration, video, audio } where video and audio are the
+ * first track of each kind (or null).
+ */
+async function demuxVideoFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let media;
+
+    if (isWebm(bytes)) {
+        media = demuxWebm(bytes);
+    } else if (isMp4(bytes)) {
+        media = demuxMp4(bytes);
+    } else {
+        throw new Error('Only MP4, MOV and WebM files can be read without FFmpeg');
+    }
+
+    return {
+        bytes,
+        container: media.container,
+        duration: media.duration,
+        video: media.tracks.find(track => track.type === 'video' && track.samples.length > 0) || null,
+        audio: media.tracks.find(track => track.type === 'audio' && track.samples.length > 0) || null
+    };
+}
+
+/**
+ * Whether audio in `codec` can go into a `format` file without re-encoding
+ */
+function canCopyAudio(codec, format) {
+    return Boolean(codec && COPYABLE_AUDIO[format]?.(codec));
+}
+
+/**
+ * Muxer audio config for copying a demuxed audio track
+ */
+function getAudioCopyConfig(track) {
+    return {
+        codec: track.codec,
+        sampleRate: track.sampleRate,
+        numberOfChannels: track.numberOfChannels,
+        description: track.description
+    };
+}
+
+/**
+ * Copy the source audio between `start` and `end` (µs) into a muxer,
+ * shifted to start at 0
+ */
+function copyAudio(media, muxer, start, end) {
+    for (const sample of media.audio.samples) {
+        if (sample.timestamp < start || sample.timestamp >= end) continue;
+        muxer.addAudioSample({
+            data: media.bytes.subarray(sample.offset, sample.offset + sample.size),
+            timestamp: sample.timestamp - start,
+            duration: sample.duration,
+            isKey: true
+        });
+    }
+}
+
+/**
+ * Rewrite a MediaRecorder WebM so frame i shows at i / fps (or at its time in
+ * `timeline`), whatever the recorder's clock said, and copy in the source
+ * audio (Opus or Vorbis only) from `audioStart` seconds. Nothing is re-encoded.
+ *
+ * Options:
+ * - timeline: [{ time, duration }] in seconds per frame (see frameTiming.js), or null
+ * - audioMedia: the demuxed source (see demuxVideoFile), or null
+ * - audioStart: where the audio starts in the source, in seconds
+ *
+ * Resolves to { blob, frameCount }.
+ */
+async function retimeRecording(recording, fps, { timeline = null, audioMedia = null, audioStart = 0 } = {}) {
+    const media = await demuxVideoFile(recording);
+    if (media.container !== 'webm' || !media.video?.codec) {
+        throw new Error('Recording is not a WebM video');
+    }
+
+    const audio = audioMedia?.audio && canCopyAudio(audioMedia.audio.codec, outputFormats.WEBM)
+        ? audioMedia
+        : null;
+    const frameCount = media.video.samples.length;
+    const getFrameTime = index => timeline?.[index] || { time: index / fps, duration: 1 / fps };
+
+    const muxer = new WebmMuxer({
+        video: {
+            codec: media.video.codec,
+            width: media.video.codedWidth,
+            height: media.video.codedHeight,
+            description: media.video.description,
+            colour: media.video.colour
+        },
+        audio: audio ? getAudioCopyConfig(audio.audio) : null
+    });
+
+    let end = 0;
+    media.video.samples.forEach((sample, index) => {
+        const { time, duration } = getFrameTime(index);
+        const timestamp = Math.round(time * 1e6);
+        end = Math.round((time + duration) * 1e6);
+        muxer.addVideoSample({
+            data: media.bytes.subarray(sample.offset, sample.offset + sample.size),
+            timestamp,
+            duration: end - timestamp,
+            isKey: sample.isKey
+        });
+    });
+
+    if (audio) {
+        const start = Math.round(audioStart * 1e6);
+        copyAudio(audio, muxer, start, start + end);
+    }
+
+    return { blob: muxer.finish(), frameCount };
+}
+
+export {
+    demuxVideoFile,
+    canCopyAudio,
+    getAudioCopyConfig,
+    copyAudio,
+    retimeRecording
+};
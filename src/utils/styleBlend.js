@@ -0,0 +1,97 @@
+/**
+ * Style Blend Utilities
+ *
+ * Helpers for mixing several style reference images with weights. A blend
+ * "recipe" is a small JSON-safe description of a blend that can be saved and
+ * re-applied: the ids of its images in the blend image store (see
+ * blendImageStore.js), their weights and the style ratio.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { loadBlendImage } from './blendImageStore';
+
+/**
+ * Weights scaled to sum to 1 (components with no weight are dropped)
+ */
+function normalizeBlendWeights(components) {
+    const weighted = components.filter(component => component.weight > 0);
+    const total = weighted.reduce((sum, component) => sum + component.weight, 0);
+
+    if (total === 0) {
+        return [];
+    }
+
+    return weighted.map(component => ({
+        ...component,
+        weight: component.weight / total
+    }));
+}
+
+/**
+ * Build a saveable recipe from the current blend. Every component needs the
+ * `imageId` of its saved image.
+ */
+function createBlendRecipe(components, styleRatio = 1.0) {
+    const normalized = normalizeBlendWeights(components);
+
+    if (normalized.some(component => !component.imageId)) {
+        throw new Error('Every style in a blend must be saved before the recipe');
+    }
+
+    const recipeComponents = normalized.map(component => ({
+        imageId: component.imageId,
+        fileName: component.metadata.fileName,
+        weight: component.weight
+    }));
+
+    return {
+        id: `blend_${Date.now()}`,
+        name: normalized.map(component => component.metadata.fileName.replace(/\.[^.]+$/, '')).join(' + '),
+        createdAt: new Date().toISOString(),
+        styleRatio,
+        components: recipeComponents
+    };
+}
+
+/**
+ * Turn a saved recipe back into style components ({ file, image, url, metadata, weight, styleKey })
+ */
+async function restoreBlendComponents(recipe) {
+    return Promise.all(recipe.components.map(async (component) => {
+        const file = await loadBlendImage(component.imageId);
+        if (!file) {
+            throw new Error(`The image "${component.fileName}" of this blend is no longer saved`);
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = await loadImage(url);
+
+        return {
+            file,
+            image,
+            url,
+            weight: component.weight,
+            // Images are stored by their hash, so the style features cached for them still apply
+            styleKey: component.imageId,
+            metadata: {
+                width: image.width,
+                height: image.height,
+                size: file.size,
+                type: file.type,
+                fileName: component.fileName
+            }
+        };
+    }));
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load saved style image'));
+        img.src = url;
+    });
+}
+
+export { normalizeBlendWeights, createBlendRecipe, restoreBlendComponents };
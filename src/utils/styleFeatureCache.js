@@ -0,0 +1,75 @@
+/**
+ * Style Feature Cache
+ *
+ * Keeps the style network output (the "bottleneck") for recently used style
+ * images, keyed by a SHA-256 hash of the image file. Features are stored as
+ * plain { shape, data } objects rather than tensors so they survive processor
+ * cleanup and can be posted to and from the processing worker.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const MAX_ENTRIES = 20;
+
+// Insertion order doubles as recency order (least recently used first)
+const cache = new Map();
+
+/**
+ * Hash a style image file into a cache key
+ */
+async function hashStyleImage(file) {
+    const buffer = await file.arrayBuffer();
+
+    if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Insecure contexts have no SubtleCrypto - fall back to FNV-1a plus the size
+    const bytes = new Uint8Array(buffer);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv-${(hash >>> 0).toString(16)}-${bytes.length}`;
+}
+
+/**
+ * Look up cached style features
+ */
+function getStyleFeatures(key) {
+    if (!key || !cache.has(key)) {
+        return null;
+    }
+
+    const features = cache.get(key);
+    cache.delete(key);
+    cache.set(key, features);
+    return features;
+}
+
+/**
+ * Store style features ({ shape, data }) for a style image hash
+ */
+function setStyleFeatures(key, features) {
+    if (!key || !features) return;
+
+    cache.delete(key);
+    cache.set(key, features);
+
+    while (cache.size > MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+/**
+ * Drop all cached style features
+ */
+function clearStyleFeatures() {
+    cache.clear();
+}
+
+export { hashStyleImage, getStyleFeatures, setStyleFeatures, clearStyleFeatures };
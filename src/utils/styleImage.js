@@ -0,0 +1,67 @@
+/**
+ * Style Image Utilities
+ *
+ * Validates uploaded style reference images and builds the style data object
+ * used throughout the app ({ id, name, description, file, image, url, metadata }).
+ *
+ * @author CartoonizeMe Team
+ */
+
+const VALID_STYLE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const MAX_STYLE_SIZE = 10 * 1024 * 1024; // 10MB
+const MIN_STYLE_DIMENSION = 256;
+
+/**
+ * Validate an uploaded style image and build its style data object
+ */
+async function createStyleData(file) {
+    // Validate file type
+    if (!VALID_STYLE_TYPES.includes(file.type)) {
+        throw new Error('Please upload a valid image file (JPG, PNG, or WEBP)');
+    }
+
+    // Validate file size (max 10MB)
+    if (file.size > MAX_STYLE_SIZE) {
+        throw new Error('Image file is too large. Please use an image under 10MB.');
+    }
+
+    // Load and validate image
+    const previewUrl = URL.createObjectURL(file);
+    const img = await loadImage(previewUrl);
+
+    // Validate dimensions
+    if (img.width < MIN_STYLE_DIMENSION || img.height < MIN_STYLE_DIMENSION) {
+        URL.revokeObjectURL(previewUrl);
+        throw new Error('Image is too small. Please use an image at least 256x256 pixels.');
+    }
+
+    return {
+        id: 'user_upload',
+        name: 'Custom Style',
+        description: `Your uploaded artwork: ${file.name}`,
+        file: file,
+        image: img,
+        url: previewUrl,
+        metadata: {
+            width: img.width,
+            height: img.height,
+            size: file.size,
+            type: file.type,
+            fileName: file.name
+        }
+    };
+}
+
+/**
+ * Load image and return img element
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = url;
+    });
+}
+
+export { createStyleData };
@@ -0,0 +1,70 @@
+/**
+ * Style Keyframes
+ *
+ * Keyframes change the style or its strength over the video timeline. A
+ * keyframe is { time, styleRatio, style, transition } where `style` is a style
+ * data object (null means the job's main style) and `transition` says how the
+ * previous keyframe turns into this one: 'fade' interpolates, 'cut' switches
+ * at this keyframe's time.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const keyframeTransitions = {
+    FADE: 'fade',
+    CUT: 'cut'
+};
+
+/**
+ * Keyframes sorted by time, with defaults filled in
+ */
+function normalizeKeyframes(keyframes, defaultStyleRatio = 1.0) {
+    return [...keyframes]
+        .map(keyframe => ({
+            ...keyframe,
+            time: Math.max(0, Number(keyframe.time) || 0),
+            styleRatio: keyframe.styleRatio ?? defaultStyleRatio,
+            style: keyframe.style || null,
+            transition: keyframe.transition || keyframeTransitions.FADE
+        }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Find the keyframes around a point in time.
+ * Returns { from, to, amount } where amount (0-1) is how far we are from `from` towards `to`.
+ */
+function sampleKeyframes(keyframes, time) {
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+
+    if (time <= first.time) {
+        return { from: first, to: first, amount: 0 };
+    }
+    if (time >= last.time) {
+        return { from: last, to: last, amount: 0 };
+    }
+
+    let index = 0;
+    while (keyframes[index + 1].time <= time) {
+        index++;
+    }
+
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+
+    if (to.transition === keyframeTransitions.CUT) {
+        return { from, to, amount: 0 };
+    }
+
+    return { from, to, amount: (time - from.time) / (to.time - from.time) };
+}
+
+/**
+ * Linear interpolation between two numbers
+ */
+function lerp(from, to, amount) {
+    return from + (to - from) * amount;
+}
+
+export { keyframeTransitions, normalizeKeyframes, sampleKeyframes, lerp };
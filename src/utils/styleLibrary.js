@@ -0,0 +1,148 @@
+/**
+ * Style Library
+ *
+ * Style references saved in IndexedDB so favourites can be picked again with
+ * one click. Each saved style keeps the image file, a thumbnail, a name and
+ * tags, the style features computed for it (the same { shape, data } objects
+ * as styleFeatureCache) and the strength it was last used at. Saved features
+ * are put back in the feature cache when a style is loaded, so the style
+ * network doesn't run again.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { stores, getAllRecords, getRecord, putRecord, deleteRecord } from './database';
+import { hashStyleImage, getStyleFeatures, setStyleFeatures } from './styleFeatureCache';
+import { createResultThumbnail } from './videoThumbnails';
+import { createStyleData } from './styleImage';
+
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Tags typed as a comma separated list, trimmed, lowercased and without duplicates
+ */
+function parseTags(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Whether a saved style matches a search by name or tag
+ */
+function matchesStyleSearch(record, search) {
+    const query = search.trim().toLowerCase();
+    if (!query) return true;
+    return record.name.toLowerCase().includes(query) || record.tags.some(tag => tag.includes(query));
+}
+
+/**
+ * All saved styles, most recently used first
+ */
+async function loadStyleLibrary() {
+    const records = await getAllRecords(stores.STYLES);
+    return records.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+/**
+ * Save a style reference. The same image saved twice updates the existing
+ * entry. Resolves with the saved record.
+ */
+async function saveStyleToLibrary(styleData, { name, tags = [], styleRatio = 1.0 }) {
+    if (!styleData.styleKey) {
+        styleData.styleKey = await hashStyleImage(styleData.file);
+    }
+    const id = `style_${styleData.styleKey}`;
+    const existing = await getRecord(stores.STYLES, id);
+
+    let thumbnail = existing?.thumbnail || null;
+    if (!thumbnail) {
+        try {
+            thumbnail = await createResultThumbnail(styleData.file, { size: THUMBNAIL_SIZE });
+        } catch (error) {
+            console.warn('⚠️ Could not create style thumbnail:', error.message);
+        }
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+        id,
+        styleKey: styleData.styleKey,
+        name: name.trim() || styleData.metadata.fileName.replace(/\.[^/.]+$/, ''),
+        tags,
+        file: styleData.file,
+        metadata: styleData.metadata,
+        thumbnail,
+        // Features are added once the style has been used, if they weren't computed yet
+        features: getStyleFeatures(styleData.styleKey) || existing?.features || null,
+        styleRatio,
+        createdAt: existing?.createdAt || now,
+        lastUsedAt: now
+    };
+
+    await putRecord(stores.STYLES, record);
+    console.log(`⭐ Saved style to library: ${record.name}${record.features ? ' (with style features)' : ''}`);
+    return record;
+}
+
+/**
+ * Change a saved style's fields ({ name, tags, styleRatio, ... }). Resolves with the updated record.
+ */
+async function updateLibraryStyle(id, changes) {
+    const record = await getRecord(stores.STYLES, id);
+    if (!record) {
+        throw new Error('Saved style not found');
+    }
+    const updated = { ...record, ...changes };
+    await putRecord(stores.STYLES, updated);
+    return updated;
+}
+
+/**
+ * After a job: remember the strength it ran at and keep the style features
+ * if the saved style doesn't have them yet. Resolves with the updated record.
+ */
+async function recordLibraryStyleUse(id, styleRatio) {
+    const record = await getRecord(stores.STYLES, id);
+    if (!record) return null;
+
+    const updated = {
+        ...record,
+        styleRatio,
+        features: record.features || getStyleFeatures(record.styleKey) || null,
+        lastUsedAt: new Date().toISOString()
+    };
+    await putRecord(stores.STYLES, updated);
+    return updated;
+}
+
+function deleteLibraryStyle(id) {
+    return deleteRecord(stores.STYLES, id);
+}
+
+/**
+ * Turn a saved style back into a style data object, with its features
+ * ready in the feature cache
+ */
+async function restoreLibraryStyle(record) {
+    if (record.features) {
+        setStyleFeatures(record.styleKey, record.features);
+    }
+
+    const styleData = await createStyleData(record.file);
+    return {
+        ...styleData,
+        description: `Your saved style: ${record.name}`,
+        styleKey: record.styleKey,
+        libraryId: record.id
+    };
+}
+
+export {
+    parseTags,
+    matchesStyleSearch,
+    loadStyleLibrary,
+    saveStyleToLibrary,
+    updateLibraryStyle,
+    recordLibraryStyleUse,
+    deleteLibraryStyle,
+    restoreLibraryStyle
+};
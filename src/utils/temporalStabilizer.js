@@ -0,0 +1,103 @@
+/**
+ * Temporal Stabilizer
+ *
+ * Reduces frame-to-frame flicker in stylized video. Each stylized frame is
+ * blended with the previous output after warping it by block-matching motion
+ * estimated on the (unstyled) source frames. Blocks that match poorly, e.g.
+ * occlusions or scene cuts, fall back to the fresh stylized pixels.
+ *
+ * Works on raw RGBA pixel data so it runs the same on the main thread and in
+ * the processing worker.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { DEFAULT_MOTION_OPTIONS, getAnalysisSize, toGray, estimateBlockMotion, getBlockIndex } from './motionEstimation';
+
+const DEFAULT_OPTIONS = {
+    ...DEFAULT_MOTION_OPTIONS,
+    strength: 0.5,          // 0 = off, 1 = strongest smoothing
+    maxBlend: 0.85,         // Never fully reuse the previous frame, or motion would smear
+    sceneCutError: 40       // Mean block error that counts as a scene cut
+};
+
+class TemporalStabilizer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Forget the previous frame (e.g. at the start of a job or after a scene cut)
+     */
+    reset() {
+        this.previousGray = null;
+        this.previousOutput = null;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    /**
+     * Stabilize a stylized frame against the previous one.
+     * `source` and `styled` are ImageData-like objects ({ width, height, data }) of
+     * the same size; `styled.data` is blended in place and `styled` is returned.
+     */
+    stabilize(source, styled) {
+        const { width, height } = styled;
+        const analysis = getAnalysisSize(width, height, this.options.analysisWidth);
+        const gray = toGray(source, analysis.width, analysis.height);
+
+        if (!this.previousOutput || this.width !== width || this.height !== height) {
+            this.remember(gray, styled, width, height);
+            return styled;
+        }
+
+        const motion = estimateBlockMotion(gray, this.previousGray, analysis.width, analysis.height, this.options);
+
+        if (motion.meanError > this.options.sceneCutError) {
+            console.log(`🎬 Scene cut detected (error ${motion.meanError.toFixed(1)}), restarting temporal blend`);
+            this.remember(gray, styled, width, height);
+            return styled;
+        }
+
+        this.blendWarped(styled, motion, analysis.scale);
+        this.remember(gray, styled, width, height);
+        return styled;
+    }
+
+    /**
+     * Blend the motion-warped previous output into the stylized frame
+     */
+    blendWarped(styled, motion, scale) {
+        const { width, height, data } = styled;
+        const { vectorsX, vectorsY, confidence } = motion;
+        const previous = this.previousOutput;
+        const weight = Math.min(1, Math.max(0, this.options.strength)) * this.options.maxBlend;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const block = getBlockIndex(motion, x, y, scale);
+                const alpha = weight * confidence[block];
+                if (alpha <= 0) continue;
+
+                const px = Math.min(width - 1, Math.max(0, Math.round(x + vectorsX[block] / scale)));
+                const py = Math.min(height - 1, Math.max(0, Math.round(y + vectorsY[block] / scale)));
+                const i = (y * width + x) * 4;
+                const j = (py * width + px) * 4;
+
+                data[i] = data[i] * (1 - alpha) + previous[j] * alpha;
+                data[i + 1] = data[i + 1] * (1 - alpha) + previous[j + 1] * alpha;
+                data[i + 2] = data[i + 2] * (1 - alpha) + previous[j + 2] * alpha;
+            }
+        }
+    }
+
+    remember(gray, styled, width, height) {
+        this.previousGray = gray;
+        this.previousOutput = new Uint8ClampedArray(styled.data);
+        this.width = width;
+        this.height = height;
+    }
+}
+
+export default TemporalStabilizer;
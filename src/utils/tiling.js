@@ -0,0 +1,145 @@
+/**
+ * Tiling
+ *
+ * Splits a frame into overlapping tiles at its native aspect ratio so each
+ * tile can be stylized at the model's comfortable size, then feathers the
+ * stylized tiles back together so the seams don't show. Works on raw RGBA
+ * pixel data ({ width, height, data }).
+ *
+ * @author CartoonizeMe Team
+ */
+
+const DEFAULT_TILE_OPTIONS = {
+    tileSize: 384,      // Tile edge in working pixels (what the transformer sees per pass)
+    overlap: 48,        // Pixels shared by neighbouring tiles, feathered across
+    multiple: 4         // Working and tile sizes are snapped to this so the model output matches its input
+};
+
+// Long edge (in pixels) the frame is stylized at; 0 means the frame's own size
+const stylizeResolutions = {
+    FAST: 384,
+    BALANCED: 720,
+    HIGH: 1080,
+    NATIVE: 0
+};
+
+/**
+ * Size the frame is stylized at for a resolution setting, keeping its aspect ratio
+ */
+function getWorkingSize(width, height, resolution, multiple = DEFAULT_TILE_OPTIONS.multiple) {
+    const scale = resolution > 0 ? Math.min(1, resolution / Math.max(width, height)) : 1;
+    return {
+        width: Math.max(multiple, Math.round((width * scale) / multiple) * multiple),
+        height: Math.max(multiple, Math.round((height * scale) / multiple) * multiple)
+    };
+}
+
+/**
+ * Start positions along one axis. The last tile is shifted back to end at the
+ * edge, so every tile has the full size (or the whole axis when it's smaller).
+ */
+function getTileStarts(length, tileSize, overlap) {
+    if (length <= tileSize) {
+        return [0];
+    }
+
+    const step = tileSize - overlap;
+    const starts = [];
+    for (let start = 0; start + tileSize < length; start += step) {
+        starts.push(start);
+    }
+    starts.push(length - tileSize);
+    return starts;
+}
+
+/**
+ * Overlapping tiles ({ x, y, width, height }) covering a working-size frame
+ */
+function getTileGrid(width, height, options = {}) {
+    const { tileSize, overlap } = { ...DEFAULT_TILE_OPTIONS, ...options };
+    const tiles = [];
+
+    for (const y of getTileStarts(height, tileSize, overlap)) {
+        for (const x of getTileStarts(width, tileSize, overlap)) {
+            tiles.push({
+                x,
+                y,
+                width: Math.min(tileSize, width),
+                height: Math.min(tileSize, height)
+            });
+        }
+    }
+
+    return tiles;
+}
+
+/**
+ * Weighted RGB sums for feathering tiles into a frame
+ */
+function createTileAccumulator(width, height) {
+    return {
+        width,
+        height,
+        color: new Float32Array(width * height * 3),
+        weight: new Float32Array(width * height)
+    };
+}
+
+/**
+ * Feather weight along one axis: ramps up over `overlap` pixels on sides that
+ * touch another tile, and stays at 1 on sides at the frame edge
+ */
+function rampWeight(position, tileStart, tileLength, frameLength, overlap) {
+    const fromStart = tileStart > 0 ? (position + 1) / (overlap + 1) : 1;
+    const fromEnd = tileStart + tileLength < frameLength ? (tileLength - position) / (overlap + 1) : 1;
+    return Math.min(1, fromStart, fromEnd);
+}
+
+/**
+ * Add a stylized tile's RGBA pixels to the accumulator
+ */
+function addTile(accumulator, tile, pixels, overlap = DEFAULT_TILE_OPTIONS.overlap) {
+    const { width, height, color, weight } = accumulator;
+
+    for (let ty = 0; ty < tile.height; ty++) {
+        const weightY = rampWeight(ty, tile.y, tile.height, height, overlap);
+        for (let tx = 0; tx < tile.width; tx++) {
+            const w = weightY * rampWeight(tx, tile.x, tile.width, width, overlap);
+            const source = (ty * tile.width + tx) * 4;
+            const target = (tile.y + ty) * width + tile.x + tx;
+
+            color[target * 3] += pixels[source] * w;
+            color[target * 3 + 1] += pixels[source + 1] * w;
+            color[target * 3 + 2] += pixels[source + 2] * w;
+            weight[target] += w;
+        }
+    }
+}
+
+/**
+ * Resolve the accumulated tiles into RGBA pixels
+ */
+function resolveTiles(accumulator) {
+    const { width, height, color, weight } = accumulator;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < weight.length; i++) {
+        const w = weight[i] || 1;
+        data[i * 4] = color[i * 3] / w;
+        data[i * 4 + 1] = color[i * 3 + 1] / w;
+        data[i * 4 + 2] = color[i * 3 + 2] / w;
+        data[i * 4 + 3] = 255;
+    }
+
+    return { width, height, data };
+}
+
+export {
+    DEFAULT_TILE_OPTIONS,
+    stylizeResolutions,
+    getWorkingSize,
+    getTileGrid,
+    createTileAccumulator,
+    addTile,
+    resolveTiles
+};
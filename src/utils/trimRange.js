@@ -0,0 +1,74 @@
+/**
+ * Trim Range
+ *
+ * In/out points ({ start, end } in seconds) of the segment of a video that is
+ * extracted and stylized. A null trim means the whole clip.
+ *
+ * @author CartoonizeMe Team
+ */
+
+// Longest segment rendered in one job, and the shortest one worth rendering
+const MAX_SEGMENT_SECONDS = 30;
+const MIN_SEGMENT_SECONDS = 0.5;
+
+/**
+ * Initial trim for a clip: all of it, or its first MAX_SEGMENT_SECONDS
+ */
+function getDefaultTrim(duration) {
+    return { start: 0, end: Math.min(duration, MAX_SEGMENT_SECONDS) };
+}
+
+/**
+ * Keep a trim inside the clip and within the segment length limits. The
+ * point that was just moved (`moved` is 'start' or 'end') wins, and the
+ * other one follows it.
+ */
+function clampTrim({ start, end }, duration, moved = 'end') {
+    const maxLength = Math.min(duration, MAX_SEGMENT_SECONDS);
+    const minLength = Math.min(duration, MIN_SEGMENT_SECONDS);
+
+    if (moved === 'start') {
+        start = Math.max(0, Math.min(start, duration - minLength));
+        end = Math.min(Math.max(end, start + minLength), start + maxLength, duration);
+    } else {
+        end = Math.min(duration, Math.max(end, minLength));
+        start = Math.max(Math.min(start, end - minLength), end - maxLength, 0);
+    }
+
+    return { start, end };
+}
+
+/**
+ * Whether a trim covers the whole clip (so nothing needs to be cut)
+ */
+function isFullClip(trim, duration) {
+    return !trim || (trim.start <= 0.01 && trim.end >= duration - 0.01);
+}
+
+/**
+ * Length of the trimmed segment, or of the whole clip without a trim
+ */
+function getTrimDuration(trim, duration) {
+    return trim ? trim.end - trim.start : duration;
+}
+
+/**
+ * m:ss.s for trim labels
+ */
+function formatTrimTime(seconds) {
+    // Round to tenths first so 59.96 reads 1:00.0, not 0:60.0
+    const tenths = Math.round(seconds * 10);
+    const minutes = Math.floor(tenths / 600);
+    const rest = ((tenths - minutes * 600) / 10).toFixed(1).padStart(4, '0');
+    return `${minutes}:${rest}`;
+}
+
+export {
+    MAX_SEGMENT_SECONDS,
+    MIN_SEGMENT_SECONDS,
+    getDefaultTrim,
+    clampTrim,
+    isFullClip,
+    getTrimDuration,
+    formatTrimTime
+};
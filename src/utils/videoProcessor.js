@@ -8,12 +8,51 @@
 import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { fetchFile, toBlobURL } from '@ffmpeg/util';
 import * as tf from '@tensorflow/tfjs';
+import TemporalStabilizer from './temporalStabilizer';
+import FrameInterpolator, { inbetweenMethods } from './frameInterpolator';
+import { stylizeResolutions, getWorkingSize, getTileGrid, createTileAccumulator, addTile, resolveTiles } from './tiling';
+import { fitModes, drawToOutput, drawUpright, getFFmpegScaleFilter } from './outputGeometry';
+import { outputFormats, formatInfo, getFormatForMimeType, getFFmpegEncodeArgs } from './outputFormats';
+import GifEncoder, { GifPaletteBuilder } from './gifEncoder';
+import ApngEncoder from './apngEncoder';
+import { hashStyleImage, getStyleFeatures, setStyleFeatures } from './styleFeatureCache';
+import { normalizeKeyframes, sampleKeyframes, lerp } from './styleKeyframes';
+import { ffmpegVariants, getMultiThreadSupport, getFFmpegCoreSources, describeFFmpegStatus } from './ffmpegCore';
+import { isWebCodecsSupported, decodeFramesAt, encodeFrames } from './webCodecs';
+import { demuxVideoFile, canCopyAudio, retimeRecording } from './remux';
+import { isBlankFrame, getFrameSignature, isSameFrame } from './frameChecks';
+import { getFrameTimeline, getTimelineDuration, hasFrameTiming, isConstantTimeline } from './frameTiming';
+import { probeMedia, parseFFmpegProbe, getSourceFrameTimes, getFFmpegSourceFilters, getSquarePixelWidth } from './mediaProbe';
+import { isHdrColour } from './colourSpaces';
+
+// Wall-clock time each frame gets when the MediaRecorder fallback records faster
+// than real time; the recording is retimed to the real frame rate afterwards
+const FAST_RECORDING_FRAME_MS = 20;
+
+// requestVideoFrameCallback extraction: how long to wait for a seek to present
+// a frame, how often to re-seek a black or repeated frame, and the size of the
+// copy those checks run on
+const FRAME_CALLBACK_TIMEOUT_MS = 500;
+const SEEK_TIMEOUT_MS = 10000;
+const MAX_FRAME_RETRIES = 2;
+const FRAME_CHECK_SIZE = 64;
+
+/**
+ * Reasons passed to AbortController.abort() for processing jobs.
+ * PAUSE keeps the frames processed so far so the job can resume; CANCEL discards them.
+ */
+const abortReasons = {
+    PAUSE: 'pause',
+    CANCEL: 'cancel'
+};
 
 class VideoProcessor {
     constructor() {
         this.ffmpeg = null;
         this.isLoaded = false;
         this.useFallback = false;
+        this.useWebCodecs = false;     // Without FFmpeg, decode and encode with WebCodecs (see webCodecs.js)
+        this.ffmpegStatus = null;      // Which FFmpeg core was loaded and why (see ffmpegCore.js)
         this.onProgress = null;
         this.onStageChange = null;
         this.styleModel = null;        // Magenta style network (extracts style features)
@@ -21,6 +60,20 @@ class VideoProcessor {
         this.isModelReady = false;
         this.usingSingleHubModel = false;
 
+        // Job control (pause / resume / cancel)
+        this.abortController = null;   // Aborts the running job
+        this.currentJob = null;        // { videoFile, frameNames, processedFrames }
+        this.pausedJob = null;         // Job kept around while paused
+        this.resumeWaiter = null;      // Resolves true (resume) or false (cancel) while paused
+
+        // Per-job state
+        this.styleBottleneck = null;     // Style features computed once per job (see styleFeatureCache)
+        this.temporalStabilizer = null;  // Set when temporal coherence mode is on
+        this.keyframeTrack = null;       // Style keyframes with their style features
+        this.frameBottleneck = null;     // Keyframe-interpolated style features for the current frame
+        this.stylizeResolution = stylizeResolutions.FAST;  // Long edge frames are stylized at (see tiling.js)
+        this.outputGeometry = null;      // Output size, aspect ratio and fit (see outputGeometry.js)
+
         // Simple performance tracking
         this.performanceStats = {
             totalStartTime: null
@@ -29,8 +82,10 @@ class VideoProcessor {
 
     /**
      * Initialize FFmpeg and TensorFlow.js with style transfer models
+     *
+     * Pass { loadFFmpeg: false } when only stylization is needed (e.g. live mode).
      */
-    async initialize(onProgress, onStageChange) {
+    async initialize(onProgress, onStageChange, { loadFFmpeg = true } = {}) {
         this.onProgress = onProgress;
         this.onStageChange = onStageChange;
 
@@ -38,7 +93,7 @@ class VideoProcessor {
             if (this.onStageChange) this.onStageChange('initializing');
 
             console.log('🚀 Initializing VideoProcessor...');
-            console.log('ℹ️ Note: Some CDN loading warnings are normal and expected during initialization');
+            console.log('ℹ️ Note: Some loading warnings are normal and expected during initialization');
 
             // Initialize TensorFlow.js
             console.log('🧠 Initializing TensorFlow.js...');
@@ -57,12 +112,23 @@ class VideoProcessor {
             }
 
             // Try to load FFmpeg (non-blocking)
-            try {
-                await this.tryLoadFFmpeg();
-            } catch (ffmpegError) {
-                console.warn('⚠️ FFmpeg failed to load, using fallback method:', ffmpegError.message);
+            if (!loadFFmpeg) {
                 this.useFallback = true;
-                // Don't throw - this is expected and we have fallbacks
+                this.ffmpegStatus = { variant: null, source: null, selfHosted: false, reason: 'not needed for stylization only', attempts: [] };
+            } else {
+                try {
+                    await this.tryLoadFFmpeg();
+                } catch (ffmpegError) {
+                    console.warn('⚠️ FFmpeg failed to load, using fallback method:', ffmpegError.message);
+                    this.useFallback = true;
+                    // Don't throw - this is expected and we have fallbacks
+                }
+            }
+
+            // Without FFmpeg, WebCodecs goes ahead of <video> seeking and MediaRecorder
+            this.useWebCodecs = isWebCodecsSupported();
+            if (this.useFallback && this.ffmpegStatus) {
+                this.ffmpegStatus.fallback = this.useWebCodecs ? 'WebCodecs' : 'HTML5';
             }
 
             // Always mark as ready - we have fallback methods
@@ -70,7 +136,7 @@ class VideoProcessor {
 
             console.log('✅ VideoProcessor initialized successfully');
             console.log(`- Neural networks: ${this.isModelReady ? 'loaded' : 'using fallback filters'}`);
-            console.log(`- Video processing: ${this.useFallback ? 'HTML5 fallback' : 'FFmpeg'}`);
+            console.log(`- Video processing: ${describeFFmpegStatus(this.ffmpegStatus)}`);
 
             if (this.useFallback) {
                 console.log('ℹ️ Note: Using browser-based processing (this is normal and works well)');
@@ -83,6 +149,7 @@ class VideoProcessor {
             // Only throw for truly critical errors
             console.error('❌ Critical initialization error:', error);
             this.useFallback = true;
+            this.useWebCodecs = isWebCodecsSupported();
             this.isModelReady = false;
 
             if (this.onStageChange) this.onStageChange('ready');
@@ -236,8 +303,10 @@ class VideoProcessor {
             console.log(`📸 Style reference: ${styleData.metadata.fileName} (${img.width}x${img.height})`);
 
             // For the TensorFlow Hub model, we don't need to pre-process the style image into a tensor
-            // The model expects raw images as input, so we just ensure the image is available
-            // This is different from the previous approach that used separate style and transform models
+            // The model expects raw images as input, so we just ensure the image is available.
+            // The two-model path runs the style network here, once, and every frame reuses the result.
+            this.releaseStyleBottleneck();
+            this.styleBottleneck = await this.prepareStyleBottleneck(styleData);
 
             console.log(`✅ Style reference processed and ready for neural transfer`);
 
@@ -309,82 +378,87 @@ class VideoProcessor {
                 }
             });
 
-            // Try different CDN URLs for better compatibility
-            const cdnOptions = [
-                {
-                    name: 'unpkg.com (core-mt)',
-                    baseURL: 'https://unpkg.com/@ffmpeg/core-mt@0.12.6/dist/esm',
-                    files: {
-                        coreURL: 'ffmpeg-core.js',
-                        wasmURL: 'ffmpeg-core.wasm',
-                        workerURL: 'ffmpeg-core.worker.js'
-                    }
-                },
-                {
-                    name: 'unpkg.com (core)',
-                    baseURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd',
-                    files: {
-                        coreURL: 'ffmpeg-core.js',
-                        wasmURL: 'ffmpeg-core.wasm'
-                    }
-                }
-            ];
+            // Self-hosted cores first; the multi-threaded one only where SharedArrayBuffer works
+            const multiThread = getMultiThreadSupport();
+            const notes = multiThread.supported ? [] : [`multi-threaded core skipped: ${multiThread.reason}`];
+            const attempts = [];
 
-            let loadSuccess = false;
+            for (const source of getFFmpegCoreSources()) {
+                if (source.variant === ffmpegVariants.MULTI_THREADED && !multiThread.supported) {
+                    continue;
+                }
 
-            for (const cdn of cdnOptions) {
                 try {
-                    console.log(`Trying to load FFmpeg from ${cdn.name}...`);
+                    console.log(`Trying to load FFmpeg from ${source.name}...`);
 
                     const loadConfig = {
-                        coreURL: await toBlobURL(`${cdn.baseURL}/${cdn.files.coreURL}`, 'text/javascript'),
-                        wasmURL: await toBlobURL(`${cdn.baseURL}/${cdn.files.wasmURL}`, 'application/wasm'),
+                        coreURL: await toBlobURL(`${source.baseURL}/${source.files.coreURL}`, 'text/javascript'),
+                        wasmURL: await toBlobURL(`${source.baseURL}/${source.files.wasmURL}`, 'application/wasm'),
                     };
 
-                    if (cdn.files.workerURL) {
-                        loadConfig.workerURL = await toBlobURL(`${cdn.baseURL}/${cdn.files.workerURL}`, 'text/javascript');
+                    if (source.files.workerURL) {
+                        loadConfig.workerURL = await toBlobURL(`${source.baseURL}/${source.files.workerURL}`, 'text/javascript');
                     }
 
                     await this.ffmpeg.load(loadConfig);
 
                     this.isLoaded = true;
-                    loadSuccess = true;
-                    console.log(`✅ FFmpeg loaded successfully from ${cdn.name}`);
+                    this.ffmpegStatus = {
+                        variant: source.variant,
+                        source: source.name,
+                        selfHosted: source.selfHosted,
+                        reason: notes.join('; ') || null,
+                        attempts
+                    };
+                    console.log(`✅ ${describeFFmpegStatus(this.ffmpegStatus)}`);
 
                     if (this.onStageChange) this.onStageChange('ready');
                     return; // Success - exit function
 
                 } catch (error) {
-                    // Reduce console noise for expected failures
-                    if (cdn === cdnOptions[cdnOptions.length - 1]) {
-                        // Only log the final failure
-                        console.log(`⚠️ FFmpeg failed to load from all CDNs, will use fallback processing`);
-                    }
-                    continue;
+                    attempts.push({ source: source.name, error: error?.message || String(error) });
+                    notes.push(`${source.name} failed to load`);
                 }
             }
 
-            if (!loadSuccess) {
-                console.log('⚠️ FFmpeg failed to load from all CDNs, will use fallback processing');
-                this.useFallback = true;
-                this.isLoaded = false;
-                // Don't throw - fallback is expected and available
-            }
+            this.useFallback = true;
+            this.isLoaded = false;
+            this.ffmpegStatus = {
+                variant: null,
+                source: null,
+                selfHosted: false,
+                reason: notes.length > 0 ? notes.join('; ') : 'no FFmpeg core is available',
+                attempts
+            };
+            console.log(`⚠️ ${describeFFmpegStatus(this.ffmpegStatus)}`, attempts);
+            // Don't throw - fallback is expected and available
 
         } catch (error) {
             console.warn('⚠️ FFmpeg initialization failed, using fallback method:', error.message);
             this.useFallback = true;
             this.isLoaded = false;
+            this.ffmpegStatus = { variant: null, source: null, selfHosted: false, reason: error.message, attempts: [] };
             // Don't throw - fallback is expected and available
         }
     }
 
     /**
      * Extract frames from video using FFmpeg or fallback method
+     *
+     * With an `output` geometry the frames are scaled and letterboxed or cropped
+     * to the output size while extracting. With a `trim` ({ start, end } in
+     * seconds) only that segment is extracted.
+     *
+     * With a `probe` (see mediaProbe.js) FFmpeg frames come out upright, with
+     * square pixels and the source's colours. `sourceFrameTimes` (from
+     * getSourceFrameTimes()) extracts every source frame as it is instead of
+     * resampling to `fps`.
      */
-    async extractFrames(videoFile, fps = 5) {
+    async extractFrames(videoFile, fps = 5, signal = null, output = null, trim = null, probe = null, sourceFrameTimes = null) {
+        this.throwIfAborted(signal);
+
         if (this.useFallback) {
-            return await this.extractFramesFallback(videoFile, fps);
+            return await this.extractFramesWithoutFFmpeg(videoFile, fps, signal, output, trim);
         }
 
         if (!this.isLoaded) {
@@ -396,15 +470,27 @@ class VideoProcessor {
 
             // Write input video to FFmpeg filesystem
             const inputName = 'input.mp4';
-            await this.ffmpeg.writeFile(inputName, await fetchFile(videoFile));
+            if (!await this.ensureFFmpegInput(videoFile)) {
+                throw new Error('Could not load the video into FFmpeg');
+            }
+
+            const filters = [
+                ...(sourceFrameTimes ? [] : [`fps=${fps}`]),
+                ...(probe ? getFFmpegSourceFilters(probe) : []),
+                ...(output ? [getFFmpegScaleFilter(output)] : [])
+            ];
 
-            // Extract frames at specified FPS
-            await this.ffmpeg.exec([
+            // Extract frames at specified FPS (seeking the input to the trimmed segment)
+            await this.runFFmpeg([
+                ...(trim ? ['-ss', trim.start.toFixed(3), '-t', (trim.end - trim.start).toFixed(3)] : []),
+                // The filters rotate the picture themselves
+                ...(probe ? ['-noautorotate'] : []),
                 '-i', inputName,
-                '-vf', `fps=${fps}`,
+                ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+                ...(sourceFrameTimes ? ['-fps_mode', 'passthrough'] : []),
                 '-q:v', '2', // High quality
                 'frame_%04d.png'
-            ]);
+            ], signal);
 
             // List extracted frames
             const files = await this.ffmpeg.listDir('/');
@@ -416,15 +502,332 @@ class VideoProcessor {
             return frameFiles.map(file => file.name).sort();
 
         } catch (error) {
+            if (error?.name === 'AbortError') {
+                throw error;
+            }
             console.error('❌ Frame extraction failed:', error);
             throw new Error(`Frame extraction failed: ${error.message}`);
         }
     }
 
     /**
-     * Fallback frame extraction using HTML5 video and canvas
+     * Frame extraction without FFmpeg: WebCodecs where the browser supports it
+     * and can read the file, the HTML5 video fallback otherwise
+     */
+    async extractFramesWithoutFFmpeg(videoFile, fps = 5, signal = null, output = null, trim = null) {
+        if (this.useWebCodecs) {
+            try {
+                return await this.extractFramesWebCodecs(videoFile, fps, signal, output, trim);
+            } catch (error) {
+                if (error?.name === 'AbortError') {
+                    throw error;
+                }
+                console.warn('⚠️ WebCodecs frame extraction failed, using HTML5 fallback:', error.message);
+            }
+        }
+
+        if (typeof HTMLVideoElement !== 'undefined' && 'requestVideoFrameCallback' in HTMLVideoElement.prototype) {
+            try {
+                return await this.extractFramesWithVideoFrameCallback(videoFile, fps, signal, output, trim);
+            } catch (error) {
+                if (error?.name === 'AbortError') {
+                    throw error;
+                }
+                console.warn('⚠️ requestVideoFrameCallback extraction failed, seeking without it:', error.message);
+            }
+        }
+
+        return await this.extractFramesFallback(videoFile, fps, signal, output, trim);
+    }
+
+    /**
+     * Frame-accurate HTML5 extraction: after each seek, requestVideoFrameCallback
+     * reports the presentation time of the frame the browser actually shows, so
+     * frames are only drawn once they are on screen and keep their true timing.
+     * Black frames are seeked again a little later in the step; a repeat of the
+     * previous frame is too, and is dropped if it persists (the previous frame
+     * then lasts longer instead).
+     *
+     * Frames are { name, blob, width, height, timestamp, duration }, with the
+     * presentation time in the source and the time on screen in seconds (see
+     * frameTiming.js). Cancelling stops extraction; pausing lets it finish.
+     */
+    async extractFramesWithVideoFrameCallback(videoFile, fps = 5, signal = null, output = null, trim = null) {
+        console.log('🎞️ Using requestVideoFrameCallback frame extraction...');
+        if (this.onStageChange) this.onStageChange('extracting_frames');
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(videoFile);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const loadTimeout = setTimeout(() => {
+                    reject(new Error('Video loading timeout - file may be corrupted or unsupported format'));
+                }, 30000);
+                video.onloadeddata = () => {
+                    clearTimeout(loadTimeout);
+                    resolve();
+                };
+                video.onerror = () => {
+                    clearTimeout(loadTimeout);
+                    reject(new Error('Failed to load video file: Video format may not be supported'));
+                };
+            });
+            video.onloadeddata = null;
+            video.onerror = null;
+
+            if (!video.videoWidth || !video.videoHeight || !video.duration) {
+                throw new Error('Video metadata is incomplete - width, height, or duration missing');
+            }
+
+            const startTime = trim ? Math.min(trim.start, video.duration) : 0;
+            const endTime = trim ? Math.min(trim.end, video.duration) : video.duration;
+            const interval = 1 / fps;
+            const totalFrames = Math.floor((endTime - startTime) * fps);
+
+            if (totalFrames === 0) {
+                throw new Error('Video duration is too short to extract frames');
+            }
+
+            console.log(`📸 Extracting ${totalFrames} frames at ${fps} FPS (${video.videoWidth}x${video.videoHeight}, ${video.duration.toFixed(1)}s)...`);
+
+            const canvas = this.createCanvas(output ? output.width : video.videoWidth, output ? output.height : video.videoHeight);
+            const ctx = canvas.getContext('2d');
+            const checkCanvas = this.createCanvas(FRAME_CHECK_SIZE, FRAME_CHECK_SIZE);
+            const checkCtx = checkCanvas.getContext('2d', { willReadFrequently: true });
+
+            const frames = [];
+            let previous = null;
+            let retries = 0;
+            let dropped = 0;
+
+            for (let index = 0; index < totalFrames; index++) {
+                if (signal?.aborted && signal.reason !== abortReasons.PAUSE) {
+                    console.log('🛑 Frame extraction cancelled');
+                    throw this.createAbortError(signal);
+                }
+
+                const targetTime = startTime + index * interval;
+                let shown;
+
+                for (let attempt = 0; attempt <= MAX_FRAME_RETRIES; attempt++) {
+                    if (attempt > 0) retries++;
+
+                    // Retries move further into the step, past a frame boundary the seek may have stopped at
+                    const mediaTime = await this.seekToFrame(video, Math.min(targetTime + (attempt * interval) / (MAX_FRAME_RETRIES + 1), endTime));
+                    checkCtx.drawImage(video, 0, 0, FRAME_CHECK_SIZE, FRAME_CHECK_SIZE);
+                    const pixels = checkCtx.getImageData(0, 0, FRAME_CHECK_SIZE, FRAME_CHECK_SIZE);
+
+                    // Without a frame callback the seek presented nothing new, as far as the pixels can tell
+                    const timestamp = mediaTime ?? video.currentTime;
+                    const signature = getFrameSignature(pixels);
+                    const isRepeat = previous !== null && (mediaTime !== null
+                        ? timestamp <= previous.timestamp
+                        : isSameFrame(signature, previous.signature));
+
+                    shown = { timestamp, signature, isBlank: isBlankFrame(pixels), isRepeat };
+                    if (!shown.isBlank && !shown.isRepeat) break;
+                }
+
+                if (shown.isRepeat) {
+                    dropped++;
+                    continue;
+                }
+
+                if (output) {
+                    drawToOutput(ctx, video, video.videoWidth, video.videoHeight, output);
+                } else {
+                    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                }
+
+                frames.push({
+                    name: `frame_${String(frames.length + 1).padStart(4, '0')}.png`,
+                    blob: await this.canvasToBlob(canvas),
+                    width: canvas.width,
+                    height: canvas.height,
+                    timestamp: shown.timestamp
+                });
+                previous = shown;
+            }
+
+            if (frames.length === 0) {
+                throw new Error('No frames were successfully extracted');
+            }
+
+            // Each frame stays on screen until the next one (from the segment start at the earliest)
+            frames.forEach((frame, index) => {
+                const shownFrom = Math.max(frame.timestamp, startTime);
+                const shownUntil = index + 1 < frames.length ? frames[index + 1].timestamp : endTime;
+                frame.duration = shownUntil > shownFrom ? shownUntil - shownFrom : interval;
+            });
+
+            console.log(`✅ Extracted ${frames.length} frames (${retries} re-seeks, ${dropped} repeated frames dropped)`);
+            return frames;
+
+        } finally {
+            URL.revokeObjectURL(video.src);
+            video.removeAttribute('src');
+            video.load();
+        }
+    }
+
+    /**
+     * Seek a <video> element and wait until the frame at that time is on
+     * screen. Resolves to the frame's presentation time from
+     * requestVideoFrameCallback, or null if the seek presented no new frame.
+     */
+    seekToFrame(video, time) {
+        return new Promise((resolve, reject) => {
+            let mediaTime = null;
+            let hasSeeked = false;
+            let callbackTimer = null;
+            let callbackHandle = null;
+            let seekTimer = null;
+
+            const cleanup = () => {
+                clearTimeout(callbackTimer);
+                clearTimeout(seekTimer);
+                video.cancelVideoFrameCallback(callbackHandle);
+                video.removeEventListener('seeked', onSeeked);
+                video.removeEventListener('error', onError);
+            };
+            const finish = () => {
+                cleanup();
+                resolve(mediaTime);
+            };
+            const onFrame = (now, metadata) => {
+                mediaTime = metadata.mediaTime;
+                if (hasSeeked) finish();
+            };
+            const onSeeked = () => {
+                hasSeeked = true;
+                if (mediaTime !== null) {
+                    finish();
+                } else {
+                    callbackTimer = setTimeout(finish, FRAME_CALLBACK_TIMEOUT_MS);
+                }
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error(`Video seeking failed: ${video.error?.message || 'Unknown video error'}`));
+            };
+            seekTimer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Video seeking timed out at ${time.toFixed(3)}s`));
+            }, SEEK_TIMEOUT_MS);
+
+            callbackHandle = video.requestVideoFrameCallback(onFrame);
+            video.addEventListener('seeked', onSeeked);
+            video.addEventListener('error', onError);
+            video.currentTime = time;
+        });
+    }
+
+    /**
+     * Frame extraction with WebCodecs: the file is demuxed in JavaScript and
+     * each frame is the one the source shows at that time, decoded from the
+     * nearest keyframe instead of seeking. Frames have the same shape as the
+     * HTML5 fallback's ({ name, blob, width, height }) and are drawn upright
+     * with square pixels. A variable frame rate source extracted at its full
+     * frame rate keeps every frame with its own timing (see getSourceFrameTimes).
+     *
+     * Cancelling stops extraction; pausing lets it finish, as in the HTML5 fallback.
+     */
+    async extractFramesWebCodecs(videoFile, fps = 5, signal = null, output = null, trim = null) {
+        console.log('🎞️ Using WebCodecs frame extraction...');
+        if (this.onStageChange) this.onStageChange('extracting_frames');
+
+        const media = await demuxVideoFile(videoFile);
+        if (!media.video) {
+            throw new Error('No video track found');
+        }
+
+        const duration = media.duration || media.video.samples.reduce(
+            (end, sample) => Math.max(end, (sample.timestamp + sample.duration) / 1e6), 0
+        );
+        const startTime = trim ? Math.min(trim.start, duration) : 0;
+        const endTime = trim ? Math.min(trim.end, duration) : duration;
+        const probe = probeMedia(media);
+        const { rotation, pixelAspectRatio } = probe;
+        const sourceFrameTimes = getSourceFrameTimes(probe, fps, { start: startTime, end: endTime });
+        const totalFrames = sourceFrameTimes ? sourceFrameTimes.length : Math.floor((endTime - startTime) * fps);
+
+        if (totalFrames === 0) {
+            throw new Error('Video duration is too short to extract frames');
+        }
+
+        console.log(`📸 Extracting ${totalFrames} frames ${sourceFrameTimes ? 'at the source frame times' : `at ${fps} FPS`} from ${media.video.codec}...`);
+
+        const times = sourceFrameTimes
+            ? sourceFrameTimes.map(({ timestamp }) => Math.round(timestamp * 1e6))
+            : Array.from({ length: totalFrames }, (_, index) => Math.round((startTime + index / fps) * 1e6));
+        const needsUpright = rotation !== 0 || pixelAspectRatio.num !== pixelAspectRatio.den;
+        const frames = [];
+        let canvas = null;
+        let ctx = null;
+        let upright = null;
+        let sourceWidth = 0;
+        let sourceHeight = 0;
+
+        await decodeFramesAt(media, times, async (frame) => {
+            if (signal?.aborted && signal.reason !== abortReasons.PAUSE) {
+                console.log('🛑 Frame extraction cancelled');
+                throw this.createAbortError(signal);
+            }
+
+            if (!canvas) {
+                // Square pixels first, then turned upright
+                sourceWidth = getSquarePixelWidth(frame.displayWidth, pixelAspectRatio);
+                sourceHeight = frame.displayHeight;
+                const uprightWidth = rotation % 180 === 0 ? sourceWidth : sourceHeight;
+                const uprightHeight = rotation % 180 === 0 ? sourceHeight : sourceWidth;
+
+                canvas = this.createCanvas(output ? output.width : uprightWidth, output ? output.height : uprightHeight);
+                ctx = canvas.getContext('2d');
+                if (needsUpright && output) {
+                    upright = this.createCanvas(uprightWidth, uprightHeight);
+                }
+            }
+
+            if (!needsUpright) {
+                if (output) {
+                    drawToOutput(ctx, frame, frame.displayWidth, frame.displayHeight, output);
+                } else {
+                    ctx.drawImage(frame, 0, 0, canvas.width, canvas.height);
+                }
+            } else if (output) {
+                drawUpright(upright.getContext('2d'), frame, sourceWidth, sourceHeight, rotation);
+                drawToOutput(ctx, upright, upright.width, upright.height, output);
+            } else {
+                drawUpright(ctx, frame, sourceWidth, sourceHeight, rotation);
+            }
+
+            frames.push({
+                name: `frame_${String(frames.length + 1).padStart(4, '0')}.png`,
+                blob: await this.canvasToBlob(canvas),
+                width: canvas.width,
+                height: canvas.height,
+                ...(sourceFrameTimes ? sourceFrameTimes[frames.length] : {})
+            });
+        });
+
+        console.log(`✅ Extracted ${frames.length} frames with WebCodecs`);
+        return frames;
+    }
+
+    /**
+     * Fallback frame extraction using HTML5 video and canvas, for browsers
+     * without requestVideoFrameCallback: each frame is drawn once the seek
+     * completes, which can catch a black or neighbouring frame
+     *
+     * Cancelling stops extraction immediately; pausing lets it finish so the
+     * extracted frames can be kept for the resumed job. Seeking stays within
+     * the `trim` segment when one is given.
      */
-    async extractFramesFallback(videoFile, fps = 5) {
+    async extractFramesFallback(videoFile, fps = 5, signal = null, output = null, trim = null) {
         return new Promise((resolve, reject) => {
             try {
                 console.log('🔄 Using fallback frame extraction method...');
@@ -456,12 +859,13 @@ class VideoProcessor {
 
                         console.log(`📹 Video metadata loaded: ${video.videoWidth}x${video.videoHeight}, ${video.duration.toFixed(1)}s`);
 
-                        canvas.width = video.videoWidth;
-                        canvas.height = video.videoHeight;
+                        canvas.width = output ? output.width : video.videoWidth;
+                        canvas.height = output ? output.height : video.videoHeight;
 
-                        const duration = video.duration;
+                        const startTime = trim ? Math.min(trim.start, video.duration) : 0;
+                        const endTime = trim ? Math.min(trim.end, video.duration) : video.duration;
                         const interval = 1 / fps;
-                        const totalFrames = Math.floor(duration * fps);
+                        const totalFrames = Math.floor((endTime - startTime) * fps);
 
                         if (totalFrames === 0) {
                             reject(new Error('Video duration is too short to extract frames'));
@@ -478,10 +882,17 @@ class VideoProcessor {
 
                         console.log(`📸 Extracting ${totalFrames} frames at ${fps} FPS...`);
 
-                        let currentTime = 0;
+                        let currentTime = startTime;
 
                         const captureFrame = () => {
-                            if (currentTime >= duration) {
+                            if (signal?.aborted && signal.reason !== abortReasons.PAUSE) {
+                                console.log('🛑 Frame extraction cancelled');
+                                URL.revokeObjectURL(video.src);
+                                reject(this.createAbortError(signal));
+                                return;
+                            }
+
+                            if (currentTime >= endTime) {
                                 console.log(`✅ Extracted ${frames.length} frames using fallback method`);
                                 if (frames.length === 0) {
                                     reject(new Error('No frames were successfully extracted'));
@@ -497,7 +908,11 @@ class VideoProcessor {
                         video.onseeked = () => {
                             try {
                                 // Draw current frame to canvas
-                                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                                if (output) {
+                                    drawToOutput(ctx, video, video.videoWidth, video.videoHeight, output);
+                                } else {
+                                    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                                }
 
                                 // Convert to PNG blob
                                 canvas.toBlob((blob) => {
@@ -573,38 +988,17 @@ class VideoProcessor {
     /**
      * Apply neural style transfer to a frame using TensorFlow.js
      */
-    async processFrame(frameName, styleData, styleRatio = 1.0) {
+    async processFrame(frameName, styleData, styleRatio = 1.0, signal = null) {
+        this.throwIfAborted(signal);
+
         if (this.useFallback) {
-            return await this.processFrameFallback(frameName, styleData, styleRatio);
+            return await this.processFrameFallback(frameName, styleData, styleRatio, signal);
         }
 
         try {
-            // Read frame data
-            const frameData = await this.ffmpeg.readFile(frameName);
-
-            // Create image from frame data
-            const blob = new Blob([frameData.buffer], { type: 'image/png' });
-            const img = await this.createImageFromBlob(blob);
-
-            // Apply neural style transfer if models are loaded and style image is available
-            let processedCanvas;
-            if (this.isModelReady && this.styleModel && styleData.image) {
-                console.log(`🧠 Using neural style transfer for: ${styleData.metadata.fileName}`);
-                processedCanvas = await this.applyNeuralStyleTransfer(img, styleData, styleRatio);
-            } else {
-                console.log(`🎨 Using filter fallback for style: ${styleData.metadata.fileName}`);
-                processedCanvas = await this.applyStyleFilter(img, styleData);
-            }
-
-            // Convert back to PNG data
-            const processedBlob = await this.canvasToBlob(processedCanvas);
-            const processedData = new Uint8Array(await processedBlob.arrayBuffer());
-
-            // Write processed frame back to FFmpeg
-            const outputName = `processed_${frameName}`;
-            await this.ffmpeg.writeFile(outputName, processedData);
-
-            return outputName;
+            const img = await this.loadFrameImage(frameName);
+            const processedCanvas = await this.stylizeFrame(img, styleData, styleRatio, signal);
+            return await this.storeProcessedFrame(frameName, processedCanvas);
 
         } catch (error) {
             console.error(`❌ Frame processing failed for ${frameName}:`, error);
@@ -615,29 +1009,11 @@ class VideoProcessor {
     /**
      * Fallback frame processing for when FFmpeg isn't available
      */
-    async processFrameFallback(frameData, styleData, styleRatio = 1.0) {
+    async processFrameFallback(frameData, styleData, styleRatio = 1.0, signal = null) {
         try {
-            // Create image from blob
-            const img = await this.createImageFromBlob(frameData.blob);
-
-            // Apply neural style transfer if available and style image is present
-            let processedCanvas;
-            if (this.isModelReady && this.styleModel && styleData.image) {
-                console.log(`🧠 Using neural style transfer for: ${styleData.metadata.fileName}`);
-                processedCanvas = await this.applyNeuralStyleTransfer(img, styleData, styleRatio);
-            } else {
-                console.log(`🎨 Using filter fallback for style: ${styleData.metadata.fileName}`);
-                processedCanvas = await this.applyStyleFilter(img, styleData);
-            }
-
-            // Convert back to blob
-            const processedBlob = await this.canvasToBlob(processedCanvas);
-
-            return {
-                name: `processed_${frameData.name}`,
-                blob: processedBlob,
-                data: new Uint8Array(await processedBlob.arrayBuffer())
-            };
+            const img = await this.loadFrameImage(frameData);
+            const processedCanvas = await this.stylizeFrame(img, styleData, styleRatio, signal);
+            return await this.storeProcessedFrame(frameData, processedCanvas);
 
         } catch (error) {
             console.error(`❌ Frame processing failed:`, error);
@@ -645,10 +1021,60 @@ class VideoProcessor {
         }
     }
 
+    /**
+     * Stylize a frame image, with the neural models when available
+     */
+    async stylizeFrame(img, styleData, styleRatio, signal) {
+        let processedCanvas;
+        if (this.isModelReady && this.styleModel && styleData.image) {
+            console.log(`🧠 Using neural style transfer for: ${styleData.metadata.fileName}`);
+            processedCanvas = await this.applyNeuralStyleTransfer(img, styleData, styleRatio, signal);
+        } else {
+            console.log(`🎨 Using filter fallback for style: ${styleData.metadata.fileName}`);
+            processedCanvas = await this.applyStyleFilter(img, styleData);
+        }
+        this.throwIfAborted(signal);
+        return this.applyTemporalCoherence(img, processedCanvas);
+    }
+
+    /**
+     * Load an extracted frame (an FFmpeg FS file name, or a fallback { name, blob } frame) as an image
+     */
+    async loadFrameImage(frame) {
+        if (typeof frame === 'string') {
+            const frameData = await this.ffmpeg.readFile(frame);
+            return await this.createImageFromBlob(new Blob([frameData.buffer], { type: 'image/png' }));
+        }
+        return await this.createImageFromBlob(frame.blob);
+    }
+
+    /**
+     * Store a processed frame next to its source frame and return its reference
+     * (fallback frames keep their source timing)
+     */
+    async storeProcessedFrame(frame, canvas) {
+        const processedBlob = await this.canvasToBlob(canvas);
+        const processedData = new Uint8Array(await processedBlob.arrayBuffer());
+
+        if (typeof frame === 'string') {
+            // Write processed frame back to FFmpeg
+            const outputName = `processed_${frame}`;
+            await this.ffmpeg.writeFile(outputName, processedData);
+            return outputName;
+        }
+
+        return {
+            name: `processed_${frame.name}`,
+            blob: processedBlob,
+            data: processedData,
+            ...this.getFrameTiming(frame)
+        };
+    }
+
     /**
      * Apply neural style transfer using TensorFlow.js models
      */
-    async applyNeuralStyleTransfer(img, styleData, styleRatio = 1.0) {
+    async applyNeuralStyleTransfer(img, styleData, styleRatio = 1.0, signal = null) {
         try {
             console.log(`🧠 Applying neural style transfer using: ${styleData.metadata.fileName} with style ratio: ${styleRatio}`);
 
@@ -665,8 +1091,8 @@ class VideoProcessor {
             }
 
             // Force garbage collection before processing to free memory
-            if (window.gc) {
-                window.gc();
+            if (globalThis.gc) {
+                globalThis.gc();
             }
 
             // Check GPU memory and warn if high
@@ -678,31 +1104,30 @@ class VideoProcessor {
                 tf.engine().startScope();
             }
 
+            // The frame keeps its aspect ratio: it's scaled to the job's stylization
+            // resolution and split into overlapping tiles of the model's size
+            const styleSize = 256; // Keep style at 256 for model requirements
+            const region = this.getStylizeRegion(img);
+            const { width: workWidth, height: workHeight } = getWorkingSize(region.width, region.height, this.stylizeResolution);
+            const tiles = getTileGrid(workWidth, workHeight);
+
             // Create canvases for content and style images
-            const contentCanvas = document.createElement('canvas');
+            const contentCanvas = this.createCanvas(workWidth, workHeight);
             const contentCtx = contentCanvas.getContext('2d');
-            const styleCanvas = document.createElement('canvas');
+            const styleCanvas = this.createCanvas(styleSize, styleSize);
             const styleCtx = styleCanvas.getContext('2d');
 
-            // OPTIMIZED: Use smaller sizes for faster processing
-            // Reduce size for better performance while maintaining quality
-            const styleSize = 256; // Keep style at 256 for model requirements
-            const maxContentSize = 384; // Reduced from 512 for better performance
-            const contentSize = Math.min(maxContentSize, Math.max(256, Math.max(img.width, img.height)));
-
-            contentCanvas.width = contentSize;
-            contentCanvas.height = contentSize;
-            styleCanvas.width = styleSize;
-            styleCanvas.height = styleSize;
-
             // Draw both images at model sizes
-            contentCtx.drawImage(img, 0, 0, contentSize, contentSize);
+            contentCtx.drawImage(img, region.x, region.y, region.width, region.height, 0, 0, workWidth, workHeight);
             styleCtx.drawImage(styleData.image, 0, 0, styleSize, styleSize);
 
             console.log('🔄 Converting images to tensors for neural style transfer...');
 
             // Convert images to tensors with proper preprocessing (exactly like the working example)
-            let contentTensor, styleTensor, styledTensor, bottleneck;
+            let contentTensor, styleTensor, styledTensor, tileTensor, bottleneck;
+
+            // The job's style features are shared across frames and must not be disposed here
+            const jobBottleneck = this.usingSingleHubModel ? null : (this.frameBottleneck || this.styleBottleneck);
 
             try {
                 contentTensor = tf.browser.fromPixels(contentCanvas)
@@ -710,35 +1135,51 @@ class VideoProcessor {
                     .div(tf.scalar(255))
                     .expandDims();
 
-                styleTensor = tf.browser.fromPixels(styleCanvas)
-                    .toFloat()
-                    .div(tf.scalar(255))
-                    .expandDims();
+                if (!jobBottleneck) {
+                    styleTensor = tf.browser.fromPixels(styleCanvas)
+                        .toFloat()
+                        .div(tf.scalar(255))
+                        .expandDims();
+                    console.log(`📊 Style tensor shape: [${styleTensor.shape}]`);
+                }
 
                 console.log('🎨 Running style network to extract style features...');
                 console.log(`📊 Content tensor shape: [${contentTensor.shape}]`);
-                console.log(`📊 Style tensor shape: [${styleTensor.shape}]`);
+
+                let styledPixels;
 
                 if (this.usingSingleHubModel) {
-                    // TensorFlow Hub model approach - single model takes both inputs
+                    // TensorFlow Hub model approach - single model takes both inputs (whole frame, no tiling)
                     console.log('🔄 Using TensorFlow Hub single model for style transfer...');
                     styledTensor = this.styleModel.predict([contentTensor, styleTensor]);
+                    styledPixels = {
+                        width: workWidth,
+                        height: workHeight,
+                        data: await this.tensorToPixels(styledTensor, workWidth, workHeight)
+                    };
                     console.log('✅ TensorFlow Hub model processing complete!');
                 } else {
                     // Two-model approach (Magenta style) - FIXED: No tf.tidy() wrapper
                     console.log('🔄 Using two-model Magenta approach...');
 
-                    // Step 1: Extract style features using the style model
-                    console.log('🔄 Calling style model predict...');
-                    bottleneck = this.styleModel.predict(styleTensor);
+                    // Step 1: Extract style features using the style model (or reuse the job's)
+                    if (jobBottleneck) {
+                        console.log('♻️ Reusing style features computed for this job');
+                        bottleneck = jobBottleneck;
+                    } else {
+                        console.log('🔄 Calling style model predict...');
+                        bottleneck = this.styleModel.predict(styleTensor);
+                    }
                     console.log(`📊 Style model output shape: [${bottleneck.shape}]`);
 
                     // Step 1.5: Apply style ratio interpolation if not 1.0
                     if (styleRatio !== 1.0) {
                         console.log(`🔄 Applying style ratio interpolation: ${styleRatio}`);
 
-                        // Extract identity (content) style features
-                        const identityBottleneck = this.styleModel.predict(contentTensor);
+                        // Extract identity (content) style features from the whole frame, so all tiles share them
+                        const identityInput = tf.image.resizeBilinear(contentTensor, [styleSize, styleSize]);
+                        const identityBottleneck = this.styleModel.predict(identityInput);
+                        identityInput.dispose();
                         console.log(`📊 Identity bottleneck shape: [${identityBottleneck.shape}]`);
 
                         // Interpolate between style and identity bottlenecks
@@ -747,7 +1188,7 @@ class VideoProcessor {
                         const interpolatedBottleneck = tf.add(styleBottleneckScaled, identityBottleneckScaled);
 
                         // Clean up intermediate tensors
-                        bottleneck.dispose();
+                        if (bottleneck !== jobBottleneck) bottleneck.dispose();
                         identityBottleneck.dispose();
                         styleBottleneckScaled.dispose();
                         identityBottleneckScaled.dispose();
@@ -757,46 +1198,38 @@ class VideoProcessor {
                         console.log(`📊 Interpolated bottleneck shape: [${bottleneck.shape}]`);
                     }
 
-                    console.log('🔄 Running transformer network to apply style transfer...');
-                    console.log(`📊 Bottleneck shape: [${bottleneck.shape}]`);
-
-                    // Step 2: Apply style transfer using the transformer model
-                    console.log('🔄 Calling transformer model predict...');
-                    styledTensor = this.transformerModel.predict([contentTensor, bottleneck]);
-                    console.log(`📊 Transformer model output shape: [${styledTensor.shape}]`);
+                    // Step 2: Apply style transfer tile by tile using the transformer model
+                    console.log(`🧩 Stylizing ${workWidth}x${workHeight} in ${tiles.length} tile(s)`);
+                    const accumulator = createTileAccumulator(workWidth, workHeight);
 
-                    console.log('✅ Two-model processing complete!');
-                }
+                    for (const tile of tiles) {
+                        // Bail out before each expensive transformer pass if the job was stopped
+                        this.throwIfAborted(signal);
 
-                // Create output canvas at original size
-                const outputCanvas = document.createElement('canvas');
-                outputCanvas.width = img.width;
-                outputCanvas.height = img.height;
+                        tileTensor = contentTensor.slice([0, tile.y, tile.x, 0], [1, tile.height, tile.width, 3]);
+                        styledTensor = this.transformerModel.predict([tileTensor, bottleneck]);
+                        tileTensor.dispose();
 
-                // Create temp canvas for model output
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = contentSize;
-                tempCanvas.height = contentSize;
-
-                // Convert output tensor to pixels (squeeze to remove batch dimension)
-                console.log('🔄 Converting tensor to pixels...');
-                const squeezedResult = styledTensor.squeeze();
-                console.log(`📊 Squeezed result shape: [${squeezedResult.shape}]`);
+                        addTile(accumulator, tile, await this.tensorToPixels(styledTensor, tile.width, tile.height));
+                        styledTensor.dispose();
+                    }
 
-                // This operation is synchronous and safe
-                await tf.browser.toPixels(squeezedResult, tempCanvas);
-                console.log('✅ Tensor to pixels conversion successful');
+                    styledPixels = resolveTiles(accumulator);
+                    console.log('✅ Two-model processing complete!');
+                }
 
-                // Scale to original image size
+                // Scale to original image size (letterbox bars stay black)
+                const outputCanvas = this.createCanvas(img.width, img.height);
                 const outputCtx = outputCanvas.getContext('2d');
-                outputCtx.drawImage(tempCanvas, 0, 0, img.width, img.height);
+                outputCtx.fillStyle = '#000';
+                outputCtx.fillRect(0, 0, img.width, img.height);
+                outputCtx.drawImage(this.pixelsToCanvas(styledPixels), region.x, region.y, region.width, region.height);
 
                 // MANUAL tensor cleanup to prevent memory leaks
                 contentTensor.dispose();
-                styleTensor.dispose();
-                styledTensor.dispose();
-                squeezedResult.dispose();
-                if (bottleneck) {
+                if (styleTensor) styleTensor.dispose();
+                if (styledTensor) styledTensor.dispose();
+                if (bottleneck && bottleneck !== jobBottleneck) {
                     bottleneck.dispose();
                 }
 
@@ -804,14 +1237,17 @@ class VideoProcessor {
                 return outputCanvas;
 
             } catch (tensorError) {
-                console.error('❌ Error during tensor operations:', tensorError);
+                if (tensorError?.name !== 'AbortError') {
+                    console.error('❌ Error during tensor operations:', tensorError);
+                }
 
                 // Clean up any tensors that were created
                 try {
                     if (contentTensor) contentTensor.dispose();
                     if (styleTensor) styleTensor.dispose();
                     if (styledTensor) styledTensor.dispose();
-                    if (bottleneck) bottleneck.dispose();
+                    if (tileTensor) tileTensor.dispose();
+                    if (bottleneck && bottleneck !== jobBottleneck) bottleneck.dispose();
                 } catch (cleanupError) {
                     console.error('❌ Error during tensor cleanup:', cleanupError);
                 }
@@ -820,6 +1256,11 @@ class VideoProcessor {
             }
 
         } catch (error) {
+            // Cancelled jobs must not fall back to filters - the tensors are already freed
+            if (error?.name === 'AbortError') {
+                throw error;
+            }
+
             console.error('❌ Neural style transfer failed:', error);
             console.log('📋 Detailed error info:', {
                 message: error.message,
@@ -851,16 +1292,45 @@ class VideoProcessor {
         }
     }
 
+    /**
+     * Part of a frame that holds the picture: the letterboxed content area when
+     * the frame was extracted at the job's output geometry, the whole frame otherwise
+     */
+    getStylizeRegion(img) {
+        const output = this.outputGeometry;
+        if (output && output.fit === fitModes.LETTERBOX && img.width === output.width && img.height === output.height) {
+            return output.content;
+        }
+        return { x: 0, y: 0, width: img.width, height: img.height };
+    }
+
+    /**
+     * Read a model output tensor ([1, h, w, 3] in 0-1) as RGBA pixels of the given size
+     */
+    async tensorToPixels(tensor, width, height) {
+        const image = tf.tidy(() => {
+            let result = tensor.squeeze();
+            if (result.shape[0] !== height || result.shape[1] !== width) {
+                result = tf.image.resizeBilinear(result, [height, width]);
+            }
+            return result.clipByValue(0, 1);
+        });
+
+        try {
+            return await tf.browser.toPixels(image);
+        } finally {
+            image.dispose();
+        }
+    }
+
     /**
      * Apply style-specific image filters (fallback method)
      */
     async applyStyleFilter(img, styleData) {
         console.log(`🎨 Applying enhanced filter-based style using: ${styleData.metadata.fileName}`);
 
-        const canvas = document.createElement('canvas');
+        const canvas = this.createCanvas(img.width, img.height);
         const ctx = canvas.getContext('2d');
-        canvas.width = img.width;
-        canvas.height = img.height;
         ctx.drawImage(img, 0, 0);
 
         // Apply enhanced style-inspired filters based on the uploaded image
@@ -1018,10 +1488,8 @@ class VideoProcessor {
     async analyzeStyleImage(styleData) {
         try {
             // Create a small canvas to analyze the style image
-            const analysisCanvas = document.createElement('canvas');
+            const analysisCanvas = this.createCanvas(64, 64);
             const ctx = analysisCanvas.getContext('2d');
-            analysisCanvas.width = 64;
-            analysisCanvas.height = 64;
 
             // Draw the style image at small size for analysis
             ctx.drawImage(styleData.image, 0, 0, 64, 64);
@@ -1110,66 +1578,282 @@ class VideoProcessor {
 
     /**
      * Reconstruct video from processed frames
+     *
+     * Options:
+     * - audioSource: the original video file; its audio track is kept (video
+     *   formats only), trimmed to the length of the processed frames
+     * - audioStart: where the audio starts in the source, in seconds (for trimmed jobs)
+     * - output: output geometry to scale and letterbox or crop to
+     * - format: one of outputFormats (MP4, WebM, GIF or APNG)
+     * - timeline: when each frame is shown (see frameTiming.js), for frames
+     *   that don't carry their own timing; defaults to 1 / fps per frame
      */
-    async reconstructVideo(frameNames, fps = 5) {
+    async reconstructVideo(frameNames, fps = 5, signal = null, options = {}) {
+        const { audioSource = null, audioStart = 0, output = null, format = outputFormats.MP4, timeline = null } = options;
+        const info = formatInfo[format] || formatInfo[outputFormats.MP4];
+
         console.log('🔄 Starting video reconstruction...');
         console.log(`📊 Frame data type: ${typeof frameNames[0]}`);
         console.log(`📊 Frame structure:`, frameNames[0]);
 
         if (this.useFallback) {
             console.log('🔄 Using fallback video reconstruction method');
-            return await this.reconstructVideoFallback(frameNames, fps);
+            return await this.reconstructVideoWithoutFFmpeg(frameNames, fps, signal, options);
         }
 
         try {
             if (this.onStageChange) this.onStageChange('reconstructing_video');
 
-            console.log('🔄 Using FFmpeg video reconstruction method');
+            console.log(`🔄 Using FFmpeg video reconstruction method (${info.label})`);
 
-            // Use processed frames to create video
-            await this.ffmpeg.exec([
+            const outputName = `output.${info.extension}`;
+            const filter = output ? getFFmpegScaleFilter(output) : null;
+            const frameTimeline = timeline || getFrameTimeline(frameNames, fps);
+            const timingArgs = ['-t', getTimelineDuration(frameTimeline).toFixed(3)];
+            let videoArgs = [
                 '-framerate', fps.toString(),
-                '-i', 'processed_frame_%04d.png',
-                '-c:v', 'libx264',
-                '-pix_fmt', 'yuv420p',
-                '-crf', '23', // Good quality
-                'output.mp4'
-            ]);
+                '-i', 'processed_frame_%04d.png'
+            ];
+
+            // Frames that don't all last 1 / fps go through a concat list with each one's duration
+            if (!isConstantTimeline(frameTimeline, fps)) {
+                await this.ffmpeg.writeFile('frames.ffconcat', this.getConcatList(frameNames, frameTimeline));
+                videoArgs = ['-f', 'concat', '-i', 'frames.ffconcat'];
+                timingArgs.push('-fps_mode', 'vfr');
+            }
+
+            let muxedAudio = false;
+            if (audioSource && !info.isAnimation && await this.ensureFFmpegInput(audioSource)) {
+                try {
+                    // '?' makes the audio map optional, so silent videos still work
+                    await this.runFFmpeg([
+                        ...videoArgs,
+                        ...(audioStart > 0 ? ['-ss', audioStart.toFixed(3)] : []),
+                        '-i', 'input.mp4',
+                        '-map', '0:v:0',
+                        '-map', '1:a:0?',
+                        ...getFFmpegEncodeArgs(format, { filter, withAudio: true }),
+                        ...timingArgs,
+                        outputName
+                    ], signal);
+                    muxedAudio = true;
+                    console.log('🔊 Original audio muxed into the output');
+                } catch (audioError) {
+                    if (audioError?.name === 'AbortError') {
+                        throw audioError;
+                    }
+                    console.warn('⚠️ Could not keep the audio track, encoding video only:', audioError);
+                }
+            }
+
+            // Use processed frames to create video
+            if (!muxedAudio) {
+                await this.runFFmpeg([...videoArgs, ...getFFmpegEncodeArgs(format, { filter }), ...timingArgs, outputName], signal);
+            }
 
             // Read the output video
-            const outputData = await this.ffmpeg.readFile('output.mp4');
-            return new Blob([outputData.buffer], { type: 'video/mp4' });
+            const outputData = await this.ffmpeg.readFile(outputName);
+            return new Blob([outputData.buffer], { type: info.mimeType });
 
         } catch (error) {
+            if (error?.name === 'AbortError') {
+                throw error;
+            }
+
             console.error('❌ FFmpeg video reconstruction failed:', error);
             console.log('🔄 Falling back to browser-based reconstruction...');
 
             // If FFmpeg fails, try fallback method
             this.useFallback = true;
-            return await this.reconstructVideoFallback(frameNames, fps);
+            return await this.reconstructVideoWithoutFFmpeg(frameNames, fps, signal, options);
         }
     }
 
     /**
-     * Fallback video reconstruction using MediaRecorder API
+     * An FFmpeg concat demuxer list showing each frame for its timeline duration.
+     * The last frame is listed again, as the demuxer ignores the last duration.
      */
-    async reconstructVideoFallback(processedFrames, fps = 5) {
-        return new Promise((resolve, reject) => {
-            try {
-                console.log('🔄 Starting fallback video reconstruction...');
-                console.log(`📊 Processed frames count: ${processedFrames.length}`);
-                console.log(`📊 Frame structure:`, processedFrames[0]);
-
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
+    getConcatList(frameNames, timeline) {
+        const lines = ['ffconcat version 1.0'];
+        frameNames.forEach((name, index) => {
+            lines.push(`file '${name}'`, `duration ${timeline[index].duration.toFixed(6)}`);
+        });
+        lines.push(`file '${frameNames[frameNames.length - 1]}'`);
+        return lines.join('\n');
+    }
 
-                // Validate frames
-                if (!processedFrames || processedFrames.length === 0) {
-                    reject(new Error('No processed frames provided for reconstruction'));
-                    return;
-                }
+    /**
+     * Make sure the source video is in the FFmpeg filesystem as input.mp4
+     * (it isn't when frames were extracted with the HTML5 fallback)
+     */
+    async ensureFFmpegInput(videoFile) {
+        try {
+            const files = await this.ffmpeg.listDir('/');
+            if (!files.some(file => file.name === 'input.mp4')) {
+                await this.ffmpeg.writeFile('input.mp4', await fetchFile(videoFile));
+            }
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Source video not available to FFmpeg:', error);
+            return false;
+        }
+    }
 
-                // Get first frame to determine canvas size
+    /**
+     * Probe the source with FFmpeg, for files the JavaScript probe at upload
+     * can't read: copies the video packets to a framecrc listing for their
+     * timestamps and reads rotation, pixel aspect ratio and colour from the
+     * stream info FFmpeg logs. Resolves with null when probing fails.
+     */
+    async probeWithFFmpeg(videoFile, signal = null) {
+        if (!await this.ensureFFmpegInput(videoFile)) {
+            return null;
+        }
+
+        const logLines = [];
+        const onLog = ({ message }) => logLines.push(message);
+        this.ffmpeg.on('log', onLog);
+
+        try {
+            await this.runFFmpeg(['-i', 'input.mp4', '-map', '0:v:0', '-c', 'copy', '-f', 'framecrc', 'probe.crc'], signal);
+            const probe = parseFFmpegProbe(logLines, await this.ffmpeg.readFile('probe.crc', 'utf8'));
+            console.log(`🔎 Probed ${probe.codec} ${probe.width}x${probe.height}, rotation ${probe.rotation}°, ${probe.isVariableFrameRate ? 'variable' : 'constant'} frame rate`);
+            return probe;
+        } catch (error) {
+            if (error?.name === 'AbortError') {
+                throw error;
+            }
+            console.warn('⚠️ Could not probe the video with FFmpeg:', error.message);
+            return null;
+        } finally {
+            this.ffmpeg.off('log', onLog);
+            try {
+                await this.ffmpeg.deleteFile('probe.crc');
+            } catch (deleteError) {
+                // Nothing was written
+            }
+        }
+    }
+
+    /**
+     * Reconstruction without FFmpeg: GIF and APNG in JavaScript, video with
+     * WebCodecs where the browser supports it, MediaRecorder otherwise.
+     * Takes the same options as reconstructVideo().
+     */
+    async reconstructVideoWithoutFFmpeg(processedFrames, fps = 5, signal = null, options = {}) {
+        const info = formatInfo[options.format] || formatInfo[outputFormats.MP4];
+
+        if (this.useWebCodecs && !info.isAnimation) {
+            try {
+                return await this.reconstructVideoWebCodecs(processedFrames, fps, signal, options);
+            } catch (error) {
+                if (error?.name === 'AbortError') {
+                    throw error;
+                }
+                console.warn('⚠️ WebCodecs reconstruction failed, using MediaRecorder:', error.message);
+            }
+        }
+
+        return await this.reconstructVideoFallback(processedFrames, fps, signal, options);
+    }
+
+    /**
+     * Video reconstruction with WebCodecs: frames are encoded with explicit
+     * timestamps as fast as the encoder allows (not in real time like
+     * MediaRecorder) and muxed into MP4 or WebM in JavaScript. The source
+     * audio is copied when the container takes its codec, re-encoded otherwise.
+     */
+    async reconstructVideoWebCodecs(processedFrames, fps = 5, signal = null, options = {}) {
+        const { audioSource = null, audioStart = 0, output = null, format = outputFormats.MP4, timeline = null } = options;
+
+        if (!processedFrames || processedFrames.length === 0) {
+            throw new Error('No processed frames provided for reconstruction');
+        }
+
+        if (this.onStageChange) this.onStageChange('reconstructing_video');
+
+        const firstImage = await this.loadProcessedFrameImage(processedFrames[0]);
+        const width = output ? output.width : firstImage.width;
+        const height = output ? output.height : firstImage.height;
+        const canvas = this.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        const blob = await encodeFrames({
+            format,
+            width,
+            height,
+            fps,
+            frameCount: processedFrames.length,
+            timeline: timeline || (hasFrameTiming(processedFrames) ? getFrameTimeline(processedFrames, fps) : null),
+            audioSource,
+            audioStart,
+            checkAbort: () => this.throwIfAborted(signal),
+            drawFrame: async (index) => {
+                const img = await this.loadProcessedFrameImage(processedFrames[index]);
+                ctx.clearRect(0, 0, width, height);
+                if (output) {
+                    drawToOutput(ctx, img, img.width, img.height, output);
+                } else {
+                    ctx.drawImage(img, 0, 0, width, height);
+                }
+                return canvas;
+            }
+        });
+
+        console.log(`✅ Video reconstruction complete: ${(blob.size / 1024 / 1024).toFixed(2)}MB`);
+        return blob;
+    }
+
+    /**
+     * Fallback video reconstruction using MediaRecorder API
+     *
+     * Takes the same options as reconstructVideo(). Records faster than real
+     * time when it can (see recordFramesFast); otherwise frames are drawn on a
+     * timer and, when `audioSource` is given, its audio is decoded with WebAudio
+     * and recorded alongside the canvas stream. GIF and APNG are encoded in
+     * JavaScript instead.
+     */
+    async reconstructVideoFallback(processedFrames, fps = 5, signal = null, options = {}) {
+        const { audioSource = null, audioStart = 0, output = null, format = outputFormats.MP4, timeline: frameTimeline = null } = options;
+        const info = formatInfo[format] || formatInfo[outputFormats.MP4];
+
+        if (info.isAnimation) {
+            return await this.encodeAnimation(processedFrames, fps, signal, output, format, frameTimeline);
+        }
+
+        const fastRecording = processedFrames?.length ? await this.getFastRecordingPlan(format, audioSource) : null;
+        if (fastRecording) {
+            try {
+                return await this.recordFramesFast(processedFrames, fps, signal, { ...options, audioMedia: fastRecording.audioMedia });
+            } catch (error) {
+                if (error?.name === 'AbortError') {
+                    throw error;
+                }
+                console.warn('⚠️ Fast recording failed, recording in real time:', error.message);
+            }
+        }
+
+        const timeline = processedFrames?.length ? frameTimeline || getFrameTimeline(processedFrames, fps) : [];
+        const audio = audioSource && processedFrames?.length
+            ? await this.createAudioTrack(audioSource, getTimelineDuration(timeline), audioStart)
+            : null;
+
+        return new Promise((resolve, reject) => {
+            try {
+                console.log('🔄 Starting fallback video reconstruction...');
+                console.log(`📊 Processed frames count: ${processedFrames.length}`);
+                console.log(`📊 Frame structure:`, processedFrames[0]);
+
+                const canvas = document.createElement('canvas');
+                const ctx = canvas.getContext('2d');
+
+                // Validate frames
+                if (!processedFrames || processedFrames.length === 0) {
+                    reject(new Error('No processed frames provided for reconstruction'));
+                    return;
+                }
+
+                // Get first frame to determine canvas size
                 const firstFrame = processedFrames[0];
 
                 // Handle different frame structures
@@ -1188,9 +1872,9 @@ class VideoProcessor {
 
                 img.onload = () => {
                     try {
-                        console.log(`📐 Canvas size: ${img.width}x${img.height}`);
-                        canvas.width = img.width;
-                        canvas.height = img.height;
+                        canvas.width = output ? output.width : img.width;
+                        canvas.height = output ? output.height : img.height;
+                        console.log(`📐 Canvas size: ${canvas.width}x${canvas.height}`);
 
                         // Check if browser supports video recording
                         if (!canvas.captureStream) {
@@ -1216,30 +1900,16 @@ class VideoProcessor {
 
                         console.log(`📹 Video stream created with ${stream.getVideoTracks().length} video tracks`);
 
-                        // Create MediaRecorder with fallback options
-                        let mediaRecorder;
-                        const mimeTypes = [
-                            'video/webm;codecs=vp9',
-                            'video/webm;codecs=vp8',
-                            'video/webm',
-                            'video/mp4'
-                        ];
-
-                        for (const mimeType of mimeTypes) {
-                            if (MediaRecorder.isTypeSupported(mimeType)) {
-                                try {
-                                    mediaRecorder = new MediaRecorder(stream, { mimeType });
-                                    console.log(`📹 Using MediaRecorder with: ${mimeType}`);
-                                    break;
-                                } catch (recorderError) {
-                                    console.warn(`⚠️ Failed to create MediaRecorder with ${mimeType}:`, recorderError);
-                                    continue;
-                                }
-                            }
+                        if (audio) {
+                            stream.addTrack(audio.track);
+                            console.log('🔊 Added the original audio track to the stream');
                         }
 
-                        if (!mediaRecorder) {
-                            reject(new Error('MediaRecorder not supported with any available codec'));
+                        let mediaRecorder;
+                        try {
+                            mediaRecorder = this.createMediaRecorder(stream, format);
+                        } catch (recorderError) {
+                            reject(recorderError);
                             return;
                         }
 
@@ -1253,6 +1923,13 @@ class VideoProcessor {
 
                         mediaRecorder.onstop = () => {
                             try {
+                                if (audio) audio.stop();
+
+                                if (signal?.aborted) {
+                                    reject(this.createAbortError(signal));
+                                    return;
+                                }
+
                                 console.log(`📹 Recording stopped, ${chunks.length} chunks collected`);
                                 if (chunks.length === 0) {
                                     reject(new Error('No video data was recorded'));
@@ -1279,8 +1956,10 @@ class VideoProcessor {
                         // Start recording
                         try {
                             mediaRecorder.start(100); // Record in 100ms chunks
+                            if (audio) audio.start();
                             console.log('📹 Recording started');
                         } catch (startError) {
+                            if (audio) audio.stop();
                             console.error('❌ Failed to start recording:', startError);
                             reject(new Error(`Failed to start recording: ${startError.message}`));
                             return;
@@ -1288,10 +1967,10 @@ class VideoProcessor {
 
                         // Draw frames to canvas
                         let frameIndex = 0;
-                        const frameInterval = 1000 / fps;
 
                         const drawNextFrame = () => {
-                            if (frameIndex >= processedFrames.length) {
+                            // Stopping the recorder early rejects from onstop with an AbortError
+                            if (signal?.aborted || frameIndex >= processedFrames.length) {
                                 // Stop recording
                                 try {
                                     console.log('🎬 All frames processed, stopping recording...');
@@ -1327,9 +2006,13 @@ class VideoProcessor {
                             frameImg.onload = () => {
                                 try {
                                     ctx.clearRect(0, 0, canvas.width, canvas.height);
-                                    ctx.drawImage(frameImg, 0, 0);
+                                    if (output) {
+                                        drawToOutput(ctx, frameImg, frameImg.width, frameImg.height, output);
+                                    } else {
+                                        ctx.drawImage(frameImg, 0, 0);
+                                    }
+                                    setTimeout(drawNextFrame, timeline[frameIndex].duration * 1000);
                                     frameIndex++;
-                                    setTimeout(drawNextFrame, frameInterval);
                                 } catch (drawError) {
                                     console.error('❌ Error drawing frame:', drawError);
                                     reject(new Error(`Frame drawing failed: ${drawError.message}`));
@@ -1377,19 +2060,378 @@ class VideoProcessor {
                 console.error('❌ Error in reconstructVideoFallback setup:', error);
                 reject(new Error(`Video reconstruction setup failed: ${error.message || error.toString()}`));
             }
+        }).finally(() => {
+            if (audio) audio.stop();
+        });
+    }
+
+    /**
+     * Whether the fallback can record faster than real time: the canvas track
+     * must take requestFrame(), the recorder must write WebM (which gets
+     * retimed afterwards) and the source audio, if any, must be copyable into
+     * it. Resolves to { audioMedia } (the demuxed source or null), or null.
+     */
+    async getFastRecordingPlan(format, audioSource) {
+        if (typeof CanvasCaptureMediaStreamTrack === 'undefined' ||
+            typeof CanvasCaptureMediaStreamTrack.prototype.requestFrame !== 'function') {
+            return null;
+        }
+
+        const [mimeType] = this.getRecorderMimeTypes(format);
+        if (!mimeType?.startsWith('video/webm')) {
+            return null;
+        }
+
+        if (!audioSource) {
+            return { audioMedia: null };
+        }
+
+        try {
+            const audioMedia = await demuxVideoFile(audioSource);
+            if (audioMedia.audio && !canCopyAudio(audioMedia.audio.codec, outputFormats.WEBM)) {
+                return null;
+            }
+            return { audioMedia };
+        } catch (error) {
+            // Source audio can only be kept through WebAudio in real time
+            return null;
+        }
+    }
+
+    /**
+     * Record the frames with MediaRecorder faster than real time. The canvas
+     * track runs at 0 fps and each frame is pushed with requestFrame() at a
+     * fixed pace, then the recording is retimed so every frame lasts exactly
+     * 1 / fps (or its own duration) and the source audio is copied in (see remux.js).
+     */
+    async recordFramesFast(processedFrames, fps, signal, options = {}) {
+        const { output = null, format = outputFormats.MP4, audioStart = 0, audioMedia = null, timeline: frameTimeline = null } = options;
+
+        if (this.onStageChange) this.onStageChange('reconstructing_video');
+        console.log(`⏩ Recording ${processedFrames.length} frames faster than real time...`);
+
+        const firstImage = await this.loadProcessedFrameImage(processedFrames[0]);
+        const canvas = document.createElement('canvas');
+        canvas.width = output ? output.width : firstImage.width;
+        canvas.height = output ? output.height : firstImage.height;
+        const ctx = canvas.getContext('2d');
+
+        const stream = canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const mediaRecorder = this.createMediaRecorder(stream, format);
+        const chunks = [];
+        let recordingError = null;
+
+        const stopped = new Promise((resolve) => {
+            mediaRecorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+            mediaRecorder.onerror = (event) => {
+                recordingError = new Error(`MediaRecorder error: ${event.error?.message || 'Unknown recording error'}`);
+            };
+            mediaRecorder.onstop = resolve;
         });
+
+        const startedAt = performance.now();
+        const frameDelay = Math.min(FAST_RECORDING_FRAME_MS, 1000 / fps);
+
+        try {
+            mediaRecorder.start();
+
+            for (const frame of processedFrames) {
+                this.throwIfAborted(signal);
+                if (recordingError) throw recordingError;
+
+                const img = await this.loadProcessedFrameImage(frame);
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                if (output) {
+                    drawToOutput(ctx, img, img.width, img.height, output);
+                } else {
+                    ctx.drawImage(img, 0, 0);
+                }
+                track.requestFrame();
+
+                await new Promise(resolve => setTimeout(resolve, frameDelay));
+            }
+        } finally {
+            if (mediaRecorder.state !== 'inactive') mediaRecorder.stop();
+            stream.getTracks().forEach(streamTrack => streamTrack.stop());
+        }
+
+        await stopped;
+        if (recordingError) throw recordingError;
+
+        const recording = new Blob(chunks, { type: mediaRecorder.mimeType || 'video/webm' });
+        const timeline = frameTimeline || getFrameTimeline(processedFrames, fps);
+        const { blob, frameCount } = await retimeRecording(recording, fps, { timeline, audioMedia, audioStart });
+
+        // Every frame has to be there for the timing to be right
+        if (frameCount !== processedFrames.length) {
+            throw new Error(`Recorder kept ${frameCount} of ${processedFrames.length} frames`);
+        }
+
+        const seconds = (performance.now() - startedAt) / 1000;
+        console.log(`✅ Recorded ${getTimelineDuration(timeline).toFixed(1)}s of video in ${seconds.toFixed(1)}s: ${(blob.size / 1024 / 1024).toFixed(2)}MB`);
+        return blob;
+    }
+
+    /**
+     * MediaRecorder mime types this browser supports, the requested format's
+     * first and then any other video format
+     */
+    getRecorderMimeTypes(format = outputFormats.MP4) {
+        const info = formatInfo[format] || formatInfo[outputFormats.MP4];
+        return [
+            ...info.recorderMimeTypes,
+            ...formatInfo[outputFormats.WEBM].recorderMimeTypes,
+            ...formatInfo[outputFormats.MP4].recorderMimeTypes
+        ].filter((mimeType, index, all) => all.indexOf(mimeType) === index && MediaRecorder.isTypeSupported(mimeType));
+    }
+
+    /**
+     * Create a MediaRecorder for a stream, trying the requested format first and
+     * then any other video format the browser can record
+     */
+    createMediaRecorder(stream, format = outputFormats.MP4) {
+        const info = formatInfo[format] || formatInfo[outputFormats.MP4];
+
+        for (const mimeType of this.getRecorderMimeTypes(format)) {
+            try {
+                const mediaRecorder = new MediaRecorder(stream, { mimeType });
+                console.log(`📹 Using MediaRecorder with: ${mimeType}`);
+
+                if (!mediaRecorder.mimeType.startsWith(info.mimeType)) {
+                    console.warn(`⚠️ This browser can't record ${info.label} - saving as ${mediaRecorder.mimeType} instead`);
+                }
+                return mediaRecorder;
+            } catch (recorderError) {
+                console.warn(`⚠️ Failed to create MediaRecorder with ${mimeType}:`, recorderError);
+            }
+        }
+
+        throw new Error('MediaRecorder not supported with any available codec');
+    }
+
+    /**
+     * Encode processed frames as an animated GIF or APNG in JavaScript
+     */
+    async encodeAnimation(processedFrames, fps, signal, output, format, frameTimeline = null) {
+        if (!processedFrames || processedFrames.length === 0) {
+            throw new Error('No processed frames provided for reconstruction');
+        }
+
+        if (this.onStageChange) this.onStageChange('reconstructing_video');
+        console.log(`🎞️ Encoding ${processedFrames.length} frames as ${formatInfo[format].label} in JavaScript...`);
+
+        const firstImage = await this.loadProcessedFrameImage(processedFrames[0]);
+        const width = output ? output.width : firstImage.width;
+        const height = output ? output.height : firstImage.height;
+        const canvas = this.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        const readFrame = async (frame) => {
+            this.throwIfAborted(signal);
+            const img = await this.loadProcessedFrameImage(frame);
+            if (output) {
+                drawToOutput(ctx, img, img.width, img.height, output);
+            } else {
+                ctx.drawImage(img, 0, 0, width, height);
+            }
+            return ctx.getImageData(0, 0, width, height);
+        };
+
+        let encoder;
+        if (format === outputFormats.GIF) {
+            // First pass: one palette for the whole animation
+            const paletteBuilder = new GifPaletteBuilder(processedFrames.length);
+            for (const frame of processedFrames) {
+                paletteBuilder.addFrame(await readFrame(frame));
+            }
+            encoder = new GifEncoder(width, height, paletteBuilder.build(), { fps });
+        } else {
+            encoder = new ApngEncoder(width, height, processedFrames.length, { fps });
+        }
+
+        const timeline = frameTimeline || getFrameTimeline(processedFrames, fps);
+        for (let i = 0; i < processedFrames.length; i++) {
+            await encoder.addFrame(await readFrame(processedFrames[i]), timeline[i].duration);
+        }
+
+        const blob = encoder.finish();
+        console.log(`✅ ${formatInfo[format].label} encoding complete: ${(blob.size / 1024 / 1024).toFixed(2)}MB`);
+        return blob;
+    }
+
+    /**
+     * Processed frames as { name, blob } PNGs, read out of the FFmpeg FS where
+     * needed, with their timing when they have one
+     */
+    async collectProcessedFrames(processedFrames) {
+        const frames = [];
+        for (const frame of processedFrames) {
+            if (typeof frame === 'string') {
+                const frameData = await this.ffmpeg.readFile(frame);
+                frames.push({ name: frame, blob: new Blob([frameData.buffer], { type: 'image/png' }) });
+            } else {
+                frames.push({
+                    name: frame.name,
+                    blob: frame.blob || new Blob([frame.data], { type: 'image/png' }),
+                    ...this.getFrameTiming(frame)
+                });
+            }
+        }
+        return frames;
+    }
+
+    /**
+     * The { timestamp, duration } of a fallback frame that has them, {} otherwise
+     */
+    getFrameTiming(frame) {
+        return Number.isFinite(frame.duration)
+            ? { timestamp: frame.timestamp, duration: frame.duration }
+            : {};
+    }
+
+    /**
+     * Load a processed frame (an FFmpeg FS name, or a { blob } / { data } frame) as an image
+     */
+    async loadProcessedFrameImage(frame) {
+        if (typeof frame === 'string' || frame.blob) {
+            return await this.loadFrameImage(frame);
+        }
+        return await this.createImageFromBlob(new Blob([frame.data], { type: 'image/png' }));
+    }
+
+    /**
+     * Decode the audio of a video file with WebAudio and expose it as a
+     * MediaStream track that plays `duration` seconds from `offset` once started.
+     * Returns null when the file has no (decodable) audio.
+     */
+    async createAudioTrack(videoFile, duration, offset = 0) {
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) {
+            console.warn('⚠️ WebAudio not available - output will have no audio');
+            return null;
+        }
+
+        const audioContext = new AudioContextClass();
+        try {
+            const audioBuffer = await audioContext.decodeAudioData(await videoFile.arrayBuffer());
+            const destination = audioContext.createMediaStreamDestination();
+            const source = audioContext.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(destination);
+
+            let stopped = false;
+            console.log(`🔊 Decoded ${audioBuffer.duration.toFixed(1)}s of source audio`);
+
+            return {
+                track: destination.stream.getAudioTracks()[0],
+                start: () => {
+                    audioContext.resume();
+                    source.start(0, offset, Math.max(0, Math.min(duration, audioBuffer.duration - offset)));
+                },
+                stop: () => {
+                    if (stopped) return;
+                    stopped = true;
+                    try {
+                        source.stop();
+                    } catch (stopError) {
+                        // Source was never started
+                    }
+                    destination.stream.getTracks().forEach(track => track.stop());
+                    audioContext.close();
+                }
+            };
+        } catch (error) {
+            console.log('🔇 No audio track to keep:', error?.message || error);
+            audioContext.close();
+            return null;
+        }
     }
 
     /**
      * Process entire video workflow with optimizations
+     *
+     * The returned promise stays pending while the job is paused and rejects
+     * with an AbortError if the job is cancelled (via cancel() or options.signal).
      */
     async processVideo(videoFile, styleData, options = {}) {
-        const { fps = 5, onFrameProgress, styleRatio = 1.0 } = options;
+        const { signal = null } = options;
+
+        // An external signal (e.g. from a caller's AbortController) cancels the job
+        const onExternalAbort = () => this.cancel();
+        signal?.addEventListener('abort', onExternalAbort, { once: true });
+
+        let resume = false;
 
         try {
-            console.log(`🎬 Starting video processing: ${videoFile.name} (${(videoFile.size / 1024 / 1024).toFixed(1)}MB)`);
+            while (true) {
+                this.abortController = new AbortController();
+
+                try {
+                    return await this.processVideoJob(videoFile, styleData, options, this.abortController.signal, resume);
+                } catch (error) {
+                    if (error?.name !== 'AbortError' || this.abortController.signal.reason !== abortReasons.PAUSE) {
+                        throw error;
+                    }
+                }
+
+                // Paused - wait until resume() or cancel() is called
+                console.log(`⏸️ Processing paused with ${this.pausedJob?.processedFrames.length || 0} frames kept`);
+                if (this.onStageChange) this.onStageChange('paused');
+
+                resume = await new Promise(resolve => {
+                    this.resumeWaiter = resolve;
+                });
+                this.resumeWaiter = null;
+
+                if (!resume) {
+                    await this.discardJob();
+                    throw this.createAbortError();
+                }
+
+                console.log('▶️ Resuming processing...');
+            }
+        } finally {
+            signal?.removeEventListener('abort', onExternalAbort);
+            this.abortController = null;
+            this.releaseStyleBottleneck();
+            this.releaseKeyframeTrack();
+            this.temporalStabilizer = null;
+        }
+    }
+
+    /**
+     * Run (or resume) a single processing job until it completes or is aborted
+     */
+    async processVideoJob(videoFile, styleData, options, signal, resume = false) {
+        const {
+            fps = 5,
+            onFrameProgress,
+            styleRatio = 1.0,
+            temporalStrength = 0,       // 0 disables temporal coherence mode
+            keyframes = null,           // Style keyframes over the timeline (see styleKeyframes.js)
+            keyframeInterval = 1,       // Stylize every Nth frame and interpolate the rest (1 = stylize all)
+            inbetweenMethod = inbetweenMethods.FLOW,
+            stylizeResolution = stylizeResolutions.FAST,  // Long edge in px to stylize at, 0 = native
+            output = null,              // Output geometry from getOutputGeometry(), null keeps the source size
+            trim = null,                // { start, end } segment to process in seconds, null for the whole clip
+            outputFormat = outputFormats.MP4,
+            frames = null,              // Pre-extracted frames (e.g. extracted on the main thread)
+            probe = null,               // Source probe from upload (see mediaProbe.js), FFmpeg probes when null
+            keepFrames = false,         // Also return the stylized PNG frames, for image sequence export
+            skipReconstruction = false  // Return processed frames instead of an encoded video
+        } = options;
+
+        let job;
+
+        try {
+            console.log(`🎬 ${resume ? 'Resuming' : 'Starting'} video processing: ${videoFile.name} (${(videoFile.size / 1024 / 1024).toFixed(1)}MB)`);
             console.log(`🎨 Using style: ${styleData.metadata.fileName}`);
-            console.log(`⚙️ Processing options:`, { fps, useFallback: this.useFallback, isModelReady: this.isModelReady, styleRatio });
+            console.log(`⚙️ Processing options:`, { fps, useFallback: this.useFallback, isModelReady: this.isModelReady, styleRatio, temporalStrength, keyframeInterval, stylizeResolution, output: output && `${output.width}x${output.height} ${output.fit}` });
 
             // Validate inputs
             if (!videoFile) {
@@ -1399,36 +2441,105 @@ class VideoProcessor {
                 throw new Error('No style data provided');
             }
 
-            // Extract frames
-            console.log('📸 Starting frame extraction...');
-            const frameNames = await this.extractFrames(videoFile, fps);
+            // Pick up a paused job where it left off, otherwise start fresh
+            if (resume && this.pausedJob && this.pausedJob.videoFile === videoFile) {
+                job = this.pausedJob;
+            } else {
+                await this.discardJob();
+                job = { videoFile, frameNames: null, processedFrames: [], probe: null, sourceFrameTimes: null };
+            }
+            this.pausedJob = null;
+            this.currentJob = job;
+
+            // Extract frames (unless the caller or a paused run already did)
+            if (!job.frameNames) {
+                console.log('📸 Starting frame extraction...');
+                if (!frames && !this.useFallback) {
+                    // FFmpeg needs to be told about rotation, pixel aspect ratio, colour and frame timing
+                    job.probe = probe || await this.probeWithFFmpeg(videoFile, signal);
+                    job.sourceFrameTimes = getSourceFrameTimes(job.probe, fps, trim);
+                    if (isHdrColour(job.probe?.colour)) {
+                        console.warn('⚠️ HDR source: colours are kept as they are, not tone mapped');
+                    }
+                }
+                job.frameNames = frames || await this.extractFrames(videoFile, fps, signal, output, trim, job.probe, job.sourceFrameTimes);
+            }
+            const frameNames = job.frameNames;
 
             if (!frameNames || frameNames.length === 0) {
                 throw new Error('Failed to extract any frames from video');
             }
 
             console.log(`✅ Extracted ${frameNames.length} frames`);
+            this.throwIfAborted(signal);
+
+            // Where each frame falls in the clip, for style keyframes and reconstruction.
+            // FFmpeg frames are file names, so variable frame rate timing comes from the probe.
+            let frameTiming = frameNames;
+            if (job.sourceFrameTimes) {
+                if (job.sourceFrameTimes.length === frameNames.length) {
+                    frameTiming = job.sourceFrameTimes;
+                } else {
+                    console.warn(`⚠️ Extracted ${frameNames.length} frames but the source has ${job.sourceFrameTimes.length}, using ${fps} FPS timing`);
+                }
+            }
+            const timeline = getFrameTimeline(frameTiming, fps);
 
             if (this.onStageChange) this.onStageChange('applying_style');
 
+            // One set of style features for the whole job (normally already loaded by processStyleReference)
+            if (!this.styleBottleneck) {
+                this.styleBottleneck = await this.prepareStyleBottleneck(styleData);
+            }
+
+            // Style keyframes: load the features of every keyframe's style up front
+            if (keyframes && keyframes.length > 0 && !this.keyframeTrack) {
+                this.keyframeTrack = await this.prepareKeyframeTrack(keyframes, styleData, styleRatio);
+            }
+
+            // Temporal coherence: a stabilizer that carries the previous frame across a pause
+            if (temporalStrength > 0 && !this.temporalStabilizer) {
+                console.log(`🌊 Temporal coherence mode enabled (strength ${temporalStrength})`);
+                this.temporalStabilizer = new TemporalStabilizer({ strength: temporalStrength });
+            }
+
+            // Stylization resolution: frames are tiled at their own aspect ratio above the tile size
+            this.stylizeResolution = stylizeResolution;
+            this.outputGeometry = output;
+
             // Initialize performance tracking
             this.performanceStats.totalStartTime = Date.now();
 
-            const processedFrameNames = [];
+            const processedFrameNames = job.processedFrames;
 
             // Process each frame sequentially (simplified approach)
             console.log('🎨 Starting frame processing...');
             console.log(`🧠 Neural networks ready: ${this.isModelReady}`);
             console.log(`🎨 Style reference available: ${!!styleData.image}`);
 
-            for (let i = 0; i < frameNames.length; i++) {
+            if (processedFrameNames.length > 0) {
+                console.log(`⏭️ Skipping ${processedFrameNames.length} frames processed before pausing`);
+            }
+
+            // Frame rate preservation: only keyframes go through the network (the loop
+            // below then has nothing left to do)
+            if (keyframeInterval > 1) {
+                await this.processFramesWithInbetweens(job, styleData, {
+                    timeline, styleRatio, keyframeInterval, inbetweenMethod, onFrameProgress
+                }, signal);
+            }
+
+            for (let i = processedFrameNames.length; i < frameNames.length; i++) {
+                this.throwIfAborted(signal);
+
                 const frameStartTime = Date.now();
 
                 try {
                     console.log(`🖼️ Processing frame ${i + 1}/${frameNames.length}: ${frameNames[i]}`);
 
                     const frameName = this.useFallback ? frameNames[i] : frameNames[i];
-                    const processedName = await this.processFrame(frameName, styleData, styleRatio);
+                    const frameStyleRatio = this.keyframeTrack ? this.applyKeyframes(timeline[i].time) : styleRatio;
+                    const processedName = await this.processFrame(frameName, styleData, frameStyleRatio, signal);
                     processedFrameNames.push(processedName);
 
                     // Track performance
@@ -1450,6 +2561,9 @@ class VideoProcessor {
                     }
 
                 } catch (frameError) {
+                    if (frameError?.name === 'AbortError') {
+                        throw frameError;
+                    }
                     console.error(`❌ Failed to process frame ${i + 1}:`, frameError);
                     throw new Error(`Failed to process frame ${i + 1}: ${frameError.message || frameError.toString()}`);
                 }
@@ -1464,13 +2578,27 @@ class VideoProcessor {
             console.log(`   🎯 Total frames processed: ${frameNames.length}`);
             console.log(`   🧠 Memory efficiency: ${tf.memory().numTensors} tensors remaining`);
 
+            if (skipReconstruction) {
+                return {
+                    frames: processedFrameNames,
+                    frameCount: frameNames.length,
+                    fps: fps
+                };
+            }
+
             // Reconstruct video
             console.log('🔄 Starting video reconstruction...');
             console.log(`📊 Processed frames for reconstruction:`, processedFrameNames.length);
             console.log(`📊 Sample processed frame:`, processedFrameNames[0]);
             console.log(`📊 Using fallback reconstruction: ${this.useFallback}`);
 
-            const outputBlob = await this.reconstructVideo(processedFrameNames, fps);
+            const outputBlob = await this.reconstructVideo(processedFrameNames, fps, signal, {
+                audioSource: videoFile,
+                audioStart: trim ? trim.start : 0,
+                output,
+                format: outputFormat,
+                timeline
+            });
 
             if (!outputBlob) {
                 throw new Error('Failed to reconstruct video - output blob is null');
@@ -1484,17 +2612,32 @@ class VideoProcessor {
                 fps: fps,
                 usedNeuralNetworks: this.isModelReady && styleData.image,
                 processingMethod: 'sequential',
-                styleRatio: styleRatio
+                styleRatio: styleRatio,
+                temporalStrength: temporalStrength
             });
 
             return {
                 blob: outputBlob,
                 url: URL.createObjectURL(outputBlob),
+                format: getFormatForMimeType(outputBlob.type),
+                // Stylized PNG frames for image sequence export, only when asked for
+                // since they are copied out of the FFmpeg FS and kept in memory
+                frames: keepFrames ? await this.collectProcessedFrames(processedFrameNames) : null,
                 frameCount: frameNames.length,
                 fps: fps
             };
 
         } catch (error) {
+            // Cancellation is not a failure: keep the frames when pausing, free everything otherwise
+            if (error?.name === 'AbortError') {
+                if (signal.reason === abortReasons.PAUSE && job) {
+                    this.pausedJob = job;
+                } else {
+                    await this.discardJob();
+                }
+                throw error;
+            }
+
             const errorMessage = error?.message || error?.toString() || 'Unknown error during video processing';
             console.error('❌ Video processing failed:', errorMessage);
             console.error('❌ Processing context:', {
@@ -1510,9 +2653,489 @@ class VideoProcessor {
     }
 
     /**
-     * Helper: Create image from blob
+     * Stylize a single photo at its full resolution, without frame extraction or reconstruction
+     *
+     * There is nothing to keep across a pause, so pausing or cancelling both
+     * reject with an AbortError.
+     */
+    async processImage(imageFile, styleData, options = {}) {
+        const {
+            styleRatio = 1.0,
+            stylizeResolution = stylizeResolutions.NATIVE,
+            signal: externalSignal = null
+        } = options;
+
+        if (!imageFile) {
+            throw new Error('No image file provided');
+        }
+        if (!styleData) {
+            throw new Error('No style data provided');
+        }
+
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+        const onExternalAbort = () => this.cancel();
+        externalSignal?.addEventListener('abort', onExternalAbort, { once: true });
+
+        try {
+            console.log(`🖼️ Stylizing image: ${imageFile.name} (${(imageFile.size / 1024 / 1024).toFixed(1)}MB)`);
+            if (this.onStageChange) this.onStageChange('applying_style');
+
+            if (!this.styleBottleneck) {
+                this.styleBottleneck = await this.prepareStyleBottleneck(styleData);
+            }
+
+            // The whole photo is stylized; there is no output geometry to letterbox into
+            this.stylizeResolution = stylizeResolution;
+            this.outputGeometry = null;
+
+            const img = await this.createImageFromBlob(imageFile);
+            const startTime = Date.now();
+            const canvas = await this.stylizeFrame(img, styleData, styleRatio, signal);
+            this.throwIfAborted(signal);
+
+            const blob = await this.canvasToBlob(canvas);
+            console.log(`✅ Image stylized in ${((Date.now() - startTime) / 1000).toFixed(2)}s at ${canvas.width}x${canvas.height}`);
+
+            return {
+                blob,
+                url: URL.createObjectURL(blob),
+                isImage: true,
+                width: canvas.width,
+                height: canvas.height,
+                frameCount: 1
+            };
+        } catch (error) {
+            if (error?.name === 'AbortError') {
+                throw this.createAbortError();
+            }
+            throw new Error(`Image processing failed: ${error?.message || error}`);
+        } finally {
+            externalSignal?.removeEventListener('abort', onExternalAbort);
+            this.abortController = null;
+            this.releaseStyleBottleneck();
+        }
+    }
+
+    /**
+     * Get the style features for a job: a single style, or the weighted sum of a blend's styles
+     */
+    async prepareStyleBottleneck(styleData) {
+        if (styleData.blend && styleData.blend.length > 1) {
+            return await this.loadBlendedStyleBottleneck(styleData);
+        }
+        return await this.loadStyleBottleneck(styleData);
+    }
+
+    /**
+     * Mix the style features of several style images by weight
+     */
+    async loadBlendedStyleBottleneck(styleData) {
+        if (!this.isModelReady || !this.styleModel || this.usingSingleHubModel) {
+            console.log('ℹ️ Style blending needs the neural models, using the first style only');
+            return null;
+        }
+
+        const components = styleData.blend.filter(component => component.weight > 0);
+        const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+        let mixed = null;
+
+        for (const component of components) {
+            if (!component.image) {
+                component.image = await this.createImageFromBlob(component.file);
+            }
+
+            const bottleneck = await this.loadStyleBottleneck(component);
+            if (!bottleneck) {
+                if (mixed) mixed.dispose();
+                return null;
+            }
+
+            const weight = component.weight / totalWeight;
+            console.log(`🎨 Blending ${component.metadata.fileName} at ${Math.round(weight * 100)}%`);
+
+            const scaled = bottleneck.mul(weight);
+            bottleneck.dispose();
+
+            if (mixed) {
+                const sum = tf.add(mixed, scaled);
+                mixed.dispose();
+                scaled.dispose();
+                mixed = sum;
+            } else {
+                mixed = scaled;
+            }
+        }
+
+        return mixed;
+    }
+
+    /**
+     * Get the style features for a style image, from the cache when this image was used before
+     */
+    async loadStyleBottleneck(styleData) {
+        if (!this.isModelReady || !this.styleModel || this.usingSingleHubModel || !styleData.image) {
+            return null;
+        }
+
+        try {
+            if (!styleData.styleKey) {
+                styleData.styleKey = await hashStyleImage(styleData.file);
+            }
+
+            const cached = getStyleFeatures(styleData.styleKey);
+            if (cached) {
+                console.log(`♻️ Using cached style features for: ${styleData.metadata.fileName}`);
+                return tf.tensor(cached.data, cached.shape);
+            }
+        } catch (cacheError) {
+            console.warn('⚠️ Style feature cache unavailable:', cacheError.message);
+        }
+
+        const bottleneck = this.computeStyleBottleneck(styleData);
+        if (bottleneck && styleData.styleKey) {
+            setStyleFeatures(styleData.styleKey, {
+                shape: bottleneck.shape,
+                data: await bottleneck.data()
+            });
+        }
+        return bottleneck;
+    }
+
+    /**
+     * Run the style network on the style image
+     */
+    computeStyleBottleneck(styleData) {
+        if (!this.isModelReady || !this.styleModel || this.usingSingleHubModel || !styleData.image) {
+            return null;
+        }
+
+        const styleSize = 256;
+        const styleCanvas = this.createCanvas(styleSize, styleSize);
+        styleCanvas.getContext('2d').drawImage(styleData.image, 0, 0, styleSize, styleSize);
+
+        let styleTensor;
+        try {
+            styleTensor = tf.browser.fromPixels(styleCanvas)
+                .toFloat()
+                .div(tf.scalar(255))
+                .expandDims();
+
+            const bottleneck = this.styleModel.predict(styleTensor);
+            console.log(`🎨 Style features computed: [${bottleneck.shape}]`);
+            return bottleneck;
+
+        } catch (error) {
+            console.warn('⚠️ Failed to precompute style features, computing per frame instead:', error.message);
+            return null;
+        } finally {
+            if (styleTensor) styleTensor.dispose();
+        }
+    }
+
+    /**
+     * Free the job's style features tensor (the cache keeps a copy)
+     */
+    releaseStyleBottleneck() {
+        if (this.styleBottleneck) {
+            this.styleBottleneck.dispose();
+            this.styleBottleneck = null;
+        }
+    }
+
+    /**
+     * Load the style features for every keyframe
+     */
+    async prepareKeyframeTrack(keyframes, styleData, styleRatio) {
+        const track = [];
+
+        for (const keyframe of normalizeKeyframes(keyframes, styleRatio)) {
+            let bottleneck = this.styleBottleneck;
+            let ownsBottleneck = false;
+
+            if (keyframe.style) {
+                if (!keyframe.style.image) {
+                    keyframe.style.image = await this.createImageFromBlob(keyframe.style.file);
+                }
+                bottleneck = await this.prepareStyleBottleneck(keyframe.style);
+                ownsBottleneck = !!bottleneck;
+            }
+
+            track.push({ ...keyframe, bottleneck, ownsBottleneck });
+        }
+
+        console.log(`🎞️ Prepared ${track.length} style keyframes:`, track.map(keyframe =>
+            `${keyframe.time.toFixed(1)}s @ ${Math.round(keyframe.styleRatio * 100)}% (${keyframe.style?.metadata?.fileName || 'main style'}, ${keyframe.transition})`
+        ));
+        return track;
+    }
+
+    /**
+     * Set up the style features for the frame at `time` and return its style ratio
+     */
+    applyKeyframes(time) {
+        const { from, to, amount } = sampleKeyframes(this.keyframeTrack, time);
+
+        if (this.frameBottleneck) {
+            this.frameBottleneck.dispose();
+            this.frameBottleneck = null;
+        }
+
+        if (from.bottleneck && to.bottleneck) {
+            this.frameBottleneck = amount > 0 && from.bottleneck !== to.bottleneck
+                ? tf.tidy(() => from.bottleneck.mul(1 - amount).add(to.bottleneck.mul(amount)))
+                : from.bottleneck.clone();
+        }
+
+        return lerp(from.styleRatio, to.styleRatio, amount);
+    }
+
+    /**
+     * Free the style features held by the keyframe track
+     */
+    releaseKeyframeTrack() {
+        if (this.frameBottleneck) {
+            this.frameBottleneck.dispose();
+            this.frameBottleneck = null;
+        }
+        if (this.keyframeTrack) {
+            this.keyframeTrack
+                .filter(keyframe => keyframe.ownsBottleneck)
+                .forEach(keyframe => keyframe.bottleneck.dispose());
+            this.keyframeTrack = null;
+        }
+    }
+
+    /**
+     * Blend a stylized frame with the previous one when temporal coherence mode is on
+     */
+    applyTemporalCoherence(img, processedCanvas) {
+        if (!this.temporalStabilizer) {
+            return processedCanvas;
+        }
+
+        const { width, height } = processedCanvas;
+        const processedCtx = processedCanvas.getContext('2d');
+        const styled = processedCtx.getImageData(0, 0, width, height);
+        const source = this.readPixels(img, width, height);
+
+        processedCtx.putImageData(this.temporalStabilizer.stabilize(source, styled), 0, 0);
+        return processedCanvas;
+    }
+
+    /**
+     * Stylize every `keyframeInterval`-th frame and fill the frames in between
+     * by interpolation, so the output keeps the extraction frame rate
+     */
+    async processFramesWithInbetweens(job, styleData, options, signal) {
+        const { timeline, styleRatio, keyframeInterval, inbetweenMethod, onFrameProgress } = options;
+        const frameNames = job.frameNames;
+        const processedFrames = job.processedFrames;
+        const lastIndex = frameNames.length - 1;
+        const interpolator = new FrameInterpolator(inbetweenMethod);
+
+        console.log(`🎞️ Stylizing every ${keyframeInterval}th frame, filling in-betweens by ${inbetweenMethod}`);
+
+        const reportProgress = () => {
+            if (onFrameProgress) {
+                onFrameProgress({
+                    current: processedFrames.length,
+                    total: frameNames.length,
+                    progress: (processedFrames.length / frameNames.length) * 100
+                });
+            }
+        };
+
+        while (processedFrames.length < frameNames.length) {
+            this.throwIfAborted(signal);
+
+            // The previous stylized keyframe is kept on the job so a pause doesn't lose it
+            const previous = job.previousKeyframe;
+            const index = previous ? Math.min(lastIndex, previous.index + keyframeInterval) : 0;
+
+            console.log(`🖼️ Stylizing keyframe ${index + 1}/${frameNames.length}: ${frameNames[index]}`);
+            const img = await this.loadFrameImage(frameNames[index]);
+            const frameStyleRatio = this.keyframeTrack ? this.applyKeyframes(timeline[index].time) : styleRatio;
+            const styledCanvas = await this.stylizeFrame(img, styleData, frameStyleRatio, signal);
+            const { width, height } = styledCanvas;
+            const keyframe = interpolator.createKeyframe(
+                this.readPixels(img, width, height),
+                styledCanvas.getContext('2d').getImageData(0, 0, width, height)
+            );
+
+            for (let i = processedFrames.length; i < index; i++) {
+                this.throwIfAborted(signal);
+
+                const source = this.readPixels(await this.loadFrameImage(frameNames[i]), width, height);
+                const amount = (i - previous.index) / (index - previous.index);
+                const inbetween = interpolator.interpolate(source, previous.keyframe, keyframe, amount);
+
+                processedFrames.push(await this.storeProcessedFrame(frameNames[i], this.pixelsToCanvas(inbetween)));
+                reportProgress();
+            }
+
+            processedFrames.push(await this.storeProcessedFrame(frameNames[index], styledCanvas));
+            job.previousKeyframe = { index, keyframe };
+            reportProgress();
+
+            // Small break between keyframes to keep browser responsive
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        job.previousKeyframe = null;
+        console.log(`✅ Filled ${frameNames.length - Math.ceil(frameNames.length / keyframeInterval)} in-between frames`);
+    }
+
+    /**
+     * Pause the running job - frames processed so far are kept for resume()
+     */
+    pause() {
+        if (this.abortController && !this.abortController.signal.aborted) {
+            console.log('⏸️ Pausing processing...');
+            this.abortController.abort(abortReasons.PAUSE);
+        }
+    }
+
+    /**
+     * Resume a paused job without redoing already processed frames
+     */
+    resume() {
+        if (this.resumeWaiter) {
+            this.resumeWaiter(true);
+        }
+    }
+
+    /**
+     * Cancel the running or paused job and free its tensors and files
+     */
+    cancel() {
+        if (this.resumeWaiter) {
+            this.resumeWaiter(false);
+        } else if (this.abortController && !this.abortController.signal.aborted) {
+            console.log('🛑 Cancelling processing...');
+            this.abortController.abort(abortReasons.CANCEL);
+        }
+    }
+
+    /**
+     * Free the files and frame data held by the current or paused job
+     */
+    async discardJob() {
+        const job = this.pausedJob || this.currentJob;
+        this.pausedJob = null;
+        this.currentJob = null;
+
+        if (!job) return;
+
+        // Frames live in the FFmpeg filesystem unless we used the HTML5 fallback
+        if (this.ffmpeg && this.isLoaded && !this.useFallback) {
+            const files = [
+                'input.mp4',
+                'frames.ffconcat',
+                ...Object.values(formatInfo).map(info => `output.${info.extension}`),
+                ...(job.frameNames || []),
+                ...job.processedFrames
+            ].filter(name => typeof name === 'string');
+
+            for (const file of files) {
+                try {
+                    await this.ffmpeg.deleteFile(file);
+                } catch (deleteError) {
+                    // File may not exist yet - nothing to free
+                }
+            }
+            console.log(`🧹 Removed ${files.length} files from FFmpeg FS`);
+        }
+
+        job.frameNames = null;
+        job.processedFrames = [];
+        console.log(`🧹 Job discarded, ${tf.memory().numTensors} tensors remaining`);
+    }
+
+    /**
+     * Run an FFmpeg command that can be aborted.
+     * Cancelling terminates FFmpeg (and frees its FS); pausing lets the command finish.
+     */
+    async runFFmpeg(args, signal = null) {
+        this.throwIfAborted(signal);
+
+        const onAbort = () => {
+            if (signal.reason !== abortReasons.PAUSE) {
+                console.log('🛑 Terminating FFmpeg...');
+                this.ffmpeg.terminate();
+                this.isLoaded = false;
+            }
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            await this.ffmpeg.exec(args);
+        } catch (error) {
+            this.throwIfAborted(signal);
+            throw error;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Helper: Create the error thrown when a job is paused or cancelled
+     */
+    createAbortError(signal = null) {
+        const paused = signal?.reason === abortReasons.PAUSE;
+        return new DOMException(paused ? 'Processing paused' : 'Processing cancelled', 'AbortError');
+    }
+
+    /**
+     * Helper: Throw an AbortError if the signal has been aborted
+     */
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw this.createAbortError(signal);
+        }
+    }
+
+    /**
+     * Helper: Create a canvas, using OffscreenCanvas when running inside a worker
+     */
+    createCanvas(width, height) {
+        if (typeof document === 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Draw an image at the given size and read back its RGBA pixels
+     */
+    readPixels(img, width, height) {
+        const canvas = this.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Put RGBA pixels ({ width, height, data }) on a new canvas
+     */
+    pixelsToCanvas({ width, height, data }) {
+        const canvas = this.createCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Helper: Create image from blob (ImageBitmap inside a worker)
      */
     createImageFromBlob(blob) {
+        if (typeof Image === 'undefined') {
+            return createImageBitmap(blob);
+        }
+
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => resolve(img);
@@ -1525,6 +3148,10 @@ class VideoProcessor {
      * Helper: Convert canvas to blob
      */
     canvasToBlob(canvas) {
+        if (typeof canvas.convertToBlob === 'function') {
+            return canvas.convertToBlob({ type: 'image/png' });
+        }
+
         return new Promise((resolve, reject) => {
             canvas.toBlob((blob) => {
                 if (blob) resolve(blob);
@@ -1537,6 +3164,9 @@ class VideoProcessor {
      * Clean up resources
      */
     cleanup() {
+        this.cancel();
+        this.releaseStyleBottleneck();
+        this.releaseKeyframeTrack();
         if (this.ffmpeg) {
             // FFmpeg cleanup would go here if available
             this.ffmpeg = null;
@@ -1546,4 +3176,5 @@ class VideoProcessor {
     }
 }
 
+export { abortReasons };
 export default VideoProcessor; 
\ No newline at end of file
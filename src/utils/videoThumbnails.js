@@ -0,0 +1,142 @@
+/**
+ * Video Thumbnails
+ *
+ * Builds a strip of evenly spaced thumbnails for a video file by seeking a
+ * hidden <video> element, e.g. for the trim UI, and single thumbnails of
+ * results for the history gallery.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const DEFAULT_STRIP_OPTIONS = {
+    count: 10,      // Thumbnails in the strip
+    height: 60,     // Thumbnail height in pixels (width follows the aspect ratio)
+    timeout: 15000  // Give up on a file that won't load or seek
+};
+
+/**
+ * Thumbnails ({ time, url }) spread across the video's duration. The caller
+ * owns the object URLs and should revoke them when done.
+ */
+function createThumbnailStrip(videoFile, options = {}) {
+    const { count, height, timeout } = { ...DEFAULT_STRIP_OPTIONS, ...options };
+
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const sourceUrl = URL.createObjectURL(videoFile);
+        const thumbnails = [];
+        let index = 0;
+
+        video.muted = true;
+        video.preload = 'auto';
+
+        const finish = (error) => {
+            clearTimeout(timer);
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(sourceUrl);
+
+            if (error) {
+                thumbnails.forEach(thumbnail => URL.revokeObjectURL(thumbnail.url));
+                reject(error);
+            } else {
+                resolve(thumbnails);
+            }
+        };
+
+        const timer = setTimeout(() => finish(new Error('Timed out creating video thumbnails')), timeout);
+
+        // Sample the middle of each slice so the first and last thumbnails aren't black frames
+        const getTime = (i) => ((i + 0.5) / count) * video.duration;
+
+        video.onloadedmetadata = () => {
+            if (!video.videoWidth || !video.duration) {
+                finish(new Error('Video metadata is incomplete'));
+                return;
+            }
+            canvas.height = height;
+            canvas.width = Math.max(1, Math.round((height * video.videoWidth) / video.videoHeight));
+            video.currentTime = getTime(0);
+        };
+
+        video.onseeked = () => {
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    thumbnails.push({ time: getTime(index), url: URL.createObjectURL(blob) });
+                }
+
+                index++;
+                if (index >= count) {
+                    finish();
+                } else {
+                    video.currentTime = getTime(index);
+                }
+            }, 'image/jpeg', 0.7);
+        };
+
+        video.onerror = () => finish(new Error('Could not read the video for thumbnails'));
+
+        video.src = sourceUrl;
+    });
+}
+
+const DEFAULT_RESULT_THUMBNAIL_OPTIONS = {
+    size: 320,      // Long edge in pixels
+    position: 0.25, // Point in a video to take the thumbnail from (fraction of its duration)
+    timeout: 15000
+};
+
+/**
+ * A JPEG thumbnail blob of a result: a video, an animated image or a photo
+ */
+function createResultThumbnail(blob, options = {}) {
+    const { size, position, timeout } = { ...DEFAULT_RESULT_THUMBNAIL_OPTIONS, ...options };
+    const isImage = blob.type.startsWith('image/');
+
+    return new Promise((resolve, reject) => {
+        const element = isImage ? new Image() : document.createElement('video');
+        const sourceUrl = URL.createObjectURL(blob);
+
+        const finish = (error, thumbnail) => {
+            clearTimeout(timer);
+            URL.revokeObjectURL(sourceUrl);
+            if (error) reject(error);
+            else resolve(thumbnail);
+        };
+
+        const timer = setTimeout(() => finish(new Error('Timed out creating the thumbnail')), timeout);
+
+        const draw = () => {
+            const width = isImage ? element.naturalWidth : element.videoWidth;
+            const height = isImage ? element.naturalHeight : element.videoHeight;
+            const scale = Math.min(1, size / Math.max(width, height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+            canvas.getContext('2d').drawImage(element, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob((thumbnail) => {
+                if (thumbnail) finish(null, thumbnail);
+                else finish(new Error('Could not encode the thumbnail'));
+            }, 'image/jpeg', 0.8);
+        };
+
+        if (isImage) {
+            element.onload = draw;
+        } else {
+            element.muted = true;
+            element.preload = 'auto';
+            element.onloadedmetadata = () => {
+                element.currentTime = Number.isFinite(element.duration) ? element.duration * position : 0;
+            };
+            element.onseeked = draw;
+        }
+        element.onerror = () => finish(new Error('Could not read the result for its thumbnail'));
+
+        element.src = sourceUrl;
+    });
+}
+
+export { createThumbnailStrip, createResultThumbnail };
@@ -0,0 +1,487 @@
+/**
+ * WebCodecs
+ *
+ * Frame extraction and video encoding with the browser's own codecs when
+ * FFmpeg isn't available. Frames are decoded at their real presentation
+ * timestamps (no seeking a <video> element and hoping it lands on the right
+ * frame) and encoded with explicit timestamps, so neither side runs in real
+ * time. Containers are read and written in JavaScript (mp4Demuxer.js,
+ * webmDemuxer.js, mp4Muxer.js, webmMuxer.js).
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { demuxVideoFile, canCopyAudio, getAudioCopyConfig, copyAudio } from './remux';
+import Mp4Muxer from './mp4Muxer';
+import WebmMuxer from './webmMuxer';
+import { outputFormats, formatInfo } from './outputFormats';
+import { getTimelineDuration } from './frameTiming';
+import { hasColourInfo, getWebCodecsColorSpace } from './colourSpaces';
+
+// Chunks and frames in flight before feeding waits for the codec to catch up
+const MAX_QUEUE_SIZE = 8;
+
+// A keyframe every two seconds keeps the output seekable
+const KEYFRAME_INTERVAL_SECONDS = 2;
+
+// Largest coded area (in 16x16 macroblocks) per H.264 level
+const AVC_LEVELS = [
+    { level: 0x1f, maxMacroblocks: 3600 },   // 3.1 - 1280x720
+    { level: 0x28, maxMacroblocks: 8192 },   // 4.0 - 1920x1080
+    { level: 0x32, maxMacroblocks: 22080 },  // 5.0 - 2560x1920
+    { level: 0x33, maxMacroblocks: 36864 }   // 5.1 - 4096x2304
+];
+
+const REENCODE_AUDIO_CODECS = {
+    [outputFormats.MP4]: 'mp4a.40.2',
+    [outputFormats.WEBM]: 'opus'
+};
+
+/**
+ * Whether this browser can decode and encode video with WebCodecs
+ */
+function isWebCodecsSupported() {
+    return typeof VideoDecoder !== 'undefined' &&
+        typeof VideoEncoder !== 'undefined' &&
+        typeof VideoFrame !== 'undefined' &&
+        typeof EncodedVideoChunk !== 'undefined';
+}
+
+function waitForCodec() {
+    return new Promise(resolve => setTimeout(resolve, 1));
+}
+
+function even(value) {
+    return Math.max(2, value - (value % 2));
+}
+
+function getVideoDecoderConfig(track) {
+    return {
+        codec: track.codec,
+        codedWidth: track.codedWidth,
+        codedHeight: track.codedHeight,
+        ...(track.description ? { description: track.description } : {}),
+        // The container's colour description, for streams that don't carry one
+        ...(hasColourInfo(track.colour) ? { colorSpace: getWebCodecsColorSpace(track.colour) } : {})
+    };
+}
+
+/**
+ * Decode the frames showing at each of `times` (µs, ascending) and hand
+ * them to `onFrame(frame, index)` in order. The frame showing at a time is
+ * the last one presented at or before it; times before the first frame get
+ * the first frame. The VideoFrame is closed once onFrame resolves, and an
+ * error thrown by onFrame stops decoding.
+ */
+async function decodeFramesAt(media, times, onFrame) {
+    const track = media.video;
+    if (!track?.codec) {
+        throw new Error('Video codec is not supported without FFmpeg');
+    }
+
+    const config = getVideoDecoderConfig(track);
+    const { supported } = await VideoDecoder.isConfigSupported(config);
+    if (!supported) {
+        throw new Error(`This browser can't decode ${track.codec}`);
+    }
+
+    const { samples } = track;
+    const firstTime = times[0];
+    const lastTime = times[times.length - 1];
+
+    // Start at the last keyframe presented at or before the first time
+    let startIndex = samples.findIndex(sample => sample.isKey);
+    samples.forEach((sample, index) => {
+        if (sample.isKey && sample.timestamp <= firstTime) startIndex = index;
+    });
+    if (startIndex < 0) {
+        throw new Error('Video has no keyframes');
+    }
+
+    let nextIndex = 0;
+    let previous = null;
+    let pending = Promise.resolve();
+    let inFlight = 0;
+    let failure = null;
+
+    // Hand out `frame` for every time before `until`
+    const emitUntil = async (frame, until) => {
+        while (nextIndex < times.length && times[nextIndex] < until) {
+            await onFrame(frame, nextIndex);
+            nextIndex++;
+        }
+    };
+
+    const decoder = new VideoDecoder({
+        output: (frame) => {
+            inFlight++;
+            pending = pending.then(async () => {
+                try {
+                    if (failure) return;
+                    await emitUntil(previous || frame, frame.timestamp);
+                } catch (error) {
+                    failure = failure || error;
+                } finally {
+                    if (previous) previous.close();
+                    previous = frame;
+                    inFlight--;
+                }
+            });
+        },
+        error: (error) => {
+            failure = failure || error;
+        }
+    });
+
+    try {
+        decoder.configure(config);
+
+        for (let index = startIndex; index < samples.length; index++) {
+            const sample = samples[index];
+            if (failure || nextIndex >= times.length) break;
+            // A keyframe after the last time means every frame needed has been fed
+            if (sample.isKey && index > startIndex && sample.timestamp > lastTime) break;
+
+            decoder.decode(new EncodedVideoChunk({
+                type: sample.isKey ? 'key' : 'delta',
+                timestamp: sample.timestamp,
+                duration: sample.duration,
+                data: media.bytes.subarray(sample.offset, sample.offset + sample.size)
+            }));
+
+            while (!failure && (decoder.decodeQueueSize > MAX_QUEUE_SIZE || inFlight > MAX_QUEUE_SIZE)) {
+                await waitForCodec();
+            }
+        }
+
+        if (!failure) {
+            await decoder.flush();
+        }
+        await pending;
+
+        // The last frame shows until the end
+        if (!failure && previous) {
+            await emitUntil(previous, Infinity);
+        }
+    } catch (error) {
+        failure = failure || error;
+        await pending;
+    } finally {
+        if (previous) previous.close();
+        if (decoder.state !== 'closed') decoder.close();
+    }
+
+    if (failure) {
+        throw failure;
+    }
+    return nextIndex;
+}
+
+/**
+ * An H.264 codec string with a level that fits the frame size
+ */
+function getAvcCodecs(width, height) {
+    const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+    const { level } = AVC_LEVELS.find(entry => macroblocks <= entry.maxMacroblocks) || AVC_LEVELS[AVC_LEVELS.length - 1];
+    const levelHex = level.toString(16).padStart(2, '0');
+
+    // High, Main, then Constrained Baseline profile
+    return [`avc1.6400${levelHex}`, `avc1.4d00${levelHex}`, `avc1.42e0${levelHex}`];
+}
+
+/**
+ * The first encoder config this browser supports for the format, trying the
+ * other video format if it can't encode the requested one.
+ * Resolves to { format, config } or null.
+ */
+async function findVideoEncoderConfig(format, width, height, fps) {
+    const formats = format === outputFormats.WEBM
+        ? [outputFormats.WEBM, outputFormats.MP4]
+        : [outputFormats.MP4, outputFormats.WEBM];
+
+    for (const candidate of formats) {
+        const codecs = candidate === outputFormats.MP4
+            ? getAvcCodecs(width, height)
+            : ['vp09.00.10.08', 'vp8'];
+
+        for (const codec of codecs) {
+            const config = {
+                codec,
+                width,
+                height,
+                framerate: fps,
+                bitrate: Math.max(500000, Math.round(width * height * fps * 0.1)),
+                ...(codec.startsWith('avc1') ? { avc: { format: 'avc' } } : {})
+            };
+
+            try {
+                const { supported } = await VideoEncoder.isConfigSupported(config);
+                if (supported) {
+                    return { format: candidate, config };
+                }
+            } catch (error) {
+                // Invalid for this browser - try the next one
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Decode the source audio between `start` and `end` (µs) and encode it in
+ * the output's audio codec. Resolves to null if the browser can't.
+ */
+async function createAudioReencode(media, format, start, end, checkAbort) {
+    if (typeof AudioDecoder === 'undefined' || typeof AudioEncoder === 'undefined') {
+        return null;
+    }
+
+    const track = media.audio;
+    const decoderConfig = {
+        codec: track.codec,
+        sampleRate: track.sampleRate,
+        numberOfChannels: track.numberOfChannels,
+        ...(track.description ? { description: track.description } : {})
+    };
+    const encoderConfig = {
+        codec: REENCODE_AUDIO_CODECS[format],
+        sampleRate: track.sampleRate,
+        numberOfChannels: Math.min(track.numberOfChannels, 2),
+        bitrate: 128000
+    };
+
+    try {
+        const [decoderSupport, encoderSupport] = await Promise.all([
+            AudioDecoder.isConfigSupported(decoderConfig),
+            AudioEncoder.isConfigSupported(encoderConfig)
+        ]);
+        if (!decoderSupport.supported || !encoderSupport.supported) return null;
+    } catch (error) {
+        return null;
+    }
+
+    return {
+        config: { ...encoderConfig },
+        write: async (muxer) => {
+            let failure = null;
+            const fail = (error) => {
+                failure = failure || error;
+            };
+
+            const encoder = new AudioEncoder({
+                output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+                error: fail
+            });
+            encoder.configure(encoderConfig);
+
+            const decoder = new AudioDecoder({
+                output: (data) => {
+                    try {
+                        const duration = data.numberOfFrames * 1e6 / data.sampleRate;
+                        if (failure || data.timestamp + duration <= start || data.timestamp >= end) return;
+
+                        // Re-time the audio to start at 0, keeping at most two channels
+                        const planes = [];
+                        for (let channel = 0; channel < encoderConfig.numberOfChannels; channel++) {
+                            const plane = new Float32Array(data.numberOfFrames);
+                            data.copyTo(plane, { planeIndex: channel, format: 'f32-planar' });
+                            planes.push(plane);
+                        }
+                        const samples = new Float32Array(planes.length * data.numberOfFrames);
+                        planes.forEach((plane, channel) => samples.set(plane, channel * data.numberOfFrames));
+
+                        const retimed = new AudioData({
+                            format: 'f32-planar',
+                            sampleRate: data.sampleRate,
+                            numberOfFrames: data.numberOfFrames,
+                            numberOfChannels: planes.length,
+                            timestamp: Math.max(0, data.timestamp - start),
+                            data: samples
+                        });
+                        encoder.encode(retimed);
+                        retimed.close();
+                    } catch (error) {
+                        fail(error);
+                    } finally {
+                        data.close();
+                    }
+                },
+                error: fail
+            });
+            decoder.configure(decoderConfig);
+
+            try {
+                for (const sample of media.audio.samples) {
+                    if (failure) break;
+                    if (sample.timestamp + sample.duration <= start) continue;
+                    if (sample.timestamp >= end) break;
+                    checkAbort();
+
+                    decoder.decode(new EncodedAudioChunk({
+                        type: 'key',
+                        timestamp: sample.timestamp,
+                        duration: sample.duration,
+                        data: media.bytes.subarray(sample.offset, sample.offset + sample.size)
+                    }));
+                    while (!failure && (decoder.decodeQueueSize > MAX_QUEUE_SIZE || encoder.encodeQueueSize > MAX_QUEUE_SIZE)) {
+                        await waitForCodec();
+                    }
+                }
+                if (!failure) await decoder.flush();
+                if (!failure) await encoder.flush();
+            } finally {
+                if (decoder.state !== 'closed') decoder.close();
+                if (encoder.state !== 'closed') encoder.close();
+            }
+
+            if (failure) throw failure;
+        }
+    };
+}
+
+/**
+ * How the source audio gets into the output: copied when the container
+ * takes its codec, re-encoded otherwise. Resolves to { config, write(muxer) }
+ * or null when there's no audio or it can't be kept.
+ */
+async function planAudio(audioSource, format, audioStart, duration, checkAbort) {
+    let media;
+    try {
+        media = await demuxVideoFile(audioSource);
+    } catch (error) {
+        console.warn('⚠️ Could not read the source audio, encoding video only:', error.message);
+        return null;
+    }
+
+    if (!media.audio?.codec) {
+        if (media.audio) console.warn('⚠️ Source audio codec is not supported, encoding video only');
+        return null;
+    }
+
+    const start = Math.round(audioStart * 1e6);
+    const end = start + Math.round(duration * 1e6);
+
+    if (canCopyAudio(media.audio.codec, format)) {
+        console.log(`🔊 Copying the original ${media.audio.codec} audio into the output`);
+        return {
+            config: getAudioCopyConfig(media.audio),
+            write: async muxer => copyAudio(media, muxer, start, end)
+        };
+    }
+
+    const reencode = await createAudioReencode(media, format, start, end, checkAbort);
+    if (reencode) {
+        console.log(`🔊 Re-encoding the original ${media.audio.codec} audio as ${reencode.config.codec}`);
+    } else {
+        console.warn(`⚠️ Can't re-encode ${media.audio.codec} audio for ${formatInfo[format].label}, encoding video only`);
+    }
+    return reencode;
+}
+
+/**
+ * Encode `frameCount` frames at `fps` into an MP4 or WebM file.
+ *
+ * Options:
+ * - format: outputFormats.MP4 or WEBM (the other is used if the browser can't encode it)
+ * - width, height: frame size (rounded down to even numbers)
+ * - drawFrame(index): resolves to a canvas holding frame `index`
+ * - timeline: [{ time, duration }] in seconds per frame (see frameTiming.js),
+ *   null for frames exactly 1 / fps apart
+ * - audioSource, audioStart: the original file and where its audio starts (seconds)
+ * - checkAbort(): throws to stop encoding
+ *
+ * Resolves to a Blob whose type tells the format actually written.
+ */
+async function encodeFrames({ format, width, height, fps, frameCount, drawFrame, timeline = null, audioSource = null, audioStart = 0, checkAbort = () => {} }) {
+    const frameWidth = even(width);
+    const frameHeight = even(height);
+
+    const encoderChoice = await findVideoEncoderConfig(format, frameWidth, frameHeight, fps);
+    if (!encoderChoice) {
+        throw new Error('This browser has no WebCodecs video encoder for MP4 or WebM');
+    }
+    if (encoderChoice.format !== format) {
+        console.warn(`⚠️ This browser can't encode ${formatInfo[format].label} - saving as ${formatInfo[encoderChoice.format].label} instead`);
+    }
+    const outputFormat = encoderChoice.format;
+    const { config } = encoderChoice;
+
+    const audio = audioSource
+        ? await planAudio(audioSource, outputFormat, audioStart, timeline ? getTimelineDuration(timeline) : frameCount / fps, checkAbort)
+        : null;
+
+    const Muxer = outputFormat === outputFormats.MP4 ? Mp4Muxer : WebmMuxer;
+    const muxer = new Muxer({
+        video: { codec: config.codec, width: frameWidth, height: frameHeight },
+        audio: audio?.config || null
+    });
+
+    console.log(`🎞️ Encoding ${frameCount} frames with WebCodecs (${config.codec}, ${frameWidth}x${frameHeight})`);
+
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+        error: (error) => {
+            failure = failure || error;
+        }
+    });
+
+    const frameTimes = timeline || Array.from({ length: frameCount }, (_, index) => ({ time: index / fps, duration: 1 / fps }));
+    let nextKeyframeTime = 0;
+
+    try {
+        encoder.configure(config);
+
+        for (let index = 0; index < frameCount; index++) {
+            if (failure) break;
+            checkAbort();
+
+            const { time, duration } = frameTimes[index];
+            const timestamp = Math.round(time * 1e6);
+            const canvas = await drawFrame(index);
+            const frame = new VideoFrame(canvas, {
+                timestamp,
+                duration: Math.round((time + duration) * 1e6) - timestamp,
+                // Drops the last row/column of odd-sized canvases
+                visibleRect: { x: 0, y: 0, width: frameWidth, height: frameHeight }
+            });
+
+            // A keyframe every couple of seconds (the epsilon absorbs summed durations)
+            const keyFrame = time >= nextKeyframeTime - 1e-6;
+            if (keyFrame) nextKeyframeTime = time + KEYFRAME_INTERVAL_SECONDS;
+            encoder.encode(frame, { keyFrame });
+            frame.close();
+
+            while (!failure && encoder.encodeQueueSize > MAX_QUEUE_SIZE) {
+                await waitForCodec();
+            }
+        }
+
+        if (!failure) await encoder.flush();
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+
+    if (failure) {
+        throw failure;
+    }
+
+    if (audio) {
+        try {
+            await audio.write(muxer);
+        } catch (error) {
+            if (error?.name === 'AbortError') throw error;
+            console.warn('⚠️ Could not keep the audio track, encoding video only:', error);
+            muxer.removeAudio();
+        }
+    }
+
+    return muxer.finish();
+}
+
+export {
+    isWebCodecsSupported,
+    decodeFramesAt,
+    encodeFrames
+};
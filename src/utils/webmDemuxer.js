@@ -0,0 +1,515 @@
+/**
+ * WebM Demuxer
+ *
+ * Reads the tracks and blocks of a WebM/Matroska file so its video and audio
+ * can be fed to WebCodecs decoders without FFmpeg, along with the display
+ * size, projection roll and colour of the video. Handles the unknown-size
+ * segments and clusters MediaRecorder writes, and all three lacing modes.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import {
+    getAvcCodecString,
+    getHevcCodecString,
+    getAv1CodecString,
+    getVp9CodecString,
+    getAacCodecString
+} from './codecStrings';
+
+const ids = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    DEFAULT_DURATION: 0x23E383,
+    VIDEO: 0xE0,
+    PIXEL_WIDTH: 0xB0,
+    PIXEL_HEIGHT: 0xBA,
+    DISPLAY_WIDTH: 0x54B0,
+    DISPLAY_HEIGHT: 0x54BA,
+    COLOUR: 0x55B0,
+    MATRIX_COEFFICIENTS: 0x55B1,
+    RANGE: 0x55B9,
+    TRANSFER_CHARACTERISTICS: 0x55BA,
+    PRIMARIES: 0x55BB,
+    PROJECTION: 0x7670,
+    PROJECTION_POSE_ROLL: 0x7675,
+    AUDIO: 0xE1,
+    SAMPLING_FREQUENCY: 0xB5,
+    CHANNELS: 0x9F,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    BLOCK_DURATION: 0x9B,
+    REFERENCE_BLOCK: 0xFB,
+    CUES: 0x1C53BB6B,
+    CHAPTERS: 0x1043A770,
+    TAGS: 0x1254C367,
+    ATTACHMENTS: 0x1941A469
+};
+
+// Elements that end an unknown-size cluster when they appear
+const SEGMENT_CHILDREN = new Set([
+    ids.SEEK_HEAD, ids.INFO, ids.TRACKS, ids.CLUSTER,
+    ids.CUES, ids.CHAPTERS, ids.TAGS, ids.ATTACHMENTS
+]);
+
+const trackTypes = {
+    1: 'video',
+    2: 'audio'
+};
+
+/**
+ * An EBML variable-length integer. Element IDs keep their length marker,
+ * sizes don't; an all-ones size means "unknown".
+ */
+function readVint(bytes, offset, keepMarker = false) {
+    const first = bytes[offset];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 8 && !(first & mask)) {
+        length++;
+        mask >>= 1;
+    }
+    if (length > 8) {
+        throw new Error('Invalid EBML variable-length integer');
+    }
+
+    let value = keepMarker ? first : first & (mask - 1);
+    let allOnes = (first & (mask - 1)) === mask - 1;
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        if (bytes[offset + i] !== 0xff) allOnes = false;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * The element header at offset: { id, start, end } where end is null for
+ * unknown sizes
+ */
+function readElementHeader(bytes, offset) {
+    const id = readVint(bytes, offset, true);
+    const size = readVint(bytes, offset + id.length);
+    const start = offset + id.length + size.length;
+    return { id: id.value, start, end: size.unknown ? null : start + size.value };
+}
+
+/**
+ * Child elements of a master element with a known size
+ */
+function readChildren(bytes, start, end) {
+    const children = [];
+    let offset = start;
+    while (offset < end) {
+        const element = readElementHeader(bytes, offset);
+        element.end = Math.min(element.end ?? end, end);
+        children.push(element);
+        offset = element.end;
+    }
+    return children;
+}
+
+function readUint(bytes, element) {
+    let value = 0;
+    for (let i = element.start; i < element.end; i++) {
+        value = value * 256 + bytes[i];
+    }
+    return value;
+}
+
+function readFloat(bytes, element) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + element.start, element.end - element.start);
+    return view.byteLength === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+function readString(bytes, element) {
+    return String.fromCharCode(...bytes.subarray(element.start, element.end)).replace(/\0+$/, '');
+}
+
+function copyBytes(bytes, element) {
+    return bytes.slice(element.start, element.end);
+}
+
+/**
+ * VP9 profile, level and bit depth from a CodecPrivate feature list
+ */
+function parseVp9CodecPrivate(codecPrivate) {
+    const features = {};
+    for (let offset = 0; offset + 2 < codecPrivate?.length; offset += 2 + codecPrivate[offset + 1]) {
+        const value = codecPrivate[offset + 2];
+        if (codecPrivate[offset] === 1) features.profile = value;
+        if (codecPrivate[offset] === 2) features.level = value;
+        if (codecPrivate[offset] === 3) features.bitDepth = value;
+    }
+    return features;
+}
+
+/**
+ * WebCodecs codec string and description for a Matroska codec ID
+ */
+function getTrackCodec(codecId, codecPrivate) {
+    switch (codecId) {
+        case 'V_VP8':
+            return { codec: 'vp8' };
+        case 'V_VP9':
+            return { codec: getVp9CodecString(parseVp9CodecPrivate(codecPrivate)) };
+        case 'V_AV1':
+            return { codec: codecPrivate?.length >= 4 ? getAv1CodecString(codecPrivate) : null };
+        case 'V_MPEG4/ISO/AVC':
+            return { codec: codecPrivate ? getAvcCodecString(codecPrivate) : null, description: codecPrivate };
+        case 'V_MPEGH/ISO/HEVC':
+            return { codec: codecPrivate ? getHevcCodecString(codecPrivate) : null, description: codecPrivate };
+        case 'A_OPUS':
+            return { codec: 'opus', description: codecPrivate };
+        case 'A_VORBIS':
+            return { codec: 'vorbis', description: codecPrivate };
+        default:
+            if (codecId.startsWith('A_AAC') && codecPrivate) {
+                return { codec: getAacCodecString(codecPrivate), description: codecPrivate };
+            }
+            return { codec: null };
+    }
+}
+
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Video settings: coded and display size, projection roll and colour
+ */
+function parseVideoSettings(bytes, video, track) {
+    let displayWidth = 0;
+    let displayHeight = 0;
+
+    for (const setting of readChildren(bytes, video.start, video.end)) {
+        switch (setting.id) {
+            case ids.PIXEL_WIDTH:
+                track.codedWidth = readUint(bytes, setting);
+                break;
+            case ids.PIXEL_HEIGHT:
+                track.codedHeight = readUint(bytes, setting);
+                break;
+            case ids.DISPLAY_WIDTH:
+                displayWidth = readUint(bytes, setting);
+                break;
+            case ids.DISPLAY_HEIGHT:
+                displayHeight = readUint(bytes, setting);
+                break;
+            case ids.COLOUR: {
+                // Same ISO/IEC 23091-2 code points as MP4, 2 meaning unspecified
+                const colour = { primaries: 2, transfer: 2, matrix: 2, fullRange: false };
+                for (const field of readChildren(bytes, setting.start, setting.end)) {
+                    if (field.id === ids.PRIMARIES) colour.primaries = readUint(bytes, field);
+                    if (field.id === ids.TRANSFER_CHARACTERISTICS) colour.transfer = readUint(bytes, field);
+                    if (field.id === ids.MATRIX_COEFFICIENTS) colour.matrix = readUint(bytes, field);
+                    if (field.id === ids.RANGE) colour.fullRange = readUint(bytes, field) === 2;
+                }
+                track.colour = colour;
+                break;
+            }
+            case ids.PROJECTION:
+                for (const field of readChildren(bytes, setting.start, setting.end)) {
+                    if (field.id === ids.PROJECTION_POSE_ROLL) {
+                        // Roll is counter-clockwise
+                        const degrees = Math.round(-readFloat(bytes, field) / 90) * 90;
+                        track.rotation = ((degrees % 360) + 360) % 360;
+                    }
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Display size differing from the coded size in shape means non-square pixels
+    if (displayWidth && displayHeight && track.codedWidth && track.codedHeight) {
+        const num = displayWidth * track.codedHeight;
+        const den = displayHeight * track.codedWidth;
+        const divisor = gcd(num, den);
+        track.pixelAspectRatio = { num: num / divisor, den: den / divisor };
+    }
+}
+
+function parseTrackEntry(bytes, entry) {
+    const track = {
+        number: 0,
+        type: null,
+        codecId: '',
+        codecPrivate: undefined,
+        defaultDuration: 0,
+        samples: []
+    };
+
+    for (const child of readChildren(bytes, entry.start, entry.end)) {
+        switch (child.id) {
+            case ids.TRACK_NUMBER:
+                track.number = readUint(bytes, child);
+                break;
+            case ids.TRACK_TYPE:
+                track.type = trackTypes[readUint(bytes, child)] || null;
+                break;
+            case ids.CODEC_ID:
+                track.codecId = readString(bytes, child);
+                break;
+            case ids.CODEC_PRIVATE:
+                track.codecPrivate = copyBytes(bytes, child);
+                break;
+            case ids.DEFAULT_DURATION:
+                track.defaultDuration = readUint(bytes, child) / 1000;
+                break;
+            case ids.VIDEO:
+                track.rotation = 0;
+                track.pixelAspectRatio = { num: 1, den: 1 };
+                track.colour = null;
+                parseVideoSettings(bytes, child, track);
+                break;
+            case ids.AUDIO:
+                for (const setting of readChildren(bytes, child.start, child.end)) {
+                    if (setting.id === ids.SAMPLING_FREQUENCY) track.sampleRate = readFloat(bytes, setting);
+                    if (setting.id === ids.CHANNELS) track.numberOfChannels = readUint(bytes, setting);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    const { codec, description } = getTrackCodec(track.codecId, track.codecPrivate);
+    track.codec = codec;
+    track.description = description;
+    if (codec === 'opus') {
+        track.sampleRate = 48000;
+    }
+    if (track.type === 'audio') {
+        track.sampleRate = track.sampleRate || 8000;
+        track.numberOfChannels = track.numberOfChannels || 1;
+    }
+
+    return track;
+}
+
+/**
+ * Frame sizes inside a laced block
+ */
+function readLaceSizes(bytes, offset, end, lacing) {
+    const count = bytes[offset++] + 1;
+    const sizes = [];
+
+    if (lacing === 1) {
+        // Xiph: each size is a run of 255s plus a final byte
+        for (let i = 0; i < count - 1; i++) {
+            let size = 0;
+            let byte;
+            do {
+                byte = bytes[offset++];
+                size += byte;
+            } while (byte === 255);
+            sizes.push(size);
+        }
+    } else if (lacing === 3) {
+        // EBML: first size, then signed differences
+        let vint = readVint(bytes, offset);
+        offset += vint.length;
+        sizes.push(vint.value);
+        for (let i = 1; i < count - 1; i++) {
+            vint = readVint(bytes, offset);
+            offset += vint.length;
+            const bias = 2 ** (7 * vint.length - 1) - 1;
+            sizes.push(sizes[i - 1] + vint.value - bias);
+        }
+    } else {
+        // Fixed: equal sizes
+        const size = (end - offset) / count;
+        for (let i = 0; i < count - 1; i++) sizes.push(size);
+    }
+
+    const used = sizes.reduce((sum, size) => sum + size, 0);
+    sizes.push(end - offset - used);
+    return { offset, sizes };
+}
+
+/**
+ * Add the frames of a (Simple)Block to its track
+ */
+function readBlock(bytes, block, clusterTime, tracks, timeScale, { duration, isKey }) {
+    const trackNumber = readVint(bytes, block.start);
+    const track = tracks.get(trackNumber.value);
+    if (!track) return;
+
+    const headerEnd = block.start + trackNumber.length;
+    const relativeTime = (bytes[headerEnd] << 24 >> 16) | bytes[headerEnd + 1];
+    const flags = bytes[headerEnd + 2];
+    const lacing = (flags >> 1) & 0x03;
+    const timestamp = (clusterTime + relativeTime) * timeScale;
+    const keyframe = isKey ?? Boolean(flags & 0x80);
+
+    let offset = headerEnd + 3;
+    let sizes = [block.end - offset];
+    if (lacing) {
+        ({ offset, sizes } = readLaceSizes(bytes, offset, block.end, lacing));
+    }
+
+    const frameDuration = duration && sizes.length > 1 ? duration / sizes.length : duration;
+    sizes.forEach((size, index) => {
+        track.samples.push({
+            offset,
+            size,
+            timestamp: Math.round(timestamp + index * (frameDuration || track.defaultDuration)),
+            duration: frameDuration || track.defaultDuration,
+            isKey: keyframe || track.type === 'audio'
+        });
+        offset += size;
+    });
+}
+
+/**
+ * Read a cluster's blocks. Resolves to the offset after the cluster, which
+ * for unknown sizes is the start of the next segment-level element.
+ */
+function readCluster(bytes, cluster, segmentEnd, tracks, timeScale) {
+    const end = Math.min(cluster.end ?? segmentEnd, segmentEnd);
+    let clusterTime = 0;
+    let offset = cluster.start;
+
+    while (offset < end) {
+        const element = readElementHeader(bytes, offset);
+        if (cluster.end === null && SEGMENT_CHILDREN.has(element.id)) {
+            return offset;
+        }
+        element.end = Math.min(element.end ?? end, end);
+
+        if (element.id === ids.TIMECODE) {
+            clusterTime = readUint(bytes, element);
+        } else if (element.id === ids.SIMPLE_BLOCK) {
+            readBlock(bytes, element, clusterTime, tracks, timeScale, {});
+        } else if (element.id === ids.BLOCK_GROUP) {
+            const children = readChildren(bytes, element.start, element.end);
+            const block = children.find(child => child.id === ids.BLOCK);
+            const durationElement = children.find(child => child.id === ids.BLOCK_DURATION);
+            if (block) {
+                readBlock(bytes, block, clusterTime, tracks, timeScale, {
+                    duration: durationElement ? readUint(bytes, durationElement) * timeScale : 0,
+                    isKey: !children.some(child => child.id === ids.REFERENCE_BLOCK)
+                });
+            }
+        }
+
+        offset = element.end;
+    }
+
+    return end;
+}
+
+/**
+ * Fill in durations from the next frame where the file didn't give one
+ */
+function fillDurations(samples) {
+    const ordered = [...samples].sort((a, b) => a.timestamp - b.timestamp);
+    ordered.forEach((sample, index) => {
+        if (sample.duration) return;
+        const next = ordered[index + 1];
+        sample.duration = next
+            ? next.timestamp - sample.timestamp
+            : ordered[index - 1]?.duration || 0;
+    });
+}
+
+/**
+ * Demux a WebM/Matroska file held in memory.
+ * Resolves to { container: 'webm', duration, tracks } in the same shape as
+ * demuxMp4, with each track's Matroska codecId kept as well.
+ */
+function demuxWebm(bytes) {
+    let offset = 0;
+    let segment = null;
+
+    while (offset < bytes.length && !segment) {
+        const element = readElementHeader(bytes, offset);
+        if (element.id === ids.SEGMENT) {
+            segment = element;
+        } else if (element.end === null) {
+            break;
+        } else {
+            offset = element.end;
+        }
+    }
+
+    if (!segment) {
+        throw new Error('WebM file has no segment');
+    }
+
+    const segmentEnd = Math.min(segment.end ?? bytes.length, bytes.length);
+    const tracks = new Map();
+    // Block times are in TimecodeScale nanoseconds; keep them in µs
+    let timeScale = 1000;
+    let duration = 0;
+    offset = segment.start;
+
+    while (offset < segmentEnd) {
+        const element = readElementHeader(bytes, offset);
+
+        if (element.id === ids.CLUSTER) {
+            offset = readCluster(bytes, element, segmentEnd, tracks, timeScale);
+            continue;
+        }
+
+        element.end = Math.min(element.end ?? segmentEnd, segmentEnd);
+        if (element.id === ids.INFO) {
+            const children = readChildren(bytes, element.start, element.end);
+            const scale = children.find(child => child.id === ids.TIMECODE_SCALE);
+            const durationElement = children.find(child => child.id === ids.DURATION);
+            if (scale) timeScale = readUint(bytes, scale) / 1000;
+            if (durationElement) duration = readFloat(bytes, durationElement) * timeScale / 1e6;
+        } else if (element.id === ids.TRACKS) {
+            for (const entry of readChildren(bytes, element.start, element.end)) {
+                if (entry.id !== ids.TRACK_ENTRY) continue;
+                const track = parseTrackEntry(bytes, entry);
+                if (track.type) tracks.set(track.number, track);
+            }
+        }
+
+        offset = element.end;
+    }
+
+    const trackList = [...tracks.values()];
+    trackList.forEach(track => fillDurations(track.samples));
+
+    if (!duration) {
+        duration = trackList.reduce((end, track) => track.samples.reduce(
+            (trackEnd, sample) => Math.max(trackEnd, sample.timestamp + sample.duration), end
+        ), 0) / 1e6;
+    }
+
+    return {
+        container: 'webm',
+        duration,
+        tracks: trackList
+    };
+}
+
+/**
+ * Whether the bytes look like a WebM/Matroska file
+ */
+function isWebm(bytes) {
+    return bytes.length >= 4 &&
+        bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3;
+}
+
+export {
+    demuxWebm,
+    isWebm
+};
@@ -0,0 +1,358 @@
+/**
+ * WebM Muxer
+ *
+ * Writes WebCodecs encoder output (VP8, VP9 or AV1 video, Opus or Vorbis
+ * audio) into a WebM file. Everything is collected in memory and written on
+ * finish(), so unlike MediaRecorder output the file has a duration and cues
+ * and can be seeked.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { parseWebCodecsColorSpace } from './colourSpaces';
+
+const ids = {
+    EBML: 0x1A45DFA3,
+    EBML_VERSION: 0x4286,
+    EBML_READ_VERSION: 0x42F7,
+    EBML_MAX_ID_LENGTH: 0x42F2,
+    EBML_MAX_SIZE_LENGTH: 0x42F3,
+    DOC_TYPE: 0x4282,
+    DOC_TYPE_VERSION: 0x4287,
+    DOC_TYPE_READ_VERSION: 0x4285,
+    SEGMENT: 0x18538067,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    MUXING_APP: 0x4D80,
+    WRITING_APP: 0x5741,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_UID: 0x73C5,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    SEEK_PRE_ROLL: 0x56BB,
+    VIDEO: 0xE0,
+    PIXEL_WIDTH: 0xB0,
+    PIXEL_HEIGHT: 0xBA,
+    COLOUR: 0x55B0,
+    MATRIX_COEFFICIENTS: 0x55B1,
+    RANGE: 0x55B9,
+    TRANSFER_CHARACTERISTICS: 0x55BA,
+    PRIMARIES: 0x55BB,
+    AUDIO: 0xE1,
+    SAMPLING_FREQUENCY: 0xB5,
+    CHANNELS: 0x9F,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_TRACK: 0xF7,
+    CUE_CLUSTER_POSITION: 0xF1
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+// Block times are signed 16-bit offsets from the cluster time in ms
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+// Opus decoders need 80 ms of pre-roll after a seek
+const OPUS_SEEK_PRE_ROLL_NS = 80000000;
+
+const codecIds = {
+    vp8: 'V_VP8',
+    vp09: 'V_VP9',
+    av01: 'V_AV1',
+    opus: 'A_OPUS',
+    vorbis: 'A_VORBIS'
+};
+
+function getCodecId(codec) {
+    const codecId = codecIds[codec.split('.')[0]];
+    if (!codecId) {
+        throw new Error(`WebM muxer does not support codec ${codec}`);
+    }
+    return codecId;
+}
+
+function encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value % 256);
+    }
+    return Uint8Array.from(bytes);
+}
+
+function encodeSize(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function partsLength(parts) {
+    return parts.reduce((sum, part) => sum + part.length, 0);
+}
+
+/**
+ * A master or binary element as a list of byte arrays, so frame data is
+ * never copied before it lands in the Blob
+ */
+function element(id, ...children) {
+    const parts = children.flat(Infinity);
+    return [encodeId(id), encodeSize(partsLength(parts)), ...parts];
+}
+
+function uintElement(id, value) {
+    const bytes = [];
+    let remaining = value;
+    do {
+        bytes.unshift(remaining % 256);
+        remaining = Math.floor(remaining / 256);
+    } while (remaining > 0);
+    return element(id, Uint8Array.from(bytes));
+}
+
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+}
+
+function stringElement(id, value) {
+    return element(id, Uint8Array.from(value, char => char.charCodeAt(0)));
+}
+
+function toBytes(description) {
+    if (!description) return null;
+    if (description instanceof ArrayBuffer) return new Uint8Array(description);
+    return new Uint8Array(description.buffer, description.byteOffset, description.byteLength);
+}
+
+/**
+ * A minimal OpusHead for encoders that don't provide one (mono or stereo)
+ */
+function createOpusHead(numberOfChannels, sampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set([0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64], 0);
+    head[8] = 1;
+    head[9] = numberOfChannels;
+    view.setUint16(10, 0, true);
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true);
+    head[18] = 0;
+    return head;
+}
+
+function chunkToSample(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    return {
+        data,
+        timestamp: chunk.timestamp,
+        duration: chunk.duration || 0,
+        isKey: chunk.type === 'key'
+    };
+}
+
+class WebmMuxer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.video - { codec, width, height, description?, colour? } (see colourSpaces.js)
+     * @param {Object} [options.audio] - { codec, sampleRate, numberOfChannels, description? }
+     */
+    constructor({ video, audio = null }) {
+        this.video = { colour: null, ...video, codecId: getCodecId(video.codec), samples: [] };
+        this.audio = audio ? { ...audio, codecId: getCodecId(audio.codec), samples: [] } : null;
+    }
+
+    addVideoChunk(chunk, metadata) {
+        if (metadata?.decoderConfig?.description) {
+            this.video.description = metadata.decoderConfig.description;
+        }
+        if (metadata?.decoderConfig?.colorSpace) {
+            this.video.colour = parseWebCodecsColorSpace(metadata.decoderConfig.colorSpace);
+        }
+        this.addVideoSample(chunkToSample(chunk));
+    }
+
+    addAudioChunk(chunk, metadata) {
+        if (!this.audio) return;
+        if (metadata?.decoderConfig?.description) {
+            this.audio.description = metadata.decoderConfig.description;
+        }
+        this.addAudioSample(chunkToSample(chunk));
+    }
+
+    /**
+     * Add an already encoded frame: { data, timestamp, duration, isKey } with times in µs
+     */
+    addVideoSample(sample) {
+        this.video.samples.push(sample);
+    }
+
+    addAudioSample(sample) {
+        if (this.audio) this.audio.samples.push(sample);
+    }
+
+    /**
+     * Write the file without its audio track (e.g. when re-encoding it failed)
+     */
+    removeAudio() {
+        this.audio = null;
+    }
+
+    /**
+     * Write the file as a video/webm Blob
+     */
+    finish() {
+        if (this.video.samples.length === 0) {
+            throw new Error('No video frames were encoded');
+        }
+
+        const tracks = [this.video, this.audio].filter(track => track?.samples.length);
+        const start = Math.min(...tracks.map(track => track.samples[0].timestamp));
+        const duration = Math.max(...tracks.map((track) => {
+            const last = track.samples[track.samples.length - 1];
+            return last.timestamp + last.duration;
+        })) - start;
+
+        const header = element(ids.EBML,
+            uintElement(ids.EBML_VERSION, 1),
+            uintElement(ids.EBML_READ_VERSION, 1),
+            uintElement(ids.EBML_MAX_ID_LENGTH, 4),
+            uintElement(ids.EBML_MAX_SIZE_LENGTH, 8),
+            stringElement(ids.DOC_TYPE, 'webm'),
+            uintElement(ids.DOC_TYPE_VERSION, 4),
+            uintElement(ids.DOC_TYPE_READ_VERSION, 2)
+        );
+
+        const info = element(ids.INFO,
+            uintElement(ids.TIMECODE_SCALE, 1000000),
+            floatElement(ids.DURATION, duration / 1000),
+            stringElement(ids.MUXING_APP, 'CartoonizeMe'),
+            stringElement(ids.WRITING_APP, 'CartoonizeMe')
+        );
+
+        const trackEntries = element(ids.TRACKS, tracks.map(track => this.createTrackEntry(track)));
+        const headLength = partsLength(info) + partsLength(trackEntries);
+        const { clusters, cuePoints } = this.createClusters(tracks, start, headLength);
+
+        const cues = element(ids.CUES, cuePoints.map(cue => element(ids.CUE_POINT,
+            uintElement(ids.CUE_TIME, cue.time),
+            element(ids.CUE_TRACK_POSITIONS,
+                uintElement(ids.CUE_TRACK, VIDEO_TRACK),
+                uintElement(ids.CUE_CLUSTER_POSITION, cue.position)
+            )
+        )));
+
+        const segment = element(ids.SEGMENT, info, trackEntries, clusters, cues);
+        return new Blob([...header, ...segment], { type: 'video/webm' });
+    }
+
+    createTrackEntry(track) {
+        const isVideo = track === this.video;
+        let codecPrivate = toBytes(track.description);
+
+        if (track.codecId === 'A_OPUS' && !codecPrivate) {
+            codecPrivate = createOpusHead(track.numberOfChannels, track.sampleRate);
+        }
+        if (track.codecId === 'A_VORBIS' && !codecPrivate) {
+            throw new Error('Encoder did not provide the Vorbis headers');
+        }
+
+        return element(ids.TRACK_ENTRY,
+            uintElement(ids.TRACK_NUMBER, isVideo ? VIDEO_TRACK : AUDIO_TRACK),
+            uintElement(ids.TRACK_UID, isVideo ? VIDEO_TRACK : AUDIO_TRACK),
+            uintElement(ids.TRACK_TYPE, isVideo ? 1 : 2),
+            stringElement(ids.CODEC_ID, track.codecId),
+            codecPrivate ? element(ids.CODEC_PRIVATE, codecPrivate) : [],
+            track.codecId === 'A_OPUS' ? uintElement(ids.SEEK_PRE_ROLL, OPUS_SEEK_PRE_ROLL_NS) : [],
+            isVideo
+                ? element(ids.VIDEO,
+                    uintElement(ids.PIXEL_WIDTH, track.width),
+                    uintElement(ids.PIXEL_HEIGHT, track.height),
+                    track.colour ? this.createColour(track.colour) : [])
+                : element(ids.AUDIO,
+                    floatElement(ids.SAMPLING_FREQUENCY, track.sampleRate),
+                    uintElement(ids.CHANNELS, track.numberOfChannels))
+        );
+    }
+
+    createColour({ primaries, transfer, matrix, fullRange }) {
+        return element(ids.COLOUR,
+            uintElement(ids.MATRIX_COEFFICIENTS, matrix),
+            uintElement(ids.RANGE, fullRange ? 2 : 1),
+            uintElement(ids.TRANSFER_CHARACTERISTICS, transfer),
+            uintElement(ids.PRIMARIES, primaries)
+        );
+    }
+
+    /**
+     * Interleave the tracks by time into clusters, starting a new cluster at
+     * every video keyframe so each one can be seeked to
+     */
+    createClusters(tracks, start, headLength) {
+        const blocks = tracks
+            .flatMap(track => track.samples.map((sample, index) => ({
+                ...sample,
+                index,
+                trackNumber: track === this.video ? VIDEO_TRACK : AUDIO_TRACK,
+                time: Math.round((sample.timestamp - start) / 1000)
+            })))
+            // Keep each track in its own order; the index breaks ties
+            .sort((a, b) => a.time - b.time || a.trackNumber - b.trackNumber || a.index - b.index);
+
+        const clusters = [];
+        const cuePoints = [];
+        let current = null;
+        let position = headLength;
+
+        const closeCluster = () => {
+            if (!current) return;
+            const cluster = element(ids.CLUSTER, uintElement(ids.TIMECODE, current.time), current.blocks);
+            clusters.push(cluster);
+            position += partsLength(cluster);
+        };
+
+        for (const block of blocks) {
+            const isVideoKey = block.trackNumber === VIDEO_TRACK && block.isKey;
+            if (!current || isVideoKey || block.time - current.time > MAX_CLUSTER_SPAN_MS) {
+                closeCluster();
+                current = { time: block.time, blocks: [] };
+                if (isVideoKey) {
+                    cuePoints.push({ time: block.time, position });
+                }
+            }
+
+            const relativeTime = block.time - current.time;
+            current.blocks.push(element(ids.SIMPLE_BLOCK,
+                Uint8Array.of(
+                    0x80 | block.trackNumber,
+                    (relativeTime >> 8) & 0xff, relativeTime & 0xff,
+                    block.isKey ? 0x80 : 0x00
+                ),
+                block.data
+            ));
+        }
+        closeCluster();
+
+        return { clusters, cuePoints };
+    }
+}
+
+export default WebmMuxer;
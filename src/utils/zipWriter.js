@@ -0,0 +1,150 @@
+/**
+ * ZIP Writer
+ *
+ * Builds a ZIP archive in the browser. Entries are stored uncompressed, which
+ * suits already-compressed content like PNG frames and keeps packaging fast.
+ * Entry data stays in Blobs, so large archives don't need one big buffer.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import { crc32 } from './crc32';
+
+// Classic ZIP limits (no ZIP64)
+const MAX_ENTRIES = 65535;
+const MAX_ARCHIVE_SIZE = 0xffffffff;
+
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Date and time in MS-DOS format
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Little-endian header writer
+ */
+function createHeader(size) {
+    const buffer = new Uint8Array(size);
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+    return {
+        buffer,
+        u16(value) { view.setUint16(offset, value, true); offset += 2; },
+        u32(value) { view.setUint32(offset, value >>> 0, true); offset += 4; },
+        bytes(value) { buffer.set(value, offset); offset += value.length; }
+    };
+}
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file from a Blob, ArrayBuffer or Uint8Array
+     */
+    async addFile(name, content, date = new Date()) {
+        if (this.entries.length >= MAX_ENTRIES) {
+            throw new Error(`A ZIP archive can hold at most ${MAX_ENTRIES} files`);
+        }
+
+        const blob = content instanceof Blob ? content : new Blob([content]);
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const nameBytes = this.encoder.encode(name);
+        const { time, date: dosDate } = toDosDateTime(date);
+        const entry = {
+            nameBytes,
+            crc: crc32(data),
+            size: data.length,
+            time,
+            date: dosDate,
+            offset: this.offset
+        };
+
+        const header = createHeader(30 + nameBytes.length);
+        header.u32(0x04034b50);     // Local file header signature
+        header.u16(20);             // Version needed (2.0)
+        header.u16(UTF8_FLAG);
+        header.u16(0);              // Method: stored
+        header.u16(entry.time);
+        header.u16(entry.date);
+        header.u32(entry.crc);
+        header.u32(entry.size);     // Compressed size
+        header.u32(entry.size);     // Uncompressed size
+        header.u16(nameBytes.length);
+        header.u16(0);              // Extra field length
+        header.bytes(nameBytes);
+
+        this.parts.push(header.buffer, blob);
+        this.offset += header.buffer.length + entry.size;
+        this.entries.push(entry);
+
+        if (this.offset > MAX_ARCHIVE_SIZE) {
+            throw new Error('The ZIP archive is too large (over 4GB)');
+        }
+    }
+
+    /**
+     * Add a UTF-8 text file
+     */
+    async addText(name, text, date = new Date()) {
+        await this.addFile(name, this.encoder.encode(text), date);
+    }
+
+    /**
+     * Write the central directory and return the archive as a Blob
+     */
+    finish() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const header = createHeader(46 + entry.nameBytes.length);
+            header.u32(0x02014b50);     // Central directory header signature
+            header.u16(20);             // Version made by
+            header.u16(20);             // Version needed
+            header.u16(UTF8_FLAG);
+            header.u16(0);              // Method: stored
+            header.u16(entry.time);
+            header.u16(entry.date);
+            header.u32(entry.crc);
+            header.u32(entry.size);
+            header.u32(entry.size);
+            header.u16(entry.nameBytes.length);
+            header.u16(0);              // Extra field length
+            header.u16(0);              // Comment length
+            header.u16(0);              // Disk number
+            header.u16(0);              // Internal attributes
+            header.u32(0);              // External attributes
+            header.u32(entry.offset);
+            header.bytes(entry.nameBytes);
+
+            this.parts.push(header.buffer);
+            directorySize += header.buffer.length;
+        }
+
+        const end = createHeader(22);
+        end.u32(0x06054b50);            // End of central directory signature
+        end.u16(0);                     // Disk number
+        end.u16(0);                     // Disk with the central directory
+        end.u16(this.entries.length);
+        end.u16(this.entries.length);
+        end.u32(directorySize);
+        end.u32(directoryOffset);
+        end.u16(0);                     // Comment length
+        this.parts.push(end.buffer);
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+export default ZipWriter;
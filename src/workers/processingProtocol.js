@@ -0,0 +1,38 @@
+/**
+ * Processing Worker Message Protocol
+ *
+ * Message types exchanged between ProcessingWorkerClient (main thread) and
+ * videoProcessing.worker.js. Every message has the shape { type, payload }.
+ *
+ * @author CartoonizeMe Team
+ */
+
+const messageTypes = {
+    // Main thread → worker
+    INIT: 'INIT',                   // payload: none
+    PREPARE_STYLE: 'PREPARE_STYLE', // payload: { file, metadata, styleKey?, blend?, cachedFeatures }
+    START: 'START',                 // payload: { videoFile, options, frames? }
+    PROCESS_IMAGE: 'PROCESS_IMAGE', // payload: { imageFile, options }
+    PAUSE: 'PAUSE',                 // payload: none
+    RESUME: 'RESUME',               // payload: none
+    CANCEL: 'CANCEL',               // payload: none
+
+    // Worker → main thread
+    READY: 'READY',                     // payload: { useFallback, isModelReady, ffmpegStatus }
+    INIT_PROGRESS: 'INIT_PROGRESS',     // payload: { progress, time }
+    STYLE_READY: 'STYLE_READY',         // payload: { success, cachedFeatures }
+    STAGE: 'STAGE',                     // payload: { stage }
+    FRAME_PROGRESS: 'FRAME_PROGRESS',   // payload: { current, total, progress }
+    COMPLETE: 'COMPLETE',               // payload: { blob?, frames?, frameCount, fps } or, for images, { blob, isImage, width, height }
+    CANCELLED: 'CANCELLED',             // payload: none
+    ERROR: 'ERROR'                      // payload: { message }
+};
+
+/**
+ * Build a protocol message
+ */
+function createMessage(type, payload = null) {
+    return { type, payload };
+}
+
+export { messageTypes, createMessage };
@@ -0,0 +1,146 @@
+/**
+ * Video Processing Worker
+ *
+ * Runs the extract → stylize → encode loop (or a single photo's stylization)
+ * off the main thread so the UI stays responsive during long jobs. Frames are drawn with OffscreenCanvas and all
+ * communication goes through the message protocol in processingProtocol.js.
+ *
+ * @author CartoonizeMe Team
+ */
+
+import VideoProcessor from '../utils/videoProcessor';
+import { messageTypes, createMessage } from './processingProtocol';
+import { getStyleFeatures, setStyleFeatures } from '../utils/styleFeatureCache';
+
+let processor = null;
+let styleData = null;
+
+function post(type, payload) {
+    self.postMessage(createMessage(type, payload));
+}
+
+async function handleInit() {
+    processor = new VideoProcessor();
+
+    await processor.initialize(
+        (progressData) => post(messageTypes.INIT_PROGRESS, progressData),
+        (stage) => post(messageTypes.STAGE, { stage })
+    );
+
+    post(messageTypes.READY, {
+        useFallback: processor.useFallback,
+        isModelReady: processor.isModelReady,
+        ffmpegStatus: processor.ffmpegStatus
+    });
+}
+
+async function handlePrepareStyle({ file, metadata, styleKey, blend, cachedFeatures }) {
+    // The main thread's cache outlives this worker, so it hands over known features
+    Object.entries(cachedFeatures || {}).forEach(([key, features]) => setStyleFeatures(key, features));
+
+    styleData = { file, metadata, styleKey, blend };
+    const success = await processor.processStyleReference(styleData);
+
+    // Send back the features of every style image so the main thread can cache them
+    const styleKeys = blend ? blend.map(component => component.styleKey) : [styleData.styleKey];
+    const features = {};
+    styleKeys.filter(Boolean).forEach(key => {
+        features[key] = getStyleFeatures(key);
+    });
+
+    post(messageTypes.STYLE_READY, { success, cachedFeatures: features });
+}
+
+async function handleStart({ videoFile, options, frames }) {
+    try {
+        // Pausing keeps this promise pending; the processor resumes it in place
+        const result = await processor.processVideo(videoFile, styleData, {
+            ...options,
+            frames,
+            skipReconstruction: !!frames,
+            onFrameProgress: (frameProgress) => post(messageTypes.FRAME_PROGRESS, frameProgress)
+        });
+
+        post(messageTypes.COMPLETE, {
+            blob: result.blob || null,
+            // Only names, blobs and timing cross the thread boundary (fallback reconstruction, frame export)
+            frames: result.frames ? result.frames.map(({ name, blob, timestamp, duration }) => ({ name, blob, timestamp, duration })) : null,
+            frameCount: result.frameCount,
+            fps: result.fps
+        });
+
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            console.log('🛑 Processing job cancelled in worker');
+            post(messageTypes.CANCELLED);
+            return;
+        }
+        throw error;
+    }
+}
+
+async function handleProcessImage({ imageFile, options }) {
+    try {
+        const result = await processor.processImage(imageFile, styleData, options);
+
+        post(messageTypes.COMPLETE, {
+            blob: result.blob,
+            isImage: true,
+            width: result.width,
+            height: result.height,
+            frameCount: result.frameCount
+        });
+
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            console.log('🛑 Image processing cancelled in worker');
+            post(messageTypes.CANCELLED);
+            return;
+        }
+        throw error;
+    }
+}
+
+self.onmessage = async (event) => {
+    const { type, payload } = event.data;
+
+    try {
+        switch (type) {
+            case messageTypes.INIT:
+                await handleInit();
+                break;
+
+            case messageTypes.PREPARE_STYLE:
+                await handlePrepareStyle(payload);
+                break;
+
+            case messageTypes.START:
+                await handleStart(payload);
+                break;
+
+            case messageTypes.PROCESS_IMAGE:
+                await handleProcessImage(payload);
+                break;
+
+            case messageTypes.PAUSE:
+                processor?.pause();
+                break;
+
+            case messageTypes.RESUME:
+                processor?.resume();
+                break;
+
+            case messageTypes.CANCEL:
+                processor?.cancel();
+                break;
+
+            default:
+                console.warn('Unknown worker message type:', type);
+        }
+    } catch (error) {
+        console.error(`❌ Worker failed handling ${type}:`, error);
+        post(messageTypes.ERROR, {
+            message: error?.message || error?.toString() || 'Unknown worker error'
+        });
+    }
+};
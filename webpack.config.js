@@ -1,9 +1,76 @@
 const HtmlWebpackPlugin = require('html-webpack-plugin');
-// const { InjectManifest } = require('workbox-webpack-plugin'); // Disabled PWA functionality
+const { InjectManifest } = require('workbox-webpack-plugin');
+const webpack = require('webpack');
 const path = require('path');
+const fs = require('fs');
+
+// Load FFmpeg from unpkg.com too when the self-hosted core fails (opt-in, see src/utils/ffmpegCore.js)
+const ffmpegCdnFallback = process.env.FFMPEG_CDN_FALLBACK === 'true';
+
+// FFmpeg core files served from /ffmpeg/ so FFmpeg works offline and without CDN access.
+// Only the single-threaded core is precached: the multi-threaded one runs only on
+// cross-origin isolated pages, so the service worker caches it when it's first used.
+const FFMPEG_CORES = [
+    {
+        packageName: '@ffmpeg/core-mt',
+        from: 'node_modules/@ffmpeg/core-mt/dist/esm',
+        to: 'ffmpeg/core-mt',
+        files: ['ffmpeg-core.js', 'ffmpeg-core.wasm', 'ffmpeg-core.worker.js'],
+        precache: false
+    },
+    {
+        packageName: '@ffmpeg/core',
+        from: 'node_modules/@ffmpeg/core/dist/umd',
+        to: 'ffmpeg/core',
+        files: ['ffmpeg-core.js', 'ffmpeg-core.wasm'],
+        precache: true
+    }
+];
+
+/**
+ * Copy the FFmpeg core files into the build. A missing core package fails a
+ * production build, so a release never ships without FFmpeg; development
+ * builds only warn and the app falls back to WebCodecs or HTML5 processing.
+ */
+class CopyFFmpegCorePlugin {
+    constructor({ required }) {
+        this.required = required;
+    }
+
+    apply(compiler) {
+        const { Compilation, WebpackError, sources } = compiler.webpack;
+
+        compiler.hooks.thisCompilation.tap('CopyFFmpegCorePlugin', (compilation) => {
+            compilation.hooks.processAssets.tap({
+                name: 'CopyFFmpegCorePlugin',
+                stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL,
+            }, () => {
+                FFMPEG_CORES.forEach((core) => {
+                    const directory = path.resolve(__dirname, core.from);
+                    const missing = core.files.filter(file => !fs.existsSync(path.join(directory, file)));
+
+                    if (missing.length > 0) {
+                        const problems = this.required ? compilation.errors : compilation.warnings;
+                        problems.push(new WebpackError(
+                            `${core.packageName} is not installed (missing ${missing.join(', ')}) - run npm install to self-host the FFmpeg core`
+                        ));
+                        return;
+                    }
+
+                    core.files.forEach((file) => {
+                        const source = path.join(directory, file);
+                        compilation.fileDependencies.add(source);
+                        compilation.emitAsset(`${core.to}/${file}`, new sources.RawSource(fs.readFileSync(source)));
+                    });
+                });
+            });
+        });
+    }
+}
 
 module.exports = (env, argv) => {
     const isProduction = argv.mode === 'production';
+    const cdnSources = ffmpegCdnFallback ? ' https://unpkg.com' : '';
 
     return {
         // Entry point for the application
@@ -69,7 +136,12 @@ module.exports = (env, argv) => {
                 // Worker files
                 {
                     test: /\.worker\.js$/,
-                    use: { loader: 'worker-loader' },
+                    use: {
+                        loader: 'worker-loader',
+                        options: {
+                            filename: isProduction ? '[name].[contenthash].js' : '[name].js',
+                        },
+                    },
                 },
                 // WebAssembly files for FFmpeg
                 {
@@ -139,14 +211,29 @@ module.exports = (env, argv) => {
                 } : false,
             }),
 
-            // Progressive Web App support - Disabled to prevent service worker 404 errors
-            // ...(isProduction ? [
-            //     new InjectManifest({
-            //         swSrc: './src/sw.js',
-            //         swDest: 'sw.js',
-            //         maximumFileSizeToCacheInBytes: 10 * 1024 * 1024, // 10MB for TensorFlow models
-            //     }),
-            // ] : []),
+            new webpack.DefinePlugin({
+                'process.env.FFMPEG_CDN_FALLBACK': JSON.stringify(String(ffmpegCdnFallback)),
+            }),
+
+            // Self-hosted FFmpeg core (/ffmpeg/core and /ffmpeg/core-mt)
+            new CopyFFmpegCorePlugin({ required: isProduction }),
+
+            // Progressive Web App support - the service worker precaches the build,
+            // including the single-threaded FFmpeg core, so video processing works offline.
+            // This was disabled because index.js registers /sw.js, which the build didn't
+            // emit (the 404s); InjectManifest now writes it.
+            ...(isProduction ? [
+                new InjectManifest({
+                    swSrc: './src/sw.js',
+                    swDest: 'sw.js',
+                    maximumFileSizeToCacheInBytes: 40 * 1024 * 1024, // 40MB for the FFmpeg core WASM
+                    exclude: [
+                        /\.map$/,
+                        /^manifest.*\.js$/,
+                        ...FFMPEG_CORES.filter(core => !core.precache).map(core => new RegExp(`^${core.to}/`)),
+                    ],
+                }),
+            ] : []),
         ],
 
         // Development server configuration
@@ -169,9 +256,9 @@ module.exports = (env, argv) => {
                 // More permissive CSP for development to prevent TensorFlow.js issues
                 'Content-Security-Policy': isProduction ? [
                     "default-src 'self'",
-                    "script-src 'self' 'unsafe-eval' 'unsafe-inline' https://unpkg.com https://cdn.jsdelivr.net https://tfhub.dev https://storage.googleapis.com",
-                    "worker-src 'self' blob: https://unpkg.com",
-                    "connect-src 'self' https://unpkg.com https://cdn.jsdelivr.net https://tfhub.dev https://storage.googleapis.com data: blob:",
+                    `script-src 'self' 'unsafe-eval' 'unsafe-inline'${cdnSources} https://cdn.jsdelivr.net https://tfhub.dev https://storage.googleapis.com`,
+                    `worker-src 'self' blob:${cdnSources}`,
+                    `connect-src 'self'${cdnSources} https://cdn.jsdelivr.net https://tfhub.dev https://storage.googleapis.com data: blob:`,
                     "img-src 'self' data: blob:",
                     "media-src 'self' blob:",
                     "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",